@@ -25,7 +25,17 @@ jest.mock('@solana/pay', () => ({
 jest.mock('../../src/services/database');
 jest.mock('../../src/services/websocket');
 jest.mock('../../src/services/emailService');
+jest.mock('../../src/services/exchangeRateService');
+jest.mock('../../src/services/tokenRegistry');
+jest.mock('../../src/services/feeService');
+jest.mock('../../src/services/pdfService');
 jest.mock('../../src/utils/logger');
+jest.mock('../../src/services/paymentMonitor', () => ({
+  performPaymentConfirmation: jest.fn()
+}));
+jest.mock('../../src/controllers/webhooks', () => ({
+  sendWebhook: jest.fn().mockResolvedValue()
+}));
 
 // Mock BigNumber
 jest.mock('bignumber.js', () => {
@@ -37,7 +47,26 @@ jest.mock('bignumber.js', () => {
 });
 
 // Import controllers after mocking dependencies
-const { createPayment, getPayment, confirmPayment } = require('../../src/controllers/payments');
+const {
+  createPayment,
+  getPayment,
+  listPayments,
+  setPaymentAmount,
+  cancelPayment,
+  getPaymentReceipt,
+  confirmPayment,
+  getTransactionRequest,
+  createTransaction
+} = require('../../src/controllers/payments');
+const { authenticateUser } = require('../../src/middleware/auth');
+const { validatePaymentListQuery } = require('../../src/middleware/validation');
+const exchangeRateService = require('../../src/services/exchangeRateService');
+const tokenRegistry = require('../../src/services/tokenRegistry');
+const feeService = require('../../src/services/feeService');
+const pdfService = require('../../src/services/pdfService');
+const BigNumber = require('bignumber.js');
+const paymentMonitor = require('../../src/services/paymentMonitor');
+const { sendWebhook } = require('../../src/controllers/webhooks');
 
 // Create a test app
 const createTestApp = () => {
@@ -45,9 +74,15 @@ const createTestApp = () => {
   app.use(express.json());
   
   // Mock the payment routes
+  app.get('/payments', authenticateUser, validatePaymentListQuery, asyncHandler(listPayments));
   app.post('/payments/create', asyncHandler(createPayment));
   app.get('/payments/:reference', asyncHandler(getPayment));
   app.post('/payments/confirm', asyncHandler(confirmPayment));
+  app.post('/payments/:reference/amount', asyncHandler(setPaymentAmount));
+  app.post('/payments/:reference/cancel', authenticateUser, asyncHandler(cancelPayment));
+  app.get('/payments/:reference/receipt.pdf', asyncHandler(getPaymentReceipt));
+  app.get('/transaction-requests/:reference', asyncHandler(getTransactionRequest));
+  app.post('/transaction-requests/:reference', asyncHandler(createTransaction));
   
   return app;
 };
@@ -117,6 +152,30 @@ describe('Payment Flow', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error).toBe('User not found. Please complete onboarding first.');
     });
+
+    it('should reject tokens the merchant does not accept', async () => {
+      database.getUserById.mockResolvedValue({
+        id: 'user-123',
+        web3auth_user_id: 'web3-123',
+        accepted_tokens: ['SOL']
+      });
+      tokenRegistry.getNetwork.mockReturnValue('devnet');
+      tokenRegistry.getByMint.mockReturnValue({ symbol: 'USDC', network: 'devnet' });
+      tokenRegistry.getAcceptedTokens.mockReturnValue(['SOL']);
+
+      const response = await request(app)
+        .post('/payments/create')
+        .send({
+          amount: 1.5,
+          web3AuthUserId: 'web3-123',
+          chain: 'solana',
+          splToken: 'Gh9ZwEmdLJ8DscKNTkTqPbNwLNNBjuSzaG9Vp2KGtKJr'
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe('Merchant does not accept USDC payments');
+      expect(database.createPayment).not.toHaveBeenCalled();
+    });
   });
   
   describe('Get Payment', () => {
@@ -139,6 +198,44 @@ describe('Payment Flow', () => {
       expect(response.body.payment).toBeDefined();
       expect(response.body.payment.reference).toBe('ref-123');
     });
+
+    it('should include the formatted amount and token details', async () => {
+      database.getPayment.mockResolvedValue({
+        reference: 'ref-123',
+        amount: '5',
+        currency: 'USDC',
+        status: 'pending'
+      });
+      tokenRegistry.formatAmount.mockReturnValueOnce('5.00 USDC');
+      tokenRegistry.getBySymbol.mockReturnValueOnce({ symbol: 'USDC', name: 'USD Coin', icon: 'usdc.png', decimals: 6 });
+
+      const response = await request(app)
+        .get('/payments/ref-123')
+        .expect(200);
+
+      expect(tokenRegistry.formatAmount).toHaveBeenCalledWith('5', 'USDC');
+      expect(response.body.payment.display_amount).toBe('5.00 USDC');
+      expect(response.body.payment.token).toEqual({ symbol: 'USDC', name: 'USD Coin', icon: 'usdc.png', decimals: 6 });
+    });
+    
+    it('should leave the amount unset for an open payment awaiting the customer', async () => {
+      database.getPayment.mockResolvedValue({
+        reference: 'ref-123',
+        amount: null,
+        amount_mode: 'open',
+        amount_committed_at: null,
+        currency: 'USDC',
+        status: 'pending'
+      });
+
+      const response = await request(app)
+        .get('/payments/ref-123')
+        .expect(200);
+
+      expect(response.body.payment.awaiting_amount).toBe(true);
+      expect(response.body.payment.display_amount).toBeNull();
+      expect(response.body.payment.recipients).toEqual([]);
+    });
     
     it('should return 404 if payment not found', async () => {
       // Mock payment not found
@@ -152,4 +249,469 @@ describe('Payment Flow', () => {
       expect(response.body.error).toBe('Payment not found');
     });
   });
-});
\ No newline at end of file
+
+  describe('List Payments', () => {
+    const listedPayment = (id, createdAt) => ({
+      id,
+      reference: `ref-${id}`,
+      amount: '5',
+      currency: 'USDC',
+      status: 'pending',
+      fee_amount: '0.445',
+      created_at: createdAt,
+      expires_at: new Date(Date.now() + 60000).toISOString()
+    });
+
+    it('should list the merchant\'s payments with filters and a next cursor', async () => {
+      database.listPayments.mockResolvedValue([
+        listedPayment('00000000-0000-4000-8000-000000000002', new Date(Date.now() - 30000).toISOString()),
+        listedPayment('00000000-0000-4000-8000-000000000001', new Date(Date.now() - 60000).toISOString())
+      ]);
+
+      const response = await request(app)
+        .get('/payments?status=pending,underpaid&currency=usdc&label=coffee&limit=1')
+        .set('x-user-id', 'web3-123')
+        .expect(200);
+
+      expect(database.listPayments).toHaveBeenCalledWith('web3-123', expect.objectContaining({
+        filters: expect.objectContaining({ status: ['pending', 'underpaid'], currency: 'USDC', label: 'coffee' }),
+        sort: 'created_at',
+        ascending: false,
+        after: null,
+        limit: 2
+      }));
+      expect(response.body.payments).toHaveLength(1);
+      expect(response.body.payments[0].age).toBeGreaterThanOrEqual(30);
+      expect(response.body.payments[0].expiresIn).toBeGreaterThan(0);
+      expect(response.body.pagination.hasMore).toBe(true);
+
+      database.listPayments.mockResolvedValue([]);
+      await request(app)
+        .get(`/payments?limit=1&cursor=${response.body.pagination.nextCursor}`)
+        .set('x-user-id', 'web3-123')
+        .expect(200);
+
+      expect(database.listPayments).toHaveBeenLastCalledWith('web3-123', expect.objectContaining({
+        after: { value: response.body.payments[0].created_at, id: '00000000-0000-4000-8000-000000000002' }
+      }));
+    });
+
+    it('should page by amount across open payments that have no amount yet', async () => {
+      const openPayment = (id) => ({
+        ...listedPayment(id, new Date().toISOString()),
+        amount: null,
+        amount_mode: 'open'
+      });
+      database.listPayments.mockResolvedValue([
+        listedPayment('00000000-0000-4000-8000-000000000003', new Date().toISOString()),
+        openPayment('00000000-0000-4000-8000-000000000002'),
+        openPayment('00000000-0000-4000-8000-000000000001')
+      ]);
+
+      const response = await request(app)
+        .get('/payments?sort=amount&limit=2')
+        .set('x-user-id', 'web3-123')
+        .expect(200);
+
+      expect(response.body.payments.map(payment => payment.amount)).toEqual(['5', null]);
+      expect(response.body.pagination.hasMore).toBe(true);
+
+      database.listPayments.mockResolvedValue([openPayment('00000000-0000-4000-8000-000000000001')]);
+      const nextPage = await request(app)
+        .get(`/payments?sort=amount&limit=2&cursor=${response.body.pagination.nextCursor}`)
+        .set('x-user-id', 'web3-123')
+        .expect(200);
+
+      expect(database.listPayments).toHaveBeenLastCalledWith('web3-123', expect.objectContaining({
+        after: { value: null, id: '00000000-0000-4000-8000-000000000002' }
+      }));
+      expect(nextPage.body.payments).toHaveLength(1);
+      expect(nextPage.body.pagination.hasMore).toBe(false);
+    });
+
+    it('should not sort by a column that changes while paging', async () => {
+      await request(app)
+        .get('/payments?sort=updated_at')
+        .set('x-user-id', 'web3-123')
+        .expect(400);
+
+      expect(database.listPayments).not.toHaveBeenCalled();
+    });
+
+    it('should reject a cursor issued for a different sort', async () => {
+      const cursor = Buffer.from(JSON.stringify({
+        sort: 'amount',
+        order: 'desc',
+        value: '5',
+        id: '00000000-0000-4000-8000-000000000001'
+      })).toString('base64url');
+
+      const response = await request(app)
+        .get(`/payments?cursor=${cursor}`)
+        .set('x-user-id', 'web3-123')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid cursor for this sort order');
+      expect(database.listPayments).not.toHaveBeenCalled();
+    });
+
+    it('should filter payments by metadata values', async () => {
+      database.listPayments.mockResolvedValue([]);
+
+      await request(app)
+        .get('/payments?metadata[orderId]=ORD-1042&metadata[channel]=web')
+        .set('x-user-id', 'web3-123')
+        .expect(200);
+
+      expect(database.listPayments).toHaveBeenCalledWith('web3-123', expect.objectContaining({
+        filters: expect.objectContaining({ metadata: { orderId: 'ORD-1042', channel: 'web' } })
+      }));
+
+      await request(app)
+        .get('/payments?metadata[order id]=ORD-1042')
+        .set('x-user-id', 'web3-123')
+        .expect(400);
+      expect(database.listPayments).toHaveBeenCalledTimes(1);
+    });
+
+    it('should require an authenticated merchant', async () => {
+      await request(app)
+        .get('/payments')
+        .expect(401);
+
+      expect(database.listPayments).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Confirm Payment', () => {
+    const underpaidPayment = {
+      id: 'payment-1',
+      reference: 'ref-confirm',
+      web3auth_user_id: 'web3-123',
+      amount: '10',
+      currency: 'USDC',
+      status: 'underpaid',
+      amount_received: '6'
+    };
+
+    it('should settle the payment through the monitor\'s leg-aware check', async () => {
+      database.getPayment
+        .mockResolvedValueOnce(underpaidPayment)
+        .mockResolvedValueOnce({ ...underpaidPayment, status: 'confirmed', amount_received: '10' });
+
+      const response = await request(app)
+        .post('/payments/confirm')
+        .send({ reference: 'ref-confirm', signature: 'sig-top-up' })
+        .expect(200);
+
+      expect(paymentMonitor.performPaymentConfirmation).toHaveBeenCalledWith(underpaidPayment);
+      expect(response.body.payment.status).toBe('confirmed');
+    });
+
+    it('should keep an underpaid payment open when verification fails', async () => {
+      database.getPayment.mockResolvedValue(underpaidPayment);
+      paymentMonitor.performPaymentConfirmation.mockRejectedValueOnce(new Error('RPC unavailable'));
+
+      await request(app)
+        .post('/payments/confirm')
+        .send({ reference: 'ref-confirm', signature: 'sig-unknown' })
+        .expect(400);
+
+      expect(database.updatePaymentStatus).not.toHaveBeenCalled();
+      expect(sendWebhook).toHaveBeenCalledWith('web3-123', 'payment.failed', expect.objectContaining({
+        status: 'underpaid'
+      }));
+    });
+
+    it('should reject a pending payment without a valid transfer and leave it pending', async () => {
+      const pendingPayment = { ...underpaidPayment, status: 'pending', amount_received: '0' };
+      database.getPayment.mockResolvedValue(pendingPayment);
+
+      await request(app)
+        .post('/payments/confirm')
+        .send({ reference: 'ref-confirm', signature: 'sig-unknown' })
+        .expect(400);
+
+      expect(database.updatePaymentStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Payment Receipt', () => {
+    it('should render the receipt of a confirmed payment as a PDF', async () => {
+      const payment = {
+        reference: 'ref-receipt',
+        web3auth_user_id: 'web3-123',
+        amount: '1.5',
+        currency: 'SOL',
+        status: 'confirmed',
+        transaction_signature: 'sig-123'
+      };
+      const merchant = { business_name: 'Coffee Shop' };
+      database.getPayment.mockResolvedValue(payment);
+      pdfService.loadDocumentContext.mockResolvedValue({ merchant, invoice: null });
+      pdfService.renderReceipt.mockResolvedValue(Buffer.from('%PDF-1.3 receipt'));
+
+      const response = await request(app)
+        .get('/payments/ref-receipt/receipt.pdf')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.headers['content-disposition']).toBe('inline; filename="receipt-ref-receipt.pdf"');
+      expect(pdfService.renderReceipt).toHaveBeenCalledWith(payment, { merchant, invoice: null });
+    });
+
+    it('should refuse receipts for payments that have not settled', async () => {
+      database.getPayment.mockResolvedValue({ reference: 'ref-pending', status: 'pending' });
+
+      const response = await request(app)
+        .get('/payments/ref-pending/receipt.pdf')
+        .expect(409);
+
+      expect(response.body.error).toBe('Receipts are only available for confirmed payments, payment is pending');
+      expect(pdfService.renderReceipt).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Cancel Payment', () => {
+    const pendingPayment = {
+      reference: 'ref-123',
+      web3auth_user_id: 'web3-123',
+      amount: '1.5',
+      currency: 'SOL',
+      status: 'pending'
+    };
+
+    it('should cancel a pending payment and notify listeners', async () => {
+      database.getPayment.mockResolvedValue(pendingPayment);
+      database.cancelPayment.mockResolvedValue({
+        ...pendingPayment,
+        status: 'cancelled',
+        cancellation_reason: 'Duplicate order',
+        cancelled_at: '2024-01-01T00:00:00.000Z'
+      });
+      const { notifyPaymentUpdate } = require('../../src/services/websocket');
+      notifyPaymentUpdate.mockReturnValue({ success: true });
+
+      const response = await request(app)
+        .post('/payments/ref-123/cancel')
+        .set('x-user-id', 'web3-123')
+        .send({ reason: 'Duplicate order' })
+        .expect(200);
+
+      expect(database.cancelPayment).toHaveBeenCalledWith('ref-123', 'Duplicate order');
+      expect(response.body.payment.status).toBe('cancelled');
+      expect(notifyPaymentUpdate).toHaveBeenCalledWith('ref-123', 'cancelled', expect.objectContaining({
+        reason: 'Duplicate order',
+        cancelled_at: '2024-01-01T00:00:00.000Z'
+      }));
+    });
+
+    it('should refuse to cancel a payment that already received funds', async () => {
+      database.getPayment.mockResolvedValue({ ...pendingPayment, status: 'underpaid' });
+
+      const response = await request(app)
+        .post('/payments/ref-123/cancel')
+        .set('x-user-id', 'web3-123')
+        .expect(409);
+
+      expect(response.body.error).toBe('Only pending payments can be cancelled, payment is underpaid');
+      expect(database.cancelPayment).not.toHaveBeenCalled();
+    });
+
+    it('should hide other merchants\' payments', async () => {
+      database.getPayment.mockResolvedValue(pendingPayment);
+
+      await request(app)
+        .post('/payments/ref-123/cancel')
+        .set('x-user-id', 'web3-other')
+        .expect(404);
+
+      expect(database.cancelPayment).not.toHaveBeenCalled();
+    });
+
+    it('should refuse transaction requests for a cancelled payment', async () => {
+      database.getPayment.mockResolvedValue({ ...pendingPayment, status: 'cancelled' });
+
+      const response = await request(app)
+        .get('/transaction-requests/ref-123')
+        .expect(410);
+
+      expect(response.body.message).toMatch(/cancelled/);
+    });
+  });
+
+  describe('Transaction Request Expiry', () => {
+    it('should return label and icon for a payable payment', async () => {
+      database.getPayment.mockResolvedValue({
+        reference: 'ref-123',
+        label: 'Test Payment',
+        status: 'pending',
+        expires_at: new Date(Date.now() + 60000).toISOString()
+      });
+
+      const response = await request(app)
+        .get('/transaction-requests/ref-123')
+        .expect(200);
+
+      expect(response.body.label).toBe('Test Payment');
+      expect(response.body.icon).toBeDefined();
+    });
+
+    it('should refuse a payment past its expiry time', async () => {
+      database.getPayment.mockResolvedValue({
+        reference: 'ref-123',
+        status: 'pending',
+        expires_at: new Date(Date.now() - 60000).toISOString()
+      });
+
+      const response = await request(app)
+        .get('/transaction-requests/ref-123')
+        .expect(410);
+
+      expect(response.body.message).toMatch(/expired/);
+    });
+
+    it('should refuse a payment already marked expired', async () => {
+      database.getPayment.mockResolvedValue({
+        reference: 'ref-123',
+        status: 'expired'
+      });
+
+      await request(app)
+        .get('/transaction-requests/ref-123')
+        .expect(410);
+    });
+  });
+
+  describe('Customer Amount', () => {
+    const openPayment = {
+      reference: 'ref-123',
+      amount: null,
+      amount_mode: 'open',
+      amount_committed_at: null,
+      currency: 'USDC',
+      status: 'pending',
+      expires_at: new Date(Date.now() + 60000).toISOString()
+    };
+
+    it('should refuse an amount for a fixed-amount payment', async () => {
+      database.getPayment.mockResolvedValue({ ...openPayment, amount: '5', amount_mode: 'fixed' });
+
+      const response = await request(app)
+        .post('/payments/ref-123/amount')
+        .send({ amount: 10 })
+        .expect(400);
+
+      expect(response.body.error).toBe('This payment has a fixed amount');
+      expect(database.commitPaymentAmount).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an amount once the payment has expired', async () => {
+      database.getPayment.mockResolvedValue({ ...openPayment, expires_at: new Date(Date.now() - 60000).toISOString() });
+
+      const response = await request(app)
+        .post('/payments/ref-123/amount')
+        .send({ amount: 10 })
+        .expect(409);
+
+      expect(response.body.error).toMatch(/expired/);
+      expect(database.commitPaymentAmount).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to change an amount that was already committed', async () => {
+      database.getPayment.mockResolvedValue({
+        ...openPayment,
+        amount: '10',
+        amount_committed_at: new Date().toISOString()
+      });
+
+      const response = await request(app)
+        .post('/payments/ref-123/amount')
+        .send({ amount: 1 })
+        .expect(409);
+
+      expect(response.body.error).toBe('The amount of this payment has already been chosen');
+      expect(database.commitPaymentAmount).not.toHaveBeenCalled();
+    });
+
+    it('should not build a transaction before the customer chooses an amount', async () => {
+      database.getPayment.mockResolvedValue(openPayment);
+
+      const response = await request(app)
+        .post('/transaction-requests/ref-123')
+        .send({ account: 'wallet-123' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Amount required');
+      expect(database.commitPaymentAmount).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Fiat Quote Refresh', () => {
+    const fiatPayment = {
+      reference: 'ref-123',
+      label: 'Fiat Payment',
+      status: 'pending',
+      currency: 'SOL',
+      amount: '0.1',
+      price_amount: '15',
+      price_currency: 'USD',
+      quote_expires_at: new Date(Date.now() - 1000).toISOString(),
+      expires_at: new Date(Date.now() + 60000).toISOString()
+    };
+
+    it('should requote a payment whose locked quote has expired', async () => {
+      database.getPayment.mockResolvedValue(fiatPayment);
+      exchangeRateService.isQuoteExpired.mockReturnValue(true);
+      exchangeRateService.quote.mockResolvedValue({
+        amount: new BigNumber('0.2'),
+        rate: new BigNumber('75'),
+        source: 'static:defaultRates.json',
+        quotedAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + 900000).toISOString()
+      });
+      feeService.calculate.mockReturnValue({
+        feeAmount: new BigNumber('0.0078'),
+        merchantAmount: new BigNumber('0.2'),
+        totalAmount: new BigNumber('0.2078'),
+        breakdown: { mode: 'add', fee_amount: '0.0078' }
+      });
+      database.requotePayment.mockResolvedValue({ ...fiatPayment, amount: '0.2', exchange_rate: '75' });
+
+      const response = await request(app)
+        .get('/transaction-requests/ref-123')
+        .expect(200);
+
+      expect(exchangeRateService.quote).toHaveBeenCalledWith({
+        priceAmount: '15',
+        priceCurrency: 'USD',
+        currency: 'SOL'
+      });
+      expect(database.requotePayment).toHaveBeenCalledWith('ref-123', expect.objectContaining({
+        amount: '0.2',
+        fee_amount: '0.0078',
+        total_amount_paid: '0.2078',
+        fee_breakdown: { mode: 'add', fee_amount: '0.0078' },
+        exchange_rate: '75',
+        rate_source: 'static:defaultRates.json'
+      }));
+      expect(response.body.label).toBe('Fiat Payment');
+    });
+
+    it('should refuse the transaction request when no rate is available', async () => {
+      database.getPayment.mockResolvedValue(fiatPayment);
+      exchangeRateService.isQuoteExpired.mockReturnValue(true);
+      const quoteError = new Error('No exchange rate available for SOL/USD');
+      quoteError.statusCode = 422;
+      quoteError.isOperational = true;
+      exchangeRateService.quote.mockRejectedValue(quoteError);
+
+      const response = await request(app)
+        .get('/transaction-requests/ref-123')
+        .expect(422);
+
+      expect(response.body.error).toBe('Unable to quote payment');
+      expect(database.requotePayment).not.toHaveBeenCalled();
+    });
+  });
+});
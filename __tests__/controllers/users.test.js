@@ -239,4 +239,46 @@ describe('User Management', () => {
       expect(response.body.error).toBe('Failed to check onboarding status');
     });
   });
-});
\ No newline at end of file
+
+  describe('Update Accepted Tokens', () => {
+    const createRouterApp = () => {
+      const routerApp = express();
+      routerApp.use(express.json());
+      routerApp.use('/users', require('../../src/routes/users'));
+      return routerApp;
+    };
+
+    it('should require an authenticated user', async () => {
+      await request(createRouterApp())
+        .put('/users/web3-123/tokens')
+        .send({ tokens: ['SOL'] })
+        .expect(401);
+
+      expect(database.updateUser).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to change another user\'s tokens', async () => {
+      const response = await request(createRouterApp())
+        .put('/users/web3-123/tokens')
+        .set('x-user-id', 'web3-456')
+        .send({ tokens: ['SOL'] })
+        .expect(403);
+
+      expect(response.body.error).toBe('You can only change your own accepted tokens');
+      expect(database.updateUser).not.toHaveBeenCalled();
+    });
+
+    it('should update the authenticated user\'s own tokens', async () => {
+      database.updateUser.mockResolvedValue({ web3auth_user_id: 'web3-123', accepted_tokens: ['SOL'] });
+
+      const response = await request(createRouterApp())
+        .put('/users/web3-123/tokens')
+        .set('x-user-id', 'web3-123')
+        .send({ tokens: ['SOL'] })
+        .expect(200);
+
+      expect(response.body.tokens).toEqual(['SOL']);
+      expect(database.updateUser).toHaveBeenCalledWith('web3-123', { accepted_tokens: ['SOL'] });
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const customerService = require('../../src/services/customerService');
+const database = require('../../src/services/database');
+
+// Mock all dependencies
+jest.mock('../../src/services/database');
+jest.mock('../../src/utils/logger');
+
+describe('Customer Service', () => {
+  const customer = {
+    id: 'customer-1',
+    web3auth_user_id: 'web3-123',
+    email: null,
+    name: null,
+    wallet_addresses: ['WalletA']
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('buildCustomerFields', () => {
+    it('should lowercase emails and drop duplicate wallets', () => {
+      const fields = customerService.buildCustomerFields({
+        email: ' Jane@Example.COM ',
+        walletAddresses: ['WalletA', 'WalletB', 'WalletA'],
+        metadata: { crmId: 'C-1' }
+      });
+
+      expect(fields).toEqual({
+        email: 'jane@example.com',
+        wallet_addresses: ['WalletA', 'WalletB'],
+        metadata: { crmId: 'C-1' }
+      });
+    });
+  });
+
+  describe('resolveCustomer', () => {
+    it('should return null without an email or wallet', async () => {
+      await expect(customerService.resolveCustomer('web3-123', {})).resolves.toBeNull();
+      expect(database.getClient).not.toHaveBeenCalled();
+    });
+
+    it('should fill in the email of a customer found by wallet', async () => {
+      jest.spyOn(customerService, 'findByEmail').mockResolvedValue(null);
+      jest.spyOn(customerService, 'findByWallet').mockResolvedValue(customer);
+      const updateSpy = jest.spyOn(customerService, 'updateCustomer')
+        .mockImplementation(async (record, fields) => ({ ...record, ...fields }));
+      const addWalletSpy = jest.spyOn(customerService, 'addWallet');
+
+      const resolved = await customerService.resolveCustomer('web3-123', {
+        email: 'Jane@Example.com',
+        wallet: 'WalletA'
+      });
+
+      expect(resolved.email).toBe('jane@example.com');
+      expect(updateSpy).toHaveBeenCalledWith(customer, { email: 'jane@example.com' });
+      expect(addWalletSpy).toHaveBeenCalledWith(expect.objectContaining({ id: 'customer-1' }), 'WalletA');
+      expect(database.getClient).not.toHaveBeenCalled();
+    });
+
+    it('should create a customer when none matches', async () => {
+      jest.spyOn(customerService, 'findByEmail').mockResolvedValue(null);
+      jest.spyOn(customerService, 'findByWallet').mockResolvedValue(null);
+      const createSpy = jest.spyOn(customerService, 'createCustomer').mockResolvedValue({ id: 'customer-2' });
+
+      await expect(customerService.resolveCustomer('web3-123', { email: 'new@example.com', wallet: 'WalletB' }))
+        .resolves.toEqual({ id: 'customer-2' });
+      expect(createSpy).toHaveBeenCalledWith('web3-123', {
+        email: 'new@example.com',
+        name: null,
+        wallet_addresses: ['WalletB']
+      });
+    });
+  });
+
+  describe('recordPayment', () => {
+    it('should keep the customer a payment was created for and store the payer wallet', async () => {
+      const client = {
+        from: jest.fn().mockReturnThis(),
+        update: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockResolvedValue({ error: null }),
+        rpc: jest.fn().mockResolvedValue({ error: null })
+      };
+      database.getClient.mockReturnValue(client);
+      jest.spyOn(customerService, 'getCustomer').mockResolvedValue(customer);
+      const resolveSpy = jest.spyOn(customerService, 'resolveCustomer');
+
+      const linked = await customerService.recordPayment({
+        id: 'payment-1',
+        reference: 'ref-1',
+        web3auth_user_id: 'web3-123',
+        customer_id: 'customer-1'
+      }, 'WalletB');
+
+      expect(linked.wallet_addresses).toEqual(['WalletA', 'WalletB']);
+      expect(resolveSpy).not.toHaveBeenCalled();
+      expect(client.rpc).toHaveBeenCalledWith('add_customer_wallet', { p_customer_id: 'customer-1', p_wallet: 'WalletB' });
+      expect(client.update).toHaveBeenCalledWith({ payer_wallet: 'WalletB', customer_id: 'customer-1' });
+      expect(client.eq).toHaveBeenCalledWith('id', 'payment-1');
+    });
+  });
+
+  describe('getStats', () => {
+    it('should total settled payments per currency net of refunds', async () => {
+      database.getClient.mockReturnValue({
+        from: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        in: jest.fn().mockReturnThis(),
+        order: jest.fn().mockResolvedValue({
+          data: [
+            { amount: '10', refunded_amount: null, currency: 'USDC', created_at: '2024-01-01T00:00:00Z' },
+            { amount: '5.5', refunded_amount: '2', currency: 'USDC', created_at: '2024-02-01T00:00:00Z' },
+            { amount: '0.25', refunded_amount: '0', currency: 'SOL', created_at: '2024-03-01T00:00:00Z' }
+          ],
+          error: null
+        })
+      });
+
+      await expect(customerService.getStats(customer)).resolves.toEqual({
+        paymentCount: 3,
+        lifetimeValue: { USDC: '13.5', SOL: '0.25' },
+        firstPaymentAt: '2024-01-01T00:00:00Z',
+        lastPaymentAt: '2024-03-01T00:00:00Z'
+      });
+    });
+  });
+});
@@ -328,4 +328,45 @@ describe('Database Service', () => {
       expect(logger.error).toHaveBeenCalled();
     });
   });
-});
\ No newline at end of file
+
+  describe('listPayments', () => {
+    const mockListQuery = () => {
+      const query = {};
+      ['from', 'select', 'eq', 'is', 'filter', 'or', 'order'].forEach(method => {
+        query[method] = jest.fn().mockReturnValue(query);
+      });
+      query.limit = jest.fn().mockResolvedValue({ data: [], error: null });
+      database.getClient = jest.fn().mockReturnValue(query);
+      return query;
+    };
+
+    it('should keep payments without an amount after a page ending on an amount', async () => {
+      const query = mockListQuery();
+
+      await database.listPayments('user-123', {
+        sort: 'amount',
+        ascending: false,
+        after: { value: '5', id: 'payment-3' },
+        limit: 20
+      });
+
+      expect(query.or).toHaveBeenCalledWith('amount.lt."5",and(amount.eq."5",id.lt.payment-3),amount.is.null');
+      expect(query.order).toHaveBeenCalledWith('amount', { ascending: false, nullsFirst: false });
+    });
+
+    it('should continue within payments without an amount', async () => {
+      const query = mockListQuery();
+
+      await database.listPayments('user-123', {
+        sort: 'amount',
+        ascending: true,
+        after: { value: null, id: 'payment-2' },
+        limit: 20
+      });
+
+      expect(query.is).toHaveBeenCalledWith('amount', null);
+      expect(query.filter).toHaveBeenCalledWith('id', 'gt', 'payment-2');
+      expect(query.or).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const exchangeRateService = require('../../src/services/exchangeRateService');
+const StaticRateProvider = require('../../src/services/rateProviders/staticRateProvider');
+
+// Mock all dependencies
+jest.mock('../../src/utils/logger');
+
+describe('Exchange Rate Service', () => {
+  const now = Date.parse('2024-01-01T00:00:00.000Z');
+
+  afterEach(() => {
+    delete process.env.EXCHANGE_RATE_PROVIDER;
+    delete process.env.EXCHANGE_RATE_MAX_AGE_SECONDS;
+  });
+
+  describe('quote', () => {
+    it('should convert a fiat price with the static provider and round up', async () => {
+      const quote = await exchangeRateService.quote({ priceAmount: 100, priceCurrency: 'USD', currency: 'SOL' }, now);
+
+      expect(quote.amount.toString()).toBe('0.666666667');
+      expect(quote.rate.toString()).toBe('150');
+      expect(quote.source).toBe('static:defaultRates.json');
+      expect(quote.quotedAt).toBe('2024-01-01T00:00:00.000Z');
+      expect(quote.expiresAt).toBe('2024-01-01T00:15:00.000Z');
+    });
+
+    it('should round token amounts to the token decimals', async () => {
+      const quote = await exchangeRateService.quote({ priceAmount: 1000, priceCurrency: 'KES', currency: 'USDC' }, now);
+
+      expect(quote.amount.toString()).toBe('7.751938');
+    });
+
+    it('should reject pairs the provider cannot quote', async () => {
+      await expect(exchangeRateService.quote({ priceAmount: 10, priceCurrency: 'USD', currency: 'SPL' }))
+        .rejects.toMatchObject({ statusCode: 422, isOperational: true });
+    });
+
+    it('should use a registered provider selected by EXCHANGE_RATE_PROVIDER', async () => {
+      exchangeRateService.registerProvider({
+        name: 'fixed-test',
+        getRate: jest.fn().mockResolvedValue({ rate: 200, source: 'fixed-test' })
+      });
+      process.env.EXCHANGE_RATE_PROVIDER = 'fixed-test';
+
+      const quote = await exchangeRateService.quote({ priceAmount: 50, priceCurrency: 'EUR', currency: 'SOL' }, now);
+
+      expect(quote.amount.toString()).toBe('0.25');
+      expect(quote.source).toBe('fixed-test');
+    });
+
+    it('should surface provider failures as a temporary error', async () => {
+      exchangeRateService.registerProvider({
+        name: 'broken-test',
+        getRate: jest.fn().mockRejectedValue(new Error('timeout'))
+      });
+      process.env.EXCHANGE_RATE_PROVIDER = 'broken-test';
+
+      await expect(exchangeRateService.quote({ priceAmount: 50, priceCurrency: 'EUR', currency: 'SOL' }))
+        .rejects.toMatchObject({ statusCode: 503 });
+    });
+
+    it('should refuse rates older than the maximum age', async () => {
+      const dayLater = now + 24 * 60 * 60 * 1000;
+
+      await expect(exchangeRateService.quote({ priceAmount: 100, priceCurrency: 'USD', currency: 'SOL' }, dayLater))
+        .rejects.toMatchObject({ statusCode: 503, isOperational: true });
+
+      process.env.EXCHANGE_RATE_MAX_AGE_SECONDS = '0';
+      const quote = await exchangeRateService.quote({ priceAmount: 100, priceCurrency: 'USD', currency: 'SOL' }, dayLater);
+      expect(quote.rate.toString()).toBe('150');
+    });
+
+    it('should answer an unknown provider with an operational error', async () => {
+      process.env.EXCHANGE_RATE_PROVIDER = 'missing-test';
+
+      await expect(exchangeRateService.quote({ priceAmount: 50, priceCurrency: 'EUR', currency: 'SOL' }, now))
+        .rejects.toMatchObject({ statusCode: 503, isOperational: true });
+    });
+  });
+
+  describe('assertConfigured', () => {
+    it('should reject an unknown provider at startup', () => {
+      expect(() => exchangeRateService.assertConfigured()).not.toThrow();
+
+      process.env.EXCHANGE_RATE_PROVIDER = 'missing-test';
+      expect(() => exchangeRateService.assertConfigured()).toThrow('Unknown exchange rate provider: missing-test');
+    });
+  });
+
+  describe('isQuoteExpired', () => {
+    it('should only expire fiat-priced payments past their quote window', () => {
+      expect(exchangeRateService.isQuoteExpired({ amount: '1' }, now)).toBe(false);
+      expect(exchangeRateService.isQuoteExpired({
+        price_currency: 'USD',
+        quote_expires_at: '2023-12-31T23:59:00.000Z'
+      }, now)).toBe(true);
+      expect(exchangeRateService.isQuoteExpired({
+        price_currency: 'USD',
+        quote_expires_at: '2024-01-01T00:10:00.000Z'
+      }, now)).toBe(false);
+    });
+  });
+
+  describe('StaticRateProvider', () => {
+    it('should read rates from a custom file', async () => {
+      const filePath = path.join(os.tmpdir(), `rates-${process.pid}.json`);
+      fs.writeFileSync(filePath, JSON.stringify({ rates: { SOL: { NGN: 300000 } } }));
+
+      try {
+        const provider = new StaticRateProvider({ filePath });
+        const result = await provider.getRate('SOL', 'NGN');
+
+        expect(result.rate.toString()).toBe('300000');
+        expect(await provider.getRate('SOL', 'USD')).toBeNull();
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const feeService = require('../../src/services/feeService');
+
+// Mock all dependencies
+jest.mock('../../src/utils/logger');
+
+describe('Fee Service', () => {
+  describe('resolveSchedule', () => {
+    it('should default to 2.9% plus the token fixed fee added to the total', () => {
+      const schedule = feeService.resolveSchedule({ plan: 'free', currency: 'USDC' });
+
+      expect(schedule).toEqual({
+        mode: 'add',
+        percentageBps: 290,
+        fixed: '0.30',
+        cap: null,
+        tier: null,
+        sources: ['plan:free']
+      });
+    });
+
+    it('should fall back to the free plan for unknown plans', () => {
+      const schedule = feeService.resolveSchedule({ plan: 'legacy', currency: 'SOL' });
+
+      expect(schedule.sources).toEqual(['plan:free']);
+      expect(schedule.fixed).toBe('0.002');
+    });
+
+    it('should layer merchant and per-token overrides and pick the volume tier', () => {
+      const schedule = feeService.resolveSchedule({
+        plan: 'pro',
+        currency: 'USDC',
+        monthlyPayments: 250,
+        override: {
+          mode: 'deduct',
+          tiers: [
+            { minMonthlyPayments: 0, percentageBps: 250 },
+            { minMonthlyPayments: 200, percentageBps: 200 },
+            { minMonthlyPayments: 1000, percentageBps: 150 }
+          ],
+          tokens: { USDC: { fixed: '0.10', cap: '5' } }
+        }
+      });
+
+      expect(schedule).toEqual({
+        mode: 'deduct',
+        percentageBps: 200,
+        fixed: '0.10',
+        cap: '5',
+        tier: 200,
+        sources: ['plan:pro', 'merchant', 'merchant:USDC']
+      });
+    });
+  });
+
+  describe('calculate', () => {
+    const schedule = {
+      mode: 'add',
+      percentageBps: 290,
+      fixed: '0.30',
+      cap: null,
+      tier: null,
+      sources: ['plan:free']
+    };
+
+    it('should add the fee to the customer total', () => {
+      const fees = feeService.calculate('100', 'USDC', schedule);
+
+      expect(fees.feeAmount.toString()).toBe('3.2');
+      expect(fees.merchantAmount.toString()).toBe('100');
+      expect(fees.totalAmount.toString()).toBe('103.2');
+      expect(fees.breakdown.percentage_fee).toBe('2.9');
+      expect(fees.breakdown.fixed_fee).toBe('0.3');
+    });
+
+    it('should deduct a capped fee from the merchant amount', () => {
+      const fees = feeService.calculate('1000', 'USDC', { ...schedule, mode: 'deduct', cap: '10' });
+
+      expect(fees.feeAmount.toString()).toBe('10');
+      expect(fees.merchantAmount.toString()).toBe('990');
+      expect(fees.totalAmount.toString()).toBe('1000');
+      expect(fees.breakdown.capped).toBe(true);
+    });
+
+    it('should never deduct more than the payment amount', () => {
+      const fees = feeService.calculate('0.2', 'USDC', { ...schedule, mode: 'deduct' });
+
+      expect(fees.feeAmount.toString()).toBe('0.2');
+      expect(fees.merchantAmount.toString()).toBe('0');
+    });
+
+    it('should recalculate from a stored breakdown', () => {
+      const { breakdown } = feeService.calculate('100', 'USDC', { ...schedule, cap: '2' });
+      const fees = feeService.calculate('50', 'USDC', feeService.scheduleFromBreakdown(breakdown));
+
+      expect(fees.feeAmount.toString()).toBe('1.75');
+      expect(fees.breakdown.cap).toBe('2');
+    });
+  });
+});
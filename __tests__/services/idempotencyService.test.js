@@ -0,0 +1,199 @@
+const idempotencyService = require('../../src/services/idempotencyService');
+const database = require('../../src/services/database');
+const { idempotency } = require('../../src/middleware/idempotency');
+
+// Mock all dependencies
+jest.mock('../../src/services/database');
+jest.mock('../../src/utils/logger');
+
+describe('Idempotency Service', () => {
+  const mockLookup = (record) => ({
+    from: jest.fn().mockReturnThis(),
+    select: jest.fn().mockReturnThis(),
+    eq: jest.fn().mockReturnThis(),
+    maybeSingle: jest.fn().mockResolvedValue({ data: record, error: null })
+  });
+
+  const storedRecord = (overrides = {}) => ({
+    scope: 'POST /api/payments/create',
+    idempotency_key: 'key-1',
+    request_fingerprint: 'fingerprint-1',
+    status: 'completed',
+    response_status: 200,
+    response_body: { success: true, reference: 'ref-1' },
+    expires_at: new Date(Date.now() + 60000).toISOString(),
+    locked_at: new Date().toISOString(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('fingerprint', () => {
+    it('should ignore object key order', () => {
+      const first = idempotencyService.fingerprint({ method: 'POST', path: '/api/payments/create', body: { amount: 1, label: 'Coffee' } });
+      const second = idempotencyService.fingerprint({ method: 'POST', path: '/api/payments/create', body: { label: 'Coffee', amount: 1 } });
+
+      expect(first).toBe(second);
+    });
+
+    it('should differ when the body changes', () => {
+      const first = idempotencyService.fingerprint({ method: 'POST', path: '/api/payments/create', body: { amount: 1 } });
+      const second = idempotencyService.fingerprint({ method: 'POST', path: '/api/payments/create', body: { amount: 2 } });
+
+      expect(first).not.toBe(second);
+    });
+  });
+
+  describe('begin', () => {
+    it('should reserve a new key', async () => {
+      const insertSpy = jest.fn().mockReturnThis();
+      database.getClient.mockReturnValue({
+        ...mockLookup(null),
+        insert: insertSpy,
+        single: jest.fn().mockResolvedValue({ data: { status: 'processing' }, error: null })
+      });
+
+      const result = await idempotencyService.begin('POST /api/payments/create', 'key-1', 'fingerprint-1');
+
+      expect(result.action).toBe('proceed');
+      expect(insertSpy).toHaveBeenCalledWith(expect.objectContaining({
+        idempotency_key: 'key-1',
+        request_fingerprint: 'fingerprint-1',
+        status: 'processing'
+      }));
+    });
+
+    it('should replay a completed request with the same fingerprint', async () => {
+      database.getClient.mockReturnValue(mockLookup(storedRecord()));
+
+      const result = await idempotencyService.begin('POST /api/payments/create', 'key-1', 'fingerprint-1');
+
+      expect(result.action).toBe('replay');
+      expect(result.record.response_body.reference).toBe('ref-1');
+    });
+
+    it('should flag a reused key with a different fingerprint', async () => {
+      database.getClient.mockReturnValue(mockLookup(storedRecord()));
+
+      const result = await idempotencyService.begin('POST /api/payments/create', 'key-1', 'fingerprint-2');
+
+      expect(result.action).toBe('mismatch');
+    });
+
+    it('should report requests that are still processing', async () => {
+      database.getClient.mockReturnValue(mockLookup(storedRecord({ status: 'processing' })));
+
+      const result = await idempotencyService.begin('POST /api/payments/create', 'key-1', 'fingerprint-1');
+
+      expect(result.action).toBe('in_progress');
+    });
+
+    it('should let a retry take over a key whose request stopped answering', async () => {
+      const lockedAt = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+      const stale = storedRecord({ status: 'processing', locked_at: lockedAt });
+      const updateSpy = jest.fn().mockReturnThis();
+      const client = {
+        ...mockLookup(stale),
+        update: updateSpy,
+        maybeSingle: jest.fn()
+          .mockResolvedValueOnce({ data: stale, error: null })
+          .mockResolvedValueOnce({ data: { ...stale, locked_at: new Date().toISOString() }, error: null })
+      };
+      database.getClient.mockReturnValue(client);
+
+      const result = await idempotencyService.begin('POST /api/payments/create', 'key-1', 'fingerprint-1');
+
+      expect(result.action).toBe('proceed');
+      expect(updateSpy).toHaveBeenCalledWith(expect.objectContaining({ locked_at: expect.any(String) }));
+      expect(client.eq).toHaveBeenCalledWith('locked_at', lockedAt);
+      expect(client.eq).toHaveBeenCalledWith('status', 'processing');
+    });
+
+    it('should keep a stale key locked when another retry took it over first', async () => {
+      const stale = storedRecord({ status: 'processing', locked_at: new Date(Date.now() - 10 * 60 * 1000).toISOString() });
+      database.getClient.mockReturnValue({
+        ...mockLookup(stale),
+        update: jest.fn().mockReturnThis(),
+        maybeSingle: jest.fn()
+          .mockResolvedValueOnce({ data: stale, error: null })
+          .mockResolvedValueOnce({ data: null, error: null })
+      });
+
+      const result = await idempotencyService.begin('POST /api/payments/create', 'key-1', 'fingerprint-1');
+
+      expect(result.action).toBe('in_progress');
+    });
+  });
+
+  describe('idempotency middleware', () => {
+    const mockRequest = (userId) => {
+      const headers = { 'idempotency-key': 'key-1', 'x-user-id': userId };
+      return {
+        method: 'POST',
+        baseUrl: '/api/payments',
+        path: '/batch',
+        body: { rows: [{ amount: 10, currency: 'USDC' }] },
+        user: { web3auth_user_id: userId },
+        get: (name) => headers[name.toLowerCase()]
+      };
+    };
+
+    const mockResponse = () => {
+      const res = {};
+      res.status = jest.fn().mockReturnValue(res);
+      res.set = jest.fn().mockReturnValue(res);
+      res.json = jest.fn().mockReturnValue(res);
+      return res;
+    };
+
+    it('should not replay one caller\'s response to another using the same key', async () => {
+      // Stored keys by scope, as the unique (scope, idempotency_key) constraint would hold them
+      const stored = new Map();
+      jest.spyOn(idempotencyService, 'begin').mockImplementation(async (scope, key, fingerprint) => {
+        const record = stored.get(`${scope}|${key}`);
+        if (record) {
+          return { action: 'replay', record };
+        }
+        stored.set(`${scope}|${key}`, { request_fingerprint: fingerprint, response_status: 202, response_body: { success: true } });
+        return { action: 'proceed' };
+      });
+
+      const firstNext = jest.fn();
+      const secondNext = jest.fn();
+      const secondResponse = mockResponse();
+      await idempotency(mockRequest('merchant-a'), mockResponse(), firstNext);
+      await idempotency(mockRequest('merchant-b'), secondResponse, secondNext);
+
+      expect(firstNext).toHaveBeenCalled();
+      expect(secondNext).toHaveBeenCalled();
+      expect(secondResponse.set).not.toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+      const scopes = idempotencyService.begin.mock.calls.map(([scope]) => scope);
+      expect(scopes[0]).not.toBe(scopes[1]);
+
+      idempotencyService.begin.mockRestore();
+    });
+
+    it('should scope public subscriptions to the customer instead of a shared caller', async () => {
+      jest.spyOn(idempotencyService, 'begin').mockResolvedValue({ action: 'proceed' });
+      const subscribeRequest = (customerEmail) => ({
+        method: 'POST',
+        baseUrl: '/api/subscriptions',
+        path: '/subscribe',
+        ip: '203.0.113.7',
+        body: { planId: 'plan-1', customerEmail },
+        get: (name) => (name.toLowerCase() === 'idempotency-key' ? 'key-1' : undefined)
+      });
+
+      await idempotency(subscribeRequest('alice@example.com'), mockResponse(), jest.fn());
+      await idempotency(subscribeRequest('bob@example.com'), mockResponse(), jest.fn());
+
+      const scopes = idempotencyService.begin.mock.calls.map(([scope]) => scope);
+      expect(scopes[0]).toBe('public 203.0.113.7 alice@example.com POST /api/subscriptions/subscribe');
+      expect(scopes[0]).not.toBe(scopes[1]);
+
+      idempotencyService.begin.mockRestore();
+    });
+  });
+});
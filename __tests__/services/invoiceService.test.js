@@ -0,0 +1,116 @@
+const invoiceService = require('../../src/services/invoiceService');
+const database = require('../../src/services/database');
+const { sendWebhook } = require('../../src/controllers/webhooks');
+
+// Mock all dependencies
+jest.mock('../../src/services/database');
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/controllers/webhooks', () => ({
+  sendWebhook: jest.fn().mockResolvedValue()
+}));
+
+describe('Invoice Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('calculateTotals', () => {
+    it('should apply line and invoice discounts before tax', () => {
+      const totals = invoiceService.calculateTotals({
+        currency: 'USD',
+        lineItems: [
+          { description: 'Design work', quantity: 10, unitPrice: 80 },
+          { description: 'Hosting', quantity: 1, unitPrice: 25, taxRateBps: 0 }
+        ],
+        taxRateBps: 750,
+        discountBps: 1000
+      });
+
+      expect(totals.subtotal).toBe('825');
+      expect(totals.discountTotal).toBe('82.5');
+      expect(totals.taxTotal).toBe('54');
+      expect(totals.total).toBe('796.5');
+      expect(totals.lineItems[0]).toMatchObject({ discount_amount: '80', tax_amount: '54', total: '774' });
+      expect(totals.lineItems[1]).toMatchObject({ discount_amount: '2.5', tax_rate_bps: 0, total: '22.5' });
+    });
+
+    it('should give the rounding remainder of a fixed discount to the last line', () => {
+      const totals = invoiceService.calculateTotals({
+        currency: 'USD',
+        lineItems: [
+          { description: 'A', quantity: 1, unitPrice: 10 },
+          { description: 'B', quantity: 1, unitPrice: 10 },
+          { description: 'C', quantity: 1, unitPrice: 10 }
+        ],
+        discountAmount: 10
+      });
+
+      expect(totals.lineItems.map(item => item.discount_amount)).toEqual(['3.33', '3.33', '3.34']);
+      expect(totals.discountTotal).toBe('10');
+      expect(totals.total).toBe('20');
+    });
+
+    it('should round token invoices to the token decimals and cap discounts at the net amount', () => {
+      const totals = invoiceService.calculateTotals({
+        currency: 'USDC',
+        lineItems: [
+          { description: 'Widget', quantity: 3, unitPrice: 0.3333333, discountBps: 500 }
+        ],
+        discountAmount: 5
+      });
+
+      expect(totals.subtotal).toBe('1');
+      expect(totals.discountTotal).toBe('1');
+      expect(totals.total).toBe('0');
+    });
+  });
+
+  describe('numbering', () => {
+    it('should format numbers from the merchant sequence', async () => {
+      database.getClient.mockReturnValue({
+        rpc: jest.fn().mockResolvedValue({ data: { prefix: 'ACME', number: 42 }, error: null })
+      });
+
+      await expect(invoiceService.allocateNumber('web3-123')).resolves.toBe('ACME-0042');
+      expect(invoiceService.formatNumber(null, 12345)).toBe('INV-12345');
+    });
+  });
+
+  describe('markPaidForPayment', () => {
+    const mockUpdate = (data) => {
+      const client = {
+        from: jest.fn().mockReturnThis(),
+        update: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        maybeSingle: jest.fn().mockResolvedValue({ data, error: null })
+      };
+      database.getClient.mockReturnValue(client);
+      return client;
+    };
+
+    it('should mark the open invoice behind a confirmed payment as paid', async () => {
+      const client = mockUpdate({ id: 'invoice-1', web3auth_user_id: 'web3-123', invoice_number: 'INV-0001', total: '100', currency: 'USD' });
+
+      const invoice = await invoiceService.markPaidForPayment({ reference: 'ref-1', status: 'confirmed' });
+
+      expect(invoice.id).toBe('invoice-1');
+      expect(client.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'paid' }));
+      expect(client.eq).toHaveBeenCalledWith('payment_reference', 'ref-1');
+      expect(client.eq).toHaveBeenCalledWith('status', 'open');
+      expect(sendWebhook).toHaveBeenCalledWith('web3-123', 'invoice.paid', expect.objectContaining({
+        invoice_number: 'INV-0001',
+        reference: 'ref-1'
+      }));
+    });
+
+    it('should ignore payments that have not settled or have no invoice', async () => {
+      await expect(invoiceService.markPaidForPayment({ reference: 'ref-1', status: 'underpaid' })).resolves.toBeNull();
+      expect(database.getClient).not.toHaveBeenCalled();
+
+      mockUpdate(null);
+      await expect(invoiceService.markPaidForPayment({ reference: 'ref-2', status: 'overpaid' })).resolves.toBeNull();
+      expect(sendWebhook).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const paymentBatchService = require('../../src/services/paymentBatchService');
+const { startPaymentBatchWorker, stopPaymentBatchWorker } = require('../../src/jobs/paymentBatchProcessor');
+const { BATCH_STATUS } = paymentBatchService;
+
+// Mock all dependencies
+jest.mock('../../src/services/database');
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/controllers/payments', () => ({
+  createPaymentRequest: jest.fn()
+}));
+
+describe('Payment Batch Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('parseCsv', () => {
+    it('should map header columns onto payment request fields', () => {
+      const rows = paymentBatchService.parseCsv([
+        'Amount,Label,Message,Customer Email,metadata.orderId,Metadata',
+        '25,Rent,"Unit 4B, March",tenant@example.com,ORD-1,"{""unit"":""4B""}"',
+        '10,Rent,Unit 2A,,,'
+      ].join('\r\n'));
+
+      expect(rows).toEqual([
+        {
+          amount: '25',
+          label: 'Rent',
+          message: 'Unit 4B, March',
+          customerEmail: 'tenant@example.com',
+          metadata: { unit: '4B', orderId: 'ORD-1' }
+        },
+        { amount: '10', label: 'Rent', message: 'Unit 2A' }
+      ]);
+    });
+
+    it('should reject unknown columns and invalid metadata', () => {
+      expect(() => paymentBatchService.parseCsv('amount,colour\n1,red'))
+        .toThrow('Unknown CSV column: colour');
+      expect(() => paymentBatchService.parseCsv('amount,metadata\n1,[1]'))
+        .toThrow('Row 1: metadata must be a JSON object');
+    });
+
+    it('should reject a CSV without payment rows', () => {
+      let error;
+      try {
+        paymentBatchService.parseCsv('amount,label,message\n');
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error.statusCode).toBe(400);
+      expect(error.isOperational).toBe(true);
+    });
+  });
+
+  describe('finishBatch', () => {
+    const batch = { id: 'batch-1', status: BATCH_STATUS.PROCESSING };
+
+    it('should complete a batch once every row is created or failed', async () => {
+      jest.spyOn(paymentBatchService, 'listItems').mockResolvedValue([
+        { status: 'created' }, { status: 'created' }, { status: 'failed' }
+      ]);
+      const updateSpy = jest.spyOn(paymentBatchService, 'updateBatch').mockResolvedValue(batch);
+
+      await paymentBatchService.finishBatch(batch);
+
+      expect(updateSpy).toHaveBeenCalledWith(batch, BATCH_STATUS.COMPLETED, expect.objectContaining({
+        created_count: 2,
+        failed_count: 1,
+        completed_at: expect.any(String)
+      }));
+    });
+
+    it('should keep a batch processing while rows are left', async () => {
+      jest.spyOn(paymentBatchService, 'listItems').mockResolvedValue([
+        { status: 'created' }, { status: 'pending' }
+      ]);
+      const updateSpy = jest.spyOn(paymentBatchService, 'updateBatch').mockResolvedValue(batch);
+
+      await paymentBatchService.finishBatch(batch);
+
+      expect(updateSpy).toHaveBeenCalledWith(batch, BATCH_STATUS.PROCESSING, {
+        created_count: 1,
+        failed_count: 0
+      });
+    });
+  });
+
+  describe('buildResultsCsv', () => {
+    it('should write one line per row and neutralise formulas', () => {
+      const csv = paymentBatchService.buildResultsCsv([
+        {
+          row_number: 1,
+          status: 'created',
+          payment_reference: 'Ref1',
+          payment_url: 'https://pay.example.com/Ref1',
+          input: { amount: 25, label: 'Rent', customerEmail: 'tenant@example.com' },
+          error: null
+        },
+        {
+          row_number: 2,
+          status: 'failed',
+          input: { amount: 10, label: '=HYPERLINK("x")' },
+          error: 'Monthly payment limit exceeded'
+        }
+      ]);
+
+      expect(csv.split('\r\n')).toEqual([
+        'row,status,reference,payment_url,amount,price_amount,price_currency,label,customer_email,error',
+        '1,created,Ref1,https://pay.example.com/Ref1,25,,,Rent,tenant@example.com,',
+        '2,failed,,,10,,,"\'=HYPERLINK(""x"")",,Monthly payment limit exceeded',
+        ''
+      ]);
+    });
+  });
+
+  describe('payment batch worker', () => {
+    afterEach(() => {
+      stopPaymentBatchWorker();
+      jest.useRealTimers();
+    });
+
+    it('should keep failing rows a stopped processor left behind, not only at startup', async () => {
+      jest.useFakeTimers();
+      const batch = { id: 'batch-1', status: BATCH_STATUS.COMPLETED };
+      jest.spyOn(paymentBatchService, 'listUnfinishedBatches').mockResolvedValue([batch]);
+      jest.spyOn(paymentBatchService, 'failInterruptedItems').mockResolvedValue(0);
+      jest.spyOn(paymentBatchService, 'getBatchById').mockResolvedValue(batch);
+
+      startPaymentBatchWorker();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(paymentBatchService.failInterruptedItems).toHaveBeenCalledTimes(1);
+
+      // The row claimed just before the restart goes stale after ten minutes
+      paymentBatchService.failInterruptedItems.mockResolvedValue(1);
+      await jest.advanceTimersByTimeAsync(11 * 60 * 1000);
+
+      expect(paymentBatchService.failInterruptedItems.mock.calls.length).toBeGreaterThan(10);
+      expect(paymentBatchService.failInterruptedItems).toHaveBeenLastCalledWith('batch-1', expect.any(String));
+    });
+  });
+});
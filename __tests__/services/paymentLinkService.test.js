@@ -0,0 +1,90 @@
+const paymentLinkService = require('../../src/services/paymentLinkService');
+
+// Mock all dependencies
+jest.mock('../../src/services/database');
+jest.mock('../../src/utils/logger');
+
+describe('Payment Link Service', () => {
+  const openLink = {
+    id: 'link-1',
+    slug: 'coffee-tips',
+    currency: 'USDC',
+    amount: null,
+    min_amount: '1',
+    max_amount: '50',
+    max_uses: null,
+    expires_at: null,
+    active: true
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveAmount', () => {
+    it('should use the fixed amount and ignore the requested amount', () => {
+      const amount = paymentLinkService.resolveAmount({ ...openLink, amount: '2.5' }, '100');
+
+      expect(amount.toString()).toBe('2.5');
+    });
+
+    it('should accept a customer amount within the bounds', () => {
+      expect(paymentLinkService.resolveAmount(openLink, '12.75').toString()).toBe('12.75');
+    });
+
+    it('should reject missing and out-of-bounds customer amounts', () => {
+      expect(() => paymentLinkService.resolveAmount(openLink)).toThrow('Choose an amount to pay');
+      expect(() => paymentLinkService.resolveAmount(openLink, '0.5')).toThrow('Amount must be at least 1 USDC');
+      expect(() => paymentLinkService.resolveAmount(openLink, '51')).toThrow('Amount must be at most 50 USDC');
+      expect(() => paymentLinkService.resolveAmount(openLink, '-3')).toThrow('Amount must be a positive number');
+      expect(() => paymentLinkService.resolveAmount(openLink, '1.0000001')).toThrow('more than 6 decimals');
+    });
+  });
+
+  describe('assertUsable', () => {
+    it('should reject inactive and expired links with 410', async () => {
+      await expect(paymentLinkService.assertUsable({ ...openLink, active: false }))
+        .rejects.toMatchObject({ statusCode: 410, isOperational: true });
+      await expect(paymentLinkService.assertUsable({ ...openLink, expires_at: '2024-01-01T00:00:00Z' }))
+        .rejects.toThrow('This payment link has expired');
+    });
+
+    it('should reject links that have settled their maximum uses', async () => {
+      const countSpy = jest.spyOn(paymentLinkService, 'countConversions').mockResolvedValue(3);
+
+      await expect(paymentLinkService.assertUsable({ ...openLink, max_uses: 3 }))
+        .rejects.toThrow('maximum number of uses');
+      await expect(paymentLinkService.assertUsable({ ...openLink, max_uses: 4 })).resolves.toBeUndefined();
+      expect(countSpy).toHaveBeenCalledWith('link-1');
+    });
+  });
+
+  describe('buildLinkFields', () => {
+    it('should map request fields onto columns and clear bounds for fixed amounts', () => {
+      const fields = paymentLinkService.buildLinkFields({
+        label: 'Coffee',
+        amount: 4.5,
+        maxUses: 10,
+        expiresAt: '2030-01-01'
+      });
+
+      expect(fields).toEqual({
+        label: 'Coffee',
+        amount: '4.5',
+        min_amount: null,
+        max_amount: null,
+        max_uses: 10,
+        expires_at: '2030-01-01T00:00:00.000Z'
+      });
+    });
+  });
+
+  describe('generateSlug', () => {
+    it('should generate lowercase slugs without ambiguous characters', () => {
+      const slug = paymentLinkService.generateSlug();
+
+      expect(slug).toMatch(/^[a-km-np-z2-9]{8}$/);
+    });
+  });
+});
@@ -1,10 +1,19 @@
 const paymentMonitor = require('../../src/services/paymentMonitor');
 const database = require('../../src/services/database');
 const logger = require('../../src/utils/logger');
+const BigNumber = require('bignumber.js');
+const { sendWebhook } = require('../../src/controllers/webhooks');
+const { notifyPaymentUpdate } = require('../../src/services/websocket');
 
 // Mock all dependencies
 jest.mock('../../src/services/database');
 jest.mock('../../src/utils/logger');
+jest.mock('../../src/controllers/webhooks', () => ({
+  sendWebhook: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../src/services/websocket', () => ({
+  notifyPaymentUpdate: jest.fn().mockReturnValue({ success: true })
+}));
 
 describe('Payment Monitor Service', () => {
   beforeEach(() => {
@@ -383,9 +392,10 @@ describe('Payment Monitor Service', () => {
       database.getClient.mockReturnValue({
         from: jest.fn().mockReturnThis(),
         select: jest.fn().mockReturnThis(),
-        eq: jest.fn().mockReturnThis(),
+        in: jest.fn().mockReturnThis(),
         order: jest.fn().mockReturnThis(),
-        limit: jest.fn().mockResolvedValue({ data: mockPendingPayments })
+        limit: jest.fn().mockResolvedValue({ data: mockPendingPayments }),
+        update: jest.fn().mockReturnThis()
       });
 
       paymentMonitor.checkPaymentConfirmation = jest.fn();
@@ -399,7 +409,7 @@ describe('Payment Monitor Service', () => {
       database.getClient.mockReturnValue({
         from: jest.fn().mockReturnThis(),
         select: jest.fn().mockReturnThis(),
-        eq: jest.fn().mockReturnThis(),
+        in: jest.fn().mockReturnThis(),
         order: jest.fn().mockReturnThis(),
         limit: jest.fn().mockResolvedValue({ data: [] })
       });
@@ -410,6 +420,321 @@ describe('Payment Monitor Service', () => {
 
       expect(paymentMonitor.checkPaymentConfirmation).not.toHaveBeenCalled();
     });
+
+    it('should expire overdue payments instead of polling them', async () => {
+      const mockPendingPayments = [
+        { id: 'payment-1', reference: 'ref-1', status: 'pending', expires_at: new Date(Date.now() - 60000).toISOString() },
+        { id: 'payment-2', reference: 'ref-2', status: 'pending', expires_at: new Date(Date.now() + 60000).toISOString() }
+      ];
+
+      database.getClient.mockReturnValue({
+        from: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        in: jest.fn().mockReturnThis(),
+        order: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue({ data: mockPendingPayments }),
+        update: jest.fn().mockReturnThis()
+      });
+
+      paymentMonitor.checkPaymentConfirmation = jest.fn();
+      const expireSpy = jest.spyOn(paymentMonitor, 'expirePayment').mockResolvedValue();
+
+      await paymentMonitor.checkPendingPayments();
+
+      expect(expireSpy).toHaveBeenCalledTimes(1);
+      expect(expireSpy).toHaveBeenCalledWith(mockPendingPayments[0]);
+      expect(paymentMonitor.checkPaymentConfirmation).toHaveBeenCalledTimes(1);
+      expect(paymentMonitor.checkPaymentConfirmation).toHaveBeenCalledWith(mockPendingPayments[1]);
+
+      expireSpy.mockRestore();
+    });
+
+    it('should check the least recently checked payments and move them to the back of the queue', async () => {
+      const mockPendingPayments = [
+        { id: 'payment-1', reference: 'ref-1', status: 'pending' },
+        { id: 'payment-2', reference: 'ref-2', status: 'underpaid' }
+      ];
+      const client = {
+        from: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        in: jest.fn().mockReturnThis(),
+        order: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue({ data: mockPendingPayments }),
+        update: jest.fn().mockReturnThis()
+      };
+      database.getClient.mockReturnValue(client);
+
+      paymentMonitor.checkPaymentConfirmation = jest.fn();
+
+      await paymentMonitor.checkPendingPayments();
+
+      expect(client.order).toHaveBeenNthCalledWith(1, 'last_checked_at', { ascending: true, nullsFirst: true });
+      expect(client.update).toHaveBeenCalledWith({ last_checked_at: expect.any(String) });
+      expect(client.in).toHaveBeenCalledWith('id', ['payment-1', 'payment-2']);
+      expect(client.update.mock.invocationCallOrder[0])
+        .toBeLessThan(paymentMonitor.checkPaymentConfirmation.mock.invocationCallOrder[0]);
+    });
+  });
+
+  describe('checkCancelledPayments', () => {
+    it('should look for late funds on recently cancelled payments', async () => {
+      const cancelledPayment = { id: 'payment-1', reference: 'ref-1', status: 'cancelled' };
+      database.getWatchedCancelledPayments.mockResolvedValue([cancelledPayment]);
+      paymentMonitor.checkPaymentConfirmation = jest.fn();
+
+      await paymentMonitor.checkCancelledPayments();
+
+      const cancelledSince = new Date(database.getWatchedCancelledPayments.mock.calls[0][0]).getTime();
+      expect(Date.now() - cancelledSince).toBeGreaterThanOrEqual(paymentMonitor.CANCELLED_PAYMENT_WATCH_SECONDS * 1000);
+      expect(paymentMonitor.checkPaymentConfirmation).toHaveBeenCalledWith(cancelledPayment);
+    });
+  });
+
+  describe('expirePayment', () => {
+    const overduePayment = {
+      id: 'payment-1',
+      reference: 'ref-1',
+      amount: '1.0',
+      currency: 'SOL',
+      status: 'pending',
+      expires_at: '2024-01-01T00:00:00.000Z'
+    };
+
+    it('should run a final confirmation check before expiring', async () => {
+      paymentMonitor.checkPaymentConfirmation = jest.fn();
+      database.expirePayment.mockResolvedValue({ ...overduePayment, status: 'expired' });
+
+      await paymentMonitor.expirePayment(overduePayment);
+
+      expect(paymentMonitor.checkPaymentConfirmation).toHaveBeenCalledWith(overduePayment);
+      expect(database.expirePayment).toHaveBeenCalledWith('ref-1');
+      expect(logger.info).toHaveBeenCalledWith('Payment expired:', expect.objectContaining({ reference: 'ref-1' }));
+    });
+
+    it('should skip notifications when the payment is no longer pending', async () => {
+      paymentMonitor.checkPaymentConfirmation = jest.fn();
+      database.expirePayment.mockResolvedValue(null);
+
+      await paymentMonitor.expirePayment(overduePayment);
+
+      expect(logger.info).not.toHaveBeenCalledWith('Payment expired:', expect.anything());
+    });
+  });
+
+  describe('performPaymentConfirmation', () => {
+    const openPayment = {
+      id: 'payment-1',
+      reference: '11111111111111111111111111111112',
+      web3auth_user_id: 'web3-123',
+      amount: '1.0',
+      currency: 'SOL',
+      status: 'pending',
+      recipient_address: '11111111111111111111111111111113',
+      amount_tolerance_bps: 50
+    };
+
+    let measureSpy;
+    let confirmSpy;
+
+    beforeEach(() => {
+      paymentMonitor.connection = {
+        getSignaturesForAddress: jest.fn().mockResolvedValue([
+          { signature: 'sig-2', err: null },
+          { signature: 'sig-1', err: null }
+        ])
+      };
+      database.recordPaymentTransfer.mockImplementation(transfer => Promise.resolve(transfer));
+      database.updatePaymentStatus.mockResolvedValue({});
+      measureSpy = jest.spyOn(paymentMonitor, 'measureReceivedAmount');
+      confirmSpy = jest.spyOn(paymentMonitor, 'confirmPayment').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      measureSpy.mockRestore();
+      confirmSpy.mockRestore();
+      paymentMonitor.connection = null;
+    });
+
+    it('should mark the payment underpaid when transfers fall short', async () => {
+      database.getPaymentTransfers.mockResolvedValue([]);
+      measureSpy.mockResolvedValueOnce(new BigNumber('0.4')).mockResolvedValueOnce(new BigNumber('0.2'));
+
+      await paymentMonitor.performPaymentConfirmation(openPayment);
+
+      expect(database.recordPaymentTransfer).toHaveBeenNthCalledWith(1, expect.objectContaining({ signature: 'sig-1', amount: '0.4' }));
+      expect(database.updatePaymentStatus).toHaveBeenCalledWith(openPayment.reference, 'underpaid', 'sig-2', { amount_received: '0.6' });
+      expect(sendWebhook).toHaveBeenCalledWith('web3-123', 'payment.underpaid', expect.objectContaining({ amount_received: '0.6', amount_remaining: '0.4' }));
+      expect(notifyPaymentUpdate).toHaveBeenCalledWith(openPayment.reference, 'underpaid', expect.objectContaining({ amount_remaining: '0.4' }));
+      expect(confirmSpy).not.toHaveBeenCalled();
+    });
+
+    it('should confirm once a top-up covers the remaining balance', async () => {
+      database.getPaymentTransfers.mockResolvedValue([{ signature: 'sig-1', amount: '0.6' }]);
+      measureSpy.mockResolvedValueOnce(new BigNumber('0.398'));
+
+      await paymentMonitor.performPaymentConfirmation({ ...openPayment, status: 'underpaid' });
+
+      expect(measureSpy).toHaveBeenCalledTimes(1);
+      expect(confirmSpy).toHaveBeenCalledWith(
+        expect.objectContaining({ reference: openPayment.reference }),
+        'sig-2',
+        expect.objectContaining({ status: 'confirmed' })
+      );
+    });
+
+    it('should settle as overpaid when transfers exceed the tolerance', async () => {
+      database.getPaymentTransfers.mockResolvedValue([]);
+      measureSpy.mockResolvedValueOnce(new BigNumber('1')).mockResolvedValueOnce(new BigNumber('1'));
+
+      await paymentMonitor.performPaymentConfirmation(openPayment);
+
+      const receipt = confirmSpy.mock.calls[0][2];
+      expect(receipt.status).toBe('overpaid');
+      expect(receipt.excess.toString()).toBe('1');
+    });
+
+    it('should require both the merchant and platform fee legs to be paid', async () => {
+      const feePayment = {
+        ...openPayment,
+        merchant_amount: '1.0',
+        fee_amount: '0.03',
+        fee_recipient_address: '11111111111111111111111111111114'
+      };
+      database.getPaymentTransfers.mockResolvedValue([]);
+      paymentMonitor.connection.getSignaturesForAddress.mockResolvedValue([{ signature: 'sig-1', err: null }]);
+      measureSpy.mockResolvedValueOnce(new BigNumber('1.03')).mockResolvedValueOnce(null);
+
+      await paymentMonitor.performPaymentConfirmation(feePayment);
+
+      expect(measureSpy).toHaveBeenCalledTimes(2);
+      expect(measureSpy.mock.calls[1][3].recipient.toString()).toBe(feePayment.fee_recipient_address);
+      expect(database.recordPaymentTransfer).toHaveBeenCalledWith(expect.objectContaining({
+        amount: '1.03',
+        leg_amounts: { merchant: '1.03', platform_fee: '0' }
+      }));
+      expect(database.updatePaymentStatus).toHaveBeenCalledWith(feePayment.reference, 'underpaid', 'sig-1', { amount_received: '1.03' });
+      expect(sendWebhook).toHaveBeenCalledWith('web3-123', 'payment.underpaid', expect.objectContaining({ amount_remaining: '0.03' }));
+      expect(confirmSpy).not.toHaveBeenCalled();
+    });
+
+    it('should confirm when the merchant and platform fee legs are both paid', async () => {
+      const feePayment = {
+        ...openPayment,
+        merchant_amount: '1.0',
+        fee_amount: '0.03',
+        fee_recipient_address: '11111111111111111111111111111114'
+      };
+      database.getPaymentTransfers.mockResolvedValue([]);
+      paymentMonitor.connection.getSignaturesForAddress.mockResolvedValue([{ signature: 'sig-1', err: null }]);
+      measureSpy.mockResolvedValueOnce(new BigNumber('1')).mockResolvedValueOnce(new BigNumber('0.03'));
+
+      await paymentMonitor.performPaymentConfirmation(feePayment);
+
+      const receipt = confirmSpy.mock.calls[0][2];
+      expect(receipt.status).toBe('confirmed');
+      expect(receipt.amountReceived.toString()).toBe('1.03');
+    });
+
+    it('should hold a split payment until every recipient is paid', async () => {
+      const splitPayment = {
+        ...openPayment,
+        splits: [{ address: '11111111111111111111111111111115', amount: '0.3', bps: null, label: 'seller' }]
+      };
+      database.getPaymentTransfers.mockResolvedValue([]);
+      paymentMonitor.connection.getSignaturesForAddress.mockResolvedValue([{ signature: 'sig-1', err: null }]);
+      measureSpy.mockResolvedValueOnce(new BigNumber('0.7')).mockResolvedValueOnce(new BigNumber('0.1'));
+
+      await paymentMonitor.performPaymentConfirmation(splitPayment);
+
+      expect(measureSpy.mock.calls[0][3].amount.toString()).toBe('0.7');
+      expect(measureSpy.mock.calls[1][3].recipient.toString()).toBe('11111111111111111111111111111115');
+      expect(database.recordPaymentTransfer).toHaveBeenCalledWith(expect.objectContaining({
+        leg_amounts: { merchant: '0.7', split_0: '0.1' }
+      }));
+      expect(sendWebhook).toHaveBeenCalledWith('web3-123', 'payment.underpaid', expect.objectContaining({
+        amount_remaining: '0.2',
+        recipients: [
+          { role: 'merchant', address: openPayment.recipient_address, label: null, amount: '0.7', amount_received: '0.7' },
+          { role: 'split_0', address: '11111111111111111111111111111115', label: 'seller', amount: '0.3', amount_received: '0.1' }
+        ]
+      }));
+      expect(confirmSpy).not.toHaveBeenCalled();
+    });
+
+    it('should flag funds sent to a cancelled payment for refund review', async () => {
+      database.getPaymentTransfers.mockResolvedValue([]);
+      paymentMonitor.connection.getSignaturesForAddress.mockResolvedValue([{ signature: 'sig-1', err: null }]);
+      measureSpy.mockResolvedValueOnce(new BigNumber('1'));
+
+      await paymentMonitor.performPaymentConfirmation({ ...openPayment, status: 'cancelled' });
+
+      expect(database.updatePaymentStatus).toHaveBeenCalledWith(openPayment.reference, 'cancelled', 'sig-1', {
+        amount_received: '1',
+        refund_review_required: true
+      });
+      expect(sendWebhook).toHaveBeenCalledWith('web3-123', 'payment.refund_review_required', expect.objectContaining({
+        reference: openPayment.reference,
+        amount_received: '1'
+      }));
+      expect(confirmSpy).not.toHaveBeenCalled();
+    });
+
+    it('should skip payments with no new transfers', async () => {
+      database.getPaymentTransfers.mockResolvedValue([
+        { signature: 'sig-1', amount: '0.3' },
+        { signature: 'sig-2', amount: '0.3' }
+      ]);
+
+      await paymentMonitor.performPaymentConfirmation({ ...openPayment, status: 'underpaid' });
+
+      expect(measureSpy).not.toHaveBeenCalled();
+      expect(database.updatePaymentStatus).not.toHaveBeenCalled();
+      expect(sendWebhook).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmPayment', () => {
+    const payment = {
+      id: 'payment-1',
+      reference: 'ref-1',
+      web3auth_user_id: 'web3-123',
+      amount: '1',
+      currency: 'SOL',
+      status: 'pending'
+    };
+    const receipt = {
+      status: 'confirmed',
+      amountReceived: new BigNumber('1'),
+      excess: new BigNumber(0),
+      recipients: []
+    };
+
+    it('should flag funds for refund review when the payment expired before it was settled', async () => {
+      database.settlePayment.mockResolvedValue(null);
+      database.getPayment.mockResolvedValue({ ...payment, status: 'expired' });
+
+      await paymentMonitor.confirmPayment(payment, 'sig-1', receipt);
+
+      expect(database.settlePayment).toHaveBeenCalledWith('ref-1', 'confirmed', 'sig-1', { amount_received: '1' });
+      expect(database.updatePaymentStatus).toHaveBeenCalledWith('ref-1', 'expired', 'sig-1', {
+        amount_received: '1',
+        refund_review_required: true
+      });
+      expect(sendWebhook).toHaveBeenCalledWith('web3-123', 'payment.refund_review_required', expect.objectContaining({
+        status: 'expired'
+      }));
+      expect(sendWebhook).not.toHaveBeenCalledWith('web3-123', 'payment.confirmed', expect.anything());
+    });
+
+    it('should not notify twice when another check already settled the payment', async () => {
+      database.settlePayment.mockResolvedValue(null);
+      database.getPayment.mockResolvedValue({ ...payment, status: 'confirmed' });
+
+      await paymentMonitor.confirmPayment(payment, 'sig-1', receipt);
+
+      expect(database.updatePaymentStatus).not.toHaveBeenCalled();
+      expect(sendWebhook).not.toHaveBeenCalled();
+    });
   });
 
   describe('validateSOLAmount', () => {
@@ -497,6 +822,54 @@ describe('Payment Monitor Service', () => {
       expect(result.error).toContain('SOL transfer amount too low');
     });
 
+    it('should measure partial transfers when allowPartial is set', () => {
+      const mockTransaction = {
+        meta: {
+          preBalances: [1000000000, 500000000],
+          postBalances: [1600000000, 500000000]  // 0.6 SOL top-up
+        }
+      };
+
+      const mockAccountKeys = [
+        { equals: jest.fn().mockReturnValue(true) },
+        { equals: jest.fn().mockReturnValue(false) }
+      ];
+
+      const result = paymentMonitor.validateSOLAmount(
+        mockTransaction,
+        mockPayment,
+        mockValidateParams,
+        mockAccountKeys,
+        { allowPartial: true }
+      );
+
+      expect(result.isValid).toBe(true);
+      expect(result.details.actualTransferLamports).toBe('600000000');
+    });
+
+    it('should use the merchant tolerance recorded on the payment', () => {
+      const mockTransaction = {
+        meta: {
+          preBalances: [1000000000, 500000000],
+          postBalances: [2400000000, 500000000]  // 1.4 SOL transfer
+        }
+      };
+
+      const mockAccountKeys = [
+        { equals: jest.fn().mockReturnValue(true) },
+        { equals: jest.fn().mockReturnValue(false) }
+      ];
+
+      const result = paymentMonitor.validateSOLAmount(
+        mockTransaction,
+        { ...mockPayment, amount_tolerance_bps: 1000 }, // 10%
+        mockValidateParams,
+        mockAccountKeys
+      );
+
+      expect(result.isValid).toBe(true);
+    });
+
     it('should handle missing transaction metadata', () => {
       const mockTransaction = {
         meta: null
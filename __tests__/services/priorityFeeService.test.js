@@ -0,0 +1,87 @@
+const { ComputeBudgetInstruction, Keypair, SystemProgram, Transaction } = require('@solana/web3.js');
+const priorityFeeService = require('../../src/services/priorityFeeService');
+
+// Mock all dependencies
+jest.mock('../../src/utils/logger');
+
+describe('Priority Fee Service', () => {
+  const originalEnv = process.env;
+  const payer = Keypair.generate().publicKey;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.PRIORITY_FEE_STRATEGY;
+    delete process.env.PRIORITY_FEE_MICROLAMPORTS;
+    delete process.env.PRIORITY_FEE_MAX_MICROLAMPORTS;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getComputeBudget', () => {
+    const connection = {
+      getRecentPrioritizationFees: jest.fn().mockResolvedValue(
+        [0, 100, 200, 300, 400, 500, 600, 700].map(prioritizationFee => ({ slot: 1, prioritizationFee }))
+      )
+    };
+
+    it('should take a percentile of recent fees by default', async () => {
+      const budget = await priorityFeeService.getComputeBudget(connection, [payer]);
+
+      expect(budget).toEqual({ strategy: 'percentile', microLamports: 500, unitLimit: 200000 });
+      expect(connection.getRecentPrioritizationFees).toHaveBeenCalledWith({ lockedWritableAccounts: [payer] });
+    });
+
+    it('should use the fixed price, capped at the maximum', async () => {
+      process.env.PRIORITY_FEE_STRATEGY = 'fixed';
+      process.env.PRIORITY_FEE_MICROLAMPORTS = '5000';
+      process.env.PRIORITY_FEE_MAX_MICROLAMPORTS = '2000';
+
+      const budget = await priorityFeeService.getComputeBudget(connection, [payer]);
+
+      expect(budget.microLamports).toBe(2000);
+    });
+
+    it('should add no priority fee when off', async () => {
+      process.env.PRIORITY_FEE_STRATEGY = 'off';
+
+      const budget = await priorityFeeService.getComputeBudget(connection, [payer]);
+
+      expect(budget.microLamports).toBe(0);
+      expect(priorityFeeService.buildInstructions(budget)).toHaveLength(1);
+    });
+
+    it('should fall back to the fixed price when recent fees are unavailable', async () => {
+      const failing = { getRecentPrioritizationFees: jest.fn().mockRejectedValue(new Error('Method not found')) };
+
+      const budget = await priorityFeeService.getComputeBudget(failing, [payer]);
+
+      expect(budget).toEqual({ strategy: 'fixed', microLamports: 10000, unitLimit: 200000 });
+    });
+  });
+
+  describe('fitUnitLimit', () => {
+    it('should set the limit to the simulated units plus the margin', () => {
+      const budget = { strategy: 'fixed', microLamports: 10000, unitLimit: 200000 };
+      const transaction = new Transaction().add(
+        ...priorityFeeService.buildInstructions(budget),
+        SystemProgram.transfer({ fromPubkey: payer, toPubkey: Keypair.generate().publicKey, lamports: 10 })
+      );
+
+      const fitted = priorityFeeService.fitUnitLimit(transaction, budget, 1000);
+
+      expect(fitted.unitLimit).toBe(1200);
+      expect(ComputeBudgetInstruction.decodeSetComputeUnitLimit(transaction.instructions[0]).units).toBe(1200);
+      expect(ComputeBudgetInstruction.decodeSetComputeUnitPrice(transaction.instructions[1]).microLamports).toBe(10000n);
+      expect(priorityFeeService.getPriorityFeeLamports(fitted)).toBe(12);
+    });
+
+    it('should keep the configured limit without a simulation', () => {
+      const budget = { strategy: 'off', microLamports: 0, unitLimit: 200000 };
+      const transaction = new Transaction().add(...priorityFeeService.buildInstructions(budget));
+
+      expect(priorityFeeService.fitUnitLimit(transaction, budget, undefined)).toBe(budget);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+const refundService = require('../../src/services/refundService');
+const database = require('../../src/services/database');
+const { sendWebhook } = require('../../src/controllers/webhooks');
+
+// Mock all dependencies
+jest.mock('../../src/services/database');
+jest.mock('../../src/utils/logger');
+jest.mock('../../src/controllers/webhooks', () => ({
+  sendWebhook: jest.fn().mockResolvedValue()
+}));
+jest.mock('../../src/services/websocket', () => ({
+  notifyPaymentUpdate: jest.fn().mockReturnValue({ success: true })
+}));
+
+describe('Refund Service', () => {
+  const confirmedPayment = {
+    id: 'payment-1',
+    reference: 'ref-1',
+    web3auth_user_id: 'web3-123',
+    amount: '2',
+    currency: 'SOL',
+    status: 'confirmed',
+    recipient_address: 'merchant-wallet',
+    transaction_signature: 'sig-123'
+  };
+
+  // Behaves like the create_refund function: refunds are checked against the
+  // balance one at a time, as the payment row lock makes them in Postgres
+  const mockCreateRefundRpc = (payment, refunds) => {
+    const rpc = jest.fn(async (fn, params) => {
+      const paid = Number(params.p_refundable_amount);
+      const committed = refunds
+        .filter(refund => refund.status !== 'failed')
+        .reduce((sum, refund) => sum + Number(refund.amount), 0);
+      const remaining = paid - committed;
+      const amount = params.p_amount !== null ? Number(params.p_amount) : remaining;
+
+      if (remaining <= 0 || amount > remaining) {
+        return { data: { remaining: Math.max(remaining, 0) }, error: null };
+      }
+
+      const refund = {
+        id: `refund-${refunds.length + 1}`,
+        payment_id: payment.id,
+        web3auth_user_id: payment.web3auth_user_id,
+        reference: params.p_reference,
+        amount: String(amount),
+        currency: payment.currency,
+        sender_address: payment.recipient_address,
+        recipient_address: params.p_recipient_address,
+        reason: params.p_reason,
+        status: 'pending'
+      };
+      refunds.push(refund);
+      return { data: { refund, remaining }, error: null };
+    });
+    database.getClient.mockReturnValue({ rpc });
+    return rpc;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(refundService, 'derivePayerAddress').mockResolvedValue('payer-wallet');
+    database.getPaymentTransfers.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createRefund', () => {
+    it('should refund the remaining balance when no amount is given', async () => {
+      const refunds = [
+        { amount: '0.5', status: 'confirmed' },
+        { amount: '1', status: 'failed' }
+      ];
+      jest.spyOn(refundService, 'getRefundsForPayment').mockResolvedValue(refunds);
+      mockCreateRefundRpc(confirmedPayment, refunds);
+
+      const refund = await refundService.createRefund(confirmedPayment);
+
+      expect(refund.amount).toBe('1.5');
+      expect(refund.recipient_address).toBe('payer-wallet');
+      expect(refund.sender_address).toBe('merchant-wallet');
+      expect(refund.status).toBe('pending');
+      expect(sendWebhook).toHaveBeenCalledWith('web3-123', 'refund.created', expect.objectContaining({ amount: '1.5' }));
+    });
+
+    it('should reject refunds above the refundable balance', async () => {
+      jest.spyOn(refundService, 'getRefundsForPayment').mockResolvedValue([
+        { amount: '1.5', status: 'pending' }
+      ]);
+
+      await expect(refundService.createRefund(confirmedPayment, { amount: 1 }))
+        .rejects.toMatchObject({ statusCode: 400, isOperational: true });
+    });
+
+    it('should not let concurrent refunds exceed the amount paid', async () => {
+      // Both requests read the balance before either refund is recorded
+      jest.spyOn(refundService, 'getRefundsForPayment').mockResolvedValue([]);
+      const rpc = mockCreateRefundRpc(confirmedPayment, []);
+
+      const results = await Promise.allSettled([
+        refundService.createRefund(confirmedPayment, { amount: 1.5 }),
+        refundService.createRefund(confirmedPayment, { amount: 1.5 })
+      ]);
+
+      expect(rpc).toHaveBeenCalledTimes(2);
+      expect(rpc).toHaveBeenCalledWith('create_refund', expect.objectContaining({ p_payment_id: 'payment-1', p_amount: '1.5' }));
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect(results[1].reason).toMatchObject({
+        statusCode: 400,
+        message: 'Refund amount exceeds refundable balance of 0.5 SOL'
+      });
+      expect(sendWebhook).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject payments that are not confirmed', async () => {
+      await expect(refundService.createRefund({ ...confirmedPayment, status: 'pending' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should cap refunds of overpaid payments at the amount received', async () => {
+      const overpaidPayment = { ...confirmedPayment, status: 'overpaid', amount_received: '2.5' };
+      jest.spyOn(refundService, 'getRefundsForPayment').mockResolvedValue([]);
+      mockCreateRefundRpc(overpaidPayment, []);
+
+      const refund = await refundService.createRefund(overpaidPayment);
+
+      expect(refund.amount).toBe('2.5');
+    });
+
+    it('should only refund what reached the merchant wallet of a payment with a fee and splits', async () => {
+      const splitPayment = {
+        ...confirmedPayment,
+        amount: '10',
+        merchant_amount: '9',
+        fee_amount: '1',
+        fee_recipient_address: 'treasury-wallet',
+        splits: [{ address: 'seller-wallet', amount: '2' }],
+        amount_received: '10'
+      };
+      database.getPaymentTransfers.mockResolvedValue([
+        { amount: '10', leg_amounts: { merchant: '7', split_0: '2', platform_fee: '1' } }
+      ]);
+      jest.spyOn(refundService, 'getRefundsForPayment').mockResolvedValue([]);
+      mockCreateRefundRpc(splitPayment, []);
+
+      await expect(refundService.createRefund(splitPayment, { amount: 8 }))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Refund amount exceeds refundable balance of 7 SOL' });
+
+      const refund = await refundService.createRefund(splitPayment);
+      expect(refund.amount).toBe('7');
+    });
+
+    it('should fall back to the merchant share for payments settled before transfers were recorded', async () => {
+      const feePayment = {
+        ...confirmedPayment,
+        merchant_amount: '1.9',
+        fee_amount: '0.1',
+        fee_recipient_address: 'treasury-wallet',
+        amount_received: '2'
+      };
+      jest.spyOn(refundService, 'getRefundsForPayment').mockResolvedValue([]);
+      mockCreateRefundRpc(feePayment, []);
+
+      const refund = await refundService.createRefund(feePayment);
+
+      expect(refund.amount).toBe('1.9');
+    });
+
+    it('should require a recipient when the payer cannot be derived', async () => {
+      jest.spyOn(refundService, 'getRefundsForPayment').mockResolvedValue([]);
+      refundService.derivePayerAddress.mockResolvedValue(null);
+
+      await expect(refundService.createRefund(confirmedPayment, { amount: 1 }))
+        .rejects.toMatchObject({ statusCode: 422 });
+    });
+  });
+
+  describe('updateRefundedPayment', () => {
+    it('should mark the payment partially refunded until the full amount is returned', async () => {
+      database.getPayment.mockResolvedValue(confirmedPayment);
+      jest.spyOn(refundService, 'getRefundsForPayment').mockResolvedValue([
+        { amount: '0.5', status: 'confirmed' },
+        { amount: '1', status: 'pending' }
+      ]);
+      const updateSpy = jest.fn().mockReturnThis();
+      database.getClient.mockReturnValue({
+        from: jest.fn().mockReturnThis(),
+        update: updateSpy,
+        eq: jest.fn().mockResolvedValue({ error: null })
+      });
+
+      const status = await refundService.updateRefundedPayment('payment-1', 'ref-1');
+
+      expect(status).toBe('partially_refunded');
+      expect(updateSpy).toHaveBeenCalledWith(expect.objectContaining({ refunded_amount: '0.5' }));
+    });
+
+    it('should mark the payment refunded once confirmed refunds cover the amount', async () => {
+      database.getPayment.mockResolvedValue(confirmedPayment);
+      jest.spyOn(refundService, 'getRefundsForPayment').mockResolvedValue([
+        { amount: '0.5', status: 'confirmed' },
+        { amount: '1.5', status: 'confirmed' }
+      ]);
+      database.getClient.mockReturnValue({
+        from: jest.fn().mockReturnThis(),
+        update: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockResolvedValue({ error: null })
+      });
+
+      const status = await refundService.updateRefundedPayment('payment-1', 'ref-1');
+
+      expect(status).toBe('refunded');
+    });
+  });
+});
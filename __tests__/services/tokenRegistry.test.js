@@ -0,0 +1,60 @@
+const tokenRegistry = require('../../src/services/tokenRegistry');
+
+describe('Token Registry', () => {
+  afterEach(() => {
+    delete process.env.SOLANA_NETWORK;
+    delete process.env.SOLANA_RPC_URL;
+  });
+
+  describe('getNetwork', () => {
+    it('should default to devnet', () => {
+      expect(tokenRegistry.getNetwork()).toBe('devnet');
+    });
+
+    it('should infer mainnet from the RPC URL', () => {
+      process.env.SOLANA_RPC_URL = 'https://api.mainnet-beta.solana.com';
+
+      expect(tokenRegistry.getNetwork()).toBe('mainnet-beta');
+    });
+  });
+
+  describe('lookups', () => {
+    it('should resolve a mint to its token and network', () => {
+      const token = tokenRegistry.getByMint('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
+
+      expect(token.symbol).toBe('USDC');
+      expect(token.decimals).toBe(6);
+      expect(token.network).toBe('mainnet-beta');
+    });
+
+    it('should return null for unknown mints', () => {
+      expect(tokenRegistry.getByMint('So11111111111111111111111111111111111111112')).toBeNull();
+    });
+
+    it('should only list tokens with a mint on the network', () => {
+      const devnet = tokenRegistry.getTokens('devnet').map(token => token.symbol);
+      const mainnet = tokenRegistry.getTokens('mainnet-beta').map(token => token.symbol);
+
+      expect(devnet).toEqual(['SOL', 'USDC']);
+      expect(mainnet).toEqual(['SOL', 'USDC', 'USDT', 'PYUSD']);
+      expect(tokenRegistry.findUnavailable(['USDC', 'PYUSD', 'BONK'], 'devnet')).toEqual(['PYUSD', 'BONK']);
+    });
+
+    it('should fall back to the default accepted tokens', () => {
+      expect(tokenRegistry.getAcceptedTokens({ accepted_tokens: null })).toEqual(['SOL', 'USDC']);
+      expect(tokenRegistry.getAcceptedTokens({ accepted_tokens: ['PYUSD'] })).toEqual(['PYUSD']);
+    });
+  });
+
+  describe('formatAmount', () => {
+    it('should pad stablecoins to two decimals', () => {
+      expect(tokenRegistry.formatAmount('5', 'USDC')).toBe('5.00 USDC');
+      expect(tokenRegistry.formatAmount('5.123456789', 'USDC')).toBe('5.123456 USDC');
+    });
+
+    it('should keep SOL precision without padding', () => {
+      expect(tokenRegistry.formatAmount('0.25', 'SOL')).toBe('0.25 SOL');
+      expect(tokenRegistry.formatAmount('1', 'SOL', { withSymbol: false })).toBe('1');
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const { Keypair, SystemProgram, Transaction } = require('@solana/web3.js');
+const { createTransferCheckedInstruction, createAssociatedTokenAccountInstruction } = require('@solana/spl-token');
+const transactionSimulationService = require('../../src/services/transactionSimulationService');
+const database = require('../../src/services/database');
+const { SIMULATION_ERROR } = transactionSimulationService;
+
+// Mock all dependencies
+jest.mock('../../src/services/database');
+jest.mock('../../src/utils/logger');
+
+describe('Transaction Simulation Service', () => {
+  const payer = Keypair.generate().publicKey;
+  const recipient = Keypair.generate().publicKey;
+  const mint = Keypair.generate().publicKey;
+  const context = { reference: 'ref-123', payer: payer.toString(), amount: '5', currency: 'USDC' };
+
+  const buildTransaction = (...instructions) => {
+    const transaction = new Transaction().add(...instructions);
+    transaction.feePayer = payer;
+    transaction.recentBlockhash = Keypair.generate().publicKey.toBase58();
+    return transaction;
+  };
+
+  const tokenTransaction = buildTransaction(
+    createAssociatedTokenAccountInstruction(payer, Keypair.generate().publicKey, recipient, mint),
+    createTransferCheckedInstruction(Keypair.generate().publicKey, mint, Keypair.generate().publicKey, payer, 5000000n, 6)
+  );
+
+  let insert;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    insert = jest.fn().mockResolvedValue({ error: null });
+    database.getClient.mockReturnValue({ from: jest.fn(() => ({ insert })) });
+  });
+
+  describe('classifyError', () => {
+    it('should map transaction errors', () => {
+      expect(transactionSimulationService.classifyError('AccountNotFound', [], tokenTransaction))
+        .toBe(SIMULATION_ERROR.PAYER_ACCOUNT_NOT_FOUND);
+      expect(transactionSimulationService.classifyError('InsufficientFundsForFee', [], tokenTransaction))
+        .toBe(SIMULATION_ERROR.INSUFFICIENT_SOL_FOR_FEES);
+      expect(transactionSimulationService.classifyError({ InsufficientFundsForRent: { account_index: 1 } }, [], tokenTransaction))
+        .toBe(SIMULATION_ERROR.INSUFFICIENT_SOL_FOR_RENT);
+    });
+
+    it('should map instruction errors by the failing program', () => {
+      const classify = (err, logs = []) => transactionSimulationService.classifyError(err, logs, tokenTransaction);
+
+      expect(classify({ InstructionError: [0, { Custom: 1 }] }, ['Transfer: insufficient lamports 0, need 2039280']))
+        .toBe(SIMULATION_ERROR.INSUFFICIENT_SOL_FOR_RENT);
+      expect(classify({ InstructionError: [1, { Custom: 1 }] }, ['Program log: Error: insufficient funds']))
+        .toBe(SIMULATION_ERROR.INSUFFICIENT_TOKEN_BALANCE);
+      expect(classify({ InstructionError: [1, 'InvalidAccountData'] }))
+        .toBe(SIMULATION_ERROR.TOKEN_ACCOUNT_NOT_FOUND);
+      expect(classify({ InstructionError: [1, 'InvalidInstructionData'] }))
+        .toBe(SIMULATION_ERROR.SIMULATION_FAILED);
+    });
+
+    it('should map a short SOL balance on a system transfer', () => {
+      const transaction = buildTransaction(SystemProgram.transfer({ fromPubkey: payer, toPubkey: recipient, lamports: 10 }));
+
+      expect(transactionSimulationService.classifyError({ InstructionError: [0, { Custom: 1 }] }, [], transaction))
+        .toBe(SIMULATION_ERROR.INSUFFICIENT_SOL_BALANCE);
+    });
+  });
+
+  describe('simulate', () => {
+    it('should return a wallet message and record a failed simulation', async () => {
+      const connection = {
+        simulateTransaction: jest.fn().mockResolvedValue({
+          value: { err: { InstructionError: [1, { Custom: 1 }] }, logs: ['Program log: Error: insufficient funds'], unitsConsumed: 4500 }
+        })
+      };
+
+      const result = await transactionSimulationService.simulate(connection, tokenTransaction, context);
+
+      expect(result).toEqual(expect.objectContaining({
+        ok: false,
+        code: SIMULATION_ERROR.INSUFFICIENT_TOKEN_BALANCE,
+        statusCode: 400,
+        message: 'Not enough USDC to pay 5 USDC.'
+      }));
+      expect(insert).toHaveBeenCalledWith(expect.objectContaining({
+        reference: 'ref-123',
+        status: 'failed',
+        error_code: SIMULATION_ERROR.INSUFFICIENT_TOKEN_BALANCE,
+        units_consumed: 4500
+      }));
+    });
+
+    it('should retry once with a fresh blockhash', async () => {
+      const transaction = buildTransaction(SystemProgram.transfer({ fromPubkey: payer, toPubkey: recipient, lamports: 10 }));
+      const freshBlockhash = Keypair.generate().publicKey.toBase58();
+      const connection = {
+        getLatestBlockhash: jest.fn().mockResolvedValue({ blockhash: freshBlockhash }),
+        simulateTransaction: jest.fn()
+          .mockResolvedValueOnce({ value: { err: 'BlockhashNotFound', logs: [] } })
+          .mockResolvedValueOnce({ value: { err: null, logs: [], unitsConsumed: 300 } })
+      };
+
+      const result = await transactionSimulationService.simulate(connection, transaction, context);
+
+      expect(result).toEqual(expect.objectContaining({ ok: true, unitsConsumed: 300 }));
+      expect(transaction.recentBlockhash).toBe(freshBlockhash);
+      expect(connection.simulateTransaction).toHaveBeenCalledTimes(2);
+    });
+
+    it('should let the transaction through when the node cannot simulate', async () => {
+      const connection = { simulateTransaction: jest.fn().mockRejectedValue(new Error('429 Too Many Requests')) };
+
+      const result = await transactionSimulationService.simulate(connection, tokenTransaction, context);
+
+      expect(result).toEqual({ ok: true, status: 'unavailable' });
+      expect(insert).toHaveBeenCalledWith(expect.objectContaining({ status: 'unavailable' }));
+    });
+  });
+});
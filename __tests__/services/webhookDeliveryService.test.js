@@ -0,0 +1,373 @@
+const webhookDeliveryService = require('../../src/services/webhookDeliveryService');
+const database = require('../../src/services/database');
+const emailService = require('../../src/services/emailService');
+const dns = require('dns');
+const { verifyWebhookSignature } = require('../../src/utils/webhookSignature');
+const { createEvent, LATEST_API_VERSION, LEGACY_API_VERSION } = require('../../src/utils/webhookEventCatalog');
+const { isAllowedWebhookHost } = require('../../src/utils/webhookUrl');
+const { DELIVERY_STATUS, MAX_ATTEMPTS, AUTO_DISABLE_AFTER_FAILURES, getRetryDelaySeconds } = webhookDeliveryService;
+
+// Mock all dependencies
+jest.mock('../../src/services/database');
+jest.mock('../../src/services/emailService');
+jest.mock('../../src/utils/logger');
+
+describe('Webhook Delivery Service', () => {
+  const webhook = {
+    id: 'webhook-1',
+    url: 'https://merchant.example.com/hooks',
+    active: true,
+    secret: 'whsec_test',
+    previous_secret: null,
+    previous_secret_expires_at: null,
+    consecutive_failures: 0
+  };
+
+  const pendingDelivery = (overrides = {}) => ({
+    id: 'delivery-1',
+    webhook_id: 'webhook-1',
+    web3auth_user_id: 'web3-123',
+    event: 'payment.confirmed',
+    payload: { event: 'payment.confirmed', data: { reference: 'ref-1' } },
+    status: DELIVERY_STATUS.PENDING,
+    attempt_count: 0,
+    webhooks: webhook,
+    ...overrides
+  });
+
+  // Chainable Supabase query builder resolving to `result`
+  const mockQuery = (result) => {
+    const query = {};
+    ['from', 'select', 'insert', 'update', 'eq', 'lt', 'lte', 'order', 'limit', 'range'].forEach(method => {
+      query[method] = jest.fn().mockReturnValue(query);
+    });
+    query.single = jest.fn().mockResolvedValue(result);
+    query.maybeSingle = jest.fn().mockResolvedValue(result);
+    query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+    return query;
+  };
+
+  // Route each table to its own query so updates can be told apart
+  const mockTables = (claimed) => {
+    const tables = {
+      claim: mockQuery({ data: claimed, error: null }),
+      delivery: mockQuery({ data: { id: claimed.id }, error: null }),
+      attempts: mockQuery({ error: null }),
+      webhooks: mockQuery({ error: null })
+    };
+    let deliveryQueries = 0;
+    database.getClient.mockReturnValue({
+      from: jest.fn(table => {
+        if (table === 'webhook_delivery_attempts') return tables.attempts;
+        if (table === 'webhooks') return tables.webhooks;
+        return deliveryQueries++ === 0 ? tables.claim : tables.delivery;
+      })
+    });
+    return tables;
+  };
+
+  const mockResponse = (status, body = 'ok') => ({ status, text: jest.fn().mockResolvedValue(body) });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch = jest.fn().mockResolvedValue(mockResponse(200));
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+  });
+
+  afterAll(() => {
+    delete global.fetch;
+  });
+
+  describe('getRetryDelaySeconds', () => {
+    it('should back off exponentially up to 12 hours', () => {
+      expect(getRetryDelaySeconds(1)).toBe(60);
+      expect(getRetryDelaySeconds(2)).toBe(120);
+      expect(getRetryDelaySeconds(5)).toBe(960);
+      expect(getRetryDelaySeconds(15)).toBe(12 * 60 * 60);
+    });
+
+    it('should spread the retries over about three days', () => {
+      let total = 0;
+      for (let attempt = 1; attempt < MAX_ATTEMPTS; attempt++) {
+        total += getRetryDelaySeconds(attempt);
+      }
+
+      expect(total / 86400).toBeGreaterThan(3);
+      expect(total / 86400).toBeLessThan(3.5);
+    });
+  });
+
+  describe('deliver', () => {
+    it('should sign the request and mark the delivery delivered', async () => {
+      const tables = mockTables(pendingDelivery());
+
+      await webhookDeliveryService.deliver(pendingDelivery());
+
+      const { headers, body } = global.fetch.mock.calls[0][1];
+      expect(verifyWebhookSignature(body, headers['PayMeBro-Signature'], 'whsec_test')).toBe(true);
+      expect(tables.attempts.insert).toHaveBeenCalledWith(expect.objectContaining({
+        delivery_id: 'delivery-1',
+        attempt_number: 1,
+        status_code: 200,
+        latency_ms: expect.any(Number),
+        response_body: 'ok'
+      }));
+      expect(tables.delivery.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: DELIVERY_STATUS.DELIVERED,
+        attempt_count: 1
+      }));
+    });
+
+    it('should also sign with the previous secret until its overlap ends', async () => {
+      const rotating = {
+        ...webhook,
+        previous_secret: 'whsec_old',
+        previous_secret_expires_at: new Date(Date.now() + 60000).toISOString()
+      };
+      mockTables(pendingDelivery({ webhooks: rotating }));
+
+      await webhookDeliveryService.deliver(pendingDelivery());
+
+      const { headers, body } = global.fetch.mock.calls[0][1];
+      expect(verifyWebhookSignature(body, headers['PayMeBro-Signature'], 'whsec_old')).toBe(true);
+      expect(verifyWebhookSignature(body, headers['PayMeBro-Signature'], 'whsec_test')).toBe(true);
+    });
+
+    it('should schedule a retry with a truncated response body after a failure', async () => {
+      global.fetch.mockResolvedValue(mockResponse(500, 'x'.repeat(5000)));
+      const tables = mockTables(pendingDelivery({ attempt_count: 2 }));
+
+      await webhookDeliveryService.deliver(pendingDelivery());
+
+      expect(tables.attempts.insert.mock.calls[0][0].response_body).toHaveLength(1000);
+      const fields = tables.delivery.update.mock.calls[0][0];
+      expect(fields).toEqual(expect.objectContaining({
+        status: DELIVERY_STATUS.PENDING,
+        attempt_count: 3,
+        last_status_code: 500,
+        last_error: 'Endpoint responded with 500'
+      }));
+      expect(new Date(fields.next_attempt_at).getTime() - Date.now()).toBeGreaterThan(230 * 1000);
+    });
+
+    it('should record network errors as failed attempts', async () => {
+      global.fetch.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+      const tables = mockTables(pendingDelivery());
+
+      await webhookDeliveryService.deliver(pendingDelivery());
+
+      expect(tables.attempts.insert).toHaveBeenCalledWith(expect.objectContaining({
+        status_code: null,
+        error: 'getaddrinfo ENOTFOUND'
+      }));
+      expect(tables.delivery.update).toHaveBeenCalledWith(expect.objectContaining({ status: DELIVERY_STATUS.PENDING }));
+    });
+
+    it('should dead-letter the delivery after the final attempt', async () => {
+      global.fetch.mockResolvedValue(mockResponse(503));
+      const tables = mockTables(pendingDelivery({ attempt_count: MAX_ATTEMPTS - 1 }));
+
+      await webhookDeliveryService.deliver(pendingDelivery());
+
+      expect(tables.delivery.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: DELIVERY_STATUS.DEAD_LETTER,
+        attempt_count: MAX_ATTEMPTS
+      }));
+      expect(tables.webhooks.update).toHaveBeenCalledWith(expect.objectContaining({ consecutive_failures: 1 }));
+      expect(emailService.sendWebhookDisabledEmail).not.toHaveBeenCalled();
+    });
+
+    it('should disable the endpoint and email the merchant after repeated dead letters', async () => {
+      global.fetch.mockResolvedValue(mockResponse(503));
+      const failing = { ...webhook, consecutive_failures: AUTO_DISABLE_AFTER_FAILURES - 1 };
+      const tables = mockTables(pendingDelivery({ attempt_count: MAX_ATTEMPTS - 1, webhooks: failing }));
+      database.getUserById.mockResolvedValue({ email: 'merchant@example.com' });
+
+      await webhookDeliveryService.deliver(pendingDelivery());
+
+      expect(tables.webhooks.update).toHaveBeenCalledWith(expect.objectContaining({
+        consecutive_failures: AUTO_DISABLE_AFTER_FAILURES,
+        active: false,
+        disabled_at: expect.any(String)
+      }));
+      expect(emailService.sendWebhookDisabledEmail).toHaveBeenCalledWith(
+        'web3-123',
+        'merchant@example.com',
+        expect.objectContaining({ id: 'webhook-1', url: webhook.url })
+      );
+    });
+
+    it('should reset the endpoint\'s failures after a success', async () => {
+      const tables = mockTables(pendingDelivery({ webhooks: { ...webhook, consecutive_failures: 3 } }));
+
+      await webhookDeliveryService.deliver(pendingDelivery());
+
+      expect(tables.webhooks.update).toHaveBeenCalledWith(expect.objectContaining({ consecutive_failures: 0 }));
+    });
+
+    it('should dead-letter deliveries to a disabled endpoint without sending them', async () => {
+      const tables = mockTables(pendingDelivery({ webhooks: { ...webhook, active: false } }));
+
+      await webhookDeliveryService.deliver(pendingDelivery());
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(tables.delivery.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: DELIVERY_STATUS.DEAD_LETTER,
+        last_error: 'Webhook endpoint is disabled'
+      }));
+    });
+
+    it('should dead-letter a failed test delivery without retrying or counting it against the endpoint', async () => {
+      global.fetch.mockResolvedValue(mockResponse(500));
+      const tables = mockTables(pendingDelivery({ is_test: true }));
+
+      await webhookDeliveryService.deliver(pendingDelivery());
+
+      expect(tables.delivery.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: DELIVERY_STATUS.DEAD_LETTER,
+        attempt_count: 1
+      }));
+      expect(tables.webhooks.update).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an endpoint whose host resolves to an internal address', async () => {
+      dns.promises.lookup.mockResolvedValue([{ address: '169.254.169.254', family: 4 }]);
+      const tables = mockTables(pendingDelivery());
+
+      await webhookDeliveryService.deliver(pendingDelivery());
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(tables.attempts.insert).toHaveBeenCalledWith(expect.objectContaining({
+        status_code: null,
+        response_body: null,
+        error: 'Webhook URL host merchant.example.com resolves to a non-public address'
+      }));
+    });
+
+    it('should not follow redirects from the endpoint', async () => {
+      mockTables(pendingDelivery());
+
+      await webhookDeliveryService.deliver(pendingDelivery());
+
+      expect(global.fetch.mock.calls[0][1].redirect).toBe('manual');
+    });
+
+    it('should skip a delivery another worker has claimed', async () => {
+      database.getClient.mockReturnValue(mockQuery({ data: null, error: null }));
+
+      await expect(webhookDeliveryService.deliver(pendingDelivery())).resolves.toBeNull();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isAllowedWebhookHost', () => {
+    it('should refuse localhost and private, loopback and link-local addresses', () => {
+      [
+        'https://localhost/hooks',
+        'https://api.localhost/hooks',
+        'https://127.0.0.1/hooks',
+        'https://10.0.0.5/hooks',
+        'https://172.16.3.4/hooks',
+        'https://192.168.1.10/hooks',
+        'https://169.254.169.254/latest/meta-data',
+        'https://[::1]/hooks',
+        'https://[fd00::1]/hooks',
+        'https://[::ffff:127.0.0.1]/hooks'
+      ].forEach(url => expect({ url, allowed: isAllowedWebhookHost(url) }).toEqual({ url, allowed: false }));
+    });
+
+    it('should allow public hosts and addresses', () => {
+      expect(isAllowedWebhookHost('https://merchant.example.com/hooks')).toBe(true);
+      expect(isAllowedWebhookHost('https://93.184.216.34/hooks')).toBe(true);
+    });
+  });
+
+  describe('enqueue', () => {
+    it('should format the event in each endpoint\'s pinned API version', async () => {
+      const query = mockQuery({ data: [], error: null });
+      database.getClient.mockReturnValue(query);
+      const event = createEvent('payment.expired', { reference: 'ref-1' });
+
+      await webhookDeliveryService.enqueue([
+        { id: 'webhook-1', web3auth_user_id: 'web3-123', api_version: LATEST_API_VERSION },
+        { id: 'webhook-2', web3auth_user_id: 'web3-123', api_version: LEGACY_API_VERSION }
+      ], event);
+
+      const [latest, legacy] = query.insert.mock.calls[0][0];
+      expect(latest).toEqual(expect.objectContaining({ event: 'payment.expired', event_id: event.id }));
+      expect(latest.payload).toEqual(expect.objectContaining({ id: event.id, type: 'payment.expired', api_version: LATEST_API_VERSION }));
+      expect(legacy.event_id).toBe(event.id);
+      expect(legacy.payload).toEqual(expect.objectContaining({ event: 'payment.expired', timestamp: event.created }));
+    });
+  });
+
+  describe('listDeliveries', () => {
+    it('should filter the endpoint\'s log by event and status and order attempts', async () => {
+      const query = mockQuery({
+        data: [pendingDelivery({ attempts: [{ attempt_number: 2 }, { attempt_number: 1 }] })],
+        count: 1,
+        error: null
+      });
+      database.getClient.mockReturnValue(query);
+
+      const { deliveries, total } = await webhookDeliveryService.listDeliveries('web3-123', 'webhook-1', {
+        event: 'payment.confirmed',
+        status: DELIVERY_STATUS.DEAD_LETTER,
+        limit: 10,
+        offset: 20
+      });
+
+      expect(query.eq).toHaveBeenCalledWith('webhook_id', 'webhook-1');
+      expect(query.eq).toHaveBeenCalledWith('web3auth_user_id', 'web3-123');
+      expect(query.eq).toHaveBeenCalledWith('event', 'payment.confirmed');
+      expect(query.eq).toHaveBeenCalledWith('status', DELIVERY_STATUS.DEAD_LETTER);
+      expect(query.range).toHaveBeenCalledWith(20, 29);
+      expect(deliveries[0].attempts.map(attempt => attempt.attempt_number)).toEqual([1, 2]);
+      expect(total).toBe(1);
+    });
+  });
+
+  describe('redeliver', () => {
+    const deadLettered = pendingDelivery({
+      status: DELIVERY_STATUS.DEAD_LETTER,
+      attempt_count: MAX_ATTEMPTS,
+      event_id: 'evt_original'
+    });
+
+    it('should queue a new delivery of the same payload and attempt it', async () => {
+      const lookup = mockQuery({ data: deadLettered, error: null });
+      const inserts = mockQuery({ data: [pendingDelivery({ id: 'delivery-2' })], error: null });
+      database.getClient.mockReturnValue({ from: jest.fn().mockReturnValueOnce(lookup).mockReturnValueOnce(inserts) });
+      const deliver = jest.spyOn(webhookDeliveryService, 'deliver').mockResolvedValue({ id: 'delivery-2', status: DELIVERY_STATUS.DELIVERED });
+
+      const delivery = await webhookDeliveryService.redeliver('web3-123', 'delivery-1');
+
+      expect(inserts.insert).toHaveBeenCalledWith([expect.objectContaining({
+        webhook_id: 'webhook-1',
+        event: 'payment.confirmed',
+        payload: deadLettered.payload,
+        event_id: 'evt_original',
+        redelivery_of: 'delivery-1'
+      })]);
+      expect(deliver).toHaveBeenCalledWith(expect.objectContaining({ id: 'delivery-2' }));
+      expect(delivery.status).toBe(DELIVERY_STATUS.DELIVERED);
+      deliver.mockRestore();
+    });
+
+    it('should refuse a delivery that is still queued', async () => {
+      database.getClient.mockReturnValue(mockQuery({ data: pendingDelivery(), error: null }));
+
+      await expect(webhookDeliveryService.redeliver('web3-123', 'delivery-1'))
+        .rejects.toMatchObject({ statusCode: 409, isOperational: true });
+    });
+
+    it('should not redeliver another merchant\'s delivery', async () => {
+      const query = mockQuery({ data: null, error: null });
+      database.getClient.mockReturnValue(query);
+
+      await expect(webhookDeliveryService.redeliver('web3-456', 'delivery-1'))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(query.eq).toHaveBeenCalledWith('web3auth_user_id', 'web3-456');
+    });
+  });
+});
@@ -0,0 +1,298 @@
+const webhookService = require('../../src/services/webhookService');
+const database = require('../../src/services/database');
+const webhookDeliveryService = require('../../src/services/webhookDeliveryService');
+const {
+  WEBHOOK_EVENTS,
+  EVENT_CATALOG,
+  LEGACY_API_VERSION,
+  LATEST_API_VERSION,
+  createEvent,
+  formatEventPayload,
+  getEventSchema
+} = require('../../src/utils/webhookEventCatalog');
+const { buildSampleEventData } = require('../../src/utils/webhookSamples');
+const { getPaymentLegs, describeLegs, sumLegsReceived } = require('../../src/utils/paymentStatus');
+const { signWebhookPayload, verifyWebhookSignature } = require('../../src/utils/webhookSignature');
+
+// Mock all dependencies
+jest.mock('../../src/services/database');
+jest.mock('../../src/services/webhookDeliveryService');
+jest.mock('../../src/utils/logger');
+
+describe('Webhook Service', () => {
+  const endpoint = {
+    id: 'webhook-1',
+    web3auth_user_id: 'web3-123',
+    url: 'https://merchant.example.com/hooks',
+    events: ['payment.confirmed'],
+    active: true,
+    secret: 'whsec_test'
+  };
+
+  // Chainable Supabase query builder resolving to `result`
+  const mockQuery = (result) => {
+    const query = {};
+    ['from', 'select', 'insert', 'update', 'delete', 'eq', 'overlaps', 'order'].forEach(method => {
+      query[method] = jest.fn().mockReturnValue(query);
+    });
+    query.single = jest.fn().mockResolvedValue(result);
+    query.maybeSingle = jest.fn().mockResolvedValue(result);
+    query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+    return query;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    webhookDeliveryService.enqueue.mockImplementation(async (webhooks) => webhooks.map(webhook => ({
+      id: `delivery-${webhook.id}`,
+      webhook_id: webhook.id
+    })));
+  });
+
+  describe('createWebhook', () => {
+    it('should generate a signing secret for the endpoint', async () => {
+      const counts = mockQuery({ count: 0, error: null });
+      const inserts = mockQuery({ data: endpoint, error: null });
+      database.getClient.mockReturnValue({ from: jest.fn().mockReturnValueOnce(counts).mockReturnValueOnce(inserts) });
+
+      await webhookService.createWebhook('web3-123', { url: endpoint.url, events: endpoint.events });
+
+      expect(inserts.insert).toHaveBeenCalledWith(expect.objectContaining({
+        web3auth_user_id: 'web3-123',
+        active: true,
+        secret: expect.stringMatching(/^whsec_[0-9a-f]{64}$/)
+      }));
+    });
+
+    it('should refuse endpoints over the per-merchant limit', async () => {
+      database.getClient.mockReturnValue({ from: jest.fn().mockReturnValue(mockQuery({ count: 20, error: null })) });
+
+      await expect(webhookService.createWebhook('web3-123', { url: endpoint.url, events: endpoint.events }))
+        .rejects.toMatchObject({ statusCode: 409, isOperational: true });
+    });
+  });
+
+  describe('updateWebhook', () => {
+    it('should only update the merchant\'s own endpoint', async () => {
+      const query = mockQuery({ data: null, error: null });
+      database.getClient.mockReturnValue(query);
+
+      await expect(webhookService.updateWebhook('web3-456', 'webhook-1', { active: false }))
+        .rejects.toMatchObject({ statusCode: 404 });
+      expect(query.eq).toHaveBeenCalledWith('web3auth_user_id', 'web3-456');
+    });
+
+    it('should clear the failures that disabled the endpoint', async () => {
+      const query = mockQuery({ data: endpoint, error: null });
+      database.getClient.mockReturnValue(query);
+
+      await webhookService.updateWebhook('web3-123', 'webhook-1', { active: true });
+
+      expect(query.update).toHaveBeenCalledWith(expect.objectContaining({
+        active: true,
+        consecutive_failures: 0,
+        disabled_at: null,
+        disabled_reason: null
+      }));
+    });
+  });
+
+  describe('rotateSecret', () => {
+    it('should keep the old secret valid for the overlap period', async () => {
+      const lookup = mockQuery({ data: { id: 'webhook-1', secret: 'whsec_test' }, error: null });
+      const update = mockQuery({ data: endpoint, error: null });
+      database.getClient.mockReturnValue({ from: jest.fn().mockReturnValueOnce(lookup).mockReturnValueOnce(update) });
+
+      await webhookService.rotateSecret('web3-123', 'webhook-1', 3600);
+
+      const fields = update.update.mock.calls[0][0];
+      expect(fields.secret).toMatch(/^whsec_[0-9a-f]{64}$/);
+      expect(fields.secret).not.toBe('whsec_test');
+      expect(fields.previous_secret).toBe('whsec_test');
+      expect(new Date(fields.previous_secret_expires_at).getTime() - Date.now()).toBeGreaterThan(3590 * 1000);
+    });
+
+    it('should revoke the old secret immediately with no overlap', async () => {
+      const lookup = mockQuery({ data: { id: 'webhook-1', secret: 'whsec_test' }, error: null });
+      const update = mockQuery({ data: endpoint, error: null });
+      database.getClient.mockReturnValue({ from: jest.fn().mockReturnValueOnce(lookup).mockReturnValueOnce(update) });
+
+      await webhookService.rotateSecret('web3-123', 'webhook-1', 0);
+
+      expect(update.update).toHaveBeenCalledWith(expect.objectContaining({
+        previous_secret: null,
+        previous_secret_expires_at: null
+      }));
+    });
+
+    it('should not rotate another merchant\'s endpoint', async () => {
+      database.getClient.mockReturnValue({ from: jest.fn().mockReturnValue(mockQuery({ data: null, error: null })) });
+
+      await expect(webhookService.rotateSecret('web3-456', 'webhook-1'))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('verifyWebhookSignature', () => {
+    const body = JSON.stringify({ event: 'payment.confirmed', data: { reference: 'ref-1' } });
+    const now = 1700000000;
+
+    it('should accept a signature made with any of the given secrets', () => {
+      const header = signWebhookPayload(['whsec_new', 'whsec_old'], body, now);
+
+      expect(verifyWebhookSignature(body, header, 'whsec_old', { now })).toBe(true);
+      expect(verifyWebhookSignature(Buffer.from(body), header, ['whsec_other', 'whsec_new'], { now })).toBe(true);
+      expect(verifyWebhookSignature(body, header, 'whsec_other', { now })).toBe(false);
+    });
+
+    it('should reject a tampered body', () => {
+      const header = signWebhookPayload('whsec_test', body, now);
+
+      expect(verifyWebhookSignature(body.replace('ref-1', 'ref-2'), header, 'whsec_test', { now })).toBe(false);
+    });
+
+    it('should reject signatures outside the replay window', () => {
+      const header = signWebhookPayload('whsec_test', body, now - 301);
+
+      expect(verifyWebhookSignature(body, header, 'whsec_test', { now })).toBe(false);
+      expect(verifyWebhookSignature(body, header, 'whsec_test', { now, toleranceSeconds: 600 })).toBe(true);
+    });
+
+    it('should reject malformed headers', () => {
+      expect(verifyWebhookSignature(body, undefined, 'whsec_test', { now })).toBe(false);
+      expect(verifyWebhookSignature(body, `t=${now}`, 'whsec_test', { now })).toBe(false);
+      expect(verifyWebhookSignature(body, `t=${now},v1=zz`, 'whsec_test', { now })).toBe(false);
+    });
+  });
+
+  describe('sendEvent', () => {
+    it('should queue the event for the merchant\'s active subscribed endpoints only', async () => {
+      const query = mockQuery({ data: [endpoint], error: null });
+      database.getClient.mockReturnValue(query);
+
+      const deliveries = await webhookService.sendEvent('web3-123', 'payment.confirmed', { reference: 'ref-1' });
+
+      expect(query.eq).toHaveBeenCalledWith('web3auth_user_id', 'web3-123');
+      expect(query.eq).toHaveBeenCalledWith('active', true);
+      expect(query.overlaps).toHaveBeenCalledWith('events', ['payment.confirmed', '*']);
+      expect(webhookDeliveryService.enqueue).toHaveBeenCalledWith([endpoint], expect.objectContaining({
+        id: expect.stringMatching(/^evt_[0-9a-f]{32}$/),
+        type: 'payment.confirmed',
+        data: { reference: 'ref-1' }
+      }));
+      expect(webhookDeliveryService.deliverInBackground).toHaveBeenCalledWith(deliveries);
+      expect(deliveries).toHaveLength(1);
+    });
+
+    it('should not fail the caller when the event cannot be queued', async () => {
+      database.getClient.mockReturnValue(mockQuery({ data: [endpoint], error: null }));
+      webhookDeliveryService.enqueue.mockRejectedValue(new Error('connection refused'));
+
+      await expect(webhookService.sendEvent('web3-123', 'payment.confirmed', {})).resolves.toEqual([]);
+      expect(webhookDeliveryService.deliverInBackground).not.toHaveBeenCalled();
+    });
+
+    it('should send nothing for an event without a merchant', async () => {
+      await webhookService.sendEvent(undefined, 'payment.confirmed', { reference: 'ref-1' });
+
+      expect(database.getClient).not.toHaveBeenCalled();
+      expect(webhookDeliveryService.enqueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sendTestEvent', () => {
+    it('should send sample data marked as a test to the endpoint', async () => {
+      database.getClient.mockReturnValue(mockQuery({ data: endpoint, error: null }));
+      webhookDeliveryService.deliver.mockResolvedValue({ id: 'delivery-webhook-1', status: 'delivered' });
+
+      const delivery = await webhookService.sendTestEvent('web3-123', 'webhook-1', 'refund.confirmed');
+
+      expect(webhookDeliveryService.enqueue).toHaveBeenCalledWith(
+        [endpoint],
+        expect.objectContaining({
+          type: 'refund.confirmed',
+          test: true,
+          data: expect.objectContaining({ refund_id: expect.any(String), status: 'confirmed' })
+        }),
+        { isTest: true }
+      );
+      expect(delivery.status).toBe('delivered');
+    });
+
+    it('should refuse a disabled endpoint', async () => {
+      database.getClient.mockReturnValue(mockQuery({ data: { ...endpoint, active: false }, error: null }));
+
+      await expect(webhookService.sendTestEvent('web3-123', 'webhook-1', 'payment.confirmed'))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(webhookDeliveryService.enqueue).not.toHaveBeenCalled();
+    });
+
+  });
+
+  describe('event catalog', () => {
+    const event = createEvent('payment.confirmed', {
+      reference: 'ref-1',
+      amount: '25',
+      timestamp: '2026-10-01T12:00:00.000Z'
+    });
+
+    it('should have sample data with every required field for every event', () => {
+      WEBHOOK_EVENTS.forEach(type => {
+        const data = createEvent(type, buildSampleEventData(type)).data;
+
+        EVENT_CATALOG[type].schema.required.forEach(field => {
+          expect({ type, field, present: data[field] !== undefined }).toEqual({ type, field, present: true });
+        });
+      });
+    });
+
+    it('should format the event envelope for the latest API version', () => {
+      expect(formatEventPayload(event, LATEST_API_VERSION)).toEqual({
+        id: event.id,
+        type: 'payment.confirmed',
+        api_version: LATEST_API_VERSION,
+        created: '2026-10-01T12:00:00.000Z',
+        data: { reference: 'ref-1', amount: '25' }
+      });
+    });
+
+    it('should keep the original body for endpoints pinned to the legacy version', () => {
+      expect(formatEventPayload(event, LEGACY_API_VERSION)).toEqual({
+        event: 'payment.confirmed',
+        data: { reference: 'ref-1', amount: '25', timestamp: '2026-10-01T12:00:00.000Z' },
+        timestamp: '2026-10-01T12:00:00.000Z'
+      });
+    });
+
+    it('should describe the envelope in each event\'s schema', () => {
+      const schema = getEventSchema('subscription.cancelled');
+
+      expect(schema.required).toEqual(['id', 'type', 'api_version', 'created', 'data']);
+      expect(schema.properties.type).toEqual({ const: 'subscription.cancelled' });
+      expect(schema.properties.data.required).toEqual(expect.arrayContaining(['subscription_id', 'plan_id', 'status']));
+    });
+
+    it('should accept the recipients of a split payment', () => {
+      const legs = getPaymentLegs({
+        amount: '10',
+        merchant_amount: '9.7',
+        fee_amount: '0.3',
+        fee_recipient_address: 'treasury-wallet',
+        recipient_address: 'merchant-wallet',
+        splits: [
+          { address: 'seller-wallet', amount: '5', label: 'Seller' },
+          { address: 'affiliate-wallet', amount: '1' }
+        ]
+      });
+      const recipients = describeLegs(legs, sumLegsReceived([]));
+      const itemSchema = getEventSchema('payment.confirmed').properties.data.properties.recipients.items;
+
+      expect(recipients.map(recipient => recipient.role)).toEqual(['merchant', 'split_0', 'split_1', 'platform_fee']);
+      recipients.forEach(recipient => {
+        itemSchema.required.forEach(field => expect(recipient[field]).toBeDefined());
+        expect(recipient.role).toMatch(new RegExp(itemSchema.properties.role.pattern));
+      });
+      expect('split').not.toMatch(new RegExp(itemSchema.properties.role.pattern));
+    });
+  });
+});
@@ -36,8 +36,14 @@ CREATE TABLE IF NOT EXISTS webhooks (
     web3auth_user_id TEXT NOT NULL,
     url VARCHAR(500) NOT NULL,
     events TEXT[] NOT NULL,
-    secret VARCHAR(255),
+    secret VARCHAR(255) NOT NULL,
+    previous_secret VARCHAR(255),
+    previous_secret_expires_at TIMESTAMP WITH TIME ZONE,
     active BOOLEAN DEFAULT true,
+    api_version VARCHAR(20) NOT NULL DEFAULT '2026-10-01',
+    consecutive_failures INTEGER NOT NULL DEFAULT 0,
+    disabled_at TIMESTAMP WITH TIME ZONE,
+    disabled_reason TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -2,6 +2,29 @@ const database = require('../services/database');
 const { asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 const userService = require('../services/userService');
+const tokenRegistry = require('../services/tokenRegistry');
+const BigNumber = require('bignumber.js');
+
+/**
+ * Total confirmed payments per currency so SOL and token amounts are never added together
+ */
+const summarizeRevenueByCurrency = (payments) => {
+  const totals = {};
+  payments?.filter(p => p.status === 'confirmed').forEach(payment => {
+    const currency = payment.currency || 'SOL';
+    const current = totals[currency] || { amount: new BigNumber(0), payments: 0 };
+    totals[currency] = {
+      amount: current.amount.plus(payment.amount || 0),
+      payments: current.payments + 1
+    };
+  });
+
+  return Object.fromEntries(Object.entries(totals).map(([currency, total]) => [currency, {
+    amount: total.amount.toString(),
+    displayAmount: tokenRegistry.formatAmount(total.amount, currency),
+    payments: total.payments
+  }]));
+};
 
 /**
  * Get basic payment metrics with user tracking
@@ -46,6 +69,7 @@ const getMetrics = asyncHandler(async (req, res) => {
       confirmedPayments,
       pendingPayments,
       totalRevenue,
+      revenueByCurrency: summarizeRevenueByCurrency(userPayments),
       conversionRate,
       recentPayments: totalPayments, // For compatibility
       planUsage: {
@@ -83,17 +107,20 @@ const getPaymentHistory = asyncHandler(async (req, res) => {
   const userId = req.headers['x-user-id'];
   const offset = (page - 1) * limit;
 
-  // If user ID is provided, filter by user, otherwise return all payments
-  let query = database.getClient()
-    .from('payments')
-    .select('*', { count: 'exact' })
-    .order('created_at', { ascending: false });
-
-  if (userId) {
-    query = query.eq('web3auth_user_id', userId);
+  // Never fall back to listing every merchant's payments
+  if (!userId) {
+    return res.status(400).json({
+      success: false,
+      error: 'User ID required'
+    });
   }
 
-  const { data: payments, count } = await query.range(offset, offset + limit - 1);
+  const { data: payments, count } = await database.getClient()
+    .from('payments')
+    .select('*', { count: 'exact' })
+    .eq('web3auth_user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
 
   res.json({
     success: true,
@@ -147,6 +174,7 @@ const getMerchantAnalytics = asyncHandler(async (req, res) => {
         totalPayments,
         confirmedPayments,
         totalRevenue,
+        revenueByCurrency: summarizeRevenueByCurrency(payments),
         conversionRate: totalPayments > 0 ? (confirmedPayments / totalPayments * 100).toFixed(2) : "0.00",
         monthlyRevenue
       }
@@ -186,6 +214,7 @@ const getPaymentAnalytics = asyncHandler(async (req, res) => {
       analytics: {
         reference: payment.reference,
         amount: payment.amount,
+        displayAmount: tokenRegistry.formatAmount(payment.amount, payment.currency),
         currency: payment.currency,
         status: payment.status,
         createdAt: payment.created_at,
@@ -0,0 +1,105 @@
+const customerService = require('../services/customerService');
+const { respondWithError } = require('../utils/errors');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Create a customer
+ */
+const createCustomer = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const customer = await customerService.createCustomer(
+      web3auth_user_id,
+      customerService.buildCustomerFields(req.body)
+    );
+
+    res.status(201).json({ success: true, customer });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to create customer', { web3auth_user_id });
+  }
+});
+
+/**
+ * List or search the merchant's customers
+ * Query parameters are validated by validateCustomerListQuery.
+ */
+const listCustomers = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+  const { search, limit, offset } = req.query;
+
+  try {
+    const { customers, total } = await customerService.listCustomers(web3auth_user_id, { search, limit, offset });
+
+    res.json({
+      success: true,
+      customers,
+      pagination: { limit, offset, total }
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to list customers', { web3auth_user_id });
+  }
+});
+
+/**
+ * Get a customer with their lifetime value and payment count
+ */
+const getCustomer = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const customer = await customerService.getCustomer(web3auth_user_id, id);
+    const stats = await customerService.getStats(customer);
+
+    res.json({ success: true, customer: { ...customer, stats } });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to get customer', { customerId: id });
+  }
+});
+
+/**
+ * Update a customer
+ * `walletAddresses` replaces the customer's wallets, `metadata` replaces their metadata.
+ */
+const updateCustomer = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const customer = await customerService.getCustomer(web3auth_user_id, id);
+    const updated = await customerService.updateCustomer(customer, customerService.buildCustomerFields(req.body));
+
+    res.json({ success: true, customer: updated });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to update customer', { customerId: id });
+  }
+});
+
+/**
+ * Delete a customer; their payments, subscriptions and invoices are kept
+ */
+const deleteCustomer = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const customer = await customerService.getCustomer(web3auth_user_id, id);
+    await customerService.deleteCustomer(customer);
+
+    res.json({
+      success: true,
+      message: 'Customer deleted'
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to delete customer', { customerId: id });
+  }
+});
+
+module.exports = {
+  createCustomer,
+  listCustomers,
+  getCustomer,
+  updateCustomer,
+  deleteCustomer
+};
@@ -0,0 +1,475 @@
+const database = require('../services/database');
+const invoiceService = require('../services/invoiceService');
+const customerService = require('../services/customerService');
+const notificationService = require('../services/notificationService');
+const tokenRegistry = require('../services/tokenRegistry');
+const logger = require('../utils/logger');
+const { respondWithError } = require('../utils/errors');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { sendWebhook } = require('./webhooks');
+const { createPaymentRequest, notifyPaymentCancelled } = require('./payments');
+const { PAYMENT_STATUS, SETTLED_STATUSES } = require('../utils/paymentStatus');
+const { INVOICE_STATUS } = invoiceService;
+
+// Invoice payments stay open for the longest payment lifetime; sending an invoice reissues an expired one
+const INVOICE_PAYMENT_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const getBaseUrl = req => `${req.protocol}://${req.get('host')}`;
+
+/**
+ * Add the payment link and whether the invoice is past its due date
+ */
+const describeInvoice = (invoice, baseUrl, now = Date.now()) => ({
+  ...invoice,
+  payment_url: invoice.payment_reference ? `${baseUrl}/payment/${invoice.payment_reference}` : null,
+  overdue: invoice.status === INVOICE_STATUS.OPEN
+    && Boolean(invoice.due_date)
+    && new Date(`${invoice.due_date}T23:59:59.999Z`).getTime() < now
+});
+
+/**
+ * Link invoice columns to the customer they bill: the `customerId` given, or the
+ * customer with the bill-to email. A customer's email and name fill in missing
+ * bill-to details.
+ */
+const linkInvoiceCustomer = async (web3AuthUserId, input, fields) => {
+  if (input.customerId) {
+    const customer = await customerService.getCustomer(web3AuthUserId, input.customerId);
+    return {
+      ...fields,
+      customer_id: customer.id,
+      bill_to: {
+        ...(customer.name ? { name: customer.name } : {}),
+        ...(customer.email ? { email: customer.email } : {}),
+        ...fields.bill_to
+      }
+    };
+  }
+
+  if (!fields.bill_to?.email) {
+    return { ...fields, customer_id: null };
+  }
+
+  try {
+    const customer = await customerService.resolveCustomer(web3AuthUserId, {
+      email: fields.bill_to.email,
+      name: fields.bill_to.name
+    });
+    return { ...fields, customer_id: customer.id };
+  } catch (error) {
+    logger.warn('Failed to link invoice to customer:', { web3AuthUserId, error: error.message });
+    return fields;
+  }
+};
+
+/**
+ * Create the payment an open invoice is settled through, for the invoice total
+ * Fiat invoices are quoted into their payment token like any fiat-priced payment.
+ */
+const issueInvoicePayment = async (invoice, baseUrl) => {
+  const token = tokenRegistry.getBySymbol(invoice.payment_token);
+  const pricing = invoiceService.isFiatPriced(invoice)
+    ? { priceAmount: invoice.total, priceCurrency: invoice.currency }
+    : { amount: invoice.total };
+
+  const created = await createPaymentRequest({
+    ...pricing,
+    web3AuthUserId: invoice.web3auth_user_id,
+    label: `Invoice ${invoice.invoice_number}`,
+    message: `Payment for invoice ${invoice.invoice_number}`,
+    memo: invoice.invoice_number,
+    customerEmail: invoice.bill_to?.email,
+    customerId: invoice.customer_id || undefined,
+    chain: 'solana',
+    splToken: token?.mint || undefined,
+    ttlSeconds: INVOICE_PAYMENT_TTL_SECONDS
+  }, { baseUrl, notifyCustomer: false });
+
+  return created.reference;
+};
+
+/**
+ * Mark an open invoice paid when its payment settled but the monitor has not caught up
+ */
+const syncInvoicePayment = async (invoice) => {
+  if (invoice.status !== INVOICE_STATUS.OPEN || !invoice.payment_reference) {
+    return { invoice, payment: null };
+  }
+
+  const payment = await database.getPayment(invoice.payment_reference);
+  if (payment && SETTLED_STATUSES.includes(payment.status)) {
+    const paidInvoice = await invoiceService.markPaidForPayment(payment);
+    return { invoice: paidInvoice || invoice, payment };
+  }
+
+  return { invoice, payment };
+};
+
+/**
+ * Create a draft invoice
+ */
+const createInvoice = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const fields = await linkInvoiceCustomer(web3auth_user_id, req.body, invoiceService.buildInvoiceFields(req.body));
+    invoiceService.assertPayable(fields, await database.getUserById(web3auth_user_id));
+
+    const invoice = await invoiceService.createDraft(web3auth_user_id, fields);
+
+    res.status(201).json({
+      success: true,
+      invoice: describeInvoice(invoice, getBaseUrl(req))
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to create invoice', { web3auth_user_id });
+  }
+});
+
+/**
+ * List the merchant's invoices
+ */
+const listInvoices = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+  const { status, customerId, limit, offset } = req.query;
+
+  try {
+    const { invoices, total } = await invoiceService.listInvoices(web3auth_user_id, { status, customerId, limit, offset });
+    const baseUrl = getBaseUrl(req);
+
+    res.json({
+      success: true,
+      invoices: invoices.map(invoice => describeInvoice(invoice, baseUrl)),
+      pagination: { limit, offset, total }
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to list invoices', { web3auth_user_id });
+  }
+});
+
+/**
+ * Get an invoice with its payment status
+ */
+const getInvoice = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const stored = await invoiceService.getInvoice(web3auth_user_id, id);
+    const { invoice, payment } = await syncInvoicePayment(stored);
+
+    res.json({
+      success: true,
+      invoice: {
+        ...describeInvoice(invoice, getBaseUrl(req)),
+        payment_status: payment ? payment.status : null
+      }
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to get invoice', { invoiceId: id });
+  }
+});
+
+/**
+ * Replace a draft invoice's contents
+ */
+const updateInvoice = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const invoice = await invoiceService.getInvoice(web3auth_user_id, id);
+    if (invoice.status !== INVOICE_STATUS.DRAFT) {
+      return res.status(409).json({
+        success: false,
+        error: `Only draft invoices can be edited, invoice is ${invoice.status}`
+      });
+    }
+
+    const fields = await linkInvoiceCustomer(web3auth_user_id, req.body, invoiceService.buildInvoiceFields(req.body));
+    invoiceService.assertPayable(fields, await database.getUserById(web3auth_user_id));
+
+    const updated = await invoiceService.transition(invoice, INVOICE_STATUS.DRAFT, fields);
+
+    res.json({
+      success: true,
+      invoice: describeInvoice(updated, getBaseUrl(req))
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to update invoice', { invoiceId: id });
+  }
+});
+
+/**
+ * Delete a draft invoice
+ */
+const deleteInvoice = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const invoice = await invoiceService.getInvoice(web3auth_user_id, id);
+    if (invoice.status !== INVOICE_STATUS.DRAFT) {
+      return res.status(409).json({
+        success: false,
+        error: `Only draft invoices can be deleted, void the invoice instead (invoice is ${invoice.status})`
+      });
+    }
+
+    await invoiceService.deleteDraft(invoice);
+
+    res.json({
+      success: true,
+      message: 'Invoice deleted'
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to delete invoice', { invoiceId: id });
+  }
+});
+
+/**
+ * Finalize a draft invoice
+ * The invoice takes the next number in the merchant's sequence and a payment is
+ * created for its total; the payment monitor settles the invoice like any payment.
+ */
+const finalizeInvoice = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { web3auth_user_id } = req.user;
+
+  let paymentReference = null;
+  try {
+    const invoice = await invoiceService.getInvoice(web3auth_user_id, id);
+    if (invoice.status !== INVOICE_STATUS.DRAFT) {
+      return res.status(409).json({
+        success: false,
+        error: `Only draft invoices can be finalized, invoice is ${invoice.status}`
+      });
+    }
+    if (!(Number(invoice.total) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invoice total must be greater than zero'
+      });
+    }
+
+    // A number is only taken once the invoice is known to be payable, so the sequence
+    // only skips numbers when creating the payment fails
+    invoiceService.assertPayable(invoice, await database.getUserById(web3auth_user_id));
+    const invoiceNumber = await invoiceService.allocateNumber(web3auth_user_id);
+
+    paymentReference = await issueInvoicePayment(
+      { ...invoice, invoice_number: invoiceNumber },
+      getBaseUrl(req)
+    );
+
+    const finalized = await invoiceService.transition(invoice, INVOICE_STATUS.DRAFT, {
+      status: INVOICE_STATUS.OPEN,
+      invoice_number: invoiceNumber,
+      payment_reference: paymentReference,
+      finalized_at: new Date().toISOString()
+    });
+
+    logger.info('Invoice finalized:', {
+      invoiceId: id,
+      invoiceNumber,
+      reference: paymentReference,
+      total: finalized.total,
+      currency: finalized.currency
+    });
+
+    try {
+      await sendWebhook(web3auth_user_id, 'invoice.finalized', {
+        invoice_id: id,
+        invoice_number: invoiceNumber,
+        reference: paymentReference,
+        total: finalized.total,
+        currency: finalized.currency,
+        due_date: finalized.due_date,
+        timestamp: new Date().toISOString()
+      });
+    } catch (webhookError) {
+      logger.warn('Failed to send invoice finalized webhook notification:', {
+        invoiceId: id,
+        error: webhookError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      invoice: describeInvoice(finalized, getBaseUrl(req))
+    });
+  } catch (error) {
+    // Retire the payment of a finalization that lost a race with another request
+    if (paymentReference) {
+      await database.cancelPayment(paymentReference, 'Invoice finalization failed').catch(cancelError => {
+        logger.warn('Failed to cancel payment of unfinalized invoice:', {
+          invoiceId: id,
+          reference: paymentReference,
+          error: cancelError.message
+        });
+      });
+    }
+    return respondWithError(res, error, 'Failed to finalize invoice', { invoiceId: id });
+  }
+});
+
+/**
+ * Email an open invoice to its bill-to address
+ * An expired payment is replaced so the emailed link can still be paid.
+ */
+const sendInvoice = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { web3auth_user_id } = req.user;
+  const baseUrl = getBaseUrl(req);
+
+  try {
+    const stored = await invoiceService.getInvoice(web3auth_user_id, id);
+    let { invoice, payment } = await syncInvoicePayment(stored);
+
+    if (invoice.status !== INVOICE_STATUS.OPEN) {
+      return res.status(409).json({
+        success: false,
+        error: `Only open invoices can be sent, invoice is ${invoice.status}`
+      });
+    }
+    if (!invoice.bill_to?.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invoice has no bill-to email address'
+      });
+    }
+
+    if (!payment || payment.status === PAYMENT_STATUS.EXPIRED) {
+      const reference = await issueInvoicePayment(invoice, baseUrl);
+      invoice = await invoiceService.transition(invoice, INVOICE_STATUS.OPEN, { payment_reference: reference });
+      logger.info('Invoice payment reissued:', {
+        invoiceId: id,
+        previousReference: payment ? payment.reference : null,
+        reference
+      });
+    }
+
+    await notificationService.sendItemizedInvoice(invoice, `${baseUrl}/payment/${invoice.payment_reference}`);
+    const sent = await invoiceService.transition(invoice, INVOICE_STATUS.OPEN, {
+      sent_at: new Date().toISOString()
+    });
+
+    logger.info('Invoice sent:', { invoiceId: id, invoiceNumber: sent.invoice_number, email: sent.bill_to.email });
+
+    res.json({
+      success: true,
+      invoice: describeInvoice(sent, baseUrl)
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to send invoice', { invoiceId: id });
+  }
+});
+
+/**
+ * Void an open invoice and cancel its payment
+ * Invoices whose payment already received funds must be refunded instead.
+ */
+const voidInvoice = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const stored = await invoiceService.getInvoice(web3auth_user_id, id);
+    const { invoice, payment } = await syncInvoicePayment(stored);
+
+    if (invoice.status !== INVOICE_STATUS.OPEN) {
+      return res.status(409).json({
+        success: false,
+        error: `Only open invoices can be voided, invoice is ${invoice.status}`
+      });
+    }
+
+    if (payment && payment.status === PAYMENT_STATUS.PENDING) {
+      const cancelledPayment = await database.cancelPayment(payment.reference, 'Invoice voided');
+      if (cancelledPayment) {
+        await notifyPaymentCancelled(payment.reference, cancelledPayment);
+      } else {
+        // Funds arrived between the read and the cancellation
+        return res.status(409).json({
+          success: false,
+          error: 'Invoice payment has already received funds, refund it instead'
+        });
+      }
+    } else if (payment && ![PAYMENT_STATUS.EXPIRED, PAYMENT_STATUS.CANCELLED].includes(payment.status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Invoice payment has already received funds, refund it instead'
+      });
+    }
+
+    const voided = await invoiceService.transition(invoice, INVOICE_STATUS.OPEN, {
+      status: INVOICE_STATUS.VOID,
+      voided_at: new Date().toISOString()
+    });
+
+    logger.info('Invoice voided:', { invoiceId: id, invoiceNumber: voided.invoice_number });
+
+    try {
+      await sendWebhook(web3auth_user_id, 'invoice.voided', {
+        invoice_id: id,
+        invoice_number: voided.invoice_number,
+        reference: voided.payment_reference,
+        timestamp: new Date().toISOString()
+      });
+    } catch (webhookError) {
+      logger.warn('Failed to send invoice voided webhook notification:', {
+        invoiceId: id,
+        error: webhookError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      invoice: describeInvoice(voided, getBaseUrl(req))
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to void invoice', { invoiceId: id });
+  }
+});
+
+/**
+ * Get the merchant's invoice numbering settings
+ */
+const getInvoiceSettings = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const settings = await invoiceService.getSettings(web3auth_user_id);
+    res.json({ success: true, settings });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to get invoice settings', { web3auth_user_id });
+  }
+});
+
+/**
+ * Update the merchant's invoice prefix and next number
+ */
+const updateInvoiceSettings = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const settings = await invoiceService.updateSettings(web3auth_user_id, req.body);
+    logger.info('Invoice settings updated:', { web3auth_user_id, ...settings });
+    res.json({ success: true, settings });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to update invoice settings', { web3auth_user_id });
+  }
+});
+
+module.exports = {
+  createInvoice,
+  listInvoices,
+  getInvoice,
+  updateInvoice,
+  deleteInvoice,
+  finalizeInvoice,
+  sendInvoice,
+  voidInvoice,
+  getInvoiceSettings,
+  updateInvoiceSettings
+};
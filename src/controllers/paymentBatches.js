@@ -0,0 +1,124 @@
+const paymentBatchService = require('../services/paymentBatchService');
+const userService = require('../services/userService');
+const logger = require('../utils/logger');
+const { respondWithError } = require('../utils/errors');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { scheduleBatch } = require('../jobs/paymentBatchProcessor');
+
+/**
+ * Shape a batch for API responses
+ */
+const formatBatch = (batch, baseUrl) => ({
+  id: batch.id,
+  status: batch.status,
+  totalRows: batch.total_rows,
+  createdCount: batch.created_count,
+  failedCount: batch.failed_count,
+  sendEmails: batch.send_emails,
+  createdAt: batch.created_at,
+  startedAt: batch.started_at,
+  completedAt: batch.completed_at,
+  statusUrl: `${baseUrl}/api/payments/batch/${batch.id}`,
+  resultsUrl: `${baseUrl}/api/payments/batch/${batch.id}/results.csv`
+});
+
+/**
+ * Queue a batch of payment requests for background creation
+ * Rows are validated by validatePaymentBatch. A batch larger than the merchant's
+ * remaining monthly payments is refused up front; each row is checked against the
+ * plan again when its payment is created.
+ */
+const createPaymentBatch = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+  const { payments, sendEmails } = req.body;
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+  try {
+    const userStats = await userService.getUserStats(web3auth_user_id);
+
+    if (payments.length > userStats.remainingPayments) {
+      logger.warn('Payment batch refused: Monthly limit exceeded', {
+        web3auth_user_id,
+        plan: userStats.plan,
+        rows: payments.length,
+        remaining: userStats.remainingPayments
+      });
+
+      return res.status(403).json({
+        success: false,
+        error: `Batch of ${payments.length} payments exceeds the ${userStats.remainingPayments} remaining this month. Upgrade your plan for more payments.`,
+        details: {
+          currentPlan: userStats.plan,
+          monthlyUsage: userStats.monthlyPayments,
+          monthlyLimit: userStats.monthlyLimit,
+          remaining: userStats.remainingPayments
+        }
+      });
+    }
+
+    const batch = await paymentBatchService.createBatch(web3auth_user_id, payments, { sendEmails, baseUrl });
+    scheduleBatch(batch.id);
+
+    res.status(202).json({
+      success: true,
+      batch: formatBatch(batch, baseUrl)
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to create payment batch', { web3auth_user_id });
+  }
+});
+
+/**
+ * Get a batch's progress and per-row results
+ */
+const getPaymentBatch = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+  const { batchId } = req.params;
+
+  try {
+    const batch = await paymentBatchService.getBatch(web3auth_user_id, batchId);
+    const items = await paymentBatchService.listItems(batch.id);
+
+    res.json({
+      success: true,
+      batch: formatBatch(batch, `${req.protocol}://${req.get('host')}`),
+      rows: items.map(item => ({
+        row: item.row_number,
+        status: item.status,
+        reference: item.payment_reference,
+        paymentUrl: item.payment_url,
+        error: item.error,
+        input: item.input
+      }))
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to get payment batch', { web3auth_user_id, batchId });
+  }
+});
+
+/**
+ * Download a batch's per-row results as CSV
+ */
+const getPaymentBatchResults = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+  const { batchId } = req.params;
+
+  try {
+    const batch = await paymentBatchService.getBatch(web3auth_user_id, batchId);
+    const items = await paymentBatchService.listItems(batch.id);
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="payment-batch-${batch.id}.csv"`
+    });
+    res.send(paymentBatchService.buildResultsCsv(items));
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to get payment batch results', { web3auth_user_id, batchId });
+  }
+});
+
+module.exports = {
+  createPaymentBatch,
+  getPaymentBatch,
+  getPaymentBatchResults
+};
@@ -0,0 +1,344 @@
+const path = require('path');
+const { encodeURL } = require('@solana/pay');
+const database = require('../services/database');
+const paymentLinkService = require('../services/paymentLinkService');
+const tokenRegistry = require('../services/tokenRegistry');
+const logger = require('../utils/logger');
+const { respondWithError } = require('../utils/errors');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { createPaymentRequest, createTransaction } = require('./payments');
+
+const PAY_LINK_PAGE = path.join(__dirname, '../../public/pay-link.html');
+
+const getBaseUrl = req => `${req.protocol}://${req.get('host')}`;
+
+/**
+ * Add the shareable URLs of a link
+ */
+const describeLink = (link, baseUrl) => ({
+  ...link,
+  url: `${baseUrl}/pay/${link.slug}`,
+  transaction_request_url: encodeURL({
+    link: new URL(`${baseUrl}/api/transaction-requests/links/${link.slug}`)
+  }).toString()
+});
+
+/**
+ * Mint a fresh payment from a link
+ *
+ * @returns {Promise<Object>} Created payment from createPaymentRequest
+ */
+const mintLinkPayment = async (link, requestedAmount, baseUrl) => {
+  await paymentLinkService.assertUsable(link);
+  const amount = paymentLinkService.resolveAmount(link, requestedAmount);
+  const token = tokenRegistry.getBySymbol(link.currency);
+
+  const created = await createPaymentRequest({
+    amount: amount.toString(),
+    web3AuthUserId: link.web3auth_user_id,
+    label: link.label,
+    message: link.message || link.label,
+    memo: link.memo || undefined,
+    chain: 'solana',
+    splToken: token?.mint || undefined,
+    paymentLinkId: link.id
+  }, { baseUrl, notifyCustomer: false });
+
+  logger.info('Payment minted from link:', {
+    linkId: link.id,
+    slug: link.slug,
+    reference: created.reference,
+    amount: amount.toString(),
+    currency: link.currency
+  });
+
+  return created;
+};
+
+/**
+ * Create a payment link
+ */
+const createPaymentLink = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const fields = paymentLinkService.buildLinkFields(req.body);
+    paymentLinkService.assertPayable(fields, await database.getUserById(web3auth_user_id));
+
+    const link = await paymentLinkService.createLink(web3auth_user_id, fields);
+
+    res.status(201).json({
+      success: true,
+      link: describeLink(link, getBaseUrl(req))
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to create payment link', { web3auth_user_id });
+  }
+});
+
+/**
+ * List the merchant's payment links
+ */
+const listPaymentLinks = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const links = await paymentLinkService.listLinks(web3auth_user_id);
+    const baseUrl = getBaseUrl(req);
+
+    res.json({
+      success: true,
+      links: links.map(link => describeLink(link, baseUrl))
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to list payment links', { web3auth_user_id });
+  }
+});
+
+/**
+ * Get one of the merchant's payment links
+ */
+const getPaymentLink = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const link = await paymentLinkService.getLink(web3auth_user_id, id);
+    res.json({
+      success: true,
+      link: describeLink(link, getBaseUrl(req))
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to get payment link', { linkId: id });
+  }
+});
+
+/**
+ * Update a payment link
+ * Changes apply to payments minted afterwards; existing payments keep their amount.
+ */
+const updatePaymentLink = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const link = await paymentLinkService.getLink(web3auth_user_id, id);
+    const fields = paymentLinkService.buildLinkFields(req.body);
+    paymentLinkService.assertPayable({ ...link, ...fields }, await database.getUserById(web3auth_user_id));
+
+    const updated = await paymentLinkService.updateLink(link, fields);
+
+    res.json({
+      success: true,
+      link: describeLink(updated, getBaseUrl(req))
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to update payment link', { linkId: id });
+  }
+});
+
+/**
+ * Delete a payment link
+ */
+const deletePaymentLink = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const link = await paymentLinkService.getLink(web3auth_user_id, id);
+    await paymentLinkService.deleteLink(link);
+
+    res.json({
+      success: true,
+      message: 'Payment link deleted'
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to delete payment link', { linkId: id });
+  }
+});
+
+/**
+ * Get a link's visits, scans and conversions
+ */
+const getPaymentLinkStats = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const link = await paymentLinkService.getLink(web3auth_user_id, id);
+    const stats = await paymentLinkService.getStats(link);
+
+    res.json({
+      success: true,
+      stats: { linkId: link.id, slug: link.slug, ...stats }
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to get payment link stats', { linkId: id });
+  }
+});
+
+/**
+ * Get what a customer needs to pay a link, for the `/pay/:slug` page
+ */
+const getPublicPaymentLink = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+
+  try {
+    const link = await paymentLinkService.getLinkBySlug(slug);
+
+    let unavailableReason = null;
+    try {
+      await paymentLinkService.assertUsable(link);
+    } catch (error) {
+      if (!error.isOperational) {
+        throw error;
+      }
+      unavailableReason = error.message;
+    }
+
+    res.json({
+      success: true,
+      link: {
+        slug: link.slug,
+        label: link.label,
+        message: link.message,
+        currency: link.currency,
+        amount: link.amount,
+        minAmount: link.min_amount,
+        maxAmount: link.max_amount,
+        available: !unavailableReason,
+        unavailableReason
+      }
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to get payment link', { slug });
+  }
+});
+
+/**
+ * Mint a payment for a customer paying a link from the `/pay/:slug` page
+ */
+const createPublicLinkPayment = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+
+  try {
+    const link = await paymentLinkService.getLinkBySlug(slug);
+    const created = await mintLinkPayment(link, req.body.amount, getBaseUrl(req));
+
+    res.status(201).json({
+      success: true,
+      reference: created.reference,
+      paymentUrl: created.paymentUrl
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to create payment from link', { slug });
+  }
+});
+
+/**
+ * Open a payment link
+ * Shows the payment link page, which asks the API for the link and creates the
+ * payment only when the customer pays. Opening the link never creates a payment,
+ * so link previews and crawlers do not use up the merchant's plan.
+ */
+const openPaymentLink = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+
+  let link;
+  try {
+    link = await paymentLinkService.getLinkBySlug(slug);
+  } catch (error) {
+    if (!error.isOperational) {
+      throw error;
+    }
+    return res.status(error.statusCode).sendFile(PAY_LINK_PAGE);
+  }
+
+  await paymentLinkService.recordVisit(link, req);
+
+  try {
+    await paymentLinkService.assertUsable(link);
+  } catch (error) {
+    if (!error.isOperational) {
+      throw error;
+    }
+    // The page asks the API why the link cannot be paid
+    return res.status(error.statusCode).sendFile(PAY_LINK_PAGE);
+  }
+
+  res.sendFile(PAY_LINK_PAGE);
+});
+
+/**
+ * Handle a wallet's GET on a link's transaction request
+ */
+const getLinkTransactionRequest = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+
+  let link;
+  try {
+    link = await paymentLinkService.getLinkBySlug(slug);
+    await paymentLinkService.assertUsable(link);
+  } catch (error) {
+    if (!error.isOperational) {
+      throw error;
+    }
+    return res.status(error.statusCode).json({
+      error: 'Transaction request unavailable',
+      message: error.message
+    });
+  }
+
+  await paymentLinkService.recordScan(link, req);
+
+  res.json({
+    label: link.label,
+    icon: process.env.MERCHANT_ICON || 'https://raw.githubusercontent.com/vybzcody/paymebro/main/public/afripay.png'
+  });
+});
+
+/**
+ * Handle a wallet's POST on a link's transaction request
+ * A fresh payment is minted and the transaction is built for its reference.
+ * Links with a customer-chosen amount need `?amount=` in the transaction request URL.
+ */
+const createLinkTransaction = asyncHandler(async (req, res, next) => {
+  const { slug } = req.params;
+
+  if (!req.body.account) {
+    return res.status(400).json({
+      error: 'Missing account field'
+    });
+  }
+
+  let created;
+  try {
+    const link = await paymentLinkService.getLinkBySlug(slug);
+    created = await mintLinkPayment(link, req.query.amount, getBaseUrl(req));
+  } catch (error) {
+    if (!error.isOperational) {
+      throw error;
+    }
+    return res.status(error.statusCode).json({
+      error: 'Transaction request unavailable',
+      message: error.message
+    });
+  }
+
+  req.params.reference = created.reference;
+  return createTransaction(req, res, next);
+});
+
+module.exports = {
+  createPaymentLink,
+  listPaymentLinks,
+  getPaymentLink,
+  updatePaymentLink,
+  deletePaymentLink,
+  getPaymentLinkStats,
+  getPublicPaymentLink,
+  createPublicLinkPayment,
+  openPaymentLink,
+  getLinkTransactionRequest,
+  createLinkTransaction
+};
@@ -1,31 +1,478 @@
-const { encodeURL, findReference, validateTransfer } = require('@solana/pay');
-const { establishConnection } = require('../services/solana');
+const { encodeURL } = require('@solana/pay');
 const BigNumber = require('bignumber.js');
 const { PublicKey } = require('@solana/web3.js');
 const crypto = require('crypto');
 const notificationService = require('../services/notificationService');
 const database = require('../services/database');
 const logger = require('../utils/logger');
+const { createOperationalError } = require('../utils/errors');
 const { asyncHandler } = require('../middleware/errorHandler');
-const QRCode = require('qrcode');
+const { toQRCodeDataUri } = require('../utils/qrCode');
 const { notifyPaymentUpdate } = require('../services/websocket');
+const { sendWebhook } = require('./webhooks');
 const addressService = require('../services/addressService');
 const userService = require('../services/userService');
+const exchangeRateService = require('../services/exchangeRateService');
+const tokenRegistry = require('../services/tokenRegistry');
+const feeService = require('../services/feeService');
+const pdfService = require('../services/pdfService');
+const customerService = require('../services/customerService');
+const transactionSimulationService = require('../services/transactionSimulationService');
+const priorityFeeService = require('../services/priorityFeeService');
+const paymentMonitor = require('../services/paymentMonitor');
+const {
+  PAYMENT_STATUS,
+  SETTLED_STATUSES,
+  DEFAULT_AMOUNT_TOLERANCE_BPS,
+  resolveExpiresAt,
+  isPaymentExpired,
+  isPaymentPayable,
+  getPaymentLegs,
+  describeLegs,
+  getExpectedAmount,
+  sumLegsReceived,
+  getAmountDue,
+  getLegsDue
+} = require('../utils/paymentStatus');
+const {
+  AMOUNT_MODE,
+  acceptsCustomerAmount,
+  isAwaitingAmount,
+  resolveCommittedAmount
+} = require('../utils/amountMode');
+
+const isSet = value => value !== undefined && value !== null;
 
 /**
- * Create a new payment request with deterministic reference
+ * Reply to a wallet that opened an expired transaction request.
+ * Solana Pay wallets display the `message` field of an error response.
  */
-const createPayment = asyncHandler(async (req, res) => {
-  const { amount, label, message, memo, customerEmail, web3AuthUserId, chain, splToken, merchantWallet } = req.body;
+const rejectExpiredTransactionRequest = (res, reference) => {
+  logger.info('Transaction request refused for expired payment:', { reference });
+  return res.status(410).json({
+    error: 'Transaction request expired',
+    message: 'This payment request has expired. Please ask the merchant for a new one.'
+  });
+};
+
+/**
+ * Reply to a wallet that opened a payment the merchant cancelled
+ */
+const rejectCancelledTransactionRequest = (res, reference) => {
+  logger.info('Transaction request refused for cancelled payment:', { reference });
+  return res.status(410).json({
+    error: 'Transaction request cancelled',
+    message: 'This payment request was cancelled by the merchant.'
+  });
+};
+
+/**
+ * Resolve the token a payment is made in and check the merchant accepts it
+ * Returns `{ token }` or `{ error }` with a message for the client.
+ */
+const resolvePaymentToken = (splToken, user) => {
+  const network = tokenRegistry.getNetwork();
+  let token;
+
+  if (splToken) {
+    token = tokenRegistry.getByMint(splToken);
+    if (!token) {
+      return { error: `Unsupported SPL token mint: ${splToken}` };
+    }
+    if (token.network !== network) {
+      return { error: `${token.symbol} mint ${splToken} belongs to ${token.network}, payments are created on ${network}` };
+    }
+  } else {
+    token = tokenRegistry.getBySymbol('SOL', network);
+  }
+
+  if (!tokenRegistry.getAcceptedTokens(user).includes(token.symbol)) {
+    return { error: `Merchant does not accept ${token.symbol} payments` };
+  }
+
+  return { token };
+};
+
+/**
+ * Work out what each split recipient is paid and check the splits fit in the merchant amount
+ * Basis points are taken of the payment amount, rounded down to the token's decimals.
+ * Open payments created without an amount (`amount` null) keep basis point splits
+ * unresolved until the customer commits one.
+ * Returns `{ splits }` (null when there are none) or `{ error }` with a message for the client.
+ */
+const resolveSplits = (splits, { amount, merchantAmount, currency, excludedAddresses = [] }) => {
+  if (!Array.isArray(splits) || splits.length === 0) {
+    return { splits: null };
+  }
+
+  const decimals = tokenRegistry.getDecimals(currency);
+  const resolved = [];
+  let splitTotal = new BigNumber(0);
+
+  for (const split of splits) {
+    if (excludedAddresses.includes(split.address)) {
+      return { error: `Split address ${split.address} already receives a share of this payment` };
+    }
+
+    const hasBps = split.bps !== undefined && split.bps !== null;
+    if (hasBps && amount === null) {
+      resolved.push({ address: split.address, amount: null, bps: split.bps, label: split.label || null });
+      continue;
+    }
+
+    const splitAmount = hasBps
+      ? new BigNumber(amount).multipliedBy(split.bps).dividedBy(10000).decimalPlaces(decimals, BigNumber.ROUND_DOWN)
+      : new BigNumber(split.amount);
+
+    if (!splitAmount.isGreaterThan(0)) {
+      return { error: `Split to ${split.address} is less than the smallest ${currency} unit` };
+    }
+
+    splitTotal = splitTotal.plus(splitAmount);
+    resolved.push({
+      address: split.address,
+      amount: splitAmount.toString(),
+      bps: hasBps ? split.bps : null,
+      label: split.label || null
+    });
+  }
+
+  if (merchantAmount !== null && splitTotal.isGreaterThan(merchantAmount)) {
+    return { error: `Splits total ${splitTotal.toString()} ${currency}, more than the merchant amount of ${new BigNumber(merchantAmount).toString()} ${currency}` };
+  }
+
+  return { splits: resolved };
+};
+
+/**
+ * Work out the amount mode columns of a new payment
+ * Open payments have no amount until the customer commits one; tip payments start
+ * at their base `amount`. `minAmount`, `maxAmount` and `amountPresets` bound the
+ * customer's part: the amount of an open payment, the tip of a tip payment.
+ * Returns `{ fields }` or `{ error }` with a message for the client.
+ */
+const resolveAmountMode = ({ amount, priceAmount, amountMode = AMOUNT_MODE.FIXED, minAmount, maxAmount, amountPresets }, currency) => {
+  if (amountMode === AMOUNT_MODE.FIXED) {
+    return { fields: { amount_mode: AMOUNT_MODE.FIXED } };
+  }
+  if (!Object.values(AMOUNT_MODE).includes(amountMode)) {
+    return { error: `Unsupported amount mode: ${amountMode}` };
+  }
+  if (isSet(priceAmount)) {
+    return { error: 'Only fixed-amount payments can be priced in fiat' };
+  }
+
+  const isOpen = amountMode === AMOUNT_MODE.OPEN;
+  if (isOpen && isSet(amount)) {
+    return { error: 'Open payments take minAmount and maxAmount instead of amount' };
+  }
+  if (!isOpen && !isSet(amount)) {
+    return { error: 'Tip payments need the base amount' };
+  }
+
+  const decimals = tokenRegistry.getDecimals(currency);
+  const presets = (amountPresets || []).map(preset => new BigNumber(preset));
+  const bounds = [minAmount, maxAmount].filter(isSet).map(bound => new BigNumber(bound));
+  if ([...bounds, ...presets].some(value => value.decimalPlaces() > decimals)) {
+    return { error: `Amount bounds and presets have more than ${decimals} decimals for ${currency}` };
+  }
+  if (isSet(minAmount) && isSet(maxAmount) && new BigNumber(minAmount).isGreaterThan(maxAmount)) {
+    return { error: 'minAmount cannot be greater than maxAmount' };
+  }
+  if (presets.some(preset => (isSet(minAmount) && preset.isLessThan(minAmount))
+    || (isSet(maxAmount) && preset.isGreaterThan(maxAmount)))) {
+    return { error: 'amountPresets must be within minAmount and maxAmount' };
+  }
+
+  return {
+    fields: {
+      amount_mode: amountMode,
+      min_amount: isSet(minAmount) ? new BigNumber(minAmount).toString() : null,
+      max_amount: isSet(maxAmount) ? new BigNumber(maxAmount).toString() : null,
+      amount_presets: presets.length > 0 ? presets.map(preset => preset.toString()) : null,
+      base_amount: isOpen ? null : new BigNumber(amount).toString(),
+      amount_committed_at: null
+    }
+  };
+};
+
+// Cursor values are timestamps, amounts or null (open payments have no amount yet); payment ids are UUIDs
+const CURSOR_VALUE_PATTERN = /^[0-9TZ:.+\- ]+$/;
+const CURSOR_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Encode the position after a payment for the next page of a listing
+ * The sort and order are included so a cursor cannot be reused with a different sort.
+ */
+const encodeListCursor = (payment, sort, order) => {
+  const value = payment[sort] === null || payment[sort] === undefined ? null : String(payment[sort]);
+  return Buffer
+    .from(JSON.stringify({ sort, order, value, id: payment.id }))
+    .toString('base64url');
+};
+
+/**
+ * Decode a listing cursor, returning `{ value, id }` or null if it is invalid for the sort
+ */
+const decodeListCursor = (cursor, sort, order) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (decoded.sort !== sort || decoded.order !== order) {
+      return null;
+    }
+    if ((decoded.value !== null && !CURSOR_VALUE_PATTERN.test(decoded.value)) || !CURSOR_ID_PATTERN.test(decoded.id)) {
+      return null;
+    }
+    return { value: decoded.value, id: decoded.id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Add the fields the payment listing derives from each record
+ * `age` and `expiresIn` are in seconds; `expiresIn` is null once the payment can no longer be paid.
+ */
+const withListingFields = (payment, now) => {
+  const expiresAt = payment.expires_at ? new Date(payment.expires_at).getTime() : null;
+
+  const awaitingAmount = isAwaitingAmount(payment);
+
+  return {
+    ...payment,
+    display_amount: awaitingAmount ? null : tokenRegistry.formatAmount(payment.amount, payment.currency),
+    display_total: awaitingAmount ? null : tokenRegistry.formatAmount(getExpectedAmount(payment), payment.currency),
+    age: Math.max(Math.floor((now - new Date(payment.created_at).getTime()) / 1000), 0),
+    expiresIn: expiresAt !== null && isPaymentPayable(payment)
+      ? Math.max(Math.floor((expiresAt - now) / 1000), 0)
+      : null
+  };
+};
+
+/**
+ * Map a locked quote onto the payment columns that store it
+ */
+const buildQuoteFields = (quote) => ({
+  exchange_rate: quote.rate.toString(),
+  rate_source: quote.source,
+  quoted_at: quote.quotedAt,
+  quote_expires_at: quote.expiresAt
+});
+
+/**
+ * Requote a fiat-priced payment whose locked quote has expired
+ * Returns the payment record the transaction request should use.
+ */
+const refreshExpiredQuote = async (session) => {
+  if (session.status !== PAYMENT_STATUS.PENDING || !exchangeRateService.isQuoteExpired(session)) {
+    return session;
+  }
+
+  const quote = await exchangeRateService.quote({
+    priceAmount: session.price_amount,
+    priceCurrency: session.price_currency,
+    currency: session.currency
+  });
+  // Keep the fee schedule the payment was created with
+  const schedule = feeService.scheduleFromBreakdown(session.fee_breakdown)
+    || feeService.resolveSchedule({ plan: 'free', currency: session.currency });
+  const fees = feeService.calculate(quote.amount, session.currency, schedule);
+
+  // Basis point splits follow the new amount; fixed splits are only allowed on token-priced payments
+  const { splits, error: splitError } = resolveSplits(session.splits, {
+    amount: quote.amount,
+    merchantAmount: fees.merchantAmount,
+    currency: session.currency
+  });
+  if (splitError) {
+    const requoteError = new Error(splitError);
+    requoteError.statusCode = 422;
+    requoteError.isOperational = true;
+    throw requoteError;
+  }
+
+  const requoted = await database.requotePayment(session.reference, {
+    amount: quote.amount.toString(),
+    merchant_amount: fees.merchantAmount.toString(),
+    fee_amount: fees.feeAmount.toString(),
+    total_amount_paid: fees.totalAmount.toString(),
+    fee_breakdown: fees.breakdown,
+    // Without a treasury the fee is recorded but not collected on-chain
+    fee_recipient_address: feeService.getTreasuryAddress(),
+    splits,
+    ...buildQuoteFields(quote)
+  });
+
+  // Payment left `pending` in the meantime; use whatever it is now
+  if (!requoted) {
+    return database.getPayment(session.reference);
+  }
+
+  logger.info('Payment requoted:', {
+    reference: session.reference,
+    previousAmount: session.amount,
+    amount: requoted.amount,
+    rate: requoted.exchange_rate,
+    quoteExpiresAt: requoted.quote_expires_at
+  });
+
+  notifyPaymentUpdate(session.reference, PAYMENT_STATUS.PENDING, {
+    amount: requoted.amount,
+    display_amount: tokenRegistry.formatAmount(requoted.amount, requoted.currency),
+    display_total: tokenRegistry.formatAmount(getExpectedAmount(requoted), requoted.currency),
+    currency: requoted.currency,
+    price_amount: requoted.price_amount,
+    price_currency: requoted.price_currency,
+    quote_expires_at: requoted.quote_expires_at,
+    requoted: true
+  });
+
+  return requoted;
+};
+
+/**
+ * Commit the amount a customer chose for an open or tip payment
+ * Fees and basis point splits are worked out again for the committed amount, and
+ * the payment monitor validates transfers against it. The amount can be changed
+ * until the payment receives funds.
+ *
+ * @returns {Promise<Object>} Updated payment record
+ * @throws {Error} Operational 400 for an invalid amount, 409 once the payment is no longer pending
+ */
+const commitCustomerAmount = async (session, choice) => {
+  // The amount is committed once, so a transaction built for it stays valid
+  if (session.amount_committed_at) {
+    throw createOperationalError('The amount of this payment has already been chosen', 409);
+  }
+
+  const { amount, tip, error: amountError } = resolveCommittedAmount(
+    session,
+    choice,
+    tokenRegistry.getDecimals(session.currency)
+  );
+  if (amountError) {
+    throw createOperationalError(amountError, 400);
+  }
+
+  // Keep the fee schedule the payment was created with
+  const schedule = feeService.scheduleFromBreakdown(session.fee_breakdown)
+    || feeService.resolveSchedule({ plan: 'free', currency: session.currency });
+  const fees = feeService.calculate(amount, session.currency, schedule);
+
+  const { splits, error: splitError } = resolveSplits(session.splits, {
+    amount,
+    merchantAmount: fees.merchantAmount,
+    currency: session.currency
+  });
+  if (splitError) {
+    throw createOperationalError(splitError, 400);
+  }
+
+  const committed = await database.commitPaymentAmount(session.reference, {
+    amount: amount.toString(),
+    tip_amount: tip ? tip.toString() : null,
+    merchant_amount: fees.merchantAmount.toString(),
+    fee_amount: fees.feeAmount.toString(),
+    total_amount_paid: fees.totalAmount.toString(),
+    fee_breakdown: fees.breakdown,
+    // Without a treasury the fee is recorded but not collected on-chain
+    fee_recipient_address: feeService.getTreasuryAddress(),
+    splits,
+    amount_committed_at: new Date().toISOString()
+  });
+  if (!committed) {
+    throw createOperationalError('The amount of this payment can no longer be changed', 409);
+  }
+
+  logger.info('Payment amount committed:', {
+    reference: session.reference,
+    amountMode: session.amount_mode,
+    amount: committed.amount,
+    tip: committed.tip_amount
+  });
+
+  notifyPaymentUpdate(session.reference, PAYMENT_STATUS.PENDING, {
+    amount: committed.amount,
+    tip_amount: committed.tip_amount,
+    display_amount: tokenRegistry.formatAmount(committed.amount, committed.currency),
+    display_total: tokenRegistry.formatAmount(getExpectedAmount(committed), committed.currency),
+    currency: committed.currency,
+    amount_committed: true
+  });
+
+  return committed;
+};
+
+/**
+ * Keep the compute budget of the latest transaction built for a payment, for fee analysis
+ * Recording is best effort: the wallet still gets its transaction.
+ */
+const recordComputeBudget = async (session, budget) => {
+  try {
+    await database.recordPaymentComputeBudget(session.reference, {
+      priority_fee_strategy: budget.strategy,
+      priority_fee_micro_lamports: budget.microLamports,
+      compute_unit_limit: budget.unitLimit,
+      priority_fee_lamports: priorityFeeService.getPriorityFeeLamports(budget)
+    });
+  } catch (error) {
+    logger.warn('Failed to record payment compute budget:', { reference: session.reference, error: error.message });
+  }
+};
+
+/**
+ * Reply to a wallet when a fiat-priced payment cannot be requoted
+ */
+const rejectUnquotableTransactionRequest = (res, reference, quoteError) => {
+  logger.warn('Transaction request refused, payment could not be requoted:', {
+    reference,
+    error: quoteError.message
+  });
+  return res.status(quoteError.statusCode || 503).json({
+    error: 'Unable to quote payment',
+    message: 'The exchange rate for this payment is unavailable right now. Please try again shortly.'
+  });
+};
+
+/**
+ * Create a payment request for a merchant: reserve its reference address, resolve
+ * the token, quote, fees and splits, and store it. Shared by the payment, invoice
+ * and template endpoints.
+ *
+ * @param {Object} input - Validated payment request (see validatePaymentRequest)
+ * @param {Object} options - Creation options
+ * @param {string} options.baseUrl - Public base URL for the transaction request and payment page
+ * @param {boolean} [options.notifyCustomer=true] - Email the payment link to `customerEmail`
+ * @returns {Promise<Object>} `{ reference, url, paymentUrl, payment, paymentData }`
+ * @throws {Error} Operational error with `statusCode` (and `details`) when the request is refused
+ */
+const createPaymentRequest = async (input, { baseUrl, notifyCustomer = true }) => {
+  const {
+    amount,
+    priceAmount,
+    priceCurrency,
+    label,
+    message,
+    memo,
+    customerId,
+    web3AuthUserId,
+    chain,
+    splToken,
+    merchantWallet,
+    expiresAt,
+    ttlSeconds,
+    splits,
+    templateId,
+    paymentLinkId,
+    metadata
+  } = input;
+  const amountMode = input.amountMode || AMOUNT_MODE.FIXED;
 
   // Verify user exists - don't create new users during payment creation
   const existingUser = await database.getUserById(web3AuthUserId);
   if (!existingUser) {
     logger.warn('Payment creation failed: User not found', { web3AuthUserId });
-    return res.status(400).json({
-      success: false,
-      error: 'User not found. Please complete onboarding first.'
-    });
+    throw createOperationalError('User not found. Please complete onboarding first.', 400);
   }
 
   // Check if user can create more payments (plan enforcement)
@@ -40,16 +487,44 @@ const createPayment = asyncHandler(async (req, res) => {
       limit: userStats.monthlyLimit
     });
 
-    return res.status(403).json({
-      success: false,
-      error: `Monthly payment limit exceeded (${userStats.monthlyPayments}/${userStats.monthlyLimit}). Upgrade your plan for more payments.`,
-      details: {
+    throw createOperationalError(
+      `Monthly payment limit exceeded (${userStats.monthlyPayments}/${userStats.monthlyLimit}). Upgrade your plan for more payments.`,
+      403,
+      {
         currentPlan: userStats.plan,
         monthlyUsage: userStats.monthlyPayments,
         monthlyLimit: userStats.monthlyLimit,
         remaining: userStats.remainingPayments
       }
+    );
+  }
+
+  // Link the payment to one of the merchant's customers: re-billed by id, or found
+  // (or created) by email. Payer wallets are linked when the payment is confirmed.
+  let customer = null;
+  if (customerId) {
+    customer = await customerService.getCustomer(web3AuthUserId, customerId);
+  } else if (input.customerEmail) {
+    try {
+      customer = await customerService.resolveCustomer(web3AuthUserId, { email: input.customerEmail });
+    } catch (customerError) {
+      logger.warn('Failed to link payment to customer:', {
+        web3AuthUserId,
+        error: customerError.message
+      });
+    }
+  }
+  const customerEmail = input.customerEmail || customer?.email || undefined;
+
+  // Resolve the payment token before reserving an address for it
+  const { token, error: tokenError } = resolvePaymentToken(splToken, existingUser);
+  if (tokenError) {
+    logger.warn('Payment creation failed: token not accepted', {
+      web3AuthUserId,
+      splToken,
+      error: tokenError
     });
+    throw createOperationalError(tokenError, 400);
   }
 
   // Generate unique payment reference and address
@@ -63,8 +538,6 @@ const createPayment = asyncHandler(async (req, res) => {
     userId: web3AuthUserId
   });
 
-  const amountBigNumber = new BigNumber(amount);
-
   // Determine recipient wallet address with priority order:
   // 1. Provided merchantWallet parameter (highest priority)
   // 2. User's default merchant address for the network
@@ -119,40 +592,74 @@ const createPayment = asyncHandler(async (req, res) => {
     source: recipientSource
   });
 
-  // Only use USDC if explicitly specified via splToken parameter
-  const tokenMint = splToken ? new PublicKey(splToken) : null;
+  // SOL payments have no mint; SPL payments use the registry's mint for the network
+  const tokenMint = token.mint ? new PublicKey(token.mint) : null;
+  const currency = token.symbol;
 
-  // Calculate fees and determine currency
-  let feeAmount;
-  let currency = 'SOL';
+  const { fields: amountModeFields, error: amountModeError } = resolveAmountMode({ ...input, amountMode }, currency);
+  if (amountModeError) {
+    logger.warn('Payment creation failed: invalid amount mode', {
+      web3AuthUserId,
+      amountMode,
+      error: amountModeError
+    });
+    throw createOperationalError(amountModeError, 400);
+  }
+  const awaitingAmount = isAwaitingAmount(amountModeFields);
 
-  if (tokenMint) {
-    // Map common SPL token mints to their symbols
-    const tokenMap = {
-      'Gh9ZwEmdLJ8DscKNTkTqPbNwLNNBjuSzaG9Vp2KGtKJr': 'USDC', // USDC devnet
-      'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v': 'USDC', // USDC mainnet
-    };
-    currency = tokenMap[tokenMint.toString()] || 'SPL';
+  // Fiat-priced payments are quoted in the payment token and the quote is locked
+  let quote = null;
+  if (priceAmount !== undefined) {
+    try {
+      quote = await exchangeRateService.quote({ priceAmount, priceCurrency, currency });
+    } catch (quoteError) {
+      if (!quoteError.isOperational) {
+        throw quoteError;
+      }
+      logger.warn('Payment creation failed: could not quote price', {
+        web3AuthUserId,
+        priceAmount,
+        priceCurrency,
+        currency,
+        error: quoteError.message
+      });
+      throw createOperationalError(quoteError.message, quoteError.statusCode);
+    }
   }
 
-  if (currency === 'USDC') {
-    // 2.9% + $0.30
-    const percentageFee = amountBigNumber.multipliedBy(0.029);
-    const fixedFee = new BigNumber(0.30);
-    feeAmount = percentageFee.plus(fixedFee);
-  } else {
-    // 2.9% + 0.002 SOL
-    const percentageFee = amountBigNumber.multipliedBy(0.029);
-    const fixedFee = new BigNumber(0.002);
-    feeAmount = percentageFee.plus(fixedFee);
+  // Open payments record their fee schedule now and their fees once the amount is committed
+  const amountBigNumber = quote ? quote.amount : new BigNumber(awaitingAmount ? 0 : amount);
+
+  // Fees follow the merchant's plan, the token and any merchant override
+  const feeSchedule = feeService.resolveSchedule({
+    plan: userStats.plan,
+    currency,
+    override: existingUser.fee_schedule,
+    monthlyPayments: userStats.monthlyPayments
+  });
+  const fees = feeService.calculate(amountBigNumber, currency, feeSchedule);
+  const treasuryAddress = feeService.getTreasuryAddress();
+
+  // Splits come out of the merchant amount; a fixed split could outgrow a fiat price once requoted
+  if (quote && Array.isArray(splits) && splits.some(split => split.amount !== undefined)) {
+    throw createOperationalError('Fiat-priced payments only support basis point splits', 400);
   }
 
-  // Calculate merchant amount and total amount
-  const merchantAmount = amountBigNumber;
-  const totalAmountPaid = merchantAmount.plus(feeAmount);
+  const { splits: paymentSplits, error: splitError } = resolveSplits(splits, {
+    amount: awaitingAmount ? null : amountBigNumber,
+    merchantAmount: awaitingAmount ? null : fees.merchantAmount,
+    currency,
+    excludedAddresses: [recipientWallet.toString(), treasuryAddress].filter(Boolean)
+  });
+  if (splitError) {
+    logger.warn('Payment creation failed: invalid splits', {
+      web3AuthUserId,
+      error: splitError
+    });
+    throw createOperationalError(splitError, 400);
+  }
 
   // Create transaction request URL (for QR code compatibility)
-  const baseUrl = `${req.protocol}://${req.get('host')}`;
   const transactionRequestUrl = `${baseUrl}/api/transaction-requests/${reference}`;
 
   // Create Solana Pay transaction request URL
@@ -163,10 +670,14 @@ const createPayment = asyncHandler(async (req, res) => {
   const paymentData = {
     reference: addressInfo.address, // Use Solana address as reference
     web3auth_user_id: web3AuthUserId,
-    amount: merchantAmount.toString(),
-    fee_amount: feeAmount.toString(),
-    merchant_amount: merchantAmount.toString(),
-    total_amount_paid: totalAmountPaid.toString(),
+    amount: awaitingAmount ? null : amountBigNumber.toString(),
+    fee_amount: awaitingAmount ? null : fees.feeAmount.toString(),
+    merchant_amount: awaitingAmount ? null : fees.merchantAmount.toString(),
+    total_amount_paid: awaitingAmount ? null : fees.totalAmount.toString(),
+    fee_breakdown: fees.breakdown,
+    // Without a treasury the fee is recorded but not collected on-chain
+    fee_recipient_address: treasuryAddress,
+    splits: paymentSplits,
     currency,
     chain,
     recipient_address: recipientWallet.toString(),
@@ -175,9 +686,21 @@ const createPayment = asyncHandler(async (req, res) => {
     memo,
     status: 'pending',
     customer_email: customerEmail,
+    customer_id: customer ? customer.id : null,
     spl_token_mint: tokenMint ? tokenMint.toString() : null,
     payment_counter: addressInfo.counter,
-    derivation_path: addressInfo.derivationPath
+    derivation_path: addressInfo.derivationPath,
+    amount_tolerance_bps: Number.isInteger(existingUser.payment_tolerance_bps)
+      ? existingUser.payment_tolerance_bps
+      : DEFAULT_AMOUNT_TOLERANCE_BPS,
+    price_currency: quote ? priceCurrency : null,
+    price_amount: quote ? new BigNumber(priceAmount).toString() : null,
+    ...(quote ? buildQuoteFields(quote) : {}),
+    expires_at: resolveExpiresAt({ expiresAt, ttlSeconds }),
+    template_id: templateId || null,
+    payment_link_id: paymentLinkId || null,
+    metadata: metadata || {},
+    ...amountModeFields
   };
 
   let payment;
@@ -186,22 +709,21 @@ const createPayment = asyncHandler(async (req, res) => {
   } catch (dbError) {
     logger.error('Payment creation failed in database:', {
       web3AuthUserId,
-      amount,
+      amount: amountBigNumber.toString(),
       currency,
       error: dbError.message,
       code: dbError.code
     });
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to create payment in database',
-      details: process.env.NODE_ENV === 'development' ? dbError.message : undefined
-    });
+    throw createOperationalError(
+      'Failed to create payment in database',
+      500,
+      process.env.NODE_ENV === 'development' ? dbError.message : undefined
+    );
   }
 
   // Send email notification if email provided
-  if (customerEmail) {
+  if (customerEmail && notifyCustomer) {
     try {
-      const baseUrl = `${req.protocol}://${req.get('host')}`;
       await notificationService.sendInvoice({
         ...paymentData,
         paymentUrl: `${baseUrl}/payment/${reference}`,
@@ -216,18 +738,65 @@ const createPayment = asyncHandler(async (req, res) => {
     }
   }
 
-  logger.info('Payment created:', { reference: reference.toString(), amount, currency, feeAmount: feeAmount.toString() });
+  // Webhook failures are handled by the delivery queue and never fail payment creation
+  await sendWebhook(web3AuthUserId, 'payment.created', {
+    reference: paymentData.reference,
+    amount: paymentData.amount,
+    currency,
+    status: PAYMENT_STATUS.PENDING,
+    amount_mode: paymentData.amount_mode,
+    payment_url: `${baseUrl}/payment/${reference}`,
+    expires_at: paymentData.expires_at,
+    metadata: paymentData.metadata,
+    timestamp: new Date().toISOString()
+  });
 
-  // Generate base URL for payment links
-  // const baseUrl = `${req.protocol}://${req.get('host')}`;
-  const paymentUrl = `${baseUrl}/payment/${reference}`;
+  logger.info('Payment created:', {
+    reference: reference.toString(),
+    amount: paymentData.amount,
+    amountMode,
+    currency,
+    feeAmount: fees.feeAmount.toString(),
+    feeMode: fees.breakdown.mode,
+    priceAmount,
+    priceCurrency
+  });
 
-  res.json({
-    success: true,
+  return {
     reference: addressInfo.address, // Use Solana address as reference
     url: url.toString(),
-    paymentUrl: paymentUrl,
-    payment
+    paymentUrl: `${baseUrl}/payment/${reference}`,
+    payment,
+    paymentData
+  };
+};
+
+/**
+ * Create a new payment request with deterministic reference
+ */
+const createPayment = asyncHandler(async (req, res) => {
+  let created;
+  try {
+    created = await createPaymentRequest(req.body, {
+      baseUrl: `${req.protocol}://${req.get('host')}`
+    });
+  } catch (error) {
+    if (!error.isOperational) {
+      throw error;
+    }
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      details: error.details
+    });
+  }
+
+  res.json({
+    success: true,
+    reference: created.reference,
+    url: created.url,
+    paymentUrl: created.paymentUrl,
+    payment: created.payment
   });
 });
 
@@ -248,9 +817,25 @@ const getPayment = asyncHandler(async (req, res) => {
       });
     }
 
+    const token = tokenRegistry.getBySymbol(payment.currency);
+    // Open payments have no amount or legs until the customer chooses one
+    const awaitingAmount = isAwaitingAmount(payment);
+
     res.json({
       success: true,
-      payment
+      payment: {
+        ...payment,
+        display_amount: awaitingAmount ? null : tokenRegistry.formatAmount(payment.amount, payment.currency),
+        display_total: awaitingAmount ? null : tokenRegistry.formatAmount(getExpectedAmount(payment), payment.currency),
+        awaiting_amount: awaitingAmount,
+        token: token ? {
+          symbol: token.symbol,
+          name: token.name,
+          icon: token.icon,
+          decimals: token.decimals
+        } : null,
+        recipients: awaitingAmount ? [] : describeLegs(getPaymentLegs(payment))
+      }
     });
   } catch (dbError) {
     logger.error('Error retrieving payment:', {
@@ -266,6 +851,125 @@ const getPayment = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * List the authenticated merchant's payments
+ * Query parameters are validated by validatePaymentListQuery.
+ */
+const listPayments = asyncHandler(async (req, res) => {
+  const web3AuthUserId = req.user.web3auth_user_id;
+  const {
+    status,
+    currency,
+    minAmount,
+    maxAmount,
+    from,
+    to,
+    customerEmail,
+    label,
+    templateId,
+    customerId,
+    metadata,
+    sort,
+    order,
+    limit,
+    cursor
+  } = req.query;
+
+  let after = null;
+  if (cursor) {
+    after = decodeListCursor(cursor, sort, order);
+    if (!after) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor for this sort order'
+      });
+    }
+  }
+
+  let payments;
+  try {
+    // One extra row tells us whether there is another page
+    payments = await database.listPayments(web3AuthUserId, {
+      filters: { status, currency, minAmount, maxAmount, from, to, customerEmail, label, templateId, customerId, metadata },
+      sort,
+      ascending: order === 'asc',
+      after,
+      limit: limit + 1
+    });
+  } catch (dbError) {
+    logger.error('Error listing payments:', {
+      web3AuthUserId,
+      error: dbError.message,
+      code: dbError.code
+    });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list payments',
+      details: process.env.NODE_ENV === 'development' ? dbError.message : undefined
+    });
+  }
+
+  const hasMore = payments.length > limit;
+  const page = payments.slice(0, limit);
+  const now = Date.now();
+
+  res.json({
+    success: true,
+    payments: page.map(payment => withListingFields(payment, now)),
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeListCursor(page[page.length - 1], sort, order) : null
+    }
+  });
+});
+
+/**
+ * Commit the customer's amount for an open or tip payment, from the payment page
+ * Body is validated by validatePaymentAmount: `amount` for open payments, `tip` for tip payments.
+ */
+const setPaymentAmount = asyncHandler(async (req, res) => {
+  const { reference } = req.params;
+
+  const payment = await database.getPayment(reference);
+  if (!payment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Payment not found'
+    });
+  }
+
+  if (!isPaymentPayable(payment) || isPaymentExpired(payment)) {
+    return res.status(409).json({
+      success: false,
+      error: `Payment is ${isPaymentExpired(payment) ? PAYMENT_STATUS.EXPIRED : payment.status} and can no longer be changed`
+    });
+  }
+
+  try {
+    const committed = await commitCustomerAmount(payment, req.body);
+
+    res.json({
+      success: true,
+      payment: {
+        ...committed,
+        display_amount: tokenRegistry.formatAmount(committed.amount, committed.currency),
+        display_total: tokenRegistry.formatAmount(getExpectedAmount(committed), committed.currency),
+        awaiting_amount: false
+      }
+    });
+  } catch (error) {
+    if (!error.isOperational) {
+      throw error;
+    }
+    logger.warn('Payment amount rejected:', { reference, error: error.message });
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Generate QR code for payment
  */
@@ -307,14 +1011,7 @@ const generatePaymentQR = asyncHandler(async (req, res) => {
     const url = encodeURL(urlFields);
 
     // Generate QR code as Data URI (base64)
-    const qrCodeDataUri = await QRCode.toDataURL(url.toString(), {
-      width: 300,
-      margin: 2,
-      color: {
-        dark: '#000000',
-        light: '#ffffff'
-      }
-    });
+    const qrCodeDataUri = await toQRCodeDataUri(url.toString());
 
     // Send the QR code as Data URI
     res.json({
@@ -335,6 +1032,168 @@ const generatePaymentQR = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Load a payment for a PDF download, replying with an error when it cannot be rendered
+ * Returns the payment, or null once a response has been sent.
+ */
+const loadPaymentForDocument = async (res, reference) => {
+  let payment;
+  try {
+    payment = await database.getPayment(reference);
+  } catch (dbError) {
+    logger.error('Error retrieving payment for PDF:', {
+      reference,
+      error: dbError.message,
+      code: dbError.code
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve payment',
+      details: process.env.NODE_ENV === 'development' ? dbError.message : undefined
+    });
+    return null;
+  }
+
+  if (!payment) {
+    logger.info('Payment not found for PDF:', { reference });
+    res.status(404).json({
+      success: false,
+      error: 'Payment not found'
+    });
+    return null;
+  }
+
+  return payment;
+};
+
+/**
+ * Send a rendered PDF for viewing or download
+ */
+const sendPdf = (res, filename, pdf) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+};
+
+/**
+ * Download the PDF receipt for a settled payment
+ */
+const getPaymentReceipt = asyncHandler(async (req, res) => {
+  const { reference } = req.params;
+
+  const payment = await loadPaymentForDocument(res, reference);
+  if (!payment) {
+    return;
+  }
+
+  if (!SETTLED_STATUSES.includes(payment.status)) {
+    return res.status(409).json({
+      success: false,
+      error: `Receipts are only available for confirmed payments, payment is ${payment.status}`
+    });
+  }
+
+  try {
+    const context = await pdfService.loadDocumentContext(payment);
+    const pdf = await pdfService.renderReceipt(payment, context);
+    sendPdf(res, `receipt-${payment.reference}.pdf`, pdf);
+  } catch (error) {
+    logger.error('Failed to generate receipt:', {
+      reference,
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate receipt',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Download the PDF invoice for a payment request, with a Solana Pay QR code to pay it
+ */
+const getPaymentInvoice = asyncHandler(async (req, res) => {
+  const { reference } = req.params;
+
+  const payment = await loadPaymentForDocument(res, reference);
+  if (!payment) {
+    return;
+  }
+
+  if (payment.status === PAYMENT_STATUS.CANCELLED) {
+    return res.status(409).json({
+      success: false,
+      error: 'Payment was cancelled'
+    });
+  }
+
+  if (isAwaitingAmount(payment)) {
+    return res.status(409).json({
+      success: false,
+      error: 'The customer has not chosen an amount for this payment yet'
+    });
+  }
+
+  try {
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const transactionRequestUrl = `${baseUrl}/api/transaction-requests/${payment.reference}`;
+    const solanaPayUrl = encodeURL({ link: new URL(transactionRequestUrl) }).toString();
+
+    const context = await pdfService.loadDocumentContext(payment);
+    const pdf = await pdfService.renderInvoice(payment, {
+      ...context,
+      solanaPayUrl,
+      paymentUrl: `${baseUrl}/payment/${payment.reference}`
+    });
+    sendPdf(res, `invoice-${payment.reference}.pdf`, pdf);
+  } catch (error) {
+    logger.error('Failed to generate invoice PDF:', {
+      reference,
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate invoice',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Report a transaction that could not be verified for a payment
+ * The payment keeps its status: it may already hold funds from earlier
+ * transfers, and the monitor keeps watching it for the rest.
+ */
+const rejectUnverifiedPayment = async (res, payment, reason) => {
+  logger.warn('Payment verification failed:', {
+    reference: payment.reference,
+    status: payment.status,
+    error: reason
+  });
+
+  await sendWebhook(payment.web3auth_user_id, 'payment.failed', {
+    reference: payment.reference,
+    amount: payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+    reason: 'Transaction could not be verified',
+    metadata: payment.metadata || {},
+    timestamp: new Date().toISOString()
+  });
+
+  return res.status(400).json({
+    success: false,
+    error: 'Payment verification failed',
+    details: process.env.NODE_ENV === 'development' ? reason : undefined
+  });
+};
+
 /**
  * Confirm payment transaction
  */
@@ -366,6 +1225,21 @@ const confirmPayment = asyncHandler(async (req, res) => {
     });
   }
 
+  if (payment.status === PAYMENT_STATUS.CANCELLED) {
+    logger.info('Confirmation refused for cancelled payment:', { reference });
+    return res.status(409).json({
+      success: false,
+      error: 'Payment was cancelled'
+    });
+  }
+
+  if (isAwaitingAmount(payment)) {
+    return res.status(409).json({
+      success: false,
+      error: 'The customer has not chosen an amount for this payment yet'
+    });
+  }
+
   if (payment.status === 'confirmed') {
     logger.info('Payment already confirmed:', { reference });
     return res.json({
@@ -375,146 +1249,147 @@ const confirmPayment = asyncHandler(async (req, res) => {
     });
   }
 
-  // Verify transaction on Solana
-  const connection = establishConnection();
-  const referencePublicKey = new PublicKey(reference);
-
+  // Verify on-chain with the monitor's leg-aware check, which records each
+  // transfer and settles the payment as confirmed, overpaid or underpaid
+  let updatedPayment;
   try {
-    const signatureInfo = await findReference(connection, referencePublicKey, { finality: 'confirmed' });
-
-    // Validate the transfer - use the actual recipient address from the payment
-    const recipientAddress = payment.recipient_address ?
-      new PublicKey(payment.recipient_address) :
-      MERCHANT_WALLET;
-
-    const validateParams = {
-      recipient: recipientAddress,
-      amount: new BigNumber(payment.amount),
-      reference: referencePublicKey
-    };
-
-    // Add SPL token if payment uses one
-    if (payment.spl_token_mint) {
-      validateParams.splToken = new PublicKey(payment.spl_token_mint);
-    }
+    await paymentMonitor.performPaymentConfirmation(payment);
+    updatedPayment = await database.getPayment(reference);
+  } catch (verificationError) {
+    return rejectUnverifiedPayment(res, payment, verificationError.message);
+  }
 
-    logger.info('Validating transfer with params:', {
-      amount: payment.amount,
-      recipient: recipientAddress.toString(),
-      reference: referencePublicKey.toString(),
-      splToken: payment.spl_token_mint || 'none'
+  if (updatedPayment.status === PAYMENT_STATUS.UNDERPAID) {
+    return res.json({
+      success: true,
+      message: 'Payment partially received',
+      payment: updatedPayment
     });
+  }
 
-    await validateTransfer(
-      connection,
-      signatureInfo.signature,
-      validateParams,
-      { commitment: 'confirmed' }
-    );
+  if (!SETTLED_STATUSES.includes(updatedPayment.status)) {
+    return rejectUnverifiedPayment(res, payment, 'No transfer to the payment recipients was found for this reference');
+  }
 
-    // Update payment status with error handling
-    let updatedPayment;
-    try {
-      updatedPayment = await database.updatePaymentStatus(reference, 'confirmed', signature);
-    } catch (dbError) {
-      logger.error('Error updating payment status:', {
-        reference,
-        status: 'confirmed',
-        error: dbError.message,
-        code: dbError.code
-      });
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to update payment status',
-        details: process.env.NODE_ENV === 'development' ? dbError.message : undefined
-      });
-    }
+  logger.info('Payment confirmed:', { reference, signature: updatedPayment.transaction_signature || signature });
 
-    // Update analytics summary
-    try {
-      await database.getClient().rpc('update_payment_analytics', {
-        p_payment_id: updatedPayment.id
-      });
-    } catch (analyticsError) {
-      logger.warn('Analytics update failed:', {
-        reference,
-        error: analyticsError.message
-      });
-    }
+  res.json({
+    success: true,
+    message: 'Payment confirmed',
+    payment: updatedPayment
+  });
+});
 
-    // Send confirmation email
-    if (payment.customer_email) {
-      try {
-        await notificationService.sendPaymentConfirmation(updatedPayment, payment.customer_email);
-      } catch (emailError) {
-        logger.warn('Failed to send payment confirmed email:', {
-          reference,
-          email: payment.customer_email,
-          error: emailError.message
-        });
-      }
-    }
+/**
+ * Tell webhook and WebSocket subscribers that a payment was cancelled
+ *
+ * @param {string} reference - Payment reference
+ * @param {Object} cancelledPayment - Payment record after cancellation
+ */
+const notifyPaymentCancelled = async (reference, cancelledPayment) => {
+  const cancellation = {
+    amount: cancelledPayment.amount,
+    currency: cancelledPayment.currency,
+    reason: cancelledPayment.cancellation_reason || null,
+    cancelled_at: cancelledPayment.cancelled_at
+  };
 
-    // Send WebSocket notification with detailed info
-    const wsResult = notifyPaymentUpdate(reference, 'confirmed', {
-      signature: signatureInfo.signature,
-      payment: updatedPayment,
-      amount: parseFloat(payment.amount),
-      currency: payment.currency
+  try {
+    await sendWebhook(cancelledPayment.web3auth_user_id, 'payment.cancelled', {
+      reference,
+      ...cancellation,
+      metadata: cancelledPayment.metadata || {},
+      timestamp: new Date().toISOString()
     });
+  } catch (webhookError) {
+    logger.warn('Failed to send cancellation webhook notification:', {
+      reference,
+      error: webhookError.message
+    });
+  }
 
-    if (!wsResult.success) {
-      logger.warn('Failed to send WebSocket notification:', {
-        reference,
-        error: wsResult.error
-      });
-    }
-
-    logger.info('Payment confirmed:', { reference, signature: signatureInfo.signature });
+  const wsResult = notifyPaymentUpdate(reference, PAYMENT_STATUS.CANCELLED, cancellation);
 
-    res.json({
-      success: true,
-      message: 'Payment confirmed',
-      payment: updatedPayment
+  if (!wsResult.success) {
+    logger.warn('Failed to send WebSocket notification:', {
+      reference,
+      error: wsResult.error
     });
+  }
+};
 
-  } catch (verificationError) {
-    logger.warn('Payment verification failed:', {
-      reference,
-      error: verificationError.message,
-      stack: verificationError.stack
+/**
+ * Cancel a pending payment
+ * The reference is retired: transaction requests are refused and the monitor
+ * stops polling it. Funds that still arrive flag the payment for refund review.
+ */
+const cancelPayment = asyncHandler(async (req, res) => {
+  const { reference } = req.params;
+  const { reason } = req.body;
+  const { web3auth_user_id } = req.user;
+
+  const payment = await database.getPayment(reference);
+
+  if (!payment || payment.web3auth_user_id !== web3auth_user_id) {
+    logger.info('Payment not found for cancellation:', { reference, web3auth_user_id });
+    return res.status(404).json({
+      success: false,
+      error: 'Payment not found'
     });
+  }
 
-    // Update payment status to failed
-    try {
-      await database.updatePaymentStatus(reference, 'failed');
-    } catch (dbError) {
-      logger.error('Error updating payment status to failed:', {
-        reference,
-        status: 'failed',
-        error: dbError.message,
-        code: dbError.code
-      });
-    }
+  if (payment.status === PAYMENT_STATUS.CANCELLED) {
+    return res.json({
+      success: true,
+      message: 'Payment already cancelled',
+      payment
+    });
+  }
 
-    // Send WebSocket notification
-    const wsResult = notifyPaymentUpdate(reference, 'failed', {
-      error: verificationError.message
+  if (payment.status !== PAYMENT_STATUS.PENDING) {
+    return res.status(409).json({
+      success: false,
+      error: `Only pending payments can be cancelled, payment is ${payment.status}`
     });
+  }
 
-    if (!wsResult.success) {
-      logger.warn('Failed to send WebSocket notification:', {
-        reference,
-        error: wsResult.error
-      });
-    }
+  let cancelledPayment;
+  try {
+    cancelledPayment = await database.cancelPayment(reference, reason || null);
+  } catch (dbError) {
+    logger.error('Error cancelling payment:', {
+      reference,
+      error: dbError.message,
+      code: dbError.code
+    });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to cancel payment',
+      details: process.env.NODE_ENV === 'development' ? dbError.message : undefined
+    });
+  }
 
-    res.status(400).json({
+  // Funds arrived (or the payment expired) between the read and the update
+  if (!cancelledPayment) {
+    const current = await database.getPayment(reference);
+    return res.status(409).json({
       success: false,
-      error: 'Payment verification failed',
-      details: process.env.NODE_ENV === 'development' ? verificationError.message : undefined
+      error: `Only pending payments can be cancelled, payment is ${current ? current.status : 'unknown'}`
     });
   }
+
+  await notifyPaymentCancelled(reference, cancelledPayment);
+
+  logger.info('Payment cancelled:', {
+    reference,
+    web3auth_user_id,
+    reason: cancelledPayment.cancellation_reason || null
+  });
+
+  res.json({
+    success: true,
+    payment: cancelledPayment
+  });
 });
 
 /**
@@ -538,7 +1413,10 @@ const getPaymentStatus = asyncHandler(async (req, res) => {
       success: true,
       status: payment.status,
       reference,
-      transaction_signature: payment.transaction_signature
+      transaction_signature: payment.transaction_signature,
+      amount_received: payment.amount_received,
+      amount_remaining: isAwaitingAmount(payment) ? null : getAmountDue(payment).toString(),
+      expires_at: payment.expires_at
     });
   } catch (dbError) {
     logger.error('Error retrieving payment status:', {
@@ -653,6 +1531,14 @@ const manualConfirmPayment = asyncHandler(async (req, res) => {
     });
   }
 
+  if (payment.status === PAYMENT_STATUS.CANCELLED) {
+    logger.info('Confirmation refused for cancelled payment (manual):', { reference });
+    return res.status(409).json({
+      success: false,
+      error: 'Payment was cancelled'
+    });
+  }
+
   if (payment.status === 'confirmed') {
     logger.info('Payment already confirmed (manual):', { reference });
     return res.json({
@@ -752,19 +1638,37 @@ const manualConfirmPayment = asyncHandler(async (req, res) => {
 const getTransactionRequest = asyncHandler(async (req, res) => {
   const { reference } = req.params;
 
-  const session = await database.getPayment(reference);
+  let session = await database.getPayment(reference);
   if (!session) {
     return res.status(404).json({
       error: 'Transaction request not found'
     });
   }
 
-  if (session.status !== 'pending') {
+  if (session.status === PAYMENT_STATUS.CANCELLED) {
+    return rejectCancelledTransactionRequest(res, reference);
+  }
+
+  if (isPaymentExpired(session)) {
+    return rejectExpiredTransactionRequest(res, reference);
+  }
+
+  if (!isPaymentPayable(session)) {
     return res.status(400).json({
       error: 'Transaction request already processed'
     });
   }
 
+  // Customer opened the payment after its locked quote ran out
+  try {
+    session = await refreshExpiredQuote(session);
+  } catch (quoteError) {
+    if (!quoteError.isOperational) {
+      throw quoteError;
+    }
+    return rejectUnquotableTransactionRequest(res, reference, quoteError);
+  }
+
   // Official Solana Pay GET response format
   const response = {
     label: session.label || 'PayMeBro Payment',
@@ -788,19 +1692,61 @@ const createTransaction = asyncHandler(async (req, res) => {
     });
   }
 
-  const session = await database.getPayment(reference);
+  let session = await database.getPayment(reference);
   if (!session) {
     return res.status(404).json({
       error: 'Transaction request not found'
     });
   }
 
-  if (session.status !== 'pending') {
+  if (session.status === PAYMENT_STATUS.CANCELLED) {
+    return rejectCancelledTransactionRequest(res, reference);
+  }
+
+  if (isPaymentExpired(session)) {
+    return rejectExpiredTransactionRequest(res, reference);
+  }
+
+  if (!isPaymentPayable(session)) {
     return res.status(400).json({
       error: 'Transaction request already processed'
     });
   }
 
+  // The quote may also run out between the wallet's GET and POST
+  try {
+    session = await refreshExpiredQuote(session);
+  } catch (quoteError) {
+    if (!quoteError.isOperational) {
+      throw quoteError;
+    }
+    return rejectUnquotableTransactionRequest(res, reference, quoteError);
+  }
+
+  // Open and tip payments take the customer's choice from the transaction request URL,
+  // unless it was already committed; the transaction is then built for the committed amount
+  const { amount: requestedAmount, tip: requestedTip } = req.query;
+  if (acceptsCustomerAmount(session) && !session.amount_committed_at && (isSet(requestedAmount) || isSet(requestedTip))) {
+    try {
+      session = await commitCustomerAmount(session, { amount: requestedAmount, tip: requestedTip });
+    } catch (amountError) {
+      if (!amountError.isOperational) {
+        throw amountError;
+      }
+      return res.status(amountError.statusCode).json({
+        error: 'Invalid amount',
+        message: amountError.message
+      });
+    }
+  }
+
+  if (isAwaitingAmount(session)) {
+    return res.status(400).json({
+      error: 'Amount required',
+      message: 'Choose an amount on the payment page before paying.'
+    });
+  }
+
   try {
     const { Connection, PublicKey, Transaction } = require('@solana/web3.js');
     const { establishConnection, createTransferWithAta } = require('../services/solana');
@@ -816,17 +1762,28 @@ const createTransaction = asyncHandler(async (req, res) => {
     }
 
     const recipient = new PublicKey(session.recipient_address);
-    const amount = new BigNumber(session.amount);
+    // Underpaid payments accept a top-up for whatever each leg is still owed
+    const legsReceived = session.status === PAYMENT_STATUS.UNDERPAID
+      ? sumLegsReceived(await database.getPaymentTransfers(session.id))
+      : {};
+    const legs = getLegsDue(session, legsReceived);
+    const amount = legs.reduce((total, leg) => total.plus(leg.amount), new BigNumber(0));
     const referenceKey = new PublicKey(session.reference);
     const splToken = session.spl_token_mint ? new PublicKey(session.spl_token_mint) : undefined;
 
-    // Use our custom function that handles associated token accounts
+    const transfers = legs.map(leg => ({ recipient: new PublicKey(leg.recipient), amount: leg.amount }));
+    const computeBudget = await priorityFeeService.getComputeBudget(
+      connection,
+      [sender, ...transfers.map(transfer => transfer.recipient)]
+    );
+
+    // One transfer per leg: the merchant share, each split and, when collected, the platform fee
     let transaction = await createTransferWithAta(connection, sender, {
-      recipient,
-      amount,
+      transfers,
       splToken,
       reference: referenceKey,
-      memo: `Payment: ${session.amount} ${session.currency}`
+      memo: `Payment: ${amount.toString()} ${session.currency}`,
+      computeBudget
     });
 
     // Serialize and deserialize to ensure consistent ordering (from official example)
@@ -837,6 +1794,25 @@ const createTransaction = asyncHandler(async (req, res) => {
       })
     );
 
+    // Tell the payer up front when the transaction would fail on-chain
+    const simulation = await transactionSimulationService.simulate(connection, transaction, {
+      reference,
+      paymentId: session.id,
+      payer: account,
+      amount: amount.toString(),
+      currency: session.currency
+    });
+    if (!simulation.ok) {
+      return res.status(simulation.statusCode).json({
+        error: 'Transaction simulation failed',
+        code: simulation.code,
+        message: simulation.message
+      });
+    }
+
+    const chosenBudget = priorityFeeService.fitUnitLimit(transaction, computeBudget, simulation.unitsConsumed);
+    await recordComputeBudget(session, chosenBudget);
+
     // Serialize the unsigned transaction
     const serialized = transaction.serialize({
       verifySignatures: false,
@@ -849,12 +1825,14 @@ const createTransaction = asyncHandler(async (req, res) => {
       account,
       type: splToken ? 'SPL' : 'SOL',
       recipient: recipient.toString(),
-      splToken: splToken?.toString()
+      legs: legs.map(leg => ({ role: leg.role, recipient: leg.recipient, amount: leg.amount.toString() })),
+      splToken: splToken?.toString(),
+      priorityFee: chosenBudget
     });
 
     res.json({
       transaction: base64Transaction,
-      message: session.message || `Payment of ${session.amount} ${session.currency}`
+      message: session.message || `Payment of ${amount.toString()} ${session.currency}`
     });
 
   } catch (error) {
@@ -865,24 +1843,8 @@ const createTransaction = asyncHandler(async (req, res) => {
       stack: error.stack
     });
 
-    // Provide more specific error messages for common issues
-    let errorMessage = 'Failed to create transaction';
-    if (error.message && error.message.includes('insufficient funds')) {
-      errorMessage = 'Insufficient SOL balance for gas fees. Please ensure your wallet has at least 0.01 SOL for USDC transactions.';
-    } else if (error.message && error.message.includes('recipient not found')) {
-      errorMessage = 'Recipient wallet not found. This can happen with new wallets that have never received a transaction. Please try sending a small SOL amount to the recipient wallet first.';
-    } else if (error.message && error.message.includes('sender not found')) {
-      errorMessage = 'Sender wallet not found. Please ensure your wallet is connected and valid.';
-    } else if (error.message && error.message.includes('Failed to create transfer with ATA')) {
-      if (error.message.includes('recipient not found')) {
-        errorMessage = 'Recipient wallet not found. This can happen with new wallets that have never received a transaction. Please try sending a small SOL amount to the recipient wallet first.';
-      } else {
-        errorMessage = 'Failed to create USDC transfer. The payer may need SOL for gas fees or the recipient wallet may need to be initialized.';
-      }
-    }
-
     res.status(500).json({
-      error: errorMessage,
+      error: 'Failed to create transaction',
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -890,9 +1852,16 @@ const createTransaction = asyncHandler(async (req, res) => {
 
 
 module.exports = {
+  createPaymentRequest,
   createPayment,
   getPayment,
+  listPayments,
+  setPaymentAmount,
+  cancelPayment,
+  notifyPaymentCancelled,
   generatePaymentQR,
+  getPaymentReceipt,
+  getPaymentInvoice,
   confirmPayment,
   manualConfirmPayment,
   getPaymentStatus,
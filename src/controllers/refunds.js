@@ -0,0 +1,239 @@
+const { encodeURL } = require('@solana/pay');
+const { PublicKey, Transaction } = require('@solana/web3.js');
+const BigNumber = require('bignumber.js');
+const database = require('../services/database');
+const refundService = require('../services/refundService');
+const transactionSimulationService = require('../services/transactionSimulationService');
+const priorityFeeService = require('../services/priorityFeeService');
+const { establishConnection, createTransferWithAta } = require('../services/solana');
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { REFUND_STATUS } = require('../utils/paymentStatus');
+
+/**
+ * Build the Solana Pay transaction request URL for a refund
+ */
+const buildRefundUrl = (req, refund) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const transactionRequestUrl = `${baseUrl}/api/transaction-requests/refunds/${refund.reference}`;
+  return encodeURL({ link: new URL(transactionRequestUrl) }).toString();
+};
+
+/**
+ * Create a full or partial refund for a confirmed payment
+ */
+const createRefund = asyncHandler(async (req, res) => {
+  const { reference } = req.params;
+  const { amount, reason, recipientAddress } = req.body;
+  const { web3auth_user_id } = req.user;
+
+  const payment = await database.getPayment(reference);
+
+  if (!payment || payment.web3auth_user_id !== web3auth_user_id) {
+    logger.info('Payment not found for refund:', { reference, web3auth_user_id });
+    return res.status(404).json({
+      success: false,
+      error: 'Payment not found'
+    });
+  }
+
+  let refund;
+  try {
+    refund = await refundService.createRefund(payment, { amount, reason, recipientAddress });
+  } catch (error) {
+    if (error.isOperational) {
+      logger.warn('Refund rejected:', { reference, error: error.message });
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Refund creation failed:', {
+      reference,
+      error: error.message,
+      code: error.code
+    });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create refund',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    refund,
+    url: buildRefundUrl(req, refund)
+  });
+});
+
+/**
+ * List refunds recorded against a payment
+ */
+const getRefunds = asyncHandler(async (req, res) => {
+  const { reference } = req.params;
+  const { web3auth_user_id } = req.user;
+
+  const payment = await database.getPayment(reference);
+
+  if (!payment || payment.web3auth_user_id !== web3auth_user_id) {
+    return res.status(404).json({
+      success: false,
+      error: 'Payment not found'
+    });
+  }
+
+  const refunds = await refundService.getRefundsForPayment(payment.id);
+
+  res.json({
+    success: true,
+    refunds: refunds.map(refund => ({
+      ...refund,
+      url: refund.status === REFUND_STATUS.PENDING ? buildRefundUrl(req, refund) : undefined
+    }))
+  });
+});
+
+/**
+ * Handle GET request for refund transaction request metadata
+ */
+const getRefundTransactionRequest = asyncHandler(async (req, res) => {
+  const { reference } = req.params;
+
+  const refund = await refundService.getRefundByReference(reference);
+  if (!refund) {
+    return res.status(404).json({
+      error: 'Transaction request not found'
+    });
+  }
+
+  if (refund.status !== REFUND_STATUS.PENDING) {
+    return res.status(400).json({
+      error: 'Transaction request already processed'
+    });
+  }
+
+  res.json({
+    label: `Refund ${refund.amount} ${refund.currency}`,
+    icon: process.env.MERCHANT_ICON || 'https://raw.githubusercontent.com/vybzcody/paymebro/main/public/afripay.png'
+  });
+});
+
+/**
+ * Handle POST request to create the refund transfer for the merchant wallet to sign
+ */
+const createRefundTransaction = asyncHandler(async (req, res) => {
+  const { reference } = req.params;
+  const { account } = req.body;
+
+  if (!account) {
+    return res.status(400).json({
+      error: 'Missing account field'
+    });
+  }
+
+  const refund = await refundService.getRefundByReference(reference);
+  if (!refund) {
+    return res.status(404).json({
+      error: 'Transaction request not found'
+    });
+  }
+
+  if (refund.status !== REFUND_STATUS.PENDING) {
+    return res.status(400).json({
+      error: 'Transaction request already processed'
+    });
+  }
+
+  // Only the wallet that received the payment can send the refund
+  if (account !== refund.sender_address) {
+    logger.warn('Refund transaction requested by wrong wallet:', {
+      reference,
+      account,
+      expected: refund.sender_address
+    });
+    return res.status(403).json({
+      error: 'Refund must be signed by the merchant wallet',
+      message: `Connect the wallet that received the payment (${refund.sender_address}) to send this refund.`
+    });
+  }
+
+  try {
+    const sender = new PublicKey(account);
+    const connection = await establishConnection();
+
+    const recipient = new PublicKey(refund.recipient_address);
+    const computeBudget = await priorityFeeService.getComputeBudget(connection, [sender, recipient]);
+
+    // No memo: the transfer must be the last instruction for validateTransfer
+    let transaction = await createTransferWithAta(connection, sender, {
+      recipient,
+      amount: new BigNumber(refund.amount),
+      splToken: refund.spl_token_mint ? new PublicKey(refund.spl_token_mint) : undefined,
+      reference: new PublicKey(refund.reference),
+      computeBudget
+    });
+
+    transaction = Transaction.from(
+      transaction.serialize({
+        verifySignatures: false,
+        requireAllSignatures: false,
+      })
+    );
+
+    const simulation = await transactionSimulationService.simulate(connection, transaction, {
+      reference,
+      paymentId: refund.payment_id,
+      payer: account,
+      amount: refund.amount,
+      currency: refund.currency
+    });
+    if (!simulation.ok) {
+      return res.status(simulation.statusCode).json({
+        error: 'Transaction simulation failed',
+        code: simulation.code,
+        message: simulation.message
+      });
+    }
+
+    const chosenBudget = priorityFeeService.fitUnitLimit(transaction, computeBudget, simulation.unitsConsumed);
+
+    const base64Transaction = transaction.serialize({
+      verifySignatures: false,
+      requireAllSignatures: false,
+    }).toString('base64');
+
+    logger.info('Refund transaction created:', {
+      reference,
+      paymentReference: refund.payment_reference,
+      amount: refund.amount,
+      currency: refund.currency,
+      priorityFee: chosenBudget
+    });
+
+    res.json({
+      transaction: base64Transaction,
+      message: `Refund of ${refund.amount} ${refund.currency}`
+    });
+  } catch (error) {
+    logger.error('Refund transaction creation failed:', {
+      reference,
+      account,
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json({
+      error: 'Failed to create refund transaction',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = {
+  createRefund,
+  getRefunds,
+  getRefundTransactionRequest,
+  createRefundTransaction
+};
@@ -1,5 +1,6 @@
 const database = require('../services/database');
 const SubscriptionService = require('../services/subscriptions');
+const customerService = require('../services/customerService');
 const logger = require('../utils/logger');
 const { asyncHandler } = require('../middleware/errorHandler');
 
@@ -9,7 +10,7 @@ class SubscriptionController {
    */
   static createPlan = asyncHandler(async (req, res) => {
     const { web3auth_user_id } = req.user;
-    const { name, description, amount, currency, intervalType, intervalCount, trialDays, maxSubscribers } = req.body;
+    const { name, description, amount, currency, intervalType, intervalCount, trialDays, maxSubscribers, metadata } = req.body;
 
     const { data: plan } = await database.getClient()
       .from('subscription_plans')
@@ -22,7 +23,8 @@ class SubscriptionController {
         interval_type: intervalType,
         interval_count: intervalCount || 1,
         trial_days: trialDays || 0,
-        max_subscribers: maxSubscribers
+        max_subscribers: maxSubscribers,
+        metadata: metadata || {}
       })
       .select()
       .single();
@@ -34,7 +36,7 @@ class SubscriptionController {
    * Subscribe customer to plan
    */
   static subscribe = asyncHandler(async (req, res) => {
-    const { planId, customerEmail, customerWallet } = req.body;
+    const { planId, customerEmail, customerWallet, metadata } = req.body;
 
     const { data: plan } = await database.getClient()
       .from('subscription_plans')
@@ -57,12 +59,26 @@ class SubscriptionController {
         interval_count: plan.interval_count
       });
 
+    // Link the subscriber to the merchant's customer with their email or wallet
+    let customer = null;
+    try {
+      customer = await customerService.resolveCustomer(plan.web3auth_user_id, {
+        email: customerEmail,
+        wallet: customerWallet
+      });
+    } catch (error) {
+      logger.warn('Failed to link subscription to customer:', { planId, error: error.message });
+    }
+
     const { data: subscription } = await database.getClient()
       .from('subscriptions')
       .insert({
         plan_id: planId,
+        web3auth_user_id: plan.web3auth_user_id,
+        customer_id: customer ? customer.id : null,
         customer_email: customerEmail,
         customer_wallet: customerWallet,
+        metadata: metadata || {},
         status: plan.trial_days > 0 ? 'trial' : 'active',
         trial_end: trialEnd,
         next_payment_date: nextPaymentDate,
@@ -1,23 +1,44 @@
 const database = require('../services/database');
 const { asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const tokenRegistry = require('../services/tokenRegistry');
+const { AMOUNT_MODE } = require('../utils/amountMode');
 
 /**
  * Create payment template
  */
 const createTemplate = asyncHandler(async (req, res) => {
-  const { name, amount, currency, label, message, splToken, web3AuthUserId } = req.body;
+  const {
+    name,
+    amount,
+    currency,
+    label,
+    message,
+    splToken,
+    amountMode,
+    minAmount,
+    maxAmount,
+    amountPresets,
+    metadata,
+    web3AuthUserId
+  } = req.body;
 
   try {
     const { data: template, error } = await database.getClient()
       .from('payment_templates')
       .insert({
         name,
-        amount: parseFloat(amount),
+        // Open templates leave the amount to the customer
+        amount: amount === undefined || amount === null ? null : parseFloat(amount),
+        amount_mode: amountMode || AMOUNT_MODE.FIXED,
+        min_amount: minAmount,
+        max_amount: maxAmount,
+        amount_presets: amountPresets,
         currency: currency || 'USDC',
         label,
         message,
         spl_token_mint: splToken,
+        metadata: metadata || {},
         web3auth_user_id: web3AuthUserId, // This should be TEXT, not UUID
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
@@ -92,7 +113,19 @@ const getUserTemplates = asyncHandler(async (req, res) => {
  */
 const updateTemplate = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, amount, currency, label, message, splToken } = req.body;
+  const {
+    name,
+    amount,
+    currency,
+    label,
+    message,
+    splToken,
+    amountMode,
+    minAmount,
+    maxAmount,
+    amountPresets,
+    metadata
+  } = req.body;
 
   const { data: template, error } = await database.getClient()
     .from('payment_templates')
@@ -103,6 +136,11 @@ const updateTemplate = asyncHandler(async (req, res) => {
       label,
       message,
       spl_token_mint: splToken,
+      amount_mode: amountMode,
+      min_amount: minAmount,
+      max_amount: maxAmount,
+      amount_presets: amountPresets,
+      metadata,
       updated_at: new Date().toISOString()
     })
     .eq('id', id)
@@ -135,7 +173,7 @@ const deleteTemplate = asyncHandler(async (req, res) => {
  */
 const createPaymentFromTemplate = asyncHandler(async (req, res) => {
   const { templateId } = req.params;
-  const { customerEmail } = req.body;
+  const { customerEmail, metadata } = req.body;
 
   let template;
 
@@ -175,6 +213,9 @@ const createPaymentFromTemplate = asyncHandler(async (req, res) => {
     });
   }
 
+  // Templates saved with only a currency use the registry's mint for the network
+  const templateToken = tokenRegistry.getBySymbol(template.currency);
+
   // Create payment using template data
   const paymentData = {
     amount: template.amount,
@@ -182,8 +223,15 @@ const createPaymentFromTemplate = asyncHandler(async (req, res) => {
     message: template.message,
     customerEmail,
     web3AuthUserId: template.web3auth_user_id,
-    splToken: template.spl_token_mint,
-    currency: template.currency
+    splToken: template.spl_token_mint || templateToken?.mint || undefined,
+    currency: template.currency,
+    amountMode: template.amount_mode || AMOUNT_MODE.FIXED,
+    minAmount: template.min_amount ?? undefined,
+    maxAmount: template.max_amount ?? undefined,
+    amountPresets: template.amount_presets ?? undefined,
+    // Metadata sent with the request adds to (and overrides) the template's
+    metadata: { ...template.metadata, ...metadata },
+    templateId
   };
 
   // Use existing payment creation logic
@@ -1,5 +1,8 @@
 const { PublicKey } = require('@solana/web3.js');
 const database = require('../services/database');
+const tokenRegistry = require('../services/tokenRegistry');
+const feeService = require('../services/feeService');
+const userService = require('../services/userService');
 const logger = require('../utils/logger');
 const { asyncHandler } = require('../middleware/errorHandler');
 
@@ -123,13 +126,14 @@ const getUserProfile = asyncHandler(async (req, res) => {
  */
 const updateUserProfile = asyncHandler(async (req, res) => {
   const { userId } = req.params;
-  const { businessName, businessType, defaultReceivingAddress } = req.body;
+  const { businessName, businessType, defaultReceivingAddress, paymentToleranceBps } = req.body;
 
   try {
     const updates = {};
     if (businessName !== undefined) updates.business_name = businessName;
     if (businessType !== undefined) updates.business_type = businessType;
     if (defaultReceivingAddress !== undefined) updates.default_receiving_address = defaultReceivingAddress;
+    if (paymentToleranceBps !== undefined) updates.payment_tolerance_bps = paymentToleranceBps;
 
     const updatedUser = await database.updateUser(userId, updates);
 
@@ -156,6 +160,182 @@ const updateUserProfile = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Get the tokens a merchant can accept and which of them are enabled
+ */
+const getUserTokens = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const user = await database.getUserById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const accepted = tokenRegistry.getAcceptedTokens(user);
+
+    res.json({
+      success: true,
+      network: tokenRegistry.getNetwork(),
+      tokens: tokenRegistry.getTokens().map(token => ({
+        symbol: token.symbol,
+        name: token.name,
+        icon: token.icon,
+        decimals: token.decimals,
+        mint: token.mint,
+        enabled: accepted.includes(token.symbol)
+      }))
+    });
+  } catch (error) {
+    logger.error('Failed to get user tokens:', {
+      userId,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get user tokens'
+    });
+  }
+});
+
+/**
+ * Choose which tokens a merchant accepts payments in
+ */
+const updateUserTokens = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { tokens } = req.body;
+
+  if (req.user.web3auth_user_id !== userId) {
+    logger.warn('Accepted tokens update refused for another user:', {
+      userId,
+      requestedBy: req.user.web3auth_user_id
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'You can only change your own accepted tokens'
+    });
+  }
+
+  const unavailable = tokenRegistry.findUnavailable(tokens);
+  if (unavailable.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Tokens not available on ${tokenRegistry.getNetwork()}: ${unavailable.join(', ')}`
+    });
+  }
+
+  try {
+    const updatedUser = await database.updateUser(userId, { accepted_tokens: tokens });
+
+    if (!updatedUser) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    logger.info('Accepted tokens updated:', { userId, tokens });
+
+    res.json({
+      success: true,
+      tokens: updatedUser.accepted_tokens
+    });
+  } catch (error) {
+    logger.error('Failed to update user tokens:', {
+      userId,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update user tokens'
+    });
+  }
+});
+
+/**
+ * Get the fee schedule that applies to each token the merchant accepts
+ */
+const getUserFees = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const user = await database.getUserById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const userStats = await userService.getUserStats(userId);
+    const fees = {};
+    tokenRegistry.getAcceptedTokens(user).forEach(currency => {
+      fees[currency] = feeService.resolveSchedule({
+        plan: userStats.plan,
+        currency,
+        override: user.fee_schedule,
+        monthlyPayments: userStats.monthlyPayments
+      });
+    });
+
+    res.json({
+      success: true,
+      plan: userStats.plan,
+      override: user.fee_schedule || null,
+      fees
+    });
+  } catch (error) {
+    logger.error('Failed to get user fees:', {
+      userId,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get user fees'
+    });
+  }
+});
+
+/**
+ * Set or clear a merchant's fee schedule override (admin only)
+ */
+const updateUserFeeSchedule = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { feeSchedule } = req.body;
+
+  try {
+    const updatedUser = await database.updateUser(userId, { fee_schedule: feeSchedule });
+
+    if (!updatedUser) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    logger.info('Merchant fee schedule updated:', { userId, feeSchedule });
+
+    res.json({
+      success: true,
+      feeSchedule: updatedUser.fee_schedule
+    });
+  } catch (error) {
+    logger.error('Failed to update user fee schedule:', {
+      userId,
+      error: error.message
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update fee schedule'
+    });
+  }
+});
+
 /**
  * Get user merchant addresses
  */
@@ -406,6 +586,10 @@ module.exports = {
   registerUser,
   getUserProfile,
   updateUserProfile,
+  getUserTokens,
+  updateUserTokens,
+  getUserFees,
+  updateUserFeeSchedule,
   getUserAddresses,
   addUserAddress,
   updateUserAddress,
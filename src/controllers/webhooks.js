@@ -1,45 +1,205 @@
-const logger = require('../utils/logger');
+const webhookService = require('../services/webhookService');
+const webhookDeliveryService = require('../services/webhookDeliveryService');
+const { respondWithError } = require('../utils/errors');
+const {
+  API_VERSIONS,
+  LATEST_API_VERSION,
+  EVENT_CATALOG,
+  getEventSchema
+} = require('../utils/webhookEventCatalog');
 const { asyncHandler } = require('../middleware/errorHandler');
 
-// Simple in-memory webhook storage for demo
-const webhooks = [];
+/**
+ * Event catalog: every event type with its description and the JSON Schema of
+ * its payload in the latest API version
+ */
+const listWebhookEvents = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    apiVersions: API_VERSIONS,
+    latestApiVersion: LATEST_API_VERSION,
+    events: Object.entries(EVENT_CATALOG).map(([type, { description }]) => ({
+      type,
+      description,
+      schema: getEventSchema(type)
+    }))
+  });
+});
 
 /**
  * Register webhook endpoint
+ * The response is the only time the endpoint's signing secret is returned.
  */
 const registerWebhook = asyncHandler(async (req, res) => {
-  const { url, events = ['payment.confirmed'] } = req.body;
-  
-  if (!url) {
-    return res.status(400).json({ error: 'URL is required' });
-  }
-
-  const webhook = { id: Date.now(), url, events };
-  webhooks.push(webhook);
-  
-  logger.info('Webhook registered:', webhook);
-  res.json({ success: true, webhook });
-});
-
-/**
- * Send webhook notification
- */
-const sendWebhook = async (event, data) => {
-  const relevantWebhooks = webhooks.filter(w => w.events.includes(event));
-  
-  for (const webhook of relevantWebhooks) {
-    try {
-      const response = await fetch(webhook.url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ event, data, timestamp: new Date().toISOString() })
-      });
-      
-      logger.info('Webhook sent:', { url: webhook.url, event, status: response.status });
-    } catch (error) {
-      logger.error('Webhook failed:', { url: webhook.url, error: error.message });
-    }
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const webhook = await webhookService.createWebhook(web3auth_user_id, req.body);
+
+    res.status(201).json({ success: true, webhook });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to register webhook', { web3auth_user_id });
   }
-};
+});
+
+/**
+ * List the merchant's webhook endpoints
+ */
+const listWebhooks = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+
+  try {
+    const webhooks = await webhookService.listWebhooks(web3auth_user_id);
+
+    res.json({ success: true, webhooks });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to list webhooks', { web3auth_user_id });
+  }
+});
+
+/**
+ * Get a webhook endpoint
+ */
+const getWebhook = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+  const { id } = req.params;
 
-module.exports = { registerWebhook, sendWebhook };
+  try {
+    const webhook = await webhookService.getWebhook(web3auth_user_id, id);
+
+    res.json({ success: true, webhook });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to get webhook', { web3auth_user_id, webhookId: id });
+  }
+});
+
+/**
+ * Update a webhook endpoint's URL or events, or enable and disable it with `active`
+ */
+const updateWebhook = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+  const { id } = req.params;
+
+  try {
+    const webhook = await webhookService.updateWebhook(web3auth_user_id, id, req.body);
+
+    res.json({ success: true, webhook });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to update webhook', { web3auth_user_id, webhookId: id });
+  }
+});
+
+/**
+ * Delete a webhook endpoint
+ */
+const deleteWebhook = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+  const { id } = req.params;
+
+  try {
+    await webhookService.deleteWebhook(web3auth_user_id, id);
+
+    res.json({ success: true });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to delete webhook', { web3auth_user_id, webhookId: id });
+  }
+});
+
+/**
+ * Rotate a webhook endpoint's signing secret
+ * The response is the only time the new secret is returned.
+ */
+const rotateWebhookSecret = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+  const { id } = req.params;
+
+  try {
+    const webhook = await webhookService.rotateSecret(web3auth_user_id, id, req.body.overlapSeconds);
+
+    res.json({ success: true, webhook });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to rotate webhook secret', { web3auth_user_id, webhookId: id });
+  }
+});
+
+/**
+ * List a webhook endpoint's deliveries with every attempt, filtered by event and status
+ */
+const listWebhookDeliveries = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+  const { id } = req.params;
+  const { event, status, limit, offset } = req.query;
+
+  try {
+    await webhookService.getWebhook(web3auth_user_id, id);
+    const { deliveries, total } = await webhookDeliveryService.listDeliveries(web3auth_user_id, id, {
+      event,
+      status,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      deliveries,
+      pagination: { limit, offset, total }
+    });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to list webhook deliveries', { web3auth_user_id, webhookId: id });
+  }
+});
+
+/**
+ * Redeliver a past delivery to its endpoint
+ */
+const redeliverWebhookDelivery = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+  const { deliveryId } = req.params;
+
+  try {
+    const delivery = await webhookDeliveryService.redeliver(web3auth_user_id, deliveryId);
+
+    res.json({ success: true, delivery });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to redeliver webhook', { web3auth_user_id, deliveryId });
+  }
+});
+
+/**
+ * Send a test event with sample data to a webhook endpoint
+ */
+const sendTestWebhook = asyncHandler(async (req, res) => {
+  const { web3auth_user_id } = req.user;
+  const { id } = req.params;
+
+  try {
+    const delivery = await webhookService.sendTestEvent(web3auth_user_id, id, req.body.event);
+
+    res.json({ success: true, delivery });
+  } catch (error) {
+    return respondWithError(res, error, 'Failed to send test webhook', { web3auth_user_id, webhookId: id });
+  }
+});
+
+/**
+ * Send webhook notification to the merchant's active endpoints subscribed to the event
+ *
+ * @param {string} web3AuthUserId - Merchant the event concerns
+ * @param {string} event - Event name, e.g. `payment.confirmed`
+ * @param {Object} data - Event payload
+ */
+const sendWebhook = (web3AuthUserId, event, data) => webhookService.sendEvent(web3AuthUserId, event, data);
+
+module.exports = {
+  listWebhookEvents,
+  registerWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  listWebhookDeliveries,
+  redeliverWebhookDelivery,
+  sendTestWebhook,
+  sendWebhook
+};
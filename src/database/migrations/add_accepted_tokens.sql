@@ -0,0 +1,4 @@
+-- Tokens each merchant accepts payments in (symbols from the token registry)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS accepted_tokens TEXT[] DEFAULT ARRAY['SOL', 'USDC'];
+
+UPDATE users SET accepted_tokens = ARRAY['SOL', 'USDC'] WHERE accepted_tokens IS NULL;
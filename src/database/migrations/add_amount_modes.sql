@@ -0,0 +1,30 @@
+-- Open-amount (donation) and tip payments
+-- Open payments have no amount until the customer commits one; tip payments
+-- keep the merchant's amount in base_amount and add the customer's tip to amount.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS amount_mode VARCHAR(20) NOT NULL DEFAULT 'fixed';
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS min_amount DECIMAL(20, 9);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS max_amount DECIMAL(20, 9);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS amount_presets JSONB;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS base_amount DECIMAL(20, 9);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS tip_amount DECIMAL(20, 9);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS amount_committed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payments ALTER COLUMN amount DROP NOT NULL;
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS check_payment_amount_mode;
+ALTER TABLE payments ADD CONSTRAINT check_payment_amount_mode
+    CHECK (amount_mode IN ('fixed', 'open', 'fixed_plus_tip'));
+
+-- Only open payments waiting for the customer go without an amount
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS check_payment_amount_committed;
+ALTER TABLE payments ADD CONSTRAINT check_payment_amount_committed
+    CHECK (amount IS NOT NULL OR (amount_mode = 'open' AND amount_committed_at IS NULL));
+
+ALTER TABLE payment_templates ADD COLUMN IF NOT EXISTS amount_mode VARCHAR(20) NOT NULL DEFAULT 'fixed';
+ALTER TABLE payment_templates ADD COLUMN IF NOT EXISTS min_amount DECIMAL(20, 9);
+ALTER TABLE payment_templates ADD COLUMN IF NOT EXISTS max_amount DECIMAL(20, 9);
+ALTER TABLE payment_templates ADD COLUMN IF NOT EXISTS amount_presets JSONB;
+ALTER TABLE payment_templates ALTER COLUMN amount DROP NOT NULL;
+
+ALTER TABLE payment_templates DROP CONSTRAINT IF EXISTS check_template_amount_mode;
+ALTER TABLE payment_templates ADD CONSTRAINT check_template_amount_mode
+    CHECK (amount_mode IN ('fixed', 'open', 'fixed_plus_tip'));
@@ -0,0 +1,55 @@
+-- Record a refund only if it fits in the payment's refundable balance
+-- p_refundable_amount is what the merchant's wallet received for the payment
+-- (the merchant leg only: the platform fee and splits went elsewhere). It only
+-- grows as transfers arrive, so it is computed by the caller. The payment row
+-- is locked while existing refunds are summed, so concurrent refunds of the
+-- same payment are checked one after the other and can never together exceed
+-- it. Returns NULL for an unknown payment,
+-- { refund, remaining } when the refund was recorded, or { remaining } alone
+-- when it does not fit. A NULL amount refunds the whole remaining balance.
+CREATE OR REPLACE FUNCTION create_refund(
+    p_payment_id UUID,
+    p_refundable_amount DECIMAL,
+    p_amount DECIMAL,
+    p_reference VARCHAR,
+    p_recipient_address VARCHAR,
+    p_reason TEXT
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_payment payments%ROWTYPE;
+    v_committed DECIMAL(20, 9);
+    v_remaining DECIMAL(20, 9);
+    v_amount DECIMAL(20, 9);
+    v_refund refunds%ROWTYPE;
+BEGIN
+    SELECT * INTO v_payment FROM payments WHERE id = p_payment_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    SELECT COALESCE(SUM(amount), 0) INTO v_committed
+    FROM refunds
+    WHERE payment_id = p_payment_id AND status <> 'failed';
+
+    v_remaining := p_refundable_amount - v_committed;
+    v_amount := COALESCE(p_amount, v_remaining);
+
+    IF v_remaining <= 0 OR v_amount > v_remaining THEN
+        RETURN jsonb_build_object('remaining', GREATEST(v_remaining, 0));
+    END IF;
+
+    INSERT INTO refunds (
+        payment_id, payment_reference, web3auth_user_id, reference, amount, currency,
+        spl_token_mint, sender_address, recipient_address, reason, status
+    )
+    VALUES (
+        v_payment.id, v_payment.reference, v_payment.web3auth_user_id, p_reference, v_amount, v_payment.currency,
+        v_payment.spl_token_mint, v_payment.recipient_address, p_recipient_address, p_reason, 'pending'
+    )
+    RETURNING * INTO v_refund;
+
+    RETURN jsonb_build_object('refund', to_jsonb(v_refund), 'remaining', v_remaining);
+END;
+$$ LANGUAGE plpgsql;
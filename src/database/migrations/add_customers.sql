@@ -0,0 +1,45 @@
+-- Merchant customers, linked to their payments, subscriptions and invoices
+CREATE TABLE IF NOT EXISTS customers (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    web3auth_user_id TEXT NOT NULL,
+    email VARCHAR(255),
+    name VARCHAR(100),
+    -- Payer wallets learned from confirmed payments, plus any the merchant added
+    wallet_addresses TEXT[] NOT NULL DEFAULT '{}',
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Emails are stored lowercased; one customer per email per merchant
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_user_email ON customers(web3auth_user_id, email) WHERE email IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_customers_user ON customers(web3auth_user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_customers_wallets ON customers USING GIN (wallet_addresses);
+
+-- Deleting a customer keeps their payments, subscriptions and invoices
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES customers(id) ON DELETE SET NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS payer_wallet VARCHAR(255);
+CREATE INDEX IF NOT EXISTS idx_payments_customer ON payments(customer_id, status);
+
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES customers(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_subscriptions_customer ON subscriptions(customer_id);
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES customers(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_invoices_customer ON invoices(customer_id);
+
+-- Add a wallet to a customer unless it is already known
+CREATE OR REPLACE FUNCTION add_customer_wallet(p_customer_id UUID, p_wallet TEXT)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE customers
+    SET wallet_addresses = array_append(wallet_addresses, p_wallet),
+        updated_at = NOW()
+    WHERE id = p_customer_id
+      AND NOT (p_wallet = ANY(wallet_addresses));
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE customers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own customers" ON customers
+    FOR SELECT USING (web3auth_user_id = current_setting('request.jwt.claims', true)::json->>'sub');
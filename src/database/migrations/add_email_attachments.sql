@@ -0,0 +1,3 @@
+-- Attachments for queued emails, stored as `{ type, reference }` descriptors and
+-- rendered when the email is sent (e.g. PDF receipts for confirmed payments)
+ALTER TABLE email_notifications ADD COLUMN IF NOT EXISTS attachments JSONB;
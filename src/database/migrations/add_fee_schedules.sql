@@ -0,0 +1,3 @@
+-- Configurable fee schedules: merchant overrides and per-payment fee breakdowns
+ALTER TABLE users ADD COLUMN IF NOT EXISTS fee_schedule JSONB;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS fee_breakdown JSONB;
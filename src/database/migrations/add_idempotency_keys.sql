@@ -0,0 +1,23 @@
+-- Idempotency-Key records for payment creation and confirmation endpoints
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    scope VARCHAR(255) NOT NULL,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_fingerprint VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing',
+    response_status INTEGER,
+    response_body JSONB,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT unique_idempotency_scope_key UNIQUE (scope, idempotency_key),
+    CONSTRAINT check_idempotency_status CHECK (status IN ('processing', 'completed'))
+);
+
+-- When the request holding a processing key started; a retry takes over a
+-- key locked longer than IDEMPOTENCY_LOCK_TIMEOUT_SECONDS
+ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,61 @@
+-- Itemized invoices settled through a payment reference
+CREATE TABLE IF NOT EXISTS invoices (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    web3auth_user_id TEXT NOT NULL,
+    invoice_number VARCHAR(40),
+    status VARCHAR(20) NOT NULL DEFAULT 'draft',
+    currency VARCHAR(10) NOT NULL,
+    payment_token VARCHAR(10) NOT NULL,
+    line_items JSONB NOT NULL DEFAULT '[]',
+    tax_rate_bps INTEGER NOT NULL DEFAULT 0,
+    discount_bps INTEGER NOT NULL DEFAULT 0,
+    discount_amount DECIMAL(20, 9),
+    subtotal DECIMAL(20, 9) NOT NULL DEFAULT 0,
+    discount_total DECIMAL(20, 9) NOT NULL DEFAULT 0,
+    tax_total DECIMAL(20, 9) NOT NULL DEFAULT 0,
+    total DECIMAL(20, 9) NOT NULL DEFAULT 0,
+    due_date DATE,
+    bill_to JSONB,
+    notes TEXT,
+    payment_reference VARCHAR(88),
+    finalized_at TIMESTAMP WITH TIME ZONE,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    voided_at TIMESTAMP WITH TIME ZONE,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT check_invoice_status CHECK (status IN ('draft', 'open', 'paid', 'void')),
+    CONSTRAINT unique_invoice_number UNIQUE (web3auth_user_id, invoice_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_user_status ON invoices(web3auth_user_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_invoices_payment_reference ON invoices(payment_reference);
+
+-- Per-merchant invoice numbering
+ALTER TABLE users ADD COLUMN IF NOT EXISTS invoice_prefix VARCHAR(20) NOT NULL DEFAULT 'INV';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS invoice_next_number INTEGER NOT NULL DEFAULT 1;
+
+-- Take the merchant's next invoice number; the row lock keeps concurrent finalizations unique
+CREATE OR REPLACE FUNCTION next_invoice_number(p_web3auth_user_id TEXT)
+RETURNS JSONB AS $$
+DECLARE
+    v_prefix VARCHAR(20);
+    v_number INTEGER;
+BEGIN
+    UPDATE users
+    SET invoice_next_number = invoice_next_number + 1
+    WHERE web3auth_user_id = p_web3auth_user_id
+    RETURNING invoice_prefix, invoice_next_number - 1 INTO v_prefix, v_number;
+
+    IF v_number IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN jsonb_build_object('prefix', v_prefix, 'number', v_number);
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own invoices" ON invoices
+    FOR SELECT USING (web3auth_user_id = current_setting('request.jwt.claims', true)::json->>'sub');
@@ -0,0 +1,27 @@
+-- Track the amount received across every transfer that carries a payment reference
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS amount_received DECIMAL(20, 9) DEFAULT 0;
+
+-- Tolerance (basis points) copied from the merchant when the payment is created
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS amount_tolerance_bps INTEGER;
+
+-- Merchant-level tolerance for under/overpayments, 50 bps (0.5%) by default
+ALTER TABLE users ADD COLUMN IF NOT EXISTS payment_tolerance_bps INTEGER DEFAULT 50;
+
+-- Backfill settled payments so refund balances use the amount actually received
+UPDATE payments SET amount_received = amount
+WHERE status IN ('confirmed', 'partially_refunded', 'refunded') AND (amount_received IS NULL OR amount_received = 0);
+
+-- Individual transfers received for a payment (initial payment and top-ups)
+CREATE TABLE IF NOT EXISTS payment_transfers (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    payment_id UUID NOT NULL,
+    payment_reference VARCHAR(88) NOT NULL,
+    signature VARCHAR(128) NOT NULL UNIQUE,
+    amount DECIMAL(20, 9) NOT NULL,
+    block_time TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_transfers_payment_id ON payment_transfers(payment_id);
+
+ALTER TABLE payment_transfers ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,51 @@
+-- Payment requests created in bulk from a JSON array or CSV upload, processed in the background
+CREATE TABLE IF NOT EXISTS payment_batches (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    web3auth_user_id TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    total_rows INTEGER NOT NULL,
+    created_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    send_emails BOOLEAN NOT NULL DEFAULT false,
+    -- Public base URL the payment links are built on
+    base_url TEXT NOT NULL,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT check_payment_batch_status CHECK (status IN ('queued', 'processing', 'completed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_batches_user ON payment_batches(web3auth_user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payment_batches_unfinished ON payment_batches(status) WHERE status <> 'completed';
+
+-- One row of a batch: the validated payment request and what became of it
+CREATE TABLE IF NOT EXISTS payment_batch_items (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    batch_id UUID NOT NULL REFERENCES payment_batches(id) ON DELETE CASCADE,
+    row_number INTEGER NOT NULL,
+    input JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    payment_reference VARCHAR(255),
+    payment_url TEXT,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT check_payment_batch_item_status CHECK (status IN ('pending', 'processing', 'created', 'failed')),
+    UNIQUE (batch_id, row_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_batch_items_batch ON payment_batch_items(batch_id, status, row_number);
+
+ALTER TABLE payment_batches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own payment batches" ON payment_batches
+    FOR SELECT USING (web3auth_user_id = current_setting('request.jwt.claims', true)::json->>'sub');
+
+ALTER TABLE payment_batch_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own payment batch items" ON payment_batch_items
+    FOR SELECT USING (batch_id IN (
+        SELECT id FROM payment_batches
+        WHERE web3auth_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+    ));
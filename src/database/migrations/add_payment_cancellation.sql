@@ -0,0 +1,8 @@
+-- Merchant-initiated cancellation: when and why a pending payment was cancelled,
+-- and whether funds arrived on the retired reference and need refunding
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refund_review_required BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Index for the monitor's late-funds sweep over recently cancelled payments
+CREATE INDEX IF NOT EXISTS idx_payments_status_cancelled_at ON payments(status, cancelled_at);
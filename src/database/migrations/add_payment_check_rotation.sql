@@ -0,0 +1,6 @@
+-- When the payment monitor last polled a payment for transfers
+-- Each pass checks the least recently polled payable payments first, so every
+-- open payment is polled in turn however many are waiting.
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_payments_status_last_checked_at ON payments(status, last_checked_at NULLS FIRST);
@@ -0,0 +1,9 @@
+-- Add expiry tracking to payments so abandoned requests stop being polled
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+
+-- Backfill existing pending payments with the default 24 hour lifetime
+UPDATE payments SET expires_at = created_at + INTERVAL '24 hours'
+WHERE expires_at IS NULL AND status = 'pending';
+
+-- Index for the monitor's pending/expiry scan
+CREATE INDEX IF NOT EXISTS idx_payments_status_expires_at ON payments(status, expires_at);
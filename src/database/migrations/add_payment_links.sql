@@ -0,0 +1,40 @@
+-- Reusable payment links that mint a fresh payment each time they are opened
+CREATE TABLE IF NOT EXISTS payment_links (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    web3auth_user_id TEXT NOT NULL,
+    slug VARCHAR(50) NOT NULL UNIQUE,
+    label VARCHAR(100) NOT NULL,
+    message TEXT,
+    memo VARCHAR(100),
+    currency VARCHAR(10) NOT NULL DEFAULT 'SOL',
+    amount DECIMAL(20, 9),
+    min_amount DECIMAL(20, 9),
+    max_amount DECIMAL(20, 9),
+    max_uses INTEGER,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT check_payment_link_amount CHECK (amount IS NULL OR (min_amount IS NULL AND max_amount IS NULL)),
+    CONSTRAINT check_payment_link_max_uses CHECK (max_uses IS NULL OR max_uses > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_links_user ON payment_links(web3auth_user_id, created_at DESC);
+
+-- Payments minted from a link; deleting the link keeps its payments
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS payment_link_id UUID REFERENCES payment_links(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_payments_payment_link ON payments(payment_link_id, status);
+
+-- Visits and scans of a link are tracked before any payment exists
+ALTER TABLE link_visits ADD COLUMN IF NOT EXISTS payment_link_id UUID REFERENCES payment_links(id) ON DELETE CASCADE;
+ALTER TABLE link_visits ALTER COLUMN payment_id DROP NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_link_visits_payment_link ON link_visits(payment_link_id);
+
+ALTER TABLE qr_scans ADD COLUMN IF NOT EXISTS payment_link_id UUID REFERENCES payment_links(id) ON DELETE CASCADE;
+ALTER TABLE qr_scans ALTER COLUMN payment_id DROP NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_qr_scans_payment_link ON qr_scans(payment_link_id);
+
+ALTER TABLE payment_links ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own payment links" ON payment_links
+    FOR SELECT USING (web3auth_user_id = current_setting('request.jwt.claims', true)::json->>'sub');
@@ -0,0 +1,8 @@
+-- Payment listing: the template a payment was created from, and indexes for
+-- the merchant-scoped, keyset-paginated GET /api/payments sort orders
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS template_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_payments_user_created_at ON payments(web3auth_user_id, created_at, id);
+CREATE INDEX IF NOT EXISTS idx_payments_user_updated_at ON payments(web3auth_user_id, updated_at, id);
+CREATE INDEX IF NOT EXISTS idx_payments_user_amount ON payments(web3auth_user_id, amount, id);
+CREATE INDEX IF NOT EXISTS idx_payments_template_id ON payments(template_id);
@@ -0,0 +1,7 @@
+-- Fiat pricing and locked exchange-rate quotes for payments
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS price_currency VARCHAR(3);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS price_amount DECIMAL(20, 2);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(30, 12);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS rate_source VARCHAR(100);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS quoted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS quote_expires_at TIMESTAMP WITH TIME ZONE;
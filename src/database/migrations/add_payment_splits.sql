@@ -0,0 +1,3 @@
+-- Split payments: extra recipients paid out of the merchant amount,
+-- stored as [{ address, amount, bps, label }]
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS splits JSONB;
@@ -0,0 +1,4 @@
+-- Platform fee collection: the treasury a payment's fee leg is paid to and
+-- what each transfer paid to every leg (merchant, platform_fee)
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS fee_recipient_address VARCHAR(44);
+ALTER TABLE payment_transfers ADD COLUMN IF NOT EXISTS leg_amounts JSONB;
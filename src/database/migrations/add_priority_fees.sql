@@ -0,0 +1,6 @@
+-- Compute budget of the latest transaction built for a payment, for priority fee analysis
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS priority_fee_strategy VARCHAR(20);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS priority_fee_micro_lamports BIGINT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS compute_unit_limit INTEGER;
+-- Priority fee paid on top of the base fee: micro-lamports x compute unit limit / 1,000,000
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS priority_fee_lamports BIGINT;
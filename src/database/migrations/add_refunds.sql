@@ -0,0 +1,33 @@
+-- Refunds recorded against confirmed payments
+CREATE TABLE IF NOT EXISTS refunds (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    payment_id UUID NOT NULL,
+    payment_reference VARCHAR(88) NOT NULL,
+    web3auth_user_id TEXT NOT NULL,
+    reference VARCHAR(88) NOT NULL UNIQUE,
+    amount DECIMAL(20, 9) NOT NULL,
+    currency VARCHAR(10) NOT NULL,
+    spl_token_mint VARCHAR(255),
+    sender_address VARCHAR(255) NOT NULL,
+    recipient_address VARCHAR(255) NOT NULL,
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    transaction_signature VARCHAR(128),
+    failure_reason TEXT,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT check_refund_status CHECK (status IN ('pending', 'confirmed', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_payment_id ON refunds(payment_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_user_id ON refunds(web3auth_user_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status);
+
+-- Running total of confirmed refunds on the original payment
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(20, 9) DEFAULT 0;
+
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own refunds" ON refunds
+    FOR SELECT USING (web3auth_user_id = current_setting('request.jwt.claims', true)::json->>'sub');
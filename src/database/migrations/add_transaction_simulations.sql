@@ -0,0 +1,27 @@
+-- Pre-flight simulations of the transactions returned to wallets, kept for diagnostics
+CREATE TABLE IF NOT EXISTS transaction_simulations (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    -- Payment or refund reference the transaction was built for
+    reference VARCHAR(255) NOT NULL,
+    payment_id UUID REFERENCES payments(id) ON DELETE CASCADE,
+    payer VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    error_code VARCHAR(50),
+    -- Raw `err` of the simulation result, or the RPC error when it could not simulate
+    error JSONB,
+    logs JSONB NOT NULL DEFAULT '[]',
+    units_consumed BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT check_transaction_simulation_status CHECK (status IN ('passed', 'failed', 'unavailable'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_simulations_reference ON transaction_simulations(reference, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_transaction_simulations_failures ON transaction_simulations(error_code, created_at DESC) WHERE status = 'failed';
+
+ALTER TABLE transaction_simulations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view simulations of their own payments" ON transaction_simulations
+    FOR SELECT USING (payment_id IN (
+        SELECT id FROM payments
+        WHERE web3auth_user_id = current_setting('request.jwt.claims', true)::json->>'sub'
+    ));
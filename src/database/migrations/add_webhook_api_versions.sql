@@ -0,0 +1,11 @@
+-- Versioned webhook payloads
+-- Endpoints registered before versioning keep the original payload format;
+-- new endpoints get the event envelope unless they pin another version
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS api_version VARCHAR(20);
+UPDATE webhooks SET api_version = '2024-01-01' WHERE api_version IS NULL;
+ALTER TABLE webhooks ALTER COLUMN api_version SET DEFAULT '2026-10-01';
+ALTER TABLE webhooks ALTER COLUMN api_version SET NOT NULL;
+
+-- Every delivery of an event, including redeliveries, shares the event's ID
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS event_id VARCHAR(40);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_event_id ON webhook_deliveries(event_id);
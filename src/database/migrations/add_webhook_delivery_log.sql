@@ -0,0 +1,9 @@
+-- Delivery log filters, manual redeliveries and test events
+-- Redeliveries are new deliveries pointing at the one they repeat; test events
+-- carry sample data and are attempted once
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS is_test BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS redelivery_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL;
+
+-- Merchants filter an endpoint's log by event and status
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_event ON webhook_deliveries(webhook_id, event, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_status ON webhook_deliveries(webhook_id, status, created_at DESC);
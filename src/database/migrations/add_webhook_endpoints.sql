@@ -0,0 +1,20 @@
+-- Per-merchant webhook endpoints (also in create-tables-manual.sql), replacing the in-memory registry
+CREATE TABLE IF NOT EXISTS webhooks (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    web3auth_user_id TEXT NOT NULL,
+    url VARCHAR(500) NOT NULL,
+    events TEXT[] NOT NULL,
+    secret VARCHAR(255),
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+UPDATE webhooks SET active = true WHERE active IS NULL;
+ALTER TABLE webhooks ALTER COLUMN active SET NOT NULL;
+
+-- Events are sent to a merchant's active endpoints only
+CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(web3auth_user_id);
+CREATE INDEX IF NOT EXISTS idx_webhooks_active_user ON webhooks(web3auth_user_id) WHERE active;
+
+ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
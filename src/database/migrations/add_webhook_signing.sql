@@ -0,0 +1,9 @@
+-- Signed webhook deliveries and secret rotation
+-- During a rotation the previous secret keeps signing deliveries until previous_secret_expires_at
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS previous_secret VARCHAR(255);
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS previous_secret_expires_at TIMESTAMP WITH TIME ZONE;
+
+-- Every delivery is signed, so every endpoint needs a secret
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+UPDATE webhooks SET secret = 'whsec_' || encode(gen_random_bytes(32), 'hex') WHERE secret IS NULL;
+ALTER TABLE webhooks ALTER COLUMN secret SET NOT NULL;
@@ -40,7 +40,10 @@ const { initializeWebSocket } = require('./services/websocket');
 const logger = require('./utils/logger');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const healthCheck = require('./services/healthCheck');
+const exchangeRateService = require('./services/exchangeRateService');
 const paymentMonitor = require('./services/paymentMonitor');
+const { startPaymentBatchWorker, stopPaymentBatchWorker } = require('./jobs/paymentBatchProcessor');
+const { startWebhookDeliveryWorker, stopWebhookDeliveryWorker } = require('./jobs/webhookDeliveryProcessor');
 const { generalApiLimiter } = require('./middleware/rateLimiting');
 
 // Load environment variables
@@ -157,6 +160,10 @@ const notificationRoutes = require('./routes/notifications');
 const emailRoutes = require('./routes/emails');
 const planRoutes = require('./routes/plans');
 const transactionRequestRoutes = require('./routes/transaction-requests');
+const invoiceRoutes = require('./routes/invoices');
+const paymentLinkRoutes = require('./routes/paymentLinks');
+const { openPaymentLink } = require('./controllers/paymentLinks');
+const customerRoutes = require('./routes/customers');
 
 // Register API routes
 app.use('/api/payments', paymentRoutes);
@@ -169,12 +176,18 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/emails', emailRoutes);
 app.use('/api/plans', planRoutes);
 app.use('/api/transaction-requests', transactionRequestRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/payment-links', paymentLinkRoutes);
+app.use('/api/customers', customerRoutes);
 
 // Payment page route
 app.get('/payment/:reference', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/payment.html'));
 });
 
+// Payment link route - shows the page that creates a payment when the customer pays
+app.get('/pay/:slug', openPaymentLink);
+
 // Error handling
 app.use('*', notFoundHandler);
 app.use(errorHandler);
@@ -186,6 +199,12 @@ const gracefulShutdown = (signal) => {
   // Stop payment monitoring
   paymentMonitor.stopMonitoring();
 
+  // Stop webhook retries; deliveries mid-attempt are requeued on the next start
+  stopWebhookDeliveryWorker();
+
+  // Stop resuming batches; a row mid-creation is failed once it goes stale
+  stopPaymentBatchWorker();
+
   const server = app.listen(PORT);
   server.close(() => {
     logger.info('HTTP server closed');
@@ -214,6 +233,9 @@ process.on('uncaughtException', (error) => {
   process.exit(1);
 });
 
+// Refuse to start with an exchange rate provider that does not exist
+exchangeRateService.assertConfigured();
+
 // Start server
 server.listen(PORT, () => {
   // logger.info(`Solana Pay server running on port ${PORT}`);
@@ -224,6 +246,12 @@ server.listen(PORT, () => {
   // Start automatic payment monitoring
   paymentMonitor.startMonitoring();
   logger.info('Payment monitoring started');
+
+  // Retry failed webhook deliveries from the outbox
+  startWebhookDeliveryWorker();
+
+  // Resume payment batches, including rows interrupted by the previous shutdown
+  startPaymentBatchWorker();
 });
 
 module.exports = app;
@@ -0,0 +1,157 @@
+require('dotenv').config();
+const paymentBatchService = require('../services/paymentBatchService');
+const logger = require('../utils/logger');
+const { createPaymentRequest } = require('../controllers/payments');
+const { BATCH_STATUS, ITEM_STATUS } = paymentBatchService;
+
+// Rows claimed longer ago than this by a processor that stopped are failed on recovery
+const INTERRUPTED_AFTER_MS = 10 * 60 * 1000;
+
+// How often unfinished batches are resumed; a row cut off by a restart is
+// failed on the first poll after it has been claimed for INTERRUPTED_AFTER_MS
+const POLL_INTERVAL_MS = 60 * 1000;
+
+let pollInterval = null;
+let running = false;
+
+/**
+ * Create the payments of a batch's pending rows, in row order
+ * Rows are claimed one at a time, so a batch can be resumed after a restart.
+ * Rows over the merchant's plan limit fail like any other refused payment.
+ */
+async function processBatch(batchId) {
+  let batch = await paymentBatchService.getBatchById(batchId);
+  if (!batch || batch.status === BATCH_STATUS.COMPLETED) {
+    return batch;
+  }
+
+  if (batch.status === BATCH_STATUS.QUEUED) {
+    batch = await paymentBatchService.updateBatch(batch, BATCH_STATUS.PROCESSING, {
+      started_at: new Date().toISOString()
+    });
+  }
+
+  const items = await paymentBatchService.listItems(batch.id, ITEM_STATUS.PENDING);
+  logger.info('Processing payment batch:', { batchId: batch.id, pendingRows: items.length });
+
+  for (const item of items) {
+    if (!await paymentBatchService.claimItem(item)) {
+      continue;
+    }
+
+    let result;
+    try {
+      const created = await createPaymentRequest({
+        ...item.input,
+        web3AuthUserId: batch.web3auth_user_id
+      }, { baseUrl: batch.base_url, notifyCustomer: batch.send_emails });
+      result = { reference: created.reference, paymentUrl: created.paymentUrl };
+    } catch (error) {
+      if (!error.isOperational) {
+        logger.error('Payment batch row failed:', {
+          batchId: batch.id,
+          row: item.row_number,
+          error: error.message
+        });
+      }
+      result = { error: error.isOperational ? error.message : 'Failed to create payment' };
+    }
+
+    await paymentBatchService.recordItemResult(item, result);
+  }
+
+  return paymentBatchService.finishBatch(batch);
+}
+
+/**
+ * Start processing a batch in the background after the request that created it
+ */
+function scheduleBatch(batchId) {
+  setImmediate(() => {
+    processBatch(batchId).catch(error => {
+      logger.error('Payment batch processing failed:', { batchId, error: error.message });
+    });
+  });
+}
+
+/**
+ * Resume every unfinished batch - run this every minute
+ * Rows left half-done by a stopped processor are failed rather than created twice.
+ */
+async function processPaymentBatches() {
+  try {
+    const batches = await paymentBatchService.listUnfinishedBatches();
+    const claimedBefore = new Date(Date.now() - INTERRUPTED_AFTER_MS).toISOString();
+
+    for (const batch of batches) {
+      const interrupted = await paymentBatchService.failInterruptedItems(batch.id, claimedBefore);
+      if (interrupted > 0) {
+        logger.warn('Failed interrupted payment batch rows:', { batchId: batch.id, rows: interrupted });
+      }
+      await processBatch(batch.id);
+    }
+
+    return batches.length;
+  } catch (error) {
+    logger.error('Payment batch job failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Resume unfinished batches now and then every minute until stopped
+ * A poll is skipped while the previous one runs.
+ */
+function startPaymentBatchWorker() {
+  if (pollInterval) return;
+
+  const poll = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processPaymentBatches();
+    } catch (error) {
+      // Logged by processPaymentBatches; the next poll tries again
+    } finally {
+      running = false;
+    }
+  };
+
+  pollInterval = setInterval(poll, POLL_INTERVAL_MS);
+  poll();
+
+  logger.info('Payment batch worker started');
+}
+
+/**
+ * Stop resuming unfinished batches
+ */
+function stopPaymentBatchWorker() {
+  if (pollInterval) {
+    clearInterval(pollInterval);
+    pollInterval = null;
+    logger.info('Payment batch worker stopped');
+  }
+}
+
+// Export for the batch endpoint, the server, manual execution or cron setup
+module.exports = {
+  processBatch,
+  scheduleBatch,
+  processPaymentBatches,
+  startPaymentBatchWorker,
+  stopPaymentBatchWorker
+};
+
+// If running directly, resume unfinished batches once
+if (require.main === module) {
+  processPaymentBatches()
+    .then(count => {
+      console.log(`✅ Processed ${count} payment batches`);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('❌ Payment batch processing failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,92 @@
+require('dotenv').config();
+const webhookDeliveryService = require('../services/webhookDeliveryService');
+const logger = require('../utils/logger');
+
+// How often due retries are picked up
+const POLL_INTERVAL_MS = 30 * 1000;
+
+let pollInterval = null;
+let running = false;
+
+/**
+ * Attempt every webhook delivery whose retry is due - run this every 30 seconds
+ * Deliveries left mid-attempt by a stopped worker are requeued first.
+ */
+async function processWebhookDeliveries() {
+  try {
+    const requeued = await webhookDeliveryService.requeueInterruptedDeliveries();
+    if (requeued > 0) {
+      logger.warn('Requeued interrupted webhook deliveries:', { deliveries: requeued });
+    }
+
+    const deliveries = await webhookDeliveryService.listDueDeliveries();
+    let attempted = 0;
+
+    for (const delivery of deliveries) {
+      try {
+        if (await webhookDeliveryService.deliver(delivery)) {
+          attempted++;
+        }
+      } catch (error) {
+        logger.error('Webhook delivery attempt failed:', { deliveryId: delivery.id, error: error.message });
+      }
+    }
+
+    return attempted;
+  } catch (error) {
+    logger.error('Webhook delivery job failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Poll for due deliveries until stopped; a poll is skipped while the previous one runs
+ */
+function startWebhookDeliveryWorker() {
+  if (pollInterval) return;
+
+  pollInterval = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processWebhookDeliveries();
+    } catch (error) {
+      // Logged by processWebhookDeliveries; the next poll tries again
+    } finally {
+      running = false;
+    }
+  }, POLL_INTERVAL_MS);
+
+  logger.info('Webhook delivery worker started');
+}
+
+/**
+ * Stop polling for due deliveries
+ */
+function stopWebhookDeliveryWorker() {
+  if (pollInterval) {
+    clearInterval(pollInterval);
+    pollInterval = null;
+    logger.info('Webhook delivery worker stopped');
+  }
+}
+
+// Export for the server, manual execution or cron setup
+module.exports = {
+  processWebhookDeliveries,
+  startWebhookDeliveryWorker,
+  stopWebhookDeliveryWorker
+};
+
+// If running directly, attempt due deliveries once
+if (require.main === module) {
+  processWebhookDeliveries()
+    .then(count => {
+      console.log(`✅ Attempted ${count} webhook deliveries`);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('❌ Webhook delivery processing failed:', error);
+      process.exit(1);
+    });
+}
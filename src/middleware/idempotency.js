@@ -0,0 +1,94 @@
+const idempotencyService = require('../services/idempotencyService');
+const logger = require('../utils/logger');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Identify who sent a request so keys from different callers never collide
+ * Merchant endpoints carry the user from authenticateUser or the x-user-id
+ * header; payment creation sends it in the body. Public endpoints such as
+ * subscribing are scoped to the client's IP address and the customer's wallet
+ * or email from the body.
+ */
+const getCaller = (req) => req.user?.web3auth_user_id
+  || req.get('x-user-id')
+  || req.body?.web3AuthUserId
+  || `public ${req.ip} ${req.body?.customerWallet || req.body?.customerEmail || ''}`.trim();
+
+/**
+ * Idempotency-Key support for endpoints that create payments or move money
+ * Requests without the header are passed through unchanged.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const path = `${req.baseUrl}${req.path}`;
+  const scope = `${getCaller(req)} ${req.method} ${path}`;
+  const fingerprint = idempotencyService.fingerprint({ method: req.method, path, body: req.body });
+
+  let result;
+  try {
+    result = await idempotencyService.begin(scope, key, fingerprint);
+  } catch (error) {
+    logger.error('Idempotency check failed:', { scope, error: error.message });
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process Idempotency-Key'
+    });
+  }
+
+  if (result.action === 'mismatch') {
+    logger.warn('Idempotency-Key reused with a different request:', { scope });
+    return res.status(409).json({
+      success: false,
+      error: 'Idempotency-Key has already been used with a different request body'
+    });
+  }
+
+  if (result.action === 'in_progress') {
+    return res.status(409).json({
+      success: false,
+      error: 'A request with this Idempotency-Key is still being processed'
+    });
+  }
+
+  if (result.action === 'replay') {
+    logger.info('Replaying idempotent response:', { scope });
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(result.record.response_status).json(result.record.response_body);
+  }
+
+  // Store the response before it is sent so an immediate retry can replay it
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const statusCode = res.statusCode;
+    const settle = statusCode >= 500
+      ? idempotencyService.releaseKey(scope, key)
+      : idempotencyService.completeKey(scope, key, statusCode, body);
+
+    settle
+      .catch(error => {
+        logger.error('Failed to store idempotent response:', { scope, error: error.message });
+      })
+      .finally(() => sendJson(body));
+
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotency
+};
@@ -1,6 +1,18 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
 const xss = require('xss');
+const { SUPPORTED_FIAT_CURRENCIES } = require('../services/exchangeRateService');
+const { PAYMENT_STATUS } = require('../utils/paymentStatus');
+const paymentBatchService = require('../services/paymentBatchService');
+const {
+  WEBHOOK_EVENTS,
+  ALL_EVENTS,
+  API_VERSIONS,
+  MAX_SECRET_OVERLAP_SECONDS
+} = require('../services/webhookService');
+const { DELIVERY_STATUS } = require('../services/webhookDeliveryService');
+const { isAllowedWebhookHost } = require('../utils/webhookUrl');
+const { PAYMENT_BATCH_MAX_ROWS } = paymentBatchService;
 
 /**
  * Sanitize user input to prevent XSS attacks
@@ -9,6 +21,9 @@ const sanitizeInput = (input) => {
   if (typeof input === 'string') {
     return xss(input);
   }
+  if (Array.isArray(input)) {
+    return input.map(sanitizeInput);
+  }
   if (typeof input === 'object' && input !== null) {
     const sanitized = {};
     for (const key in input) {
@@ -21,6 +36,64 @@ const sanitizeInput = (input) => {
   return input;
 };
 
+// Metadata is merchant-defined JSON kept with a record and returned in API responses and webhooks
+const METADATA_MAX_KEYS = 50;
+const METADATA_MAX_BYTES = 8 * 1024;
+const METADATA_KEY = /^[A-Za-z0-9_-]{1,40}$/;
+
+const metadataSchema = Joi.object()
+  .pattern(METADATA_KEY, Joi.any())
+  .max(METADATA_MAX_KEYS)
+  .custom((value, helpers) => (Buffer.byteLength(JSON.stringify(value)) > METADATA_MAX_BYTES
+    ? helpers.message(`"metadata" must be at most ${METADATA_MAX_BYTES} bytes`)
+    : value));
+
+/**
+ * Payment request schema, shared by single and batch payment creation
+ */
+const paymentRequestSchema = Joi.object({
+  // Open payments are priced by the customer; tip payments take `amount` as the base
+  amountMode: Joi.string().valid('fixed', 'open', 'fixed_plus_tip').default('fixed'),
+  amount: Joi.number().positive()
+    .when('amountMode', { is: 'open', then: Joi.forbidden() })
+    .when('amountMode', { is: 'fixed_plus_tip', then: Joi.required() }),
+  priceAmount: Joi.number().positive()
+    .when('amountMode', { not: 'fixed', then: Joi.forbidden() }),
+  priceCurrency: Joi.string().uppercase().valid(...SUPPORTED_FIAT_CURRENCIES),
+  // Bounds and presets of the customer's part: the amount, or the tip
+  minAmount: Joi.number().positive()
+    .when('amountMode', { is: 'fixed', then: Joi.forbidden() }),
+  maxAmount: Joi.number().positive().min(Joi.ref('minAmount'))
+    .when('amountMode', { is: 'fixed', then: Joi.forbidden() }),
+  amountPresets: Joi.array().items(Joi.number().positive()).min(1).max(6).unique()
+    .when('amountMode', { is: 'fixed', then: Joi.forbidden() }),
+  label: Joi.string().min(1).max(100).required(),
+  message: Joi.string().min(1).max(500).required(),
+  memo: Joi.string().max(500),
+  customerEmail: Joi.string().email().allow('').optional(),
+  customerId: Joi.string().guid().optional(), // Re-bill one of the merchant's customers
+  metadata: metadataSchema.optional(),
+  web3AuthUserId: Joi.string().required(),
+  merchantWallet: Joi.string().regex(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/).optional(), // Allow merchant wallet for multi-tenant support
+  chain: Joi.string().valid('solana', 'ethereum', 'polygon', 'arbitrum', 'optimism', 'avalanche', 'base').default('solana'),
+  splToken: Joi.string().regex(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/).optional(),
+  expiresAt: Joi.date().iso().greater('now').optional(),
+  ttlSeconds: Joi.number().integer().min(60).max(30 * 24 * 60 * 60).optional(), // 1 minute to 30 days
+  splits: Joi.array().items(
+    Joi.object({
+      address: Joi.string().regex(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/).required(),
+      amount: Joi.number().positive(),
+      bps: Joi.number().integer().min(1).max(10000),
+      label: Joi.string().max(50)
+    }).xor('amount', 'bps') // Fixed token amount, or basis points of the payment amount
+  ).min(1).max(10).unique('address').optional()
+})
+  .when(Joi.object({ amountMode: Joi.valid('fixed') }).unknown(), {
+    then: Joi.object().xor('amount', 'priceAmount') // Token amount, or a fiat price quoted at creation
+  })
+  .and('priceAmount', 'priceCurrency')
+  .oxor('expiresAt', 'ttlSeconds');
+
 /**
  * Validation middleware for payment requests
  */
@@ -28,23 +101,105 @@ const validatePaymentRequest = (req, res, next) => {
   // Sanitize input first
   req.body = sanitizeInput(req.body);
 
-  const schema = Joi.object({
-    amount: Joi.number().positive().required(),
-    label: Joi.string().min(1).max(100).required(),
-    message: Joi.string().min(1).max(500).required(),
-    memo: Joi.string().max(500),
-    customerEmail: Joi.string().email().allow('').optional(),
-    web3AuthUserId: Joi.string().required(),
-    merchantWallet: Joi.string().regex(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/).optional(), // Allow merchant wallet for multi-tenant support
-    chain: Joi.string().valid('solana', 'ethereum', 'polygon', 'arbitrum', 'optimism', 'avalanche', 'base').default('solana'),
-    splToken: Joi.string().regex(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/).optional()
+  const { error, value } = paymentRequestSchema.validate(req.body);
+
+  if (error) {
+    logger.warn('Payment validation failed:', error.details);
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Validation middleware for batch payment creation
+ * Accepts `{ payments: [...], sendEmails }` as JSON, or a CSV upload with `sendEmails`
+ * in the query string. Every row is checked against the payment request schema and
+ * all row errors are reported at once, so nothing is created from a partly bad batch.
+ */
+const validatePaymentBatch = (req, res, next) => {
+  const respondInvalid = (details, rows) => {
+    logger.warn('Payment batch validation failed:', { details: details.slice(0, 10) });
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details,
+      ...(rows && { rows })
+    });
+  };
+
+  let body = req.body;
+  if (typeof body === 'string') {
+    try {
+      body = { payments: paymentBatchService.parseCsv(body), sendEmails: req.query.sendEmails };
+    } catch (error) {
+      return respondInvalid([error.message]);
+    }
+  }
+
+  const envelope = Joi.object({
+    payments: Joi.array().items(Joi.object()).min(1).max(PAYMENT_BATCH_MAX_ROWS).required(),
+    sendEmails: Joi.boolean().default(false)
   });
 
+  const { error: envelopeError, value } = envelope.validate(body || {});
+  if (envelopeError) {
+    return respondInvalid(envelopeError.details.map(d => d.message));
+  }
+
+  const web3AuthUserId = req.user.web3auth_user_id;
+  const payments = [];
+  const rows = [];
+
+  value.payments.forEach((row, index) => {
+    const { error, value: payment } = paymentRequestSchema.validate(
+      sanitizeInput({ ...row, web3AuthUserId }),
+      { abortEarly: false }
+    );
+
+    if (error) {
+      rows.push({ row: index + 1, errors: error.details.map(d => d.message) });
+      return;
+    }
+
+    // The merchant comes from the authenticated request, not the stored row
+    delete payment.web3AuthUserId;
+    payments.push(payment);
+  });
+
+  if (rows.length > 0) {
+    return respondInvalid(
+      rows.flatMap(({ row, errors }) => errors.map(message => `Row ${row}: ${message}`)),
+      rows
+    );
+  }
+
+  req.body = { payments, sendEmails: value.sendEmails };
+  next();
+};
+
+/**
+ * Validation middleware for the amount a customer chooses for an open or tip payment
+ */
+const validatePaymentAmount = (req, res, next) => {
+  // Sanitize input first
+  req.body = sanitizeInput(req.body);
+
+  const schema = Joi.object({
+    amount: Joi.number().positive(),
+    tip: Joi.number().min(0)
+  }).xor('amount', 'tip');
+
   const { error, value } = schema.validate(req.body);
 
   if (error) {
-    logger.warn('Payment validation failed:', error.details);
+    logger.warn('Payment amount validation failed:', error.details);
     return res.status(400).json({
+      success: false,
       error: 'Validation failed',
       details: error.details.map(d => d.message)
     });
@@ -80,6 +235,493 @@ const validatePaymentConfirmation = (req, res, next) => {
   next();
 };
 
+/**
+ * Validation middleware for payment listing query parameters
+ * `status` accepts a comma-separated list or repeated parameters.
+ */
+const validatePaymentListQuery = (req, res, next) => {
+  const query = sanitizeInput(req.query);
+  if (typeof query.status === 'string') {
+    query.status = query.status.split(',').map(status => status.trim()).filter(Boolean);
+  }
+
+  const schema = Joi.object({
+    status: Joi.array().items(Joi.string().valid(...Object.values(PAYMENT_STATUS))).single().optional(),
+    currency: Joi.string().uppercase().max(10).optional(),
+    minAmount: Joi.number().min(0).optional(),
+    maxAmount: Joi.number().min(Joi.ref('minAmount')).optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    customerEmail: Joi.string().email().optional(),
+    label: Joi.string().min(1).max(100).optional(),
+    templateId: Joi.string().max(64).optional(),
+    customerId: Joi.string().guid().optional(),
+    metadata: Joi.object().pattern(METADATA_KEY, Joi.string().max(200)).max(10).optional(), // metadata[key]=value
+    sort: Joi.string().valid('created_at', 'amount').default('created_at'),
+    order: Joi.string().valid('asc', 'desc').default('desc'),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    cursor: Joi.string().max(500).optional(),
+    userId: Joi.string().optional() // Accepted by authenticateUser in place of x-user-id
+  });
+
+  const { error, value } = schema.validate(query);
+
+  if (error) {
+    logger.warn('Payment list validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  req.query = {
+    ...value,
+    from: value.from ? value.from.toISOString() : undefined,
+    to: value.to ? value.to.toISOString() : undefined
+  };
+  next();
+};
+
+/**
+ * Validation middleware for payment cancellation
+ */
+const validatePaymentCancellation = (req, res, next) => {
+  // Sanitize input first
+  req.body = sanitizeInput(req.body || {});
+
+  const schema = Joi.object({
+    reason: Joi.string().max(500).optional()
+  });
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    logger.warn('Payment cancellation validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Validation middleware for refund requests
+ */
+const validateRefundRequest = (req, res, next) => {
+  // Sanitize input first
+  req.body = sanitizeInput(req.body);
+
+  const schema = Joi.object({
+    amount: Joi.number().positive().optional(), // Omit for a full refund of the remaining balance
+    reason: Joi.string().max(500).optional(),
+    recipientAddress: Joi.string().regex(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/).optional()
+  });
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    logger.warn('Refund validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Validation middleware for creating and editing invoices
+ * Tax and discount rates are basis points; a line's own tax rate overrides the invoice rate.
+ */
+const validateInvoice = (req, res, next) => {
+  // Sanitize input first
+  req.body = sanitizeInput(req.body);
+
+  const schema = Joi.object({
+    currency: Joi.string().uppercase().max(10).required(), // Fiat currency or token symbol
+    paymentToken: Joi.string().uppercase().max(10).optional(), // Token a fiat invoice is paid in, USDC by default
+    lineItems: Joi.array().items(
+      Joi.object({
+        description: Joi.string().min(1).max(200).required(),
+        quantity: Joi.number().positive().required(),
+        unitPrice: Joi.number().min(0).required(),
+        taxRateBps: Joi.number().integer().min(0).max(10000).optional(),
+        discountBps: Joi.number().integer().min(0).max(10000).optional()
+      })
+    ).min(1).max(100).required(),
+    taxRateBps: Joi.number().integer().min(0).max(10000).default(0),
+    discountBps: Joi.number().integer().min(0).max(10000),
+    discountAmount: Joi.number().min(0),
+    dueDate: Joi.date().iso().optional(),
+    customerId: Joi.string().guid().optional(), // Bill one of the merchant's customers
+    billTo: Joi.object({
+      name: Joi.string().max(200),
+      email: Joi.string().email(),
+      company: Joi.string().max(200),
+      address: Joi.string().max(500),
+      taxId: Joi.string().max(50)
+    }).optional(),
+    notes: Joi.string().max(2000).allow('').optional()
+  }).oxor('discountBps', 'discountAmount');
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    logger.warn('Invoice validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Validation middleware for invoice listing query parameters
+ */
+const validateInvoiceListQuery = (req, res, next) => {
+  const schema = Joi.object({
+    status: Joi.string().valid('draft', 'open', 'paid', 'void').optional(),
+    customerId: Joi.string().guid().optional(),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    offset: Joi.number().integer().min(0).default(0),
+    userId: Joi.string().optional() // Accepted by authenticateUser in place of x-user-id
+  });
+
+  const { error, value } = schema.validate(sanitizeInput(req.query));
+
+  if (error) {
+    logger.warn('Invoice list validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  req.query = value;
+  next();
+};
+
+/**
+ * Validation middleware for invoice numbering settings
+ */
+const validateInvoiceSettings = (req, res, next) => {
+  // Sanitize input first
+  req.body = sanitizeInput(req.body);
+
+  const schema = Joi.object({
+    prefix: Joi.string().regex(/^[A-Za-z0-9_-]{1,20}$/),
+    nextNumber: Joi.number().integer().min(1)
+  }).or('prefix', 'nextNumber');
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    logger.warn('Invoice settings validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Payment link fields shared by create and update
+ * A link has either a fixed amount or customer-chosen bounds, never both.
+ */
+const paymentLinkFields = {
+  slug: Joi.string().lowercase().regex(/^[a-z0-9-]{3,50}$/),
+  label: Joi.string().min(1).max(100),
+  message: Joi.string().max(500).allow('', null),
+  memo: Joi.string().max(100).allow('', null),
+  currency: Joi.string().uppercase().max(10),
+  amount: Joi.number().positive().allow(null),
+  minAmount: Joi.number().positive().allow(null)
+    .when('amount', { is: Joi.number().required(), then: Joi.forbidden() }),
+  maxAmount: Joi.number().positive().allow(null)
+    .when('amount', { is: Joi.number().required(), then: Joi.forbidden() }),
+  maxUses: Joi.number().integer().min(1).allow(null),
+  expiresAt: Joi.date().iso().greater('now').allow(null)
+};
+
+/**
+ * Validate a payment link request against a schema
+ */
+const validatePaymentLinkBody = (schema, req, res, next) => {
+  // Sanitize input first
+  req.body = sanitizeInput(req.body);
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    logger.warn('Payment link validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Validation middleware for creating payment links
+ */
+const validatePaymentLink = (req, res, next) => validatePaymentLinkBody(
+  Joi.object({
+    ...paymentLinkFields,
+    label: paymentLinkFields.label.required(),
+    currency: paymentLinkFields.currency.default('SOL')
+  }),
+  req,
+  res,
+  next
+);
+
+/**
+ * Validation middleware for updating payment links
+ */
+const validatePaymentLinkUpdate = (req, res, next) => validatePaymentLinkBody(
+  Joi.object({
+    ...paymentLinkFields,
+    active: Joi.boolean()
+  }).min(1),
+  req,
+  res,
+  next
+);
+
+/**
+ * Validation middleware for the `metadata` of requests without a full request schema
+ */
+const validateMetadata = (req, res, next) => {
+  // Sanitize input first
+  req.body = sanitizeInput(req.body);
+
+  const { error, value } = metadataSchema.label('metadata').validate(req.body.metadata);
+
+  if (error) {
+    logger.warn('Metadata validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  if (value !== undefined) {
+    req.body.metadata = value;
+  }
+  next();
+};
+
+/**
+ * Customer fields shared by create and update
+ */
+const customerFields = {
+  email: Joi.string().email().max(255).allow(null),
+  name: Joi.string().min(1).max(100).allow(null),
+  walletAddresses: Joi.array().items(Joi.string().regex(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/)).max(20),
+  metadata: metadataSchema
+};
+
+/**
+ * Validate a customer request against a schema
+ */
+const validateCustomerBody = (schema, req, res, next) => {
+  // Sanitize input first
+  req.body = sanitizeInput(req.body);
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    logger.warn('Customer validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Validation middleware for creating customers
+ * A customer needs an email or a wallet to be recognised by.
+ */
+const validateCustomer = (req, res, next) => validateCustomerBody(
+  Joi.object(customerFields).or('email', 'walletAddresses'),
+  req,
+  res,
+  next
+);
+
+/**
+ * Validation middleware for updating customers
+ */
+const validateCustomerUpdate = (req, res, next) => validateCustomerBody(
+  Joi.object(customerFields).min(1),
+  req,
+  res,
+  next
+);
+
+/**
+ * Validation middleware for customer listing query parameters
+ */
+const validateCustomerListQuery = (req, res, next) => {
+  const schema = Joi.object({
+    search: Joi.string().trim().min(1).max(100).regex(/^[^"\\]*$/).optional(),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    offset: Joi.number().integer().min(0).default(0),
+    userId: Joi.string().optional() // Accepted by authenticateUser in place of x-user-id
+  });
+
+  const { error, value } = schema.validate(sanitizeInput(req.query));
+
+  if (error) {
+    logger.warn('Customer list validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  req.query = value;
+  next();
+};
+
+/**
+ * Webhook endpoint fields shared by register and update
+ */
+const webhookFields = {
+  url: Joi.string().uri({ scheme: ['https'] }).max(500)
+    .custom((value, helpers) => (isAllowedWebhookHost(value)
+      ? value
+      : helpers.message('"url" must point to a public host'))),
+  events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS, ALL_EVENTS)).min(1).unique(),
+  active: Joi.boolean(),
+  apiVersion: Joi.string().valid(...API_VERSIONS)
+};
+
+/**
+ * Validate a webhook request against a schema
+ */
+const validateWebhookBody = (schema, req, res, next) => {
+  // Sanitize input first
+  req.body = sanitizeInput(req.body);
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    logger.warn('Webhook validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Validation middleware for registering webhook endpoints
+ */
+const validateWebhook = (req, res, next) => validateWebhookBody(
+  Joi.object({
+    ...webhookFields,
+    url: webhookFields.url.required(),
+    events: webhookFields.events.default(['payment.confirmed'])
+  }),
+  req,
+  res,
+  next
+);
+
+/**
+ * Validation middleware for updating webhook endpoints
+ */
+const validateWebhookUpdate = (req, res, next) => validateWebhookBody(
+  Joi.object(webhookFields).min(1),
+  req,
+  res,
+  next
+);
+
+/**
+ * Validation middleware for rotating webhook signing secrets
+ */
+const validateWebhookSecretRotation = (req, res, next) => validateWebhookBody(
+  Joi.object({
+    overlapSeconds: Joi.number().integer().min(0).max(MAX_SECRET_OVERLAP_SECONDS)
+  }),
+  req,
+  res,
+  next
+);
+
+/**
+ * Validation middleware for sending webhook test events
+ */
+const validateWebhookTestEvent = (req, res, next) => validateWebhookBody(
+  Joi.object({
+    event: Joi.string().valid(...WEBHOOK_EVENTS).default('payment.confirmed')
+  }),
+  req,
+  res,
+  next
+);
+
+/**
+ * Validation middleware for webhook delivery log query parameters
+ */
+const validateWebhookDeliveryQuery = (req, res, next) => {
+  const schema = Joi.object({
+    event: Joi.string().valid(...WEBHOOK_EVENTS).optional(),
+    status: Joi.string().valid(...Object.values(DELIVERY_STATUS)).optional(),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    offset: Joi.number().integer().min(0).default(0),
+    userId: Joi.string().optional() // Accepted by authenticateUser in place of x-user-id
+  });
+
+  const { error, value } = schema.validate(sanitizeInput(req.query));
+
+  if (error) {
+    logger.warn('Webhook delivery query validation failed:', error.details);
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  req.query = value;
+  next();
+};
+
 /**
  * Validation middleware for user registration
  */
@@ -182,7 +824,80 @@ const validateUserRequest = (req, res, next) => {
   const schema = Joi.object({
     businessName: Joi.string().max(100).optional(),
     businessType: Joi.string().max(50).optional(),
-    defaultReceivingAddress: Joi.string().regex(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/).optional()
+    defaultReceivingAddress: Joi.string().regex(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/).optional(),
+    paymentToleranceBps: Joi.number().integer().min(0).max(1000).optional()
+  });
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Validation middleware for accepted token settings
+ */
+const validateTokenSettings = (req, res, next) => {
+  // Sanitize input first
+  req.body = sanitizeInput(req.body);
+
+  const schema = Joi.object({
+    tokens: Joi.array()
+      .items(Joi.string().uppercase().max(10))
+      .min(1)
+      .unique()
+      .required()
+  });
+
+  const { error, value } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.details.map(d => d.message)
+    });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Validation middleware for merchant fee schedule overrides
+ */
+const validateFeeSchedule = (req, res, next) => {
+  // Sanitize input first
+  req.body = sanitizeInput(req.body);
+
+  const amount = Joi.string().regex(/^\d+(\.\d+)?$/);
+  const scheduleFields = {
+    mode: Joi.string().valid('add', 'deduct').optional(),
+    percentageBps: Joi.number().integer().min(0).max(10000).optional(),
+    fixed: amount.optional(),
+    cap: amount.allow(null).optional(),
+    tiers: Joi.array().items(Joi.object({
+      minMonthlyPayments: Joi.number().integer().min(0).required(),
+      percentageBps: Joi.number().integer().min(0).max(10000).required()
+    })).optional()
+  };
+
+  const schema = Joi.object({
+    feeSchedule: Joi.object({
+      ...scheduleFields,
+      tokens: Joi.object().pattern(
+        Joi.string().regex(/^[A-Z0-9]{1,10}$/),
+        Joi.object(scheduleFields)
+      ).optional()
+    }).allow(null).required()
   });
 
   const { error, value } = schema.validate(req.body);
@@ -229,10 +944,31 @@ const validateAddressRequest = (req, res, next) => {
 
 module.exports = {
   validatePaymentRequest,
+  validatePaymentBatch,
+  validatePaymentAmount,
   validatePaymentConfirmation,
+  validatePaymentListQuery,
+  validatePaymentCancellation,
+  validateRefundRequest,
+  validateInvoice,
+  validateInvoiceListQuery,
+  validateInvoiceSettings,
+  validatePaymentLink,
+  validatePaymentLinkUpdate,
+  validateCustomer,
+  validateCustomerUpdate,
+  validateCustomerListQuery,
+  validateMetadata,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookSecretRotation,
+  validateWebhookTestEvent,
+  validateWebhookDeliveryQuery,
   validateUserRegistration,
   validateUserCreation,
   validateUserOnboarding,
   validateUserRequest,
+  validateTokenSettings,
+  validateFeeSchedule,
   validateAddressRequest
 };
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createCustomer,
+  listCustomers,
+  getCustomer,
+  updateCustomer,
+  deleteCustomer
+} = require('../controllers/customers');
+const {
+  validateCustomer,
+  validateCustomerUpdate,
+  validateCustomerListQuery
+} = require('../middleware/validation');
+const { authenticateUser } = require('../middleware/auth');
+
+/**
+ * POST /api/customers
+ * Create a customer
+ */
+router.post('/', authenticateUser, validateCustomer, createCustomer);
+
+/**
+ * GET /api/customers
+ * List the merchant's customers, optionally searching by email, name or wallet
+ */
+router.get('/', authenticateUser, validateCustomerListQuery, listCustomers);
+
+/**
+ * GET /api/customers/:id
+ * Get a customer with their lifetime value and payment count
+ */
+router.get('/:id', authenticateUser, getCustomer);
+
+/**
+ * PUT /api/customers/:id
+ * Update a customer
+ */
+router.put('/:id', authenticateUser, validateCustomerUpdate, updateCustomer);
+
+/**
+ * DELETE /api/customers/:id
+ * Delete a customer
+ */
+router.delete('/:id', authenticateUser, deleteCustomer);
+
+module.exports = router;
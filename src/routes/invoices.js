@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createInvoice,
+  listInvoices,
+  getInvoice,
+  updateInvoice,
+  deleteInvoice,
+  finalizeInvoice,
+  sendInvoice,
+  voidInvoice,
+  getInvoiceSettings,
+  updateInvoiceSettings
+} = require('../controllers/invoices');
+const {
+  validateInvoice,
+  validateInvoiceListQuery,
+  validateInvoiceSettings
+} = require('../middleware/validation');
+const { authenticateUser } = require('../middleware/auth');
+
+/**
+ * POST /api/invoices
+ * Create a draft invoice
+ */
+router.post('/', authenticateUser, validateInvoice, createInvoice);
+
+/**
+ * GET /api/invoices
+ * List the merchant's invoices
+ */
+router.get('/', authenticateUser, validateInvoiceListQuery, listInvoices);
+
+/**
+ * GET /api/invoices/settings
+ * Get invoice numbering settings
+ */
+router.get('/settings', authenticateUser, getInvoiceSettings);
+
+/**
+ * PUT /api/invoices/settings
+ * Update the invoice prefix and next number
+ */
+router.put('/settings', authenticateUser, validateInvoiceSettings, updateInvoiceSettings);
+
+/**
+ * GET /api/invoices/:id
+ * Get an invoice
+ */
+router.get('/:id', authenticateUser, getInvoice);
+
+/**
+ * PUT /api/invoices/:id
+ * Replace a draft invoice
+ */
+router.put('/:id', authenticateUser, validateInvoice, updateInvoice);
+
+/**
+ * DELETE /api/invoices/:id
+ * Delete a draft invoice
+ */
+router.delete('/:id', authenticateUser, deleteInvoice);
+
+/**
+ * POST /api/invoices/:id/finalize
+ * Number the invoice and create its payment
+ */
+router.post('/:id/finalize', authenticateUser, finalizeInvoice);
+
+/**
+ * POST /api/invoices/:id/send
+ * Email the invoice to its bill-to address
+ */
+router.post('/:id/send', authenticateUser, sendInvoice);
+
+/**
+ * POST /api/invoices/:id/void
+ * Void an open invoice and cancel its payment
+ */
+router.post('/:id/void', authenticateUser, voidInvoice);
+
+module.exports = router;
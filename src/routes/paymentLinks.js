@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createPaymentLink,
+  listPaymentLinks,
+  getPaymentLink,
+  updatePaymentLink,
+  deletePaymentLink,
+  getPaymentLinkStats,
+  getPublicPaymentLink,
+  createPublicLinkPayment
+} = require('../controllers/paymentLinks');
+const { validatePaymentLink, validatePaymentLinkUpdate } = require('../middleware/validation');
+const { authenticateUser } = require('../middleware/auth');
+const { paymentCreationLimiter } = require('../middleware/rateLimiting');
+
+/**
+ * GET /api/payment-links/public/:slug
+ * Get a link's public details for the payment link page
+ */
+router.get('/public/:slug', getPublicPaymentLink);
+
+/**
+ * POST /api/payment-links/public/:slug/payments
+ * Create a payment from a link with the customer's chosen amount
+ */
+router.post('/public/:slug/payments', paymentCreationLimiter, createPublicLinkPayment);
+
+/**
+ * POST /api/payment-links
+ * Create a payment link
+ */
+router.post('/', authenticateUser, validatePaymentLink, createPaymentLink);
+
+/**
+ * GET /api/payment-links
+ * List the merchant's payment links
+ */
+router.get('/', authenticateUser, listPaymentLinks);
+
+/**
+ * GET /api/payment-links/:id
+ * Get a payment link
+ */
+router.get('/:id', authenticateUser, getPaymentLink);
+
+/**
+ * PUT /api/payment-links/:id
+ * Update a payment link
+ */
+router.put('/:id', authenticateUser, validatePaymentLinkUpdate, updatePaymentLink);
+
+/**
+ * DELETE /api/payment-links/:id
+ * Delete a payment link
+ */
+router.delete('/:id', authenticateUser, deletePaymentLink);
+
+/**
+ * GET /api/payment-links/:id/stats
+ * Get a link's visits, scans and conversions
+ */
+router.get('/:id/stats', authenticateUser, getPaymentLinkStats);
+
+module.exports = router;
@@ -3,20 +3,71 @@ const router = express.Router();
 const { 
   createPayment, 
   getPayment, 
+  listPayments,
+  setPaymentAmount,
+  cancelPayment,
   getPaymentStatus, 
   generatePaymentQR, 
+  getPaymentReceipt,
+  getPaymentInvoice,
   sendInvoice, 
   confirmPayment, 
   manualConfirmPayment
 } = require('../controllers/payments');
-const { validatePaymentRequest, validatePaymentConfirmation } = require('../middleware/validation');
+const { createRefund, getRefunds } = require('../controllers/refunds');
+const {
+  createPaymentBatch,
+  getPaymentBatch,
+  getPaymentBatchResults
+} = require('../controllers/paymentBatches');
+const {
+  validatePaymentRequest,
+  validatePaymentBatch,
+  validatePaymentAmount,
+  validatePaymentConfirmation,
+  validatePaymentListQuery,
+  validatePaymentCancellation,
+  validateRefundRequest
+} = require('../middleware/validation');
 const { paymentCreationLimiter, paymentConfirmationLimiter } = require('../middleware/rateLimiting');
 const { trackLinkVisit, trackQRScan } = require('../middleware/analytics');
+const { authenticateUser } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
 /**
  * Create new payment
+ * Supports the Idempotency-Key header for safe client retries
  */
-router.post('/create', paymentCreationLimiter, validatePaymentRequest, createPayment);
+router.post('/create', paymentCreationLimiter, validatePaymentRequest, idempotency, createPayment);
+
+/**
+ * List the merchant's payments with filters, sorting and cursor pagination
+ */
+router.get('/', authenticateUser, validatePaymentListQuery, listPayments);
+
+/**
+ * Create payment requests in bulk from a JSON array or a CSV upload
+ * Payments are created in the background; the response points at the batch status.
+ */
+router.post(
+  '/batch',
+  authenticateUser,
+  paymentCreationLimiter,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  validatePaymentBatch,
+  idempotency,
+  createPaymentBatch
+);
+
+/**
+ * Get a payment batch's progress and per-row results
+ */
+router.get('/batch/:batchId', authenticateUser, getPaymentBatch);
+
+/**
+ * Download a payment batch's per-row results as CSV
+ */
+router.get('/batch/:batchId/results.csv', authenticateUser, getPaymentBatchResults);
 
 /**
  * Get payment details by reference
@@ -33,15 +84,46 @@ router.get('/:reference/status', getPaymentStatus);
  */
 router.get('/:reference/qr', trackQRScan, generatePaymentQR);
 
+/**
+ * Download the PDF receipt for a confirmed payment
+ */
+router.get('/:reference/receipt.pdf', getPaymentReceipt);
+
+/**
+ * Download the PDF invoice for a payment request
+ */
+router.get('/:reference/invoice.pdf', getPaymentInvoice);
+
 /**
  * Send payment invoice via email
  */
 router.post('/:reference/invoice', sendInvoice);
 
+/**
+ * Choose the amount of an open payment or the tip of a tip payment
+ */
+router.post('/:reference/amount', paymentCreationLimiter, validatePaymentAmount, setPaymentAmount);
+
+/**
+ * Cancel a pending payment and retire its reference
+ */
+router.post('/:reference/cancel', authenticateUser, validatePaymentCancellation, cancelPayment);
+
+/**
+ * Refund a confirmed payment (full or partial)
+ */
+router.post('/:reference/refunds', authenticateUser, validateRefundRequest, createRefund);
+
+/**
+ * List refunds for a payment
+ */
+router.get('/:reference/refunds', authenticateUser, getRefunds);
+
 /**
  * Confirm payment transaction
+ * Supports the Idempotency-Key header for safe client retries
  */
-router.post('/confirm', paymentConfirmationLimiter, validatePaymentConfirmation, confirmPayment);
+router.post('/confirm', paymentConfirmationLimiter, validatePaymentConfirmation, idempotency, confirmPayment);
 
 /**
  * Manual confirm payment (restricted environments only)
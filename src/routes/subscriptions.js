@@ -3,11 +3,13 @@ const router = express.Router();
 const SubscriptionController = require('../controllers/subscriptions');
 const SubscriptionService = require('../services/subscriptions');
 const { authenticateUser } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { validateMetadata } = require('../middleware/validation');
 
 /**
  * Create subscription plan
  */
-router.post('/plans', authenticateUser, SubscriptionController.createPlan);
+router.post('/plans', authenticateUser, validateMetadata, SubscriptionController.createPlan);
 
 /**
  * Get merchant's plans
@@ -16,8 +18,9 @@ router.get('/plans', authenticateUser, SubscriptionController.getPlans);
 
 /**
  * Subscribe to plan
+ * Supports the Idempotency-Key header for safe client retries
  */
-router.post('/subscribe', SubscriptionController.subscribe);
+router.post('/subscribe', idempotency, validateMetadata, SubscriptionController.subscribe);
 
 /**
  * Get subscription analytics
@@ -7,12 +7,14 @@ const {
   deleteTemplate,
   createPaymentFromTemplate
 } = require('../controllers/templates');
+const { idempotency } = require('../middleware/idempotency');
+const { validateMetadata } = require('../middleware/validation');
 
 /**
  * POST /api/templates
  * Create new payment template
  */
-router.post('/', createTemplate);
+router.post('/', validateMetadata, createTemplate);
 
 /**
  * GET /api/templates/user/:web3AuthUserId
@@ -24,7 +26,7 @@ router.get('/user/:web3AuthUserId', getUserTemplates);
  * PUT /api/templates/:id
  * Update template
  */
-router.put('/:id', updateTemplate);
+router.put('/:id', validateMetadata, updateTemplate);
 
 /**
  * DELETE /api/templates/:id
@@ -35,7 +37,8 @@ router.delete('/:id', deleteTemplate);
 /**
  * POST /api/templates/:templateId/create-payment
  * Create payment from template
+ * Supports the Idempotency-Key header for safe client retries
  */
-router.post('/:templateId/create-payment', createPaymentFromTemplate);
+router.post('/:templateId/create-payment', idempotency, validateMetadata, createPaymentFromTemplate);
 
 module.exports = router;
@@ -1,8 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const { getTransactionRequest, createTransaction } = require('../controllers/payments');
+const { getRefundTransactionRequest, createRefundTransaction } = require('../controllers/refunds');
+const { getLinkTransactionRequest, createLinkTransaction } = require('../controllers/paymentLinks');
 const { transactionRequestLimiter } = require('../middleware/rateLimiting');
 
+// Refund transaction requests - signed by the merchant wallet
+router.get('/refunds/:reference', transactionRequestLimiter, getRefundTransactionRequest);
+router.post('/refunds/:reference', transactionRequestLimiter, createRefundTransaction);
+
+// Payment link transaction requests - each POST mints a fresh payment
+router.get('/links/:slug', transactionRequestLimiter, getLinkTransactionRequest);
+router.post('/links/:slug', transactionRequestLimiter, createLinkTransaction);
+
 // GET transaction request - returns transaction details
 router.get('/:reference', transactionRequestLimiter, getTransactionRequest);
 
@@ -4,6 +4,10 @@ const {
   registerUser,
   getUserProfile,
   updateUserProfile,
+  getUserTokens,
+  updateUserTokens,
+  getUserFees,
+  updateUserFeeSchedule,
   getUserAddresses,
   addUserAddress,
   updateUserAddress,
@@ -11,7 +15,14 @@ const {
   setDefaultUserAddress,
   validateAddress
 } = require('../controllers/users');
-const { validateUserRegistration, validateUserRequest, validateAddressRequest } = require('../middleware/validation');
+const {
+  validateUserRegistration,
+  validateUserRequest,
+  validateTokenSettings,
+  validateFeeSchedule,
+  validateAddressRequest
+} = require('../middleware/validation');
+const { authenticateAdmin, authenticateUser } = require('../middleware/auth');
 
 /**
  * Register new user
@@ -28,6 +39,26 @@ router.get('/profile/:userId', getUserProfile);
  */
 router.put('/profile/:userId', validateUserRequest, updateUserProfile);
 
+/**
+ * Get tokens the user accepts
+ */
+router.get('/:userId/tokens', getUserTokens);
+
+/**
+ * Update tokens the user accepts (own account only)
+ */
+router.put('/:userId/tokens', authenticateUser, validateTokenSettings, updateUserTokens);
+
+/**
+ * Get the fee schedules that apply to the user
+ */
+router.get('/:userId/fees', getUserFees);
+
+/**
+ * Set the user's fee schedule override (admin only)
+ */
+router.put('/:userId/fee-schedule', authenticateAdmin, validateFeeSchedule, updateUserFeeSchedule);
+
 /**
  * Get user merchant addresses
  */
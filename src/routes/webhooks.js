@@ -1,11 +1,84 @@
 const express = require('express');
 const router = express.Router();
-const { registerWebhook } = require('../controllers/webhooks');
+const {
+  listWebhookEvents,
+  registerWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  listWebhookDeliveries,
+  redeliverWebhookDelivery,
+  sendTestWebhook
+} = require('../controllers/webhooks');
+const {
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookSecretRotation,
+  validateWebhookTestEvent,
+  validateWebhookDeliveryQuery
+} = require('../middleware/validation');
+const { authenticateUser } = require('../middleware/auth');
+
+/**
+ * GET /api/webhooks/events
+ * Event catalog with the payload schema of each event type
+ */
+router.get('/events', listWebhookEvents);
 
 /**
  * POST /api/webhooks
  * Register a webhook endpoint
  */
-router.post('/', registerWebhook);
+router.post('/', authenticateUser, validateWebhook, registerWebhook);
+
+/**
+ * GET /api/webhooks
+ * List the merchant's webhook endpoints
+ */
+router.get('/', authenticateUser, listWebhooks);
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * Send a past delivery to its endpoint again
+ */
+router.post('/deliveries/:deliveryId/redeliver', authenticateUser, redeliverWebhookDelivery);
+
+/**
+ * GET /api/webhooks/:id
+ * Get a webhook endpoint
+ */
+router.get('/:id', authenticateUser, getWebhook);
+
+/**
+ * PATCH /api/webhooks/:id
+ * Update a webhook endpoint, or enable and disable it with `active`
+ */
+router.patch('/:id', authenticateUser, validateWebhookUpdate, updateWebhook);
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook endpoint
+ */
+router.delete('/:id', authenticateUser, deleteWebhook);
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace the endpoint's signing secret, keeping the old one valid for `overlapSeconds`
+ */
+router.post('/:id/rotate-secret', authenticateUser, validateWebhookSecretRotation, rotateWebhookSecret);
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * List the endpoint's deliveries and their attempts, filtered by `event` and `status`
+ */
+router.get('/:id/deliveries', authenticateUser, validateWebhookDeliveryQuery, listWebhookDeliveries);
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a test event with sample data to the endpoint
+ */
+router.post('/:id/test', authenticateUser, validateWebhookTestEvent, sendTestWebhook);
 
 module.exports = router;
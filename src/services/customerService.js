@@ -0,0 +1,403 @@
+/**
+ * Customer Service
+ *
+ * A merchant's customers: who paid them and how to reach them again. A
+ * customer has an email, a name, the wallets they paid from and free-form
+ * metadata. Customers are found or created automatically:
+ * - by email when a payment, subscription or invoice names a customer email
+ * - by payer wallet when the payment monitor confirms a payment, so repeat
+ *   customers who never gave an email are still recognised
+ *
+ * Emails are stored lowercased and are unique per merchant.
+ *
+ * @module customerService
+ */
+
+const BigNumber = require('bignumber.js');
+const database = require('./database');
+const logger = require('../utils/logger');
+const { createOperationalError, toDbError } = require('../utils/errors');
+const { SETTLED_STATUSES } = require('../utils/paymentStatus');
+
+// Postgres unique violation, raised when the merchant already has a customer with the email
+const UNIQUE_VIOLATION = '23505';
+
+// Request fields and the customer columns they are stored in
+const CUSTOMER_COLUMNS = {
+  email: 'email',
+  name: 'name',
+  walletAddresses: 'wallet_addresses',
+  metadata: 'metadata'
+};
+
+/**
+ * Escape LIKE wildcards so user text matches literally
+ */
+const escapeLikePattern = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+const normalizeEmail = email => (email ? String(email).trim().toLowerCase() : null);
+
+class CustomerService {
+  /**
+   * Map a validated customer request onto customer columns
+   *
+   * @param {Object} input - Validated customer request (see validateCustomer)
+   * @returns {Object} Customer columns for the fields present in the request
+   */
+  buildCustomerFields(input) {
+    const fields = {};
+
+    Object.entries(CUSTOMER_COLUMNS).forEach(([key, column]) => {
+      if (input[key] !== undefined) {
+        fields[column] = input[key];
+      }
+    });
+
+    if (fields.email !== undefined) {
+      fields.email = normalizeEmail(fields.email);
+    }
+    if (fields.wallet_addresses) {
+      fields.wallet_addresses = [...new Set(fields.wallet_addresses)];
+    }
+
+    return fields;
+  }
+
+  /**
+   * Create a customer
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {Object} fields - Customer columns from buildCustomerFields
+   * @returns {Promise<Object>} Created customer
+   * @throws {Error} Operational 409 when the merchant already has a customer with the email
+   */
+  async createCustomer(web3AuthUserId, fields) {
+    const { data, error } = await database.getClient()
+      .from('customers')
+      .insert({ ...fields, web3auth_user_id: web3AuthUserId })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw createOperationalError('A customer with this email already exists', 409);
+      }
+      throw toDbError('creating customer', error, { web3AuthUserId });
+    }
+
+    logger.info('Customer created:', { customerId: data.id, web3AuthUserId });
+    return data;
+  }
+
+  /**
+   * Get one of a merchant's customers
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} Customer record
+   * @throws {Error} Operational 404 when the merchant has no such customer
+   */
+  async getCustomer(web3AuthUserId, customerId) {
+    const { data, error } = await database.getClient()
+      .from('customers')
+      .select('*')
+      .eq('id', customerId)
+      .eq('web3auth_user_id', web3AuthUserId)
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('getting customer', error, { customerId });
+    }
+    if (!data) {
+      throw createOperationalError('Customer not found', 404);
+    }
+
+    return data;
+  }
+
+  /**
+   * Find a merchant's customer by email
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {string} email - Customer email, matched case-insensitively
+   * @returns {Promise<Object|null>} Customer record or null
+   */
+  async findByEmail(web3AuthUserId, email) {
+    const { data, error } = await database.getClient()
+      .from('customers')
+      .select('*')
+      .eq('web3auth_user_id', web3AuthUserId)
+      .eq('email', normalizeEmail(email))
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('finding customer by email', error, { web3AuthUserId });
+    }
+
+    return data;
+  }
+
+  /**
+   * Find a merchant's customer by a wallet they paid from
+   * If several customers share the wallet the oldest is used.
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {string} wallet - Wallet address
+   * @returns {Promise<Object|null>} Customer record or null
+   */
+  async findByWallet(web3AuthUserId, wallet) {
+    const { data, error } = await database.getClient()
+      .from('customers')
+      .select('*')
+      .eq('web3auth_user_id', web3AuthUserId)
+      .contains('wallet_addresses', [wallet])
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) {
+      throw toDbError('finding customer by wallet', error, { web3AuthUserId, wallet });
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * List a merchant's customers, newest first
+   * `search` matches part of the email or name, or a whole wallet address.
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {Object} [options] - Listing options
+   * @param {string} [options.search] - Search text
+   * @param {number} [options.limit=20] - Maximum number of customers
+   * @param {number} [options.offset=0] - Number of customers to skip
+   * @returns {Promise<Object>} `{ customers, total }`
+   */
+  async listCustomers(web3AuthUserId, { search, limit = 20, offset = 0 } = {}) {
+    let query = database.getClient()
+      .from('customers')
+      .select('*', { count: 'exact' })
+      .eq('web3auth_user_id', web3AuthUserId);
+
+    if (search) {
+      const pattern = `%${escapeLikePattern(search)}%`;
+      query = query.or(`email.ilike."${pattern}",name.ilike."${pattern}",wallet_addresses.cs.{"${search}"}`);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw toDbError('listing customers', error, { web3AuthUserId });
+    }
+
+    return { customers: data || [], total: count || 0 };
+  }
+
+  /**
+   * Update a customer
+   *
+   * @param {Object} customer - Customer record
+   * @param {Object} fields - Customer columns from buildCustomerFields
+   * @returns {Promise<Object>} Updated customer
+   * @throws {Error} Operational 409 when the new email belongs to another customer
+   */
+  async updateCustomer(customer, fields) {
+    const { data, error } = await database.getClient()
+      .from('customers')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', customer.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw createOperationalError('A customer with this email already exists', 409);
+      }
+      throw toDbError('updating customer', error, { customerId: customer.id });
+    }
+
+    return data;
+  }
+
+  /**
+   * Delete a customer; their payments, subscriptions and invoices are kept
+   *
+   * @param {Object} customer - Customer record
+   */
+  async deleteCustomer(customer) {
+    const { error } = await database.getClient()
+      .from('customers')
+      .delete()
+      .eq('id', customer.id);
+
+    if (error) {
+      throw toDbError('deleting customer', error, { customerId: customer.id });
+    }
+  }
+
+  /**
+   * Add a wallet to a customer unless it is already known
+   *
+   * @param {Object} customer - Customer record
+   * @param {string} wallet - Wallet address
+   * @returns {Promise<Object>} Customer with the wallet
+   */
+  async addWallet(customer, wallet) {
+    if (!wallet || (customer.wallet_addresses || []).includes(wallet)) {
+      return customer;
+    }
+
+    const { error } = await database.getClient()
+      .rpc('add_customer_wallet', { p_customer_id: customer.id, p_wallet: wallet });
+
+    if (error) {
+      throw toDbError('adding customer wallet', error, { customerId: customer.id, wallet });
+    }
+
+    return { ...customer, wallet_addresses: [...(customer.wallet_addresses || []), wallet] };
+  }
+
+  /**
+   * Find the customer an email or wallet belongs to, creating one if there is none
+   * The email is tried first, then the wallet. Missing names and wallets are filled in
+   * on an existing customer.
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {Object} details - What is known about the customer
+   * @param {string} [details.email] - Customer email
+   * @param {string} [details.name] - Customer name
+   * @param {string} [details.wallet] - Wallet the customer paid from
+   * @returns {Promise<Object|null>} Customer record, or null without an email or wallet
+   */
+  async resolveCustomer(web3AuthUserId, { email, name, wallet } = {}) {
+    const normalizedEmail = normalizeEmail(email);
+    if (!normalizedEmail && !wallet) {
+      return null;
+    }
+
+    let customer = normalizedEmail ? await this.findByEmail(web3AuthUserId, normalizedEmail) : null;
+    if (!customer && wallet) {
+      customer = await this.findByWallet(web3AuthUserId, wallet);
+    }
+
+    if (!customer) {
+      try {
+        return await this.createCustomer(web3AuthUserId, {
+          email: normalizedEmail,
+          name: name || null,
+          wallet_addresses: wallet ? [wallet] : []
+        });
+      } catch (error) {
+        // Created concurrently by another payment for the same email
+        if (error.statusCode !== 409) {
+          throw error;
+        }
+        customer = await this.findByEmail(web3AuthUserId, normalizedEmail);
+      }
+    }
+
+    const missing = {};
+    if (normalizedEmail && !customer.email) {
+      missing.email = normalizedEmail;
+    }
+    if (name && !customer.name) {
+      missing.name = name;
+    }
+    if (Object.keys(missing).length > 0) {
+      customer = await this.updateCustomer(customer, missing);
+    }
+
+    return this.addWallet(customer, wallet);
+  }
+
+  /**
+   * Link a confirmed payment to its customer and record the wallet it was paid from
+   * A payment already linked at creation keeps its customer; otherwise the customer is
+   * found by the payer wallet or the payment's customer email, or created.
+   *
+   * @param {Object} payment - Payment record
+   * @param {string|null} payerWallet - Wallet that paid, if it could be derived
+   * @returns {Promise<Object|null>} Customer record, or null if the payer is unknown
+   */
+  async recordPayment(payment, payerWallet) {
+    let customer = null;
+    if (payment.customer_id) {
+      try {
+        customer = await this.getCustomer(payment.web3auth_user_id, payment.customer_id);
+      } catch (error) {
+        // The customer was deleted after the payment was created
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+      }
+    }
+
+    customer = customer
+      ? await this.addWallet(customer, payerWallet)
+      : await this.resolveCustomer(payment.web3auth_user_id, {
+        email: payment.customer_email,
+        wallet: payerWallet
+      });
+
+    const { error } = await database.getClient()
+      .from('payments')
+      .update({
+        payer_wallet: payerWallet,
+        customer_id: customer ? customer.id : null
+      })
+      .eq('id', payment.id);
+
+    if (error) {
+      throw toDbError('linking payment to customer', error, { reference: payment.reference });
+    }
+
+    if (customer) {
+      logger.info('Payment linked to customer:', {
+        reference: payment.reference,
+        customerId: customer.id,
+        payerWallet
+      });
+    }
+
+    return customer;
+  }
+
+  /**
+   * Work out a customer's lifetime value and payment count from their settled payments
+   * Lifetime value is net of refunds and kept per currency.
+   *
+   * @param {Object} customer - Customer record
+   * @returns {Promise<Object>} `{ paymentCount, lifetimeValue, firstPaymentAt, lastPaymentAt }`
+   */
+  async getStats(customer) {
+    const { data, error } = await database.getClient()
+      .from('payments')
+      .select('amount, refunded_amount, currency, created_at')
+      .eq('customer_id', customer.id)
+      .in('status', SETTLED_STATUSES)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw toDbError('getting customer stats', error, { customerId: customer.id });
+    }
+
+    const payments = data || [];
+    const lifetimeValue = {};
+    payments.forEach(payment => {
+      const net = new BigNumber(payment.amount).minus(payment.refunded_amount || 0);
+      lifetimeValue[payment.currency] = new BigNumber(lifetimeValue[payment.currency] || 0).plus(net).toString();
+    });
+
+    return {
+      paymentCount: payments.length,
+      lifetimeValue,
+      firstPaymentAt: payments.length > 0 ? payments[0].created_at : null,
+      lastPaymentAt: payments.length > 0 ? payments[payments.length - 1].created_at : null
+    };
+  }
+}
+
+const customerService = new CustomerService();
+
+module.exports = customerService;
@@ -23,6 +23,14 @@
 const { createClient } = require('@supabase/supabase-js');
 const logger = require('../utils/logger');
 
+// Payment columns returned to the API
+const PAYMENT_COLUMNS = 'id, reference, web3auth_user_id, amount, currency, chain, recipient_address, label, message, memo, status, transaction_signature, customer_email, spl_token_mint, amount_received, amount_tolerance_bps, refunded_amount, fee_amount, merchant_amount, total_amount_paid, fee_breakdown, fee_recipient_address, splits, price_currency, price_amount, exchange_rate, rate_source, quoted_at, quote_expires_at, expires_at, template_id, payment_link_id, customer_id, payer_wallet, metadata, amount_mode, min_amount, max_amount, amount_presets, base_amount, tip_amount, amount_committed_at, cancelled_at, cancellation_reason, refund_review_required, priority_fee_strategy, priority_fee_micro_lamports, compute_unit_limit, priority_fee_lamports, created_at, updated_at';
+
+/**
+ * Escape LIKE wildcards so user text matches literally
+ */
+const escapeLikePattern = (text) => text.replace(/[\\%_]/g, '\\$&');
+
 /**
  * Supabase database service for multi-chain payment and user management
  * Uses Web3Auth user ID as primary identifier for cross-chain support
@@ -102,7 +110,7 @@ class DatabaseService {
   async getPayment(reference) {
     const { data, error } = await this.getClient()
       .from('payments')
-      .select('id, reference, web3auth_user_id, amount, currency, chain, recipient_address, label, message, memo, status, transaction_signature, customer_email, spl_token_mint, created_at, updated_at')
+      .select(PAYMENT_COLUMNS)
       .eq('reference', reference)
       .single();
 
@@ -123,17 +131,107 @@ class DatabaseService {
     return data;
   }
 
+  /**
+   * List a merchant's payments with filters and keyset pagination
+   * Rows are ordered by the sort column, then by id so ties keep a stable order.
+   * 
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {Object} options - Listing options
+   * @param {Object} [options.filters] - `status` (array), `currency`, `minAmount`, `maxAmount`,
+   *   `from`, `to`, `customerEmail`, `label` (substring), `templateId`, `customerId` and
+   *   `metadata` (values matched as text, keys checked by validatePaymentListQuery)
+   * @param {string} options.sort - Column to sort by
+   * @param {boolean} options.ascending - Sort direction
+   * @param {Object} [options.after] - `{ value, id }` of the last row of the previous page
+   * @param {number} options.limit - Maximum number of rows
+   * @returns {Promise<Array>} Payment records
+   * @throws {Error} If database operation fails
+   */
+  async listPayments(web3AuthUserId, { filters = {}, sort, ascending, after = null, limit }) {
+    let query = this.getClient()
+      .from('payments')
+      .select(PAYMENT_COLUMNS)
+      .eq('web3auth_user_id', web3AuthUserId);
+
+    if (filters.status && filters.status.length > 0) {
+      query = query.in('status', filters.status);
+    }
+    if (filters.currency) {
+      query = query.eq('currency', filters.currency);
+    }
+    if (filters.minAmount !== undefined) {
+      query = query.gte('amount', filters.minAmount);
+    }
+    if (filters.maxAmount !== undefined) {
+      query = query.lte('amount', filters.maxAmount);
+    }
+    if (filters.from) {
+      query = query.gte('created_at', filters.from);
+    }
+    if (filters.to) {
+      query = query.lte('created_at', filters.to);
+    }
+    if (filters.customerEmail) {
+      query = query.ilike('customer_email', escapeLikePattern(filters.customerEmail));
+    }
+    if (filters.label) {
+      query = query.ilike('label', `%${escapeLikePattern(filters.label)}%`);
+    }
+    if (filters.templateId) {
+      query = query.eq('template_id', filters.templateId);
+    }
+    if (filters.customerId) {
+      query = query.eq('customer_id', filters.customerId);
+    }
+    Object.entries(filters.metadata || {}).forEach(([key, value]) => {
+      query = query.eq(`metadata->>${key}`, value);
+    });
+
+    // Continue after the previous page's last row. Rows without a value (open
+    // payments sorted by amount) come last in either order, so a page ending on
+    // a value still has every null row after it.
+    if (after) {
+      const op = ascending ? 'gt' : 'lt';
+      query = after.value === null
+        ? query.is(sort, null).filter('id', op, after.id)
+        : query.or(`${sort}.${op}."${after.value}",and(${sort}.eq."${after.value}",id.${op}.${after.id}),${sort}.is.null`);
+    }
+
+    const { data, error } = await query
+      .order(sort, { ascending, nullsFirst: false })
+      .order('id', { ascending })
+      .limit(limit);
+
+    if (error) {
+      logger.error('Database error listing payments:', {
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        hint: error.hint,
+        web3AuthUserId
+      });
+      const dbError = new Error(`Failed to list payments: ${error.message}`);
+      dbError.code = error.code;
+      dbError.details = error.details;
+      throw dbError;
+    }
+
+    return data || [];
+  }
+
   /**
    * Update payment status
    * 
    * @param {string} reference - Payment reference ID
    * @param {string} status - New payment status
    * @param {string} [transactionSignature] - Transaction signature (optional)
+   * @param {Object} [updates] - Additional columns to update alongside the status
    * @returns {Promise<Object>} Updated payment record
    * @throws {Error} If database operation fails
    */
-  async updatePaymentStatus(reference, status, transactionSignature = null) {
+  async updatePaymentStatus(reference, status, transactionSignature = null, updates = {}) {
     const updateData = {
+      ...updates,
       status,
       updated_at: new Date().toISOString()
     };
@@ -168,6 +266,348 @@ class DatabaseService {
     return data;
   }
 
+  /**
+   * Settle a pending or underpaid payment as confirmed or overpaid
+   * Only payments still accepting transfers are updated so a payment expired or
+   * cancelled concurrently is never resurrected.
+   * 
+   * @param {string} reference - Payment reference ID
+   * @param {string} status - Settled status
+   * @param {string} transactionSignature - Transfer signature that settled the payment
+   * @param {Object} [updates] - Additional columns to update alongside the status
+   * @returns {Promise<Object|null>} Settled payment record or null if it was no longer payable
+   * @throws {Error} If database operation fails
+   */
+  async settlePayment(reference, status, transactionSignature, updates = {}) {
+    const { data, error } = await this.getClient()
+      .from('payments')
+      .update({
+        ...updates,
+        status,
+        transaction_signature: transactionSignature,
+        updated_at: new Date().toISOString()
+      })
+      .eq('reference', reference)
+      .in('status', ['pending', 'underpaid'])
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Database error settling payment:', {
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        hint: error.hint,
+        reference,
+        status,
+        transactionSignature
+      });
+      const dbError = new Error(`Failed to settle payment: ${error.message}`);
+      dbError.code = error.code;
+      dbError.details = error.details;
+      throw dbError;
+    }
+
+    return data;
+  }
+
+  /**
+   * Mark a pending or underpaid payment as expired
+   * Only payments still accepting transfers are updated so a payment confirmed
+   * concurrently by the monitor is never overwritten.
+   * 
+   * @param {string} reference - Payment reference ID
+   * @returns {Promise<Object|null>} Expired payment record or null if it was no longer payable
+   * @throws {Error} If database operation fails
+   */
+  async expirePayment(reference) {
+    const { data, error } = await this.getClient()
+      .from('payments')
+      .update({
+        status: 'expired',
+        updated_at: new Date().toISOString()
+      })
+      .eq('reference', reference)
+      .in('status', ['pending', 'underpaid'])
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Database error expiring payment:', {
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        hint: error.hint,
+        reference
+      });
+      const dbError = new Error(`Failed to expire payment: ${error.message}`);
+      dbError.code = error.code;
+      dbError.details = error.details;
+      throw dbError;
+    }
+
+    return data;
+  }
+
+  /**
+   * Cancel a pending payment
+   * Only payments still in `pending` are cancelled so a payment that already
+   * received funds is never retired underneath the customer.
+   * 
+   * @param {string} reference - Payment reference ID
+   * @param {string} [reason] - Merchant's reason for cancelling
+   * @returns {Promise<Object|null>} Cancelled payment record or null if it was no longer pending
+   * @throws {Error} If database operation fails
+   */
+  async cancelPayment(reference, reason = null) {
+    const now = new Date().toISOString();
+    const { data, error } = await this.getClient()
+      .from('payments')
+      .update({
+        status: 'cancelled',
+        cancelled_at: now,
+        cancellation_reason: reason,
+        updated_at: now
+      })
+      .eq('reference', reference)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Database error cancelling payment:', {
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        hint: error.hint,
+        reference
+      });
+      const dbError = new Error(`Failed to cancel payment: ${error.message}`);
+      dbError.code = error.code;
+      dbError.details = error.details;
+      throw dbError;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get cancelled payments still watched for funds sent after cancellation
+   * 
+   * @param {string} cancelledSince - ISO timestamp; payments cancelled earlier are no longer watched
+   * @param {number} [limit] - Maximum number of payments
+   * @returns {Promise<Array>} Cancelled payment records, most recently cancelled first
+   * @throws {Error} If database operation fails
+   */
+  async getWatchedCancelledPayments(cancelledSince, limit = 50) {
+    const { data, error } = await this.getClient()
+      .from('payments')
+      .select('id, reference, amount, currency, spl_token_mint, web3auth_user_id, customer_email, chain, recipient_address, merchant_amount, fee_amount, fee_recipient_address, splits, status, amount_received, amount_tolerance_bps, amount_mode, amount_committed_at, metadata, refund_review_required, expires_at, cancelled_at, created_at')
+      .eq('status', 'cancelled')
+      .gte('cancelled_at', cancelledSince)
+      .order('cancelled_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      logger.error('Database error getting cancelled payments:', {
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        hint: error.hint
+      });
+      const dbError = new Error(`Failed to get cancelled payments: ${error.message}`);
+      dbError.code = error.code;
+      dbError.details = error.details;
+      throw dbError;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Replace the locked quote of a fiat-priced payment
+   * Only payments still in `pending` are requoted so a payment that already
+   * received funds keeps the amount it was paid against.
+   * 
+   * @param {string} reference - Payment reference ID
+   * @param {Object} quoteData - Quoted amount, fee and rate columns to update
+   * @returns {Promise<Object|null>} Updated payment record or null if it was no longer pending
+   * @throws {Error} If database operation fails
+   */
+  async requotePayment(reference, quoteData) {
+    const { data, error } = await this.getClient()
+      .from('payments')
+      .update({
+        ...quoteData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('reference', reference)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Database error requoting payment:', {
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        hint: error.hint,
+        reference
+      });
+      const dbError = new Error(`Failed to requote payment: ${error.message}`);
+      dbError.code = error.code;
+      dbError.details = error.details;
+      throw dbError;
+    }
+
+    return data;
+  }
+
+  /**
+   * Store the amount a customer committed to for an open or tip payment
+   * Like requoting, only payments still in `pending` change so a payment that
+   * already received funds keeps the amount it was paid against.
+   * 
+   * @param {string} reference - Payment reference ID
+   * @param {Object} amountData - Committed amount, tip, fee and split columns to update
+   * @returns {Promise<Object|null>} Updated payment record, or null if it was no longer pending
+   *   or its amount was already committed
+   * @throws {Error} If database operation fails
+   */
+  async commitPaymentAmount(reference, amountData) {
+    const { data, error } = await this.getClient()
+      .from('payments')
+      .update({
+        ...amountData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('reference', reference)
+      .eq('status', 'pending')
+      .is('amount_committed_at', null)
+      .select(PAYMENT_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Database error committing payment amount:', {
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        hint: error.hint,
+        reference
+      });
+      const dbError = new Error(`Failed to commit payment amount: ${error.message}`);
+      dbError.code = error.code;
+      dbError.details = error.details;
+      throw dbError;
+    }
+
+    return data;
+  }
+
+  /**
+   * Store the compute budget of the latest transaction built for a payment
+   * 
+   * @param {string} reference - Payment reference ID
+   * @param {Object} budgetData - Priority fee strategy, price, compute unit limit and fee columns
+   * @returns {Promise<void>}
+   * @throws {Error} If database operation fails
+   */
+  async recordPaymentComputeBudget(reference, budgetData) {
+    const { error } = await this.getClient()
+      .from('payments')
+      .update({
+        ...budgetData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('reference', reference);
+
+    if (error) {
+      logger.error('Database error recording payment compute budget:', {
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        hint: error.hint,
+        reference
+      });
+      const dbError = new Error(`Failed to record payment compute budget: ${error.message}`);
+      dbError.code = error.code;
+      dbError.details = error.details;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Get the transfers recorded against a payment
+   * 
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Array>} Transfers in the order they were recorded
+   * @throws {Error} If database operation fails
+   */
+  async getPaymentTransfers(paymentId) {
+    const { data, error } = await this.getClient()
+      .from('payment_transfers')
+      .select('id, payment_id, payment_reference, signature, amount, leg_amounts, block_time, created_at')
+      .eq('payment_id', paymentId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error('Database error getting payment transfers:', {
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        hint: error.hint,
+        paymentId
+      });
+      const dbError = new Error(`Failed to get payment transfers: ${error.message}`);
+      dbError.code = error.code;
+      dbError.details = error.details;
+      throw dbError;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Record an on-chain transfer that carried a payment reference
+   * 
+   * @param {Object} transferData - Transfer data to insert
+   * @param {string} transferData.payment_id - Payment ID
+   * @param {string} transferData.payment_reference - Payment reference
+   * @param {string} transferData.signature - Transaction signature
+   * @param {string} transferData.amount - Amount received by the merchant
+   * @returns {Promise<Object|null>} Recorded transfer or null if the signature was already recorded
+   * @throws {Error} If database operation fails
+   */
+  async recordPaymentTransfer(transferData) {
+    const { data, error } = await this.getClient()
+      .from('payment_transfers')
+      .insert(transferData)
+      .select()
+      .single();
+
+    // Unique violation: another monitor run recorded this signature first
+    if (error && error.code === '23505') {
+      return null;
+    }
+
+    if (error) {
+      logger.error('Database error recording payment transfer:', {
+        error: error.message,
+        code: error.code,
+        details: error.details,
+        hint: error.hint,
+        reference: transferData.payment_reference,
+        signature: transferData.signature
+      });
+      const dbError = new Error(`Failed to record payment transfer: ${error.message}`);
+      dbError.code = error.code;
+      dbError.details = error.details;
+      throw dbError;
+    }
+
+    return data;
+  }
+
   /**
    * Get user by Web3Auth user ID (primary identifier for multi-chain)
    * 
@@ -178,7 +618,7 @@ class DatabaseService {
   async getUserById(web3AuthUserId) {
     const { data, error } = await this.getClient()
       .from('users')
-      .select('id, web3auth_user_id, email, solana_address, ethereum_address, polygon_address, arbitrum_address, optimism_address, avalanche_address, first_name, last_name, business_name, phone_number, country, onboarding_completed, created_at, updated_at')
+      .select('id, web3auth_user_id, email, solana_address, ethereum_address, polygon_address, arbitrum_address, optimism_address, avalanche_address, first_name, last_name, business_name, phone_number, country, payment_tolerance_bps, accepted_tokens, fee_schedule, onboarding_completed, created_at, updated_at')
       .eq('web3auth_user_id', web3AuthUserId)
       .single();
 
@@ -1,5 +1,7 @@
 const database = require('./database');
 const logger = require('../utils/logger');
+const tokenRegistry = require('./tokenRegistry');
+const pdfService = require('./pdfService');
 
 // Initialize Resend only if API key is available
 let resend = null;
@@ -16,8 +18,9 @@ if (process.env.RESEND_API_KEY) {
 class EmailService {
   /**
    * Queue an email notification
+   * Attachments are `{ type, reference }` descriptors rendered when the email is sent.
    */
-  async queueEmail(web3AuthUserId, email, type, subject, body) {
+  async queueEmail(web3AuthUserId, email, type, subject, body, attachments = null) {
     try {
       const { data, error } = await database.getClient()
         .from('email_notifications')
@@ -27,6 +30,7 @@ class EmailService {
           type,
           subject,
           body,
+          ...(attachments ? { attachments } : {}),
           status: 'pending'
         })
         .select()
@@ -45,7 +49,7 @@ class EmailService {
   /**
    * Send email using Resend
    */
-  async sendEmail(to, subject, body, type = 'text') {
+  async sendEmail(to, subject, body, type = 'text', attachments = []) {
     try {
       if (!resend) {
         logger.warn('Resend not configured, skipping email send');
@@ -57,6 +61,7 @@ class EmailService {
         to: [to],
         subject,
         [type === 'html' ? 'html' : 'text']: body,
+        ...(attachments.length > 0 ? { attachments } : {})
       };
 
       const { data, error } = await resend.emails.send(emailData);
@@ -78,11 +83,11 @@ class EmailService {
    * Send payment created email
    */
   async sendPaymentCreatedEmail(paymentData, customerEmail) {
-    const subject = `Payment Request - ${paymentData.amount} ${paymentData.currency}`;
+    const subject = `Payment Request - ${tokenRegistry.formatAmount(paymentData.amount, paymentData.currency)}`;
     const body = `
       You have received a payment request.
       
-      Amount: ${paymentData.amount} ${paymentData.currency}
+      Amount: ${tokenRegistry.formatAmount(paymentData.amount, paymentData.currency)}
       Label: ${paymentData.label}
       ${paymentData.message ? `Message: ${paymentData.message}` : ''}
       
@@ -98,11 +103,11 @@ class EmailService {
    * Send payment confirmation email
    */
   async sendPaymentConfirmation(web3AuthUserId, email, paymentData) {
-    const subject = `Payment Confirmed - ${paymentData.amount} ${paymentData.currency}`;
+    const subject = `Payment Confirmed - ${tokenRegistry.formatAmount(paymentData.amount, paymentData.currency)}`;
     const body = `
       Your payment has been confirmed!
       
-      Amount: ${paymentData.amount} ${paymentData.currency}
+      Amount: ${tokenRegistry.formatAmount(paymentData.amount, paymentData.currency)}
       Reference: ${paymentData.reference}
       Label: ${paymentData.label}
       
@@ -112,6 +117,32 @@ class EmailService {
     return this.queueEmail(web3AuthUserId, email, 'payment_confirmation', subject, body);
   }
 
+  /**
+   * Send the customer's confirmation for a settled payment with the PDF receipt attached
+   */
+  async sendPaymentConfirmedEmail(payment, customerEmail) {
+    const subject = `Payment Confirmed - ${tokenRegistry.formatAmount(payment.amount, payment.currency)}`;
+    const body = `
+      Your payment has been confirmed!
+      
+      Amount: ${tokenRegistry.formatAmount(payment.amount, payment.currency)}
+      Reference: ${payment.reference}
+      Label: ${payment.label}
+      Transaction: ${pdfService.getExplorerUrl(payment.transaction_signature)}
+      
+      Your receipt is attached. Thank you for your payment!
+    `;
+
+    return this.queueEmail(
+      payment.web3auth_user_id,
+      customerEmail,
+      'payment_confirmation',
+      subject,
+      body,
+      [{ type: pdfService.ATTACHMENT_TYPE.PAYMENT_RECEIPT, reference: payment.reference }]
+    );
+  }
+
   /**
    * Send subscription renewal reminder
    */
@@ -120,7 +151,7 @@ class EmailService {
     const body = `
       Your subscription "${subscriptionData.planName}" will renew soon.
       
-      Amount: ${subscriptionData.amount} ${subscriptionData.currency}
+      Amount: ${tokenRegistry.formatAmount(subscriptionData.amount, subscriptionData.currency)}
       Next Payment: ${subscriptionData.nextPaymentDate}
       
       Manage your subscription in your dashboard.
@@ -129,6 +160,24 @@ class EmailService {
     return this.queueEmail(web3AuthUserId, email, 'subscription_reminder', subject, body);
   }
 
+  /**
+   * Tell a merchant their webhook endpoint was disabled after repeated failures
+   */
+  async sendWebhookDisabledEmail(web3AuthUserId, email, webhook) {
+    const subject = 'Webhook Endpoint Disabled';
+    const body = `
+      We disabled one of your webhook endpoints because deliveries to it kept failing.
+      
+      Endpoint: ${webhook.url}
+      Reason: ${webhook.disabled_reason}
+      
+      Events are no longer sent to this endpoint. Once it is fixed, enable it again
+      from your dashboard or with PATCH /api/webhooks/${webhook.id} and { "active": true }.
+    `;
+
+    return this.queueEmail(web3AuthUserId, email, 'webhook_disabled', subject, body);
+  }
+
   /**
    * Process pending emails using Resend
    */
@@ -144,8 +193,10 @@ class EmailService {
 
       for (const email of pendingEmails || []) {
         try {
+          const attachments = await pdfService.resolveAttachments(email.attachments);
+
           // Send email using Resend
-          const result = await this.sendEmail(email.email, email.subject, email.body);
+          const result = await this.sendEmail(email.email, email.subject, email.body, 'text', attachments);
 
           if (result.success) {
             // Mark as sent
@@ -0,0 +1,186 @@
+/**
+ * Exchange Rate Service
+ *
+ * Quotes fiat-priced payments in SOL or SPL tokens through a pluggable rate
+ * provider. A provider is any object with:
+ * - `name`: identifier used by EXCHANGE_RATE_PROVIDER
+ * - `getRate(tokenSymbol, fiatCurrency)`: resolves to `{ rate, source, timestamp }`
+ *   where `rate` is the fiat price of one token unit, or null if unsupported
+ *
+ * Quotes are locked for QUOTE_LOCK_SECONDS (15 minutes by default). Rates whose
+ * `timestamp` is older than EXCHANGE_RATE_MAX_AGE_SECONDS (1 hour by default,
+ * 0 accepts any age) are refused, so an outdated rates file stops quoting
+ * instead of underpricing payments.
+ *
+ * @module exchangeRateService
+ */
+
+const BigNumber = require('bignumber.js');
+const StaticRateProvider = require('./rateProviders/staticRateProvider');
+const tokenRegistry = require('./tokenRegistry');
+const logger = require('../utils/logger');
+const { createOperationalError } = require('../utils/errors');
+
+const SUPPORTED_FIAT_CURRENCIES = ['USD', 'EUR', 'NGN', 'KES'];
+
+// How long a quoted token amount is honoured
+const QUOTE_LOCK_SECONDS = parseInt(process.env.QUOTE_LOCK_SECONDS, 10) || 15 * 60;
+
+const DEFAULT_PROVIDER = 'static';
+const DEFAULT_MAX_RATE_AGE_SECONDS = 60 * 60;
+
+class ExchangeRateService {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider(new StaticRateProvider());
+  }
+
+  /**
+   * Register a rate provider so it can be selected with EXCHANGE_RATE_PROVIDER
+   *
+   * @param {Object} provider - Provider implementing `name` and `getRate`
+   */
+  registerProvider(provider) {
+    if (!provider || !provider.name || typeof provider.getRate !== 'function') {
+      throw new Error('Rate provider must have a name and a getRate method');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Check at startup that EXCHANGE_RATE_PROVIDER names a registered provider
+   *
+   * @throws {Error} If the configured provider is not registered
+   */
+  assertConfigured() {
+    const name = process.env.EXCHANGE_RATE_PROVIDER || DEFAULT_PROVIDER;
+    if (!this.providers.has(name)) {
+      throw new Error(`Unknown exchange rate provider: ${name} (registered: ${[...this.providers.keys()].join(', ')})`);
+    }
+  }
+
+  /**
+   * Get the configured rate provider
+   *
+   * @returns {Object} Rate provider
+   * @throws {Error} Operational error if the configured provider is not registered
+   */
+  getProvider() {
+    const name = process.env.EXCHANGE_RATE_PROVIDER || DEFAULT_PROVIDER;
+    const provider = this.providers.get(name);
+    if (!provider) {
+      logger.error('Exchange rate provider is not registered:', { provider: name });
+      throw createOperationalError('Exchange rate temporarily unavailable', 503);
+    }
+    return provider;
+  }
+
+  /**
+   * Check whether a provider's rate is older than EXCHANGE_RATE_MAX_AGE_SECONDS
+   *
+   * @param {Object} quoteRate - Rate from the provider
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True when the rate is too old to quote with
+   */
+  isRateStale(quoteRate, now) {
+    const configured = parseInt(process.env.EXCHANGE_RATE_MAX_AGE_SECONDS, 10);
+    const maxAgeSeconds = Number.isNaN(configured) ? DEFAULT_MAX_RATE_AGE_SECONDS : configured;
+
+    if (maxAgeSeconds <= 0 || !quoteRate.timestamp) {
+      return false;
+    }
+    return new Date(quoteRate.timestamp).getTime() < now - maxAgeSeconds * 1000;
+  }
+
+  /**
+   * Quote a fiat price in a token and lock it for the quote window
+   *
+   * @param {Object} options - Quote options
+   * @param {number|string} options.priceAmount - Price in fiat
+   * @param {string} options.priceCurrency - Fiat currency code
+   * @param {string} options.currency - Token symbol the customer pays in
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Promise<Object>} `{ amount, rate, source, quotedAt, expiresAt }`
+   * @throws {Error} Operational error when the pair cannot be quoted
+   */
+  async quote({ priceAmount, priceCurrency, currency }, now = Date.now()) {
+    if (!SUPPORTED_FIAT_CURRENCIES.includes(priceCurrency)) {
+      throw createOperationalError(`Unsupported price currency: ${priceCurrency}`, 400);
+    }
+
+    const provider = this.getProvider();
+
+    let quoteRate;
+    try {
+      quoteRate = await provider.getRate(currency, priceCurrency);
+    } catch (error) {
+      logger.error('Exchange rate provider failed:', {
+        provider: provider.name,
+        currency,
+        priceCurrency,
+        error: error.message
+      });
+      throw createOperationalError('Exchange rate temporarily unavailable', 503);
+    }
+
+    if (!quoteRate) {
+      throw createOperationalError(`No exchange rate available for ${currency}/${priceCurrency}`, 422);
+    }
+
+    if (this.isRateStale(quoteRate, now)) {
+      logger.error('Exchange rate is out of date:', {
+        provider: provider.name,
+        currency,
+        priceCurrency,
+        rateTimestamp: quoteRate.timestamp
+      });
+      throw createOperationalError('Exchange rate temporarily unavailable', 503);
+    }
+
+    const decimals = tokenRegistry.getDecimals(currency);
+    // Round up so the merchant never receives less than the fiat price
+    const amount = new BigNumber(priceAmount)
+      .dividedBy(quoteRate.rate)
+      .decimalPlaces(decimals, BigNumber.ROUND_UP);
+
+    const quote = {
+      amount,
+      rate: new BigNumber(quoteRate.rate),
+      source: quoteRate.source || provider.name,
+      quotedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + QUOTE_LOCK_SECONDS * 1000).toISOString()
+    };
+
+    logger.info('Payment quoted:', {
+      priceAmount: new BigNumber(priceAmount).toString(),
+      priceCurrency,
+      currency,
+      amount: quote.amount.toString(),
+      rate: quote.rate.toString(),
+      source: quote.source,
+      expiresAt: quote.expiresAt
+    });
+
+    return quote;
+  }
+
+  /**
+   * Check whether a payment's locked quote has run out
+   *
+   * @param {Object} payment - Payment record
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {boolean} True for fiat-priced payments past their quote expiry
+   */
+  isQuoteExpired(payment, now = Date.now()) {
+    if (!payment.price_currency || !payment.quote_expires_at) {
+      return false;
+    }
+    return new Date(payment.quote_expires_at).getTime() <= now;
+  }
+}
+
+const exchangeRateService = new ExchangeRateService();
+
+module.exports = exchangeRateService;
+module.exports.SUPPORTED_FIAT_CURRENCIES = SUPPORTED_FIAT_CURRENCIES;
+module.exports.QUOTE_LOCK_SECONDS = QUOTE_LOCK_SECONDS;
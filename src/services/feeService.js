@@ -0,0 +1,230 @@
+/**
+ * Fee Service
+ *
+ * Resolves the platform fee schedule for a payment and calculates the fee
+ * breakdown. Schedules are layered, later layers overriding earlier ones:
+ * 1. The merchant's plan (`free`, `pro`, `enterprise`)
+ * 2. The plan's per-token settings (`tokens.USDC`, ...)
+ * 3. The merchant's own override (`users.fee_schedule`)
+ * 4. The override's per-token settings
+ *
+ * A schedule may set:
+ * - `percentageBps`: percentage fee in basis points
+ * - `fixed`: fixed fee in token units (defaults to the token's registry fee)
+ * - `tiers`: `[{ minMonthlyPayments, percentageBps }]`, the highest tier the
+ *   merchant's monthly payment volume reaches replaces `percentageBps`
+ * - `cap`: maximum fee in token units
+ * - `mode`: `add` (customer pays amount + fee) or `deduct` (fee comes out of
+ *   the merchant amount)
+ *
+ * Plan schedules come from FEE_SCHEDULES_FILE when set, otherwise from the
+ * defaults below (2.9% plus the token's fixed fee, added to the total).
+ *
+ * Fees are collected on-chain by a second transfer to PLATFORM_TREASURY_ADDRESS.
+ * Without a treasury the fee is only recorded and the merchant is paid `amount`.
+ *
+ * @module feeService
+ */
+
+const fs = require('fs');
+const BigNumber = require('bignumber.js');
+const tokenRegistry = require('./tokenRegistry');
+const logger = require('../utils/logger');
+
+const FEE_MODES = {
+  ADD: 'add',
+  DEDUCT: 'deduct'
+};
+
+const DEFAULT_FEE_SCHEDULES = {
+  free: { mode: FEE_MODES.ADD, percentageBps: 290 },
+  pro: { mode: FEE_MODES.ADD, percentageBps: 290 },
+  enterprise: { mode: FEE_MODES.ADD, percentageBps: 290 }
+};
+
+const SCHEDULE_FIELDS = ['mode', 'percentageBps', 'fixed', 'tiers', 'cap'];
+
+/**
+ * Copy the schedule fields a layer sets onto the resolved schedule
+ */
+const applyLayer = (schedule, layer, source, sources) => {
+  if (!layer) {
+    return schedule;
+  }
+  const fields = SCHEDULE_FIELDS.filter(field => layer[field] !== undefined && layer[field] !== null);
+  if (fields.length === 0) {
+    return schedule;
+  }
+  sources.push(source);
+  const merged = fields.reduce((result, field) => ({ ...result, [field]: layer[field] }), schedule);
+  // A flat percentage replaces tiers inherited from an earlier layer
+  if (fields.includes('percentageBps') && !fields.includes('tiers')) {
+    delete merged.tiers;
+  }
+  return merged;
+};
+
+class FeeService {
+  constructor() {
+    this.filePath = process.env.FEE_SCHEDULES_FILE || null;
+    this.schedules = null;
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Get the plan schedules, re-reading FEE_SCHEDULES_FILE when it changes
+   *
+   * @returns {Object} Schedules keyed by plan type
+   */
+  getPlanSchedules() {
+    if (!this.filePath) {
+      return DEFAULT_FEE_SCHEDULES;
+    }
+
+    try {
+      const { mtimeMs } = fs.statSync(this.filePath);
+      if (!this.schedules || this.loadedMtime !== mtimeMs) {
+        const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.schedules = { ...DEFAULT_FEE_SCHEDULES, ...(parsed.plans || {}) };
+        this.loadedMtime = mtimeMs;
+        logger.info('Fee schedules loaded:', {
+          filePath: this.filePath,
+          plans: Object.keys(this.schedules)
+        });
+      }
+      return this.schedules;
+    } catch (error) {
+      logger.error('Failed to load fee schedules, using defaults:', {
+        filePath: this.filePath,
+        error: error.message
+      });
+      return this.schedules || DEFAULT_FEE_SCHEDULES;
+    }
+  }
+
+  /**
+   * Get the platform treasury that collects fees on-chain
+   *
+   * @returns {string|null} PLATFORM_TREASURY_ADDRESS, or null when fees are not collected
+   */
+  getTreasuryAddress() {
+    return process.env.PLATFORM_TREASURY_ADDRESS || null;
+  }
+
+  /**
+   * Resolve the schedule that applies to a payment
+   *
+   * @param {Object} options - Resolution options
+   * @param {string} options.plan - Merchant plan type
+   * @param {string} options.currency - Token symbol
+   * @param {Object} [options.override] - Merchant fee schedule override
+   * @param {number} [options.monthlyPayments] - Merchant's payments this month
+   * @returns {Object} `{ mode, percentageBps, fixed, cap, tier, sources }`
+   */
+  resolveSchedule({ plan, currency, override = null, monthlyPayments = 0 }) {
+    const schedules = this.getPlanSchedules();
+    const planKey = schedules[plan] ? plan : 'free';
+    const planSchedule = schedules[planKey];
+    const sources = [];
+
+    let schedule = applyLayer({}, planSchedule, `plan:${planKey}`, sources);
+    schedule = applyLayer(schedule, planSchedule?.tokens?.[currency], `plan:${planKey}:${currency}`, sources);
+    schedule = applyLayer(schedule, override, 'merchant', sources);
+    schedule = applyLayer(schedule, override?.tokens?.[currency], `merchant:${currency}`, sources);
+
+    // Highest volume tier reached replaces the base percentage
+    const tier = (schedule.tiers || [])
+      .filter(t => monthlyPayments >= (t.minMonthlyPayments || 0))
+      .sort((a, b) => (b.minMonthlyPayments || 0) - (a.minMonthlyPayments || 0))[0];
+
+    const token = tokenRegistry.getBySymbol(currency);
+
+    return {
+      mode: schedule.mode === FEE_MODES.DEDUCT ? FEE_MODES.DEDUCT : FEE_MODES.ADD,
+      percentageBps: tier ? tier.percentageBps : (schedule.percentageBps ?? 0),
+      fixed: String(schedule.fixed ?? token?.fixedFee ?? 0),
+      cap: schedule.cap !== undefined && schedule.cap !== null ? String(schedule.cap) : null,
+      tier: tier ? tier.minMonthlyPayments || 0 : null,
+      sources
+    };
+  }
+
+  /**
+   * Calculate the fee breakdown for an amount under a resolved schedule
+   *
+   * @param {BigNumber|string|number} amount - Payment amount in token units
+   * @param {string} currency - Token symbol
+   * @param {Object} schedule - Schedule from resolveSchedule
+   * @returns {Object} `{ feeAmount, merchantAmount, totalAmount, breakdown }`
+   *   where the amounts are BigNumbers and `breakdown` is stored on the payment
+   */
+  calculate(amount, currency, schedule) {
+    const decimals = tokenRegistry.getDecimals(currency);
+    const base = new BigNumber(amount);
+
+    const percentageFee = base
+      .multipliedBy(schedule.percentageBps)
+      .dividedBy(10000)
+      .decimalPlaces(decimals, BigNumber.ROUND_HALF_UP);
+    const fixedFee = new BigNumber(schedule.fixed);
+
+    let feeAmount = percentageFee.plus(fixedFee);
+    const capped = schedule.cap !== null && feeAmount.isGreaterThan(schedule.cap);
+    if (capped) {
+      feeAmount = new BigNumber(schedule.cap);
+    }
+
+    // A deducted fee can never exceed what the merchant is owed
+    if (schedule.mode === FEE_MODES.DEDUCT && feeAmount.isGreaterThan(base)) {
+      feeAmount = base;
+    }
+
+    const merchantAmount = schedule.mode === FEE_MODES.DEDUCT ? base.minus(feeAmount) : base;
+    const totalAmount = schedule.mode === FEE_MODES.DEDUCT ? base : base.plus(feeAmount);
+
+    return {
+      feeAmount,
+      merchantAmount,
+      totalAmount,
+      breakdown: {
+        mode: schedule.mode,
+        percentage_bps: schedule.percentageBps,
+        percentage_fee: percentageFee.toString(),
+        fixed_fee: fixedFee.toString(),
+        cap: schedule.cap,
+        capped,
+        tier: schedule.tier,
+        sources: schedule.sources,
+        fee_amount: feeAmount.toString(),
+        merchant_amount: merchantAmount.toString(),
+        total_amount: totalAmount.toString()
+      }
+    };
+  }
+
+  /**
+   * Recover the schedule a payment was created with from its stored breakdown
+   *
+   * @param {Object} breakdown - Payment `fee_breakdown`
+   * @returns {Object|null} Schedule for calculate, or null if none is stored
+   */
+  scheduleFromBreakdown(breakdown) {
+    if (!breakdown) {
+      return null;
+    }
+    return {
+      mode: breakdown.mode,
+      percentageBps: breakdown.percentage_bps,
+      fixed: breakdown.fixed_fee,
+      cap: breakdown.cap,
+      tier: breakdown.tier,
+      sources: breakdown.sources || []
+    };
+  }
+}
+
+const feeService = new FeeService();
+
+module.exports = feeService;
+module.exports.FEE_MODES = FEE_MODES;
+module.exports.DEFAULT_FEE_SCHEDULES = DEFAULT_FEE_SCHEDULES;
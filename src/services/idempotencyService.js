@@ -0,0 +1,292 @@
+/**
+ * Idempotency Service
+ *
+ * Stores `Idempotency-Key` headers together with a fingerprint of the request
+ * and the response that was sent for it, so client retries of payment
+ * creation and confirmation replay the original response instead of creating
+ * duplicates.
+ *
+ * A key moves through two states:
+ * - `processing`: the first request is still running
+ * - `completed`: the response is stored and will be replayed
+ *
+ * Server errors release the key so the client can retry. A `processing` key
+ * whose request died without answering (e.g. the server restarted) is locked
+ * for `IDEMPOTENCY_LOCK_TIMEOUT_SECONDS` only; after that a retry takes the
+ * key over and runs the request again.
+ *
+ * @module idempotencyService
+ */
+
+const crypto = require('crypto');
+const database = require('./database');
+const logger = require('../utils/logger');
+
+const KEY_STATUS = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed'
+};
+
+// How long a stored response is replayed before the key can be reused
+const IDEMPOTENCY_KEY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_SECONDS, 10) || 24 * 60 * 60;
+
+// How long a request may hold its key before a retry can take it over
+const IDEMPOTENCY_LOCK_TIMEOUT_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS, 10) || 2 * 60;
+
+/**
+ * Serialize a value with object keys sorted so equal bodies fingerprint equally
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+class IdempotencyService {
+  /**
+   * Fingerprint a request from its method, path and body
+   *
+   * @param {Object} request - Request parts
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Request path
+   * @param {Object} request.body - Parsed request body
+   * @returns {string} SHA-256 hex digest
+   */
+  fingerprint({ method, path, body }) {
+    return crypto
+      .createHash('sha256')
+      .update(stableStringify({ method, path, body: body || {} }))
+      .digest('hex');
+  }
+
+  /**
+   * Get a stored key that has not expired
+   *
+   * @param {string} scope - Endpoint the key was used on
+   * @param {string} key - Idempotency key from the client
+   * @returns {Promise<Object|null>} Key record or null
+   * @throws {Error} If database operation fails
+   */
+  async getKey(scope, key) {
+    const { data, error } = await database.getClient()
+      .from('idempotency_keys')
+      .select('*')
+      .eq('scope', scope)
+      .eq('idempotency_key', key)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Database error getting idempotency key:', {
+        error: error.message,
+        code: error.code,
+        scope
+      });
+      const dbError = new Error(`Failed to get idempotency key: ${error.message}`);
+      dbError.code = error.code;
+      throw dbError;
+    }
+
+    if (data && new Date(data.expires_at).getTime() <= Date.now()) {
+      await this.releaseKey(scope, key);
+      return null;
+    }
+
+    return data;
+  }
+
+  /**
+   * Reserve a key for a new request, or report what to do with a repeated one
+   *
+   * @param {string} scope - Endpoint the key is used on
+   * @param {string} key - Idempotency key from the client
+   * @param {string} fingerprint - Request fingerprint
+   * @returns {Promise<Object>} `{ action, record }` where action is one of
+   *   `proceed`, `replay`, `mismatch` or `in_progress`
+   * @throws {Error} If database operation fails
+   */
+  async begin(scope, key, fingerprint) {
+    const existing = await this.getKey(scope, key);
+
+    if (existing) {
+      return this.answerExisting(existing, fingerprint);
+    }
+
+    const { data, error } = await database.getClient()
+      .from('idempotency_keys')
+      .insert({
+        scope,
+        idempotency_key: key,
+        request_fingerprint: fingerprint,
+        status: KEY_STATUS.PROCESSING,
+        locked_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_SECONDS * 1000).toISOString()
+      })
+      .select()
+      .single();
+
+    // Unique violation: a concurrent request reserved the key first
+    if (error && error.code === '23505') {
+      const winner = await this.getKey(scope, key);
+      return winner ? this.answerExisting(winner, fingerprint) : { action: 'in_progress', record: null };
+    }
+
+    if (error) {
+      logger.error('Database error reserving idempotency key:', {
+        error: error.message,
+        code: error.code,
+        scope
+      });
+      const dbError = new Error(`Failed to reserve idempotency key: ${error.message}`);
+      dbError.code = error.code;
+      throw dbError;
+    }
+
+    return { action: 'proceed', record: data };
+  }
+
+  /**
+   * Answer a request whose key is already stored, taking over a stale lock
+   *
+   * @param {Object} record - Stored key record
+   * @param {string} fingerprint - Fingerprint of the incoming request
+   * @returns {Promise<Object>} `{ action, record }` as returned by begin
+   * @throws {Error} If database operation fails
+   */
+  async answerExisting(record, fingerprint) {
+    const action = this.resolveExisting(record, fingerprint);
+
+    if (action === 'in_progress' && this.isLockStale(record)) {
+      const claimed = await this.takeOverKey(record);
+      if (claimed) {
+        logger.warn('Taking over stale idempotency key:', { scope: record.scope, lockedAt: record.locked_at });
+        return { action: 'proceed', record: claimed };
+      }
+    }
+
+    return { action, record };
+  }
+
+  /**
+   * Check whether a processing key has been locked longer than the lock timeout
+   *
+   * @param {Object} record - Stored key record
+   * @returns {boolean} True when a retry may take the key over
+   */
+  isLockStale(record) {
+    const lockedAt = new Date(record.locked_at || record.created_at).getTime();
+    return lockedAt <= Date.now() - IDEMPOTENCY_LOCK_TIMEOUT_SECONDS * 1000;
+  }
+
+  /**
+   * Lock a stale processing key for a new attempt
+   * The lock only moves if no other retry has taken the key over since it was
+   * read, so concurrent retries cannot both proceed.
+   *
+   * @param {Object} record - Stored key record
+   * @returns {Promise<Object|null>} Updated record, or null if another request took it
+   * @throws {Error} If database operation fails
+   */
+  async takeOverKey(record) {
+    const now = new Date().toISOString();
+    const { data, error } = await database.getClient()
+      .from('idempotency_keys')
+      .update({ locked_at: now, updated_at: now })
+      .eq('scope', record.scope)
+      .eq('idempotency_key', record.idempotency_key)
+      .eq('status', KEY_STATUS.PROCESSING)
+      .eq('locked_at', record.locked_at)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Database error taking over idempotency key:', {
+        error: error.message,
+        code: error.code,
+        scope: record.scope
+      });
+      const dbError = new Error(`Failed to take over idempotency key: ${error.message}`);
+      dbError.code = error.code;
+      throw dbError;
+    }
+
+    return data;
+  }
+
+  /**
+   * Decide how to answer a request whose key is already stored
+   *
+   * @param {Object} record - Stored key record
+   * @param {string} fingerprint - Fingerprint of the incoming request
+   * @returns {string} `mismatch`, `replay` or `in_progress`
+   */
+  resolveExisting(record, fingerprint) {
+    if (record.request_fingerprint !== fingerprint) {
+      return 'mismatch';
+    }
+    return record.status === KEY_STATUS.COMPLETED ? 'replay' : 'in_progress';
+  }
+
+  /**
+   * Store the response sent for a key so retries can replay it
+   *
+   * @param {string} scope - Endpoint the key was used on
+   * @param {string} key - Idempotency key from the client
+   * @param {number} statusCode - HTTP status sent
+   * @param {Object} body - JSON body sent
+   * @throws {Error} If database operation fails
+   */
+  async completeKey(scope, key, statusCode, body) {
+    const { error } = await database.getClient()
+      .from('idempotency_keys')
+      .update({
+        status: KEY_STATUS.COMPLETED,
+        response_status: statusCode,
+        response_body: body,
+        updated_at: new Date().toISOString()
+      })
+      .eq('scope', scope)
+      .eq('idempotency_key', key);
+
+    if (error) {
+      logger.error('Database error storing idempotent response:', {
+        error: error.message,
+        code: error.code,
+        scope
+      });
+      const dbError = new Error(`Failed to store idempotent response: ${error.message}`);
+      dbError.code = error.code;
+      throw dbError;
+    }
+  }
+
+  /**
+   * Drop a key so the request can be retried
+   *
+   * @param {string} scope - Endpoint the key was used on
+   * @param {string} key - Idempotency key from the client
+   */
+  async releaseKey(scope, key) {
+    const { error } = await database.getClient()
+      .from('idempotency_keys')
+      .delete()
+      .eq('scope', scope)
+      .eq('idempotency_key', key);
+
+    if (error) {
+      logger.warn('Failed to release idempotency key:', {
+        error: error.message,
+        code: error.code,
+        scope
+      });
+    }
+  }
+}
+
+module.exports = new IdempotencyService();
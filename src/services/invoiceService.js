@@ -0,0 +1,499 @@
+/**
+ * Invoice Service
+ *
+ * Itemized invoices for B2B merchants. An invoice holds line items
+ * (description, quantity, unit price), optional per-line tax rates and
+ * discounts, an invoice-level tax rate and discount, bill-to details and a
+ * due date. Invoices move through:
+ * - `draft`: editable, not numbered yet
+ * - `open`: finalized with the next number in the merchant's sequence and a
+ *   payment for the invoice total
+ * - `paid`: the payment settled
+ * - `void`: withdrawn by the merchant, the payment is cancelled
+ *
+ * Totals are worked out per line:
+ * 1. quantity × unit price, less the line's own discount
+ * 2. less the line's share of the invoice discount (split in proportion to the lines)
+ * 3. plus tax on what is left, at the line's rate or the invoice rate
+ * Amounts are rounded to the currency's decimals: 2 for fiat, the token's otherwise.
+ *
+ * @module invoiceService
+ */
+
+const BigNumber = require('bignumber.js');
+const database = require('./database');
+const tokenRegistry = require('./tokenRegistry');
+const { SUPPORTED_FIAT_CURRENCIES } = require('./exchangeRateService');
+const { sendWebhook } = require('../controllers/webhooks');
+const logger = require('../utils/logger');
+const { createOperationalError, toDbError } = require('../utils/errors');
+const { SETTLED_STATUSES } = require('../utils/paymentStatus');
+
+const INVOICE_STATUS = {
+  DRAFT: 'draft',
+  OPEN: 'open',
+  PAID: 'paid',
+  VOID: 'void'
+};
+
+// Invoice numbers are the merchant's prefix and a zero-padded sequence, e.g. INV-0042
+const DEFAULT_INVOICE_PREFIX = 'INV';
+const INVOICE_NUMBER_DIGITS = 4;
+
+const sum = (values) => values.reduce((total, value) => total.plus(value), new BigNumber(0));
+
+class InvoiceService {
+  /**
+   * Get the decimals invoice amounts are rounded to
+   *
+   * @param {string} currency - Fiat code or token symbol
+   * @returns {number} 2 for fiat currencies, the token's decimals otherwise
+   */
+  getDecimals(currency) {
+    return SUPPORTED_FIAT_CURRENCIES.includes(currency) ? 2 : tokenRegistry.getDecimals(currency);
+  }
+
+  /**
+   * Check whether an invoice is priced in fiat and quoted into its payment token
+   *
+   * @param {Object} invoice - Invoice record
+   * @returns {boolean} True for fiat-priced invoices
+   */
+  isFiatPriced(invoice) {
+    return SUPPORTED_FIAT_CURRENCIES.includes(invoice.currency);
+  }
+
+  /**
+   * Work out line amounts and invoice totals
+   *
+   * @param {Object} options - Invoice pricing
+   * @param {Array<Object>} options.lineItems - `{ description, quantity, unitPrice, taxRateBps?, discountBps? }`
+   * @param {string} options.currency - Fiat code or token symbol
+   * @param {number} [options.taxRateBps] - Tax rate for lines without their own
+   * @param {number} [options.discountBps] - Invoice discount as a percentage of the lines
+   * @param {number|string} [options.discountAmount] - Invoice discount as a fixed amount
+   * @returns {Object} `{ lineItems, subtotal, discountTotal, taxTotal, total }` with string amounts;
+   *   line items are in the stored (snake_case) shape
+   */
+  calculateTotals({ lineItems, currency, taxRateBps = 0, discountBps = 0, discountAmount = null }) {
+    const decimals = this.getDecimals(currency);
+    const round = value => value.decimalPlaces(decimals, BigNumber.ROUND_HALF_UP);
+
+    const lines = lineItems.map(item => {
+      const gross = round(new BigNumber(item.quantity).multipliedBy(item.unitPrice));
+      const lineDiscount = round(gross.multipliedBy(item.discountBps || 0).dividedBy(10000));
+      return { item, gross, lineDiscount, net: gross.minus(lineDiscount) };
+    });
+
+    const subtotal = sum(lines.map(line => line.gross));
+    const net = sum(lines.map(line => line.net));
+
+    let invoiceDiscount = discountAmount !== null && discountAmount !== undefined
+      ? round(new BigNumber(discountAmount))
+      : round(net.multipliedBy(discountBps || 0).dividedBy(10000));
+    invoiceDiscount = BigNumber.minimum(invoiceDiscount, net);
+
+    // The last line takes whatever rounding left over so the shares add up
+    let allocated = new BigNumber(0);
+    const storedLines = lines.map((line, index) => {
+      const share = index === lines.length - 1
+        ? invoiceDiscount.minus(allocated)
+        : net.isZero() ? new BigNumber(0) : round(invoiceDiscount.multipliedBy(line.net).dividedBy(net));
+      allocated = allocated.plus(share);
+
+      const taxable = BigNumber.maximum(line.net.minus(share), 0);
+      const rate = line.item.taxRateBps ?? taxRateBps ?? 0;
+      const tax = round(taxable.multipliedBy(rate).dividedBy(10000));
+
+      return {
+        description: line.item.description,
+        quantity: new BigNumber(line.item.quantity).toString(),
+        unit_price: new BigNumber(line.item.unitPrice).toString(),
+        discount_bps: line.item.discountBps || 0,
+        tax_rate_bps: rate,
+        amount: line.gross.toString(),
+        discount_amount: line.lineDiscount.plus(share).toString(),
+        tax_amount: tax.toString(),
+        total: taxable.plus(tax).toString()
+      };
+    });
+
+    const discountTotal = sum(storedLines.map(line => line.discount_amount));
+    const taxTotal = sum(storedLines.map(line => line.tax_amount));
+
+    return {
+      lineItems: storedLines,
+      subtotal: subtotal.toString(),
+      discountTotal: discountTotal.toString(),
+      taxTotal: taxTotal.toString(),
+      total: subtotal.minus(discountTotal).plus(taxTotal).toString()
+    };
+  }
+
+  /**
+   * Map a validated invoice request onto invoice columns, including totals
+   *
+   * @param {Object} input - Validated invoice request (see validateInvoice)
+   * @returns {Object} Invoice columns
+   */
+  buildInvoiceFields(input) {
+    const totals = this.calculateTotals(input);
+    const paymentToken = input.paymentToken
+      || (SUPPORTED_FIAT_CURRENCIES.includes(input.currency) ? 'USDC' : input.currency);
+
+    return {
+      currency: input.currency,
+      payment_token: paymentToken,
+      line_items: totals.lineItems,
+      tax_rate_bps: input.taxRateBps || 0,
+      discount_bps: input.discountBps || 0,
+      discount_amount: input.discountAmount !== undefined && input.discountAmount !== null
+        ? new BigNumber(input.discountAmount).toString()
+        : null,
+      subtotal: totals.subtotal,
+      discount_total: totals.discountTotal,
+      tax_total: totals.taxTotal,
+      total: totals.total,
+      bill_to: input.billTo || null,
+      due_date: input.dueDate ? new Date(input.dueDate).toISOString().slice(0, 10) : null,
+      notes: input.notes || null
+    };
+  }
+
+  /**
+   * Check an invoice's currencies against the registry and the merchant's tokens
+   *
+   * @param {Object} fields - Invoice columns from buildInvoiceFields
+   * @param {Object} user - Merchant's user record
+   * @throws {Error} Operational error when the invoice cannot be paid
+   */
+  assertPayable(fields, user) {
+    if (!SUPPORTED_FIAT_CURRENCIES.includes(fields.currency) && !tokenRegistry.getBySymbol(fields.currency)) {
+      throw createOperationalError(`Unsupported invoice currency: ${fields.currency}`, 400);
+    }
+    if (!SUPPORTED_FIAT_CURRENCIES.includes(fields.currency) && fields.payment_token !== fields.currency) {
+      throw createOperationalError('Token-priced invoices are paid in the invoice currency', 400);
+    }
+    if (tokenRegistry.findUnavailable([fields.payment_token]).length > 0) {
+      throw createOperationalError(`${fields.payment_token} is not available on ${tokenRegistry.getNetwork()}`, 400);
+    }
+    if (!tokenRegistry.getAcceptedTokens(user).includes(fields.payment_token)) {
+      throw createOperationalError(`Merchant does not accept ${fields.payment_token} payments`, 400);
+    }
+  }
+
+  /**
+   * Get one of a merchant's invoices
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {string} invoiceId - Invoice ID
+   * @returns {Promise<Object>} Invoice record
+   * @throws {Error} Operational 404 when the merchant has no such invoice
+   */
+  async getInvoice(web3AuthUserId, invoiceId) {
+    const { data, error } = await database.getClient()
+      .from('invoices')
+      .select('*')
+      .eq('id', invoiceId)
+      .eq('web3auth_user_id', web3AuthUserId)
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('getting invoice', error, { invoiceId });
+    }
+    if (!data) {
+      throw createOperationalError('Invoice not found', 404);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the invoice a payment was issued for
+   *
+   * @param {string} reference - Payment reference
+   * @returns {Promise<Object|null>} Invoice record, or null for payments without one
+   */
+  async getInvoiceForPayment(reference) {
+    const { data, error } = await database.getClient()
+      .from('invoices')
+      .select('*')
+      .eq('payment_reference', reference)
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('getting invoice for payment', error, { reference });
+    }
+
+    return data;
+  }
+
+  /**
+   * List a merchant's invoices, newest first
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {Object} [options] - Listing options
+   * @param {string} [options.status] - Only invoices in this status
+   * @param {string} [options.customerId] - Only invoices billed to this customer
+   * @param {number} [options.limit=20] - Page size
+   * @param {number} [options.offset=0] - Rows to skip
+   * @returns {Promise<Object>} `{ invoices, total }`
+   */
+  async listInvoices(web3AuthUserId, { status, customerId, limit = 20, offset = 0 } = {}) {
+    let query = database.getClient()
+      .from('invoices')
+      .select('*', { count: 'exact' })
+      .eq('web3auth_user_id', web3AuthUserId);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+    if (customerId) {
+      query = query.eq('customer_id', customerId);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw toDbError('listing invoices', error, { web3AuthUserId });
+    }
+
+    return { invoices: data || [], total: count || 0 };
+  }
+
+  /**
+   * Create a draft invoice
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {Object} fields - Invoice columns from buildInvoiceFields
+   * @returns {Promise<Object>} Created invoice
+   */
+  async createDraft(web3AuthUserId, fields) {
+    const { data, error } = await database.getClient()
+      .from('invoices')
+      .insert({
+        ...fields,
+        web3auth_user_id: web3AuthUserId,
+        status: INVOICE_STATUS.DRAFT
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw toDbError('creating invoice', error, { web3AuthUserId });
+    }
+
+    logger.info('Invoice draft created:', { invoiceId: data.id, web3AuthUserId, total: data.total });
+    return data;
+  }
+
+  /**
+   * Update an invoice only while it is in the expected status
+   *
+   * @param {Object} invoice - Invoice record
+   * @param {string} expectedStatus - Status the invoice must still be in
+   * @param {Object} updates - Columns to update
+   * @returns {Promise<Object>} Updated invoice
+   * @throws {Error} Operational 409 when the invoice changed status in the meantime
+   */
+  async transition(invoice, expectedStatus, updates) {
+    const { data, error } = await database.getClient()
+      .from('invoices')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', invoice.id)
+      .eq('status', expectedStatus)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('updating invoice', error, { invoiceId: invoice.id });
+    }
+    if (!data) {
+      throw createOperationalError(`Invoice is no longer ${expectedStatus}`, 409);
+    }
+
+    return data;
+  }
+
+  /**
+   * Delete a draft invoice
+   *
+   * @param {Object} invoice - Draft invoice record
+   */
+  async deleteDraft(invoice) {
+    const { data, error } = await database.getClient()
+      .from('invoices')
+      .delete()
+      .eq('id', invoice.id)
+      .eq('status', INVOICE_STATUS.DRAFT)
+      .select('id');
+
+    if (error) {
+      throw toDbError('deleting invoice', error, { invoiceId: invoice.id });
+    }
+    if (!data || data.length === 0) {
+      throw createOperationalError('Only draft invoices can be deleted', 409);
+    }
+  }
+
+  /**
+   * Take the next invoice number from the merchant's sequence
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @returns {Promise<string>} Formatted invoice number, e.g. INV-0042
+   */
+  async allocateNumber(web3AuthUserId) {
+    const { data, error } = await database.getClient()
+      .rpc('next_invoice_number', { p_web3auth_user_id: web3AuthUserId });
+
+    if (error || !data) {
+      throw toDbError('allocating invoice number', error || { message: 'merchant not found' }, { web3AuthUserId });
+    }
+
+    return this.formatNumber(data.prefix, data.number);
+  }
+
+  /**
+   * Format an invoice number from a prefix and sequence number
+   *
+   * @param {string} [prefix] - Merchant's invoice prefix
+   * @param {number} number - Sequence number
+   * @returns {string} Invoice number
+   */
+  formatNumber(prefix, number) {
+    return `${prefix || DEFAULT_INVOICE_PREFIX}-${String(number).padStart(INVOICE_NUMBER_DIGITS, '0')}`;
+  }
+
+  /**
+   * Get a merchant's invoice numbering settings
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @returns {Promise<Object>} `{ prefix, nextNumber, nextInvoiceNumber }`
+   */
+  async getSettings(web3AuthUserId) {
+    const { data, error } = await database.getClient()
+      .from('users')
+      .select('invoice_prefix, invoice_next_number')
+      .eq('web3auth_user_id', web3AuthUserId)
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('getting invoice settings', error, { web3AuthUserId });
+    }
+    if (!data) {
+      throw createOperationalError('User not found', 404);
+    }
+
+    return this.describeSettings(data);
+  }
+
+  /**
+   * Update a merchant's invoice prefix and next sequence number
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {Object} settings - `{ prefix?, nextNumber? }`
+   * @returns {Promise<Object>} `{ prefix, nextNumber, nextInvoiceNumber }`
+   */
+  async updateSettings(web3AuthUserId, { prefix, nextNumber }) {
+    const updates = {};
+    if (prefix !== undefined) {
+      updates.invoice_prefix = prefix;
+    }
+    if (nextNumber !== undefined) {
+      updates.invoice_next_number = nextNumber;
+    }
+
+    const { data, error } = await database.getClient()
+      .from('users')
+      .update(updates)
+      .eq('web3auth_user_id', web3AuthUserId)
+      .select('invoice_prefix, invoice_next_number')
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('updating invoice settings', error, { web3AuthUserId });
+    }
+    if (!data) {
+      throw createOperationalError('User not found', 404);
+    }
+
+    return this.describeSettings(data);
+  }
+
+  /**
+   * Shape stored numbering settings for API responses
+   */
+  describeSettings(row) {
+    const prefix = row.invoice_prefix || DEFAULT_INVOICE_PREFIX;
+    const nextNumber = row.invoice_next_number || 1;
+    return {
+      prefix,
+      nextNumber,
+      nextInvoiceNumber: this.formatNumber(prefix, nextNumber)
+    };
+  }
+
+  /**
+   * Mark the open invoice behind a settled payment as paid
+   * Called by the payment monitor once a payment is confirmed.
+   *
+   * @param {Object} payment - Settled payment record
+   * @returns {Promise<Object|null>} Paid invoice, or null if the payment has no open invoice
+   */
+  async markPaidForPayment(payment) {
+    if (!SETTLED_STATUSES.includes(payment.status)) {
+      return null;
+    }
+
+    const { data, error } = await database.getClient()
+      .from('invoices')
+      .update({
+        status: INVOICE_STATUS.PAID,
+        paid_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('payment_reference', payment.reference)
+      .eq('status', INVOICE_STATUS.OPEN)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('marking invoice paid', error, { reference: payment.reference });
+    }
+    if (!data) {
+      return null;
+    }
+
+    logger.info('Invoice paid:', {
+      invoiceId: data.id,
+      invoiceNumber: data.invoice_number,
+      reference: payment.reference
+    });
+
+    try {
+      await sendWebhook(data.web3auth_user_id, 'invoice.paid', {
+        invoice_id: data.id,
+        invoice_number: data.invoice_number,
+        reference: payment.reference,
+        total: data.total,
+        currency: data.currency,
+        timestamp: new Date().toISOString()
+      });
+    } catch (webhookError) {
+      logger.warn('Failed to send invoice paid webhook notification:', {
+        invoiceId: data.id,
+        error: webhookError.message
+      });
+    }
+
+    return data;
+  }
+}
+
+const invoiceService = new InvoiceService();
+
+module.exports = invoiceService;
+module.exports.INVOICE_STATUS = INVOICE_STATUS;
+module.exports.DEFAULT_INVOICE_PREFIX = DEFAULT_INVOICE_PREFIX;
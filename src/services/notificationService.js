@@ -1,5 +1,9 @@
 const database = require('./database');
 const logger = require('../utils/logger');
+const BigNumber = require('bignumber.js');
+const tokenRegistry = require('./tokenRegistry');
+const { SUPPORTED_FIAT_CURRENCIES } = require('./exchangeRateService');
+const pdfService = require('./pdfService');
 
 // Initialize Resend only if API key is available
 let resend = null;
@@ -21,7 +25,7 @@ class NotificationService {
     const subject = `Invoice for ${paymentData.label}`;
     const body = `
       <h2>Payment Invoice</h2>
-      <p>Amount: ${paymentData.amount} ${paymentData.currency}</p>
+      <p>Amount: ${paymentData.amount === null ? `Your choice (${paymentData.currency})` : tokenRegistry.formatAmount(paymentData.amount, paymentData.currency)}</p>
       <p>Description: ${paymentData.label}</p>
       <p>Payment Link: ${paymentData.paymentUrl}</p>
       <p>Reference: ${paymentData.reference}</p>
@@ -37,23 +41,67 @@ class NotificationService {
   }
 
   /**
-   * Send payment confirmation notification
+   * Send an itemized invoice with its payment link
+   */
+  async sendItemizedInvoice(invoice, paymentUrl) {
+    const format = amount => (SUPPORTED_FIAT_CURRENCIES.includes(invoice.currency)
+      ? `${new BigNumber(amount).toFixed(2)} ${invoice.currency}`
+      : tokenRegistry.formatAmount(amount, invoice.currency));
+    const rows = invoice.line_items.map(item => `
+        <tr>
+          <td>${item.description}</td>
+          <td>${item.quantity}</td>
+          <td>${format(item.unit_price)}</td>
+          <td>${format(item.total)}</td>
+        </tr>`).join('');
+
+    const subject = `Invoice ${invoice.invoice_number}`;
+    const body = `
+      <h2>Invoice ${invoice.invoice_number}</h2>
+      ${invoice.bill_to?.name ? `<p>Bill to: ${invoice.bill_to.name}</p>` : ''}
+      ${invoice.due_date ? `<p>Due date: ${invoice.due_date}</p>` : ''}
+      <table>
+        <tr><th>Description</th><th>Quantity</th><th>Unit price</th><th>Amount</th></tr>${rows}
+      </table>
+      <p>Subtotal: ${format(invoice.subtotal)}</p>
+      <p>Discount: ${format(invoice.discount_total)}</p>
+      <p>Tax: ${format(invoice.tax_total)}</p>
+      <p><strong>Total: ${format(invoice.total)}</strong></p>
+      ${invoice.notes ? `<p>${invoice.notes}</p>` : ''}
+      <p>Payment Link: ${paymentUrl}</p>
+      <p>Reference: ${invoice.payment_reference}</p>
+    `;
+
+    return this.queueNotification(
+      invoice.web3auth_user_id,
+      invoice.bill_to.email,
+      'invoice',
+      subject,
+      body
+    );
+  }
+
+  /**
+   * Send payment confirmation notification with the PDF receipt attached
    */
   async sendPaymentConfirmation(paymentData, customerEmail) {
     const subject = `Payment Confirmed - ${paymentData.label}`;
+    const signature = paymentData.transaction_signature || paymentData.signature;
     const body = `
       <h2>Payment Confirmed</h2>
-      <p>Your payment of ${paymentData.amount} ${paymentData.currency} has been confirmed.</p>
-      <p>Transaction: ${paymentData.signature}</p>
+      <p>Your payment of ${tokenRegistry.formatAmount(paymentData.amount, paymentData.currency)} has been confirmed.</p>
+      <p>Transaction: <a href="${pdfService.getExplorerUrl(signature)}">${signature}</a></p>
       <p>Reference: ${paymentData.reference}</p>
+      <p>Your receipt is attached.</p>
     `;
 
     return this.queueNotification(
-      paymentData.web3AuthUserId,
+      paymentData.web3auth_user_id || paymentData.web3AuthUserId,
       customerEmail,
       'confirmation',
       subject,
-      body
+      body,
+      [{ type: pdfService.ATTACHMENT_TYPE.PAYMENT_RECEIPT, reference: paymentData.reference }]
     );
   }
 
@@ -64,7 +112,7 @@ class NotificationService {
     const subject = `Payment Reminder - ${paymentData.label}`;
     const body = `
       <h2>Payment Reminder</h2>
-      <p>You have a pending payment of ${paymentData.amount} ${paymentData.currency}</p>
+      <p>You have a pending payment of ${tokenRegistry.formatAmount(paymentData.amount, paymentData.currency)}</p>
       <p>Payment Link: ${paymentData.paymentUrl}</p>
       <p>Reference: ${paymentData.reference}</p>
     `;
@@ -80,8 +128,9 @@ class NotificationService {
 
   /**
    * Queue a notification
+   * Attachments are `{ type, reference }` descriptors rendered when the notification is sent.
    */
-  async queueNotification(web3AuthUserId, email, type, subject, body) {
+  async queueNotification(web3AuthUserId, email, type, subject, body, attachments = null) {
     try {
       const { data, error } = await database.getClient()
         .from('email_notifications')
@@ -91,6 +140,7 @@ class NotificationService {
           type,
           subject,
           body,
+          ...(attachments ? { attachments } : {}),
           status: 'pending'
         })
         .select()
@@ -109,7 +159,7 @@ class NotificationService {
   /**
    * Send notification using Resend
    */
-  async sendNotification(to, subject, body) {
+  async sendNotification(to, subject, body, attachments = []) {
     try {
       if (!resend) {
         logger.warn('Resend not configured - notification not sent');
@@ -120,7 +170,8 @@ class NotificationService {
         from: FROM_EMAIL,
         to,
         subject,
-        html: body
+        html: body,
+        ...(attachments.length > 0 ? { attachments } : {})
       });
 
       logger.info('Notification sent:', { to, subject, id: result.data?.id });
@@ -146,7 +197,8 @@ class NotificationService {
         const result = await this.sendNotification(
           notification.email,
           notification.subject,
-          notification.body
+          notification.body,
+          await pdfService.resolveAttachments(notification.attachments)
         );
 
         await database.getClient()
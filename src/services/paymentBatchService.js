@@ -0,0 +1,441 @@
+/**
+ * Payment Batch Service
+ *
+ * Bulk payment request creation for merchants billing many customers at once.
+ * A batch is a validated list of payment requests (from a JSON array or a CSV
+ * upload) stored one item per row. The batch processor job creates the
+ * payments in the background and records each row's reference or error, so a
+ * batch moves through:
+ * - `queued`: stored, not picked up yet
+ * - `processing`: payments are being created
+ * - `completed`: every row has been created or failed
+ *
+ * @module paymentBatchService
+ */
+
+const database = require('./database');
+const logger = require('../utils/logger');
+const { createOperationalError, toDbError } = require('../utils/errors');
+const { parseCsv, toCsv } = require('../utils/csv');
+
+const BATCH_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed'
+};
+
+const ITEM_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  CREATED: 'created',
+  FAILED: 'failed'
+};
+
+// Largest batch accepted in one request
+const PAYMENT_BATCH_MAX_ROWS = parseInt(process.env.PAYMENT_BATCH_MAX_ROWS, 10) || 1000;
+
+// CSV headers (lowercased, without spaces, dashes or underscores) and the payment request fields they fill
+const CSV_COLUMNS = {
+  amount: 'amount',
+  priceamount: 'priceAmount',
+  pricecurrency: 'priceCurrency',
+  label: 'label',
+  message: 'message',
+  memo: 'memo',
+  email: 'customerEmail',
+  customeremail: 'customerEmail',
+  customerid: 'customerId',
+  spltoken: 'splToken',
+  ttlseconds: 'ttlSeconds',
+  expiresat: 'expiresAt',
+  metadata: 'metadata'
+};
+// `metadata.<key>` columns set a single metadata key
+const METADATA_COLUMN_PREFIX = 'metadata.';
+
+const RESULT_CSV_HEADER = [
+  'row', 'status', 'reference', 'payment_url', 'amount', 'price_amount', 'price_currency', 'label', 'customer_email', 'error'
+];
+
+/**
+ * Map a CSV header onto the payment request field it fills
+ */
+const toRowField = (header) => {
+  const name = header.trim();
+  if (name.toLowerCase().startsWith(METADATA_COLUMN_PREFIX)) {
+    return { metadataKey: name.slice(METADATA_COLUMN_PREFIX.length) };
+  }
+  const field = CSV_COLUMNS[name.toLowerCase().replace(/[\s_-]/g, '')];
+  return field ? { field } : null;
+};
+
+class PaymentBatchService {
+  /**
+   * Read payment requests from a CSV upload
+   * The first line is the header. Empty cells are left out so the payment defaults apply;
+   * the `metadata` column holds a JSON object.
+   *
+   * @param {string} text - CSV text
+   * @returns {Array<Object>} One payment request per data row, not validated yet
+   * @throws {Error} Operational 400 when the CSV cannot be read
+   */
+  parseCsv(text) {
+    let records;
+    try {
+      records = parseCsv(text || '');
+    } catch (error) {
+      throw createOperationalError(`Invalid CSV: ${error.message}`, 400);
+    }
+
+    if (records.length < 2) {
+      throw createOperationalError('CSV needs a header row and at least one payment row', 400);
+    }
+
+    const [header, ...rows] = records;
+    const columns = header.map(name => {
+      const column = toRowField(name);
+      if (!column) {
+        throw createOperationalError(`Unknown CSV column: ${name}`, 400);
+      }
+      return column;
+    });
+
+    return rows.map((cells, index) => {
+      if (cells.length > columns.length) {
+        throw createOperationalError(`Row ${index + 1} has more fields than the header`, 400);
+      }
+
+      const row = {};
+      cells.forEach((cell, position) => {
+        const value = cell.trim();
+        const { field, metadataKey } = columns[position];
+        if (value === '') {
+          return;
+        }
+        if (metadataKey) {
+          row.metadata = { ...row.metadata, [metadataKey]: value };
+        } else if (field === 'metadata') {
+          row.metadata = { ...this.parseMetadataCell(value, index + 1), ...row.metadata };
+        } else {
+          row[field] = value;
+        }
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Parse a CSV `metadata` cell
+   */
+  parseMetadataCell(value, rowNumber) {
+    let metadata;
+    try {
+      metadata = JSON.parse(value);
+    } catch (error) {
+      throw createOperationalError(`Row ${rowNumber}: metadata is not valid JSON`, 400);
+    }
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      throw createOperationalError(`Row ${rowNumber}: metadata must be a JSON object`, 400);
+    }
+    return metadata;
+  }
+
+  /**
+   * Store a batch and its rows for the batch processor
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {Array<Object>} rows - Validated payment requests (see validatePaymentBatch)
+   * @param {Object} options - Batch options
+   * @param {boolean} options.sendEmails - Email each payment link to its customer
+   * @param {string} options.baseUrl - Public base URL for the payment links
+   * @returns {Promise<Object>} Created batch
+   */
+  async createBatch(web3AuthUserId, rows, { sendEmails, baseUrl }) {
+    const client = database.getClient();
+
+    const { data: batch, error } = await client
+      .from('payment_batches')
+      .insert({
+        web3auth_user_id: web3AuthUserId,
+        status: BATCH_STATUS.QUEUED,
+        total_rows: rows.length,
+        send_emails: Boolean(sendEmails),
+        base_url: baseUrl
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw toDbError('creating payment batch', error, { web3AuthUserId });
+    }
+
+    const { error: itemsError } = await client
+      .from('payment_batch_items')
+      .insert(rows.map((input, index) => ({
+        batch_id: batch.id,
+        row_number: index + 1,
+        input,
+        status: ITEM_STATUS.PENDING
+      })));
+
+    if (itemsError) {
+      // A batch without its rows would never finish
+      await client.from('payment_batches').delete().eq('id', batch.id);
+      throw toDbError('creating payment batch items', itemsError, { batchId: batch.id });
+    }
+
+    logger.info('Payment batch created:', { batchId: batch.id, web3AuthUserId, rows: rows.length, sendEmails });
+    return batch;
+  }
+
+  /**
+   * Get one of a merchant's batches
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} Batch record
+   * @throws {Error} Operational 404 when the merchant has no such batch
+   */
+  async getBatch(web3AuthUserId, batchId) {
+    const { data, error } = await database.getClient()
+      .from('payment_batches')
+      .select('*')
+      .eq('id', batchId)
+      .eq('web3auth_user_id', web3AuthUserId)
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('getting payment batch', error, { batchId });
+    }
+    if (!data) {
+      throw createOperationalError('Payment batch not found', 404);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a batch by ID for the batch processor
+   *
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object|null>} Batch record or null
+   */
+  async getBatchById(batchId) {
+    const { data, error } = await database.getClient()
+      .from('payment_batches')
+      .select('*')
+      .eq('id', batchId)
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('getting payment batch', error, { batchId });
+    }
+
+    return data;
+  }
+
+  /**
+   * List batches the processor has not finished, oldest first
+   *
+   * @returns {Promise<Array<Object>>} Queued and processing batches
+   */
+  async listUnfinishedBatches() {
+    const { data, error } = await database.getClient()
+      .from('payment_batches')
+      .select('*')
+      .in('status', [BATCH_STATUS.QUEUED, BATCH_STATUS.PROCESSING])
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw toDbError('listing unfinished payment batches', error, {});
+    }
+
+    return data || [];
+  }
+
+  /**
+   * List a batch's rows in order
+   *
+   * @param {string} batchId - Batch ID
+   * @param {string} [status] - Only rows in this status
+   * @returns {Promise<Array<Object>>} Batch items
+   */
+  async listItems(batchId, status) {
+    let query = database.getClient()
+      .from('payment_batch_items')
+      .select('*')
+      .eq('batch_id', batchId);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query.order('row_number', { ascending: true });
+
+    if (error) {
+      throw toDbError('listing payment batch items', error, { batchId });
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Move a batch to a new status
+   *
+   * @param {Object} batch - Batch record
+   * @param {string} status - New status
+   * @param {Object} [fields] - Other columns to set
+   * @returns {Promise<Object>} Updated batch
+   */
+  async updateBatch(batch, status, fields = {}) {
+    const { data, error } = await database.getClient()
+      .from('payment_batches')
+      .update({ ...fields, status, updated_at: new Date().toISOString() })
+      .eq('id', batch.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw toDbError('updating payment batch', error, { batchId: batch.id, status });
+    }
+
+    return data;
+  }
+
+  /**
+   * Claim a pending row so it is created once even if two processors run
+   *
+   * @param {Object} item - Batch item
+   * @returns {Promise<boolean>} True if this processor claimed the row
+   */
+  async claimItem(item) {
+    const { data, error } = await database.getClient()
+      .from('payment_batch_items')
+      .update({ status: ITEM_STATUS.PROCESSING, updated_at: new Date().toISOString() })
+      .eq('id', item.id)
+      .eq('status', ITEM_STATUS.PENDING)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('claiming payment batch item', error, { itemId: item.id });
+    }
+
+    return Boolean(data);
+  }
+
+  /**
+   * Record what became of a row
+   *
+   * @param {Object} item - Batch item
+   * @param {Object} result - `{ reference, paymentUrl }` for a created payment, or `{ error }`
+   */
+  async recordItemResult(item, { reference, paymentUrl, error: message }) {
+    const { error } = await database.getClient()
+      .from('payment_batch_items')
+      .update({
+        status: message ? ITEM_STATUS.FAILED : ITEM_STATUS.CREATED,
+        payment_reference: reference || null,
+        payment_url: paymentUrl || null,
+        error: message || null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', item.id);
+
+    if (error) {
+      throw toDbError('recording payment batch item result', error, { itemId: item.id });
+    }
+  }
+
+  /**
+   * Fail rows a processor claimed but never finished, e.g. because the server restarted
+   * The payment may or may not have been created, so the row is not retried.
+   *
+   * @param {string} batchId - Batch ID
+   * @param {string} claimedBefore - ISO timestamp; rows claimed earlier are failed
+   * @returns {Promise<number>} Number of rows failed
+   */
+  async failInterruptedItems(batchId, claimedBefore) {
+    const { data, error } = await database.getClient()
+      .from('payment_batch_items')
+      .update({
+        status: ITEM_STATUS.FAILED,
+        error: 'Interrupted while creating the payment; check your payments before retrying this row',
+        updated_at: new Date().toISOString()
+      })
+      .eq('batch_id', batchId)
+      .eq('status', ITEM_STATUS.PROCESSING)
+      .lt('updated_at', claimedBefore)
+      .select('id');
+
+    if (error) {
+      throw toDbError('failing interrupted payment batch items', error, { batchId });
+    }
+
+    return (data || []).length;
+  }
+
+  /**
+   * Count a batch's rows by status and complete it once no row is left
+   *
+   * @param {Object} batch - Batch record
+   * @returns {Promise<Object>} Updated batch
+   */
+  async finishBatch(batch) {
+    const items = await this.listItems(batch.id);
+    const count = status => items.filter(item => item.status === status).length;
+    const unfinished = count(ITEM_STATUS.PENDING) + count(ITEM_STATUS.PROCESSING);
+
+    const counts = {
+      created_count: count(ITEM_STATUS.CREATED),
+      failed_count: count(ITEM_STATUS.FAILED)
+    };
+
+    if (unfinished > 0) {
+      return this.updateBatch(batch, BATCH_STATUS.PROCESSING, counts);
+    }
+
+    const completed = await this.updateBatch(batch, BATCH_STATUS.COMPLETED, {
+      ...counts,
+      completed_at: new Date().toISOString()
+    });
+
+    logger.info('Payment batch completed:', {
+      batchId: batch.id,
+      created: counts.created_count,
+      failed: counts.failed_count
+    });
+    return completed;
+  }
+
+  /**
+   * Render a batch's per-row results as CSV
+   *
+   * @param {Array<Object>} items - Batch items
+   * @returns {string} CSV text
+   */
+  buildResultsCsv(items) {
+    return toCsv([
+      RESULT_CSV_HEADER,
+      ...items.map(item => [
+        item.row_number,
+        item.status,
+        item.payment_reference,
+        item.payment_url,
+        item.input.amount,
+        item.input.priceAmount,
+        item.input.priceCurrency,
+        item.input.label,
+        item.input.customerEmail,
+        item.error
+      ])
+    ]);
+  }
+}
+
+const paymentBatchService = new PaymentBatchService();
+
+module.exports = paymentBatchService;
+module.exports.BATCH_STATUS = BATCH_STATUS;
+module.exports.ITEM_STATUS = ITEM_STATUS;
+module.exports.PAYMENT_BATCH_MAX_ROWS = PAYMENT_BATCH_MAX_ROWS;
@@ -0,0 +1,419 @@
+/**
+ * Payment Link Service
+ *
+ * Reusable payment links: one slug a merchant can print as a till QR code or
+ * share as a "Pay me" link. Each time the link is opened (via `/pay/:slug` or a
+ * Solana Pay transaction request) a fresh single-use payment is minted for it.
+ *
+ * A link either has a fixed `amount` or lets the customer choose one, bounded
+ * by `min_amount`/`max_amount`. It stops minting payments once it is
+ * deactivated, past `expires_at`, or has settled `max_uses` payments.
+ *
+ * @module paymentLinkService
+ */
+
+const crypto = require('crypto');
+const BigNumber = require('bignumber.js');
+const database = require('./database');
+const tokenRegistry = require('./tokenRegistry');
+const logger = require('../utils/logger');
+const { createOperationalError, toDbError } = require('../utils/errors');
+const { SETTLED_STATUSES } = require('../utils/paymentStatus');
+
+const SLUG_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+const SLUG_LENGTH = 8;
+
+// Postgres unique violation, raised when a slug is already taken
+const UNIQUE_VIOLATION = '23505';
+
+// Request fields and the link columns they are stored in
+const LINK_COLUMNS = {
+  slug: 'slug',
+  label: 'label',
+  message: 'message',
+  memo: 'memo',
+  currency: 'currency',
+  amount: 'amount',
+  minAmount: 'min_amount',
+  maxAmount: 'max_amount',
+  maxUses: 'max_uses',
+  expiresAt: 'expires_at',
+  active: 'active'
+};
+const AMOUNT_COLUMNS = ['amount', 'min_amount', 'max_amount'];
+
+const isSet = value => value !== null && value !== undefined;
+
+class PaymentLinkService {
+  /**
+   * Generate a random, unambiguous slug
+   *
+   * @returns {string} Lowercase slug
+   */
+  generateSlug() {
+    return Array.from(crypto.randomBytes(SLUG_LENGTH), byte => SLUG_ALPHABET[byte % SLUG_ALPHABET.length]).join('');
+  }
+
+  /**
+   * Map a validated link request onto link columns
+   *
+   * @param {Object} input - Validated link request (see validatePaymentLink)
+   * @returns {Object} Link columns for the fields present in the request
+   */
+  buildLinkFields(input) {
+    const fields = {};
+
+    Object.entries(LINK_COLUMNS).forEach(([key, column]) => {
+      if (input[key] === undefined) {
+        return;
+      }
+      if (AMOUNT_COLUMNS.includes(column)) {
+        fields[column] = input[key] === null ? null : new BigNumber(input[key]).toString();
+      } else if (column === 'expires_at') {
+        fields[column] = input[key] === null ? null : new Date(input[key]).toISOString();
+      } else {
+        fields[column] = input[key];
+      }
+    });
+
+    // A fixed amount replaces any customer-chosen bounds
+    if (isSet(fields.amount)) {
+      fields.min_amount = null;
+      fields.max_amount = null;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Check a link's token can be paid in and its amounts fit the token
+   *
+   * @param {Object} link - Link columns
+   * @param {Object} user - Merchant's user record
+   * @throws {Error} Operational 400 when the link could not mint payments
+   */
+  assertPayable(link, user) {
+    if (!tokenRegistry.getBySymbol(link.currency) || tokenRegistry.findUnavailable([link.currency]).length > 0) {
+      throw createOperationalError(`${link.currency} is not available on ${tokenRegistry.getNetwork()}`, 400);
+    }
+    if (!tokenRegistry.getAcceptedTokens(user).includes(link.currency)) {
+      throw createOperationalError(`Merchant does not accept ${link.currency} payments`, 400);
+    }
+
+    const decimals = tokenRegistry.getDecimals(link.currency);
+    for (const field of AMOUNT_COLUMNS) {
+      if (isSet(link[field]) && new BigNumber(link[field]).decimalPlaces() > decimals) {
+        throw createOperationalError(`${field} has more than ${decimals} decimals for ${link.currency}`, 400);
+      }
+    }
+    if (!isSet(link.amount) && isSet(link.min_amount) && isSet(link.max_amount)
+      && new BigNumber(link.min_amount).isGreaterThan(link.max_amount)) {
+      throw createOperationalError('min_amount cannot be greater than max_amount', 400);
+    }
+  }
+
+  /**
+   * Work out the amount of a payment minted from a link
+   *
+   * @param {Object} link - Link record
+   * @param {number|string} [requestedAmount] - Amount chosen by the customer
+   * @returns {BigNumber} Payment amount
+   * @throws {Error} Operational 400 when a customer amount is missing or out of bounds
+   */
+  resolveAmount(link, requestedAmount) {
+    if (isSet(link.amount)) {
+      return new BigNumber(link.amount);
+    }
+
+    if (!isSet(requestedAmount) || requestedAmount === '') {
+      throw createOperationalError('Choose an amount to pay', 400);
+    }
+
+    const amount = new BigNumber(requestedAmount);
+    const decimals = tokenRegistry.getDecimals(link.currency);
+    if (!amount.isFinite() || !amount.isGreaterThan(0)) {
+      throw createOperationalError('Amount must be a positive number', 400);
+    }
+    if (amount.decimalPlaces() > decimals) {
+      throw createOperationalError(`Amount has more than ${decimals} decimals for ${link.currency}`, 400);
+    }
+    if (isSet(link.min_amount) && amount.isLessThan(link.min_amount)) {
+      throw createOperationalError(`Amount must be at least ${link.min_amount} ${link.currency}`, 400);
+    }
+    if (isSet(link.max_amount) && amount.isGreaterThan(link.max_amount)) {
+      throw createOperationalError(`Amount must be at most ${link.max_amount} ${link.currency}`, 400);
+    }
+
+    return amount;
+  }
+
+  /**
+   * Check a link can still mint payments
+   *
+   * @param {Object} link - Link record
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Promise<void>}
+   * @throws {Error} Operational 410 when the link is inactive, expired or used up
+   */
+  async assertUsable(link, now = Date.now()) {
+    if (!link.active) {
+      throw createOperationalError('This payment link is no longer active', 410);
+    }
+    if (link.expires_at && new Date(link.expires_at).getTime() <= now) {
+      throw createOperationalError('This payment link has expired', 410);
+    }
+    if (link.max_uses) {
+      const uses = await this.countConversions(link.id);
+      if (uses >= link.max_uses) {
+        throw createOperationalError('This payment link has reached its maximum number of uses', 410);
+      }
+    }
+  }
+
+  /**
+   * Create a payment link
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {Object} fields - Link columns from buildLinkFields
+   * @returns {Promise<Object>} Created link
+   */
+  async createLink(web3AuthUserId, fields) {
+    const { data, error } = await database.getClient()
+      .from('payment_links')
+      .insert({
+        ...fields,
+        slug: fields.slug || this.generateSlug(),
+        web3auth_user_id: web3AuthUserId
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw createOperationalError('Slug is already taken', 409);
+      }
+      throw toDbError('creating payment link', error, { web3AuthUserId });
+    }
+
+    logger.info('Payment link created:', { linkId: data.id, slug: data.slug, web3AuthUserId });
+    return data;
+  }
+
+  /**
+   * Get one of a merchant's payment links
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {string} linkId - Link ID
+   * @returns {Promise<Object>} Link record
+   * @throws {Error} Operational 404 when the merchant has no such link
+   */
+  async getLink(web3AuthUserId, linkId) {
+    const { data, error } = await database.getClient()
+      .from('payment_links')
+      .select('*')
+      .eq('id', linkId)
+      .eq('web3auth_user_id', web3AuthUserId)
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('getting payment link', error, { linkId });
+    }
+    if (!data) {
+      throw createOperationalError('Payment link not found', 404);
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a payment link by its public slug
+   *
+   * @param {string} slug - Link slug
+   * @returns {Promise<Object>} Link record
+   * @throws {Error} Operational 404 when no link has the slug
+   */
+  async getLinkBySlug(slug) {
+    const { data, error } = await database.getClient()
+      .from('payment_links')
+      .select('*')
+      .eq('slug', String(slug).toLowerCase())
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('getting payment link', error, { slug });
+    }
+    if (!data) {
+      throw createOperationalError('Payment link not found', 404);
+    }
+
+    return data;
+  }
+
+  /**
+   * List a merchant's payment links, newest first
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @returns {Promise<Array<Object>>} Link records
+   */
+  async listLinks(web3AuthUserId) {
+    const { data, error } = await database.getClient()
+      .from('payment_links')
+      .select('*')
+      .eq('web3auth_user_id', web3AuthUserId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw toDbError('listing payment links', error, { web3AuthUserId });
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Update a payment link
+   *
+   * @param {Object} link - Link record
+   * @param {Object} fields - Link columns from buildLinkFields
+   * @returns {Promise<Object>} Updated link
+   */
+  async updateLink(link, fields) {
+    const { data, error } = await database.getClient()
+      .from('payment_links')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', link.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === UNIQUE_VIOLATION) {
+        throw createOperationalError('Slug is already taken', 409);
+      }
+      throw toDbError('updating payment link', error, { linkId: link.id });
+    }
+
+    return data;
+  }
+
+  /**
+   * Delete a payment link; payments minted from it are kept
+   *
+   * @param {Object} link - Link record
+   */
+  async deleteLink(link) {
+    const { error } = await database.getClient()
+      .from('payment_links')
+      .delete()
+      .eq('id', link.id);
+
+    if (error) {
+      throw toDbError('deleting payment link', error, { linkId: link.id });
+    }
+  }
+
+  /**
+   * Count the settled payments minted from a link
+   *
+   * @param {string} linkId - Link ID
+   * @returns {Promise<number>} Settled payments
+   */
+  async countConversions(linkId) {
+    const { count, error } = await database.getClient()
+      .from('payments')
+      .select('id', { count: 'exact', head: true })
+      .eq('payment_link_id', linkId)
+      .in('status', SETTLED_STATUSES);
+
+    if (error) {
+      throw toDbError('counting payment link conversions', error, { linkId });
+    }
+
+    return count || 0;
+  }
+
+  /**
+   * Record a visit to a link's `/pay/:slug` page
+   *
+   * @param {Object} link - Link record
+   * @param {Object} req - Express request
+   */
+  async recordVisit(link, req) {
+    try {
+      await database.getClient().from('link_visits').insert({
+        payment_link_id: link.id,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+        referrer: req.get('Referer')
+      });
+    } catch (error) {
+      logger.error('Payment link visit tracking error:', { linkId: link.id, error: error.message });
+    }
+  }
+
+  /**
+   * Record a wallet scanning a link's transaction request QR code
+   *
+   * @param {Object} link - Link record
+   * @param {Object} req - Express request
+   */
+  async recordScan(link, req) {
+    try {
+      await database.getClient().from('qr_scans').insert({
+        payment_link_id: link.id,
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+        scan_method: 'transaction_request'
+      });
+    } catch (error) {
+      logger.error('Payment link scan tracking error:', { linkId: link.id, error: error.message });
+    }
+  }
+
+  /**
+   * Aggregate a link's visits, scans, minted payments and conversions
+   *
+   * @param {Object} link - Link record
+   * @returns {Promise<Object>} `{ visits, scans, payments, conversions, conversionRate, volume, remainingUses }`
+   */
+  async getStats(link) {
+    const client = database.getClient();
+    const countRows = (table) => client
+      .from(table)
+      .select('id', { count: 'exact', head: true })
+      .eq('payment_link_id', link.id);
+
+    const [visits, scans, payments, settled] = await Promise.all([
+      countRows('link_visits'),
+      countRows('qr_scans'),
+      countRows('payments'),
+      client
+        .from('payments')
+        .select('amount')
+        .eq('payment_link_id', link.id)
+        .in('status', SETTLED_STATUSES)
+    ]);
+
+    const failed = [visits, scans, payments, settled].find(result => result.error);
+    if (failed) {
+      throw toDbError('getting payment link stats', failed.error, { linkId: link.id });
+    }
+
+    const opens = (visits.count || 0) + (scans.count || 0);
+    const conversions = (settled.data || []).length;
+    const volume = (settled.data || []).reduce((total, payment) => total.plus(payment.amount), new BigNumber(0));
+
+    return {
+      visits: visits.count || 0,
+      scans: scans.count || 0,
+      payments: payments.count || 0,
+      conversions,
+      conversionRate: opens > 0 ? ((conversions / opens) * 100).toFixed(2) : '0.00',
+      volume: volume.toString(),
+      currency: link.currency,
+      remainingUses: link.max_uses ? Math.max(link.max_uses - conversions, 0) : null
+    };
+  }
+}
+
+const paymentLinkService = new PaymentLinkService();
+
+module.exports = paymentLinkService;
@@ -1,12 +1,34 @@
-const { findReference, validateTransfer, FindReferenceError } = require('@solana/pay');
+const { FindReferenceError } = require('@solana/pay');
 const { MERCHANT_WALLET, establishConnection } = require('./solana');
 const { PublicKey } = require('@solana/web3.js');
+const { getAssociatedTokenAddress } = require('@solana/spl-token');
 const BigNumber = require('bignumber.js');
 const database = require('./database');
 const emailService = require('./emailService');
+const refundService = require('./refundService');
+const invoiceService = require('./invoiceService');
+const customerService = require('./customerService');
 const { sendWebhook } = require('../controllers/webhooks');
 const { notifyPaymentUpdate } = require('./websocket');
 const logger = require('../utils/logger');
+const {
+  PAYMENT_STATUS,
+  PAYABLE_STATUSES,
+  isPaymentExpired,
+  getPaymentLegs,
+  describeLegs,
+  getExpectedAmount,
+  sumLegsReceived,
+  getAmountTolerance,
+  classifyAmountReceived
+} = require('../utils/paymentStatus');
+const { isAwaitingAmount } = require('../utils/amountMode');
+
+// How long cancelled payments are watched for funds sent after cancellation
+const CANCELLED_PAYMENT_WATCH_SECONDS = parseInt(process.env.CANCELLED_PAYMENT_WATCH_SECONDS, 10) || 7 * 24 * 60 * 60;
+
+// Payable payments checked per monitoring pass
+const MONITOR_BATCH_SIZE = 50;
 
 class PaymentMonitor {
   constructor() {
@@ -86,9 +108,11 @@ class PaymentMonitor {
    * @param {Object} payment - Payment record from database
    * @param {Object} validateParams - Validation parameters
    * @param {PublicKey} referencePublicKey - Reference public key
+   * @param {Object} options - Validation options
+   * @param {boolean} options.allowPartial - Accept transfers below the requested amount (top-ups)
    * @returns {Object} Validation result with isValid flag and details
    */
-  async validateSOLPayment(connection, signature, payment, validateParams, referencePublicKey) {
+  async validateSOLPayment(connection, signature, payment, validateParams, referencePublicKey, options = {}) {
     const paymentType = this.getPaymentTypeInfo(payment);
 
     logger.info('Starting enhanced SOL payment validation:', {
@@ -235,7 +259,8 @@ class PaymentMonitor {
         transaction,
         payment,
         validateParams,
-        accountKeys
+        accountKeys,
+        options
       );
 
       if (!amountValidation.isValid) {
@@ -295,9 +320,11 @@ class PaymentMonitor {
    * @param {Object} payment - Payment record
    * @param {Object} validateParams - Validation parameters
    * @param {Array} accountKeys - Transaction account keys
+   * @param {Object} options - Validation options
+   * @param {boolean} options.allowPartial - Skip the lower bound so partial transfers are measured
    * @returns {Object} Amount validation result
    */
-  validateSOLAmount(transaction, payment, validateParams, accountKeys) {
+  validateSOLAmount(transaction, payment, validateParams, accountKeys, options = {}) {
     const paymentType = this.getPaymentTypeInfo(payment);
 
     logger.info('Starting SOL amount validation:', {
@@ -309,7 +336,8 @@ class PaymentMonitor {
 
     try {
       // Convert expected amount to lamports with proper precision
-      const expectedSOL = new BigNumber(payment.amount);
+      // (validateParams.amount is the leg being measured when a payment has several)
+      const expectedSOL = new BigNumber(validateParams.amount ?? payment.amount);
       const expectedLamports = expectedSOL.multipliedBy(1e9).integerValue();
 
       logger.info('SOL amount validation starting:', {
@@ -379,9 +407,9 @@ class PaymentMonitor {
       // Implement tolerance-based amount checking
       // Use a more sophisticated tolerance calculation:
       // - Minimum 1000 lamports (0.000001 SOL) for micro-transactions
-      // - 0.5% tolerance for larger amounts to account for network fees and precision
+      // - Merchant tolerance (0.5% by default) for larger amounts to account for network fees and precision
       const baseTolerance = new BigNumber(1000); // 1000 lamports minimum
-      const percentageTolerance = expectedLamports.multipliedBy(0.005); // 0.5%
+      const percentageTolerance = getAmountTolerance(payment, 0, expectedSOL).multipliedBy(1e9).integerValue();
       const tolerance = BigNumber.maximum(baseTolerance, percentageTolerance);
 
       const minAcceptable = expectedLamports.minus(tolerance);
@@ -397,7 +425,7 @@ class PaymentMonitor {
       });
 
       // Validate amount is within acceptable range
-      if (actualTransferLamports.isLessThan(minAcceptable)) {
+      if (!options.allowPartial && actualTransferLamports.isLessThan(minAcceptable)) {
         const structuredError = this.createStructuredError(
           'AMOUNT_TOO_LOW',
           `SOL transfer amount too low: expected ${expectedLamports.toString()} lamports, got ${actualTransferLamports.toString()} lamports`,
@@ -818,6 +846,7 @@ class PaymentMonitor {
 
     this.monitoringInterval = setInterval(async () => {
       await this.checkPendingPayments();
+      await this.checkPendingRefunds();
     }, 15000); // Check every 15 seconds
 
     // Clean up old retry attempts every 5 minutes to prevent memory leaks
@@ -825,6 +854,11 @@ class PaymentMonitor {
       this.cleanupRetryAttempts();
     }, 300000); // 5 minutes
 
+    // Cancelled payments are out of the polling loop; look for late funds less often
+    this.cancelledInterval = setInterval(async () => {
+      await this.checkCancelledPayments();
+    }, 300000); // 5 minutes
+
     logger.info('Payment monitoring started with error handling and cleanup');
   }
 
@@ -863,6 +897,11 @@ class PaymentMonitor {
       this.cleanupInterval = null;
     }
 
+    if (this.cancelledInterval) {
+      clearInterval(this.cancelledInterval);
+      this.cancelledInterval = null;
+    }
+
     // Clear retry attempts on shutdown
     this.retryAttempts.clear();
 
@@ -870,16 +909,19 @@ class PaymentMonitor {
   }
 
   /**
-   * Check all pending payments for confirmation
+   * Check pending payments for confirmation
+   * Each pass takes the payable payments polled longest ago (never polled
+   * first), so every open payment gets its turn however many are waiting.
    */
   async checkPendingPayments() {
     try {
       const { data: pendingPayments, error } = await database.getClient()
         .from('payments')
-        .select('id, reference, amount, currency, spl_token_mint, web3auth_user_id, customer_email, chain, recipient_address')
-        .eq('status', 'pending')
+        .select('id, reference, amount, currency, spl_token_mint, web3auth_user_id, customer_email, customer_id, chain, recipient_address, merchant_amount, fee_amount, fee_recipient_address, splits, status, amount_received, amount_tolerance_bps, amount_mode, amount_committed_at, metadata, expires_at, created_at')
+        .in('status', PAYABLE_STATUSES)
+        .order('last_checked_at', { ascending: true, nullsFirst: true })
         .order('created_at', { ascending: true })
-        .limit(50);
+        .limit(MONITOR_BATCH_SIZE);
 
       if (error) {
         logger.error('Database error retrieving pending payments:', {
@@ -895,6 +937,20 @@ class PaymentMonitor {
         return;
       }
 
+      // Move this batch to the back of the queue before checking it, so a
+      // payment whose check keeps failing cannot hold its place
+      const { error: stampError } = await database.getClient()
+        .from('payments')
+        .update({ last_checked_at: new Date().toISOString() })
+        .in('id', pendingPayments.map(payment => payment.id));
+
+      if (stampError) {
+        logger.warn('Failed to record payment check time:', {
+          error: stampError.message,
+          code: stampError.code
+        });
+      }
+
       // Log payment type distribution for monitoring insights
       const paymentTypeStats = pendingPayments.reduce((stats, payment) => {
         const paymentType = this.getPaymentTypeInfo(payment);
@@ -902,12 +958,22 @@ class PaymentMonitor {
         return stats;
       }, {});
 
+      // Split off payments past their expiry so they stop occupying polling slots
+      const now = Date.now();
+      const overduePayments = pendingPayments.filter(payment => isPaymentExpired(payment, now));
+      const activePayments = pendingPayments.filter(payment => !isPaymentExpired(payment, now));
+
       logger.info('Processing pending payments with type distribution:', {
         count: pendingPayments.length,
+        overdue: overduePayments.length,
         typeDistribution: paymentTypeStats
       });
 
-      for (const payment of pendingPayments) {
+      for (const payment of overduePayments) {
+        await this.expirePayment(payment);
+      }
+
+      for (const payment of activePayments) {
         await this.checkPaymentConfirmation(payment);
       }
     } catch (error) {
@@ -918,6 +984,117 @@ class PaymentMonitor {
     }
   }
 
+  /**
+   * Check recently cancelled payments for funds sent after cancellation
+   */
+  async checkCancelledPayments() {
+    try {
+      const cancelledSince = new Date(Date.now() - CANCELLED_PAYMENT_WATCH_SECONDS * 1000).toISOString();
+      const cancelledPayments = await database.getWatchedCancelledPayments(cancelledSince);
+
+      for (const payment of cancelledPayments) {
+        await this.checkPaymentConfirmation(payment);
+      }
+    } catch (error) {
+      logger.error('Error checking cancelled payments:', {
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  /**
+   * Check pending refunds for on-chain confirmation
+   */
+  async checkPendingRefunds() {
+    try {
+      const connection = await this.getConnection();
+      await refundService.checkPendingRefunds(connection);
+    } catch (error) {
+      logger.error('Error checking pending refunds:', {
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
+  /**
+   * Expire a payment that passed its expiry time without being paid
+   * A final on-chain check runs first so a transfer that landed just before
+   * expiry is still confirmed rather than expired.
+   * @param {Object} payment - Pending payment record past its expiry
+   */
+  async expirePayment(payment) {
+    try {
+      await this.checkPaymentConfirmation(payment);
+
+      let expiredPayment;
+      try {
+        expiredPayment = await database.expirePayment(payment.reference);
+      } catch (dbError) {
+        logger.error('Database error expiring payment in monitor:', {
+          reference: payment.reference,
+          status: PAYMENT_STATUS.EXPIRED,
+          error: dbError.message,
+          code: dbError.code
+        });
+        return;
+      }
+
+      // Payment was confirmed by the final check (or elsewhere) in the meantime
+      if (!expiredPayment) {
+        logger.debug('Payment no longer pending, skipping expiry:', {
+          reference: payment.reference
+        });
+        return;
+      }
+
+      const expiresAt = expiredPayment.expires_at || payment.expires_at || null;
+
+      // Send webhook notification
+      try {
+        await sendWebhook(payment.web3auth_user_id, 'payment.expired', {
+          reference: payment.reference,
+          amount: payment.amount,
+          currency: payment.currency,
+          expires_at: expiresAt,
+          metadata: payment.metadata || {},
+          timestamp: new Date().toISOString()
+        });
+      } catch (webhookError) {
+        logger.warn('Failed to send expiry webhook notification:', {
+          reference: payment.reference,
+          error: webhookError.message
+        });
+      }
+
+      // Send real-time WebSocket update
+      const wsResult = notifyPaymentUpdate(payment.reference, PAYMENT_STATUS.EXPIRED, {
+        amount: payment.amount,
+        currency: payment.currency,
+        expires_at: expiresAt
+      });
+
+      if (!wsResult.success) {
+        logger.warn('Failed to send WebSocket notification:', {
+          reference: payment.reference,
+          error: wsResult.error
+        });
+      }
+
+      logger.info('Payment expired:', {
+        reference: payment.reference,
+        expiresAt
+      });
+    } catch (error) {
+      logger.error('Error expiring payment:', {
+        reference: payment.reference,
+        error: error.message,
+        stack: error.stack
+      });
+    }
+  }
+
   /**
    * Determine payment type based on payment data
    * @param {Object} payment - Payment record from database
@@ -1497,6 +1674,12 @@ class PaymentMonitor {
    * Check if a specific payment is confirmed on-chain with comprehensive error handling
    */
   async checkPaymentConfirmation(payment) {
+    // No transaction can carry the reference until the customer commits an amount
+    if (isAwaitingAmount(payment)) {
+      logger.debug('Payment awaiting customer amount:', { reference: payment.reference });
+      return;
+    }
+
     const paymentType = this.getPaymentTypeInfo(payment);
 
     try {
@@ -1610,28 +1793,33 @@ class PaymentMonitor {
       tokenMint: paymentType.tokenMint
     });
 
-    // Use findReference from @solana/pay with retry logic for RPC calls
-    const signatureInfo = await this.executeWithRetry(
+    // Every successful transaction carrying the reference counts toward the payment,
+    // so top-up transfers after an underpayment are picked up as well
+    const signatureInfos = await this.executeWithRetry(
       async () => {
-        return await findReference(
-          connection,
+        const signatures = await connection.getSignaturesForAddress(
           referencePublicKey,
-          { finality: 'confirmed' }
+          { limit: 100 },
+          'confirmed'
         );
+        const successful = (signatures || []).filter(info => !info.err);
+        if (successful.length === 0) {
+          throw new FindReferenceError('not found');
+        }
+        return successful;
       },
       payment,
       'find_reference'
     );
 
-    logger.info('Found transaction signature for payment type:', {
+    logger.info('Found transaction signatures for payment type:', {
       reference: payment.reference,
-      signature: signatureInfo.signature,
+      signatureCount: signatureInfos.length,
       paymentType: paymentType.type,
       currency: paymentType.currency,
       description: paymentType.description
     });
 
-    // Validate the transfer with different logic for SOL vs SPL tokens
     const validateParams = {
       recipient: new PublicKey(payment.recipient_address || MERCHANT_WALLET.toString()),
       amount: new BigNumber(payment.amount),
@@ -1643,115 +1831,357 @@ class PaymentMonitor {
       validateParams.splToken = new PublicKey(payment.spl_token_mint);
     }
 
-    logger.info('Validating transfer with payment type-specific params:', {
-      reference: payment.reference,
-      recipient: validateParams.recipient.toString(),
-      amount: validateParams.amount.toString(),
-      splToken: validateParams.splToken?.toString(),
-      currency: payment.currency,
-      paymentType: paymentType.type,
-      validationMethod: paymentType.isSOL ? 'Enhanced SOL validation with error handling' : 'Standard SPL validation'
-    });
+    const recordedTransfers = await database.getPaymentTransfers(payment.id);
+    const recordedSignatures = new Set(recordedTransfers.map(transfer => transfer.signature));
+    const newTransfers = [];
 
-    // Get transaction for detailed analysis logging with retry logic
-    let transaction = null;
-    try {
-      transaction = await this.executeWithRetry(
-        async () => {
-          return await connection.getTransaction(signatureInfo.signature, {
-            commitment: 'confirmed',
-            maxSupportedTransactionVersion: 0
-          });
-        },
+    // Signatures are returned newest first; record receipts in the order they landed
+    for (const signatureInfo of [...signatureInfos].reverse()) {
+      if (recordedSignatures.has(signatureInfo.signature)) {
+        continue;
+      }
+
+      const { total: received, legAmounts } = await this.measureLegs(
+        connection,
+        signatureInfo.signature,
         payment,
-        'get_transaction'
+        validateParams,
+        referencePublicKey
       );
 
-      if (transaction) {
-        this.logTransactionAnalysis(transaction, payment, paymentType, signatureInfo.signature);
+      if (!received.isGreaterThan(0)) {
+        logger.warn('Reference transaction did not pay the recipient:', {
+          reference: payment.reference,
+          signature: signatureInfo.signature,
+          paymentType: paymentType.type
+        });
+        continue;
       }
-    } catch (txError) {
-      logger.warn('Could not retrieve transaction for analysis logging after retries:', {
-        reference: payment.reference,
+
+      const transfer = await database.recordPaymentTransfer({
+        payment_id: payment.id,
+        payment_reference: payment.reference,
         signature: signatureInfo.signature,
-        error: txError.message
+        amount: received.toString(),
+        leg_amounts: legAmounts,
+        block_time: signatureInfo.blockTime ? new Date(signatureInfo.blockTime * 1000).toISOString() : null
       });
+
+      if (transfer) {
+        newTransfers.push(transfer);
+      }
     }
 
-    // Use different validation logic for SOL vs SPL tokens
-    if (paymentType.isSOL) {
-      // For SOL payments, use custom validation since validateTransfer is designed for SPL tokens
-      logger.info('Using enhanced SOL validation for native SOL transfer:', {
+    const transfers = [...recordedTransfers, ...newTransfers];
+    if (transfers.length === 0) {
+      logger.warn('No valid transfer found for payment reference:', {
         reference: payment.reference,
-        paymentType: paymentType.type,
-        signature: signatureInfo.signature
+        signatureCount: signatureInfos.length,
+        paymentType: paymentType.type
       });
+      return;
+    }
 
-      const validationResult = await this.executeWithRetry(
-        async () => {
-          return await this.validateSOLPayment(
-            connection,
-            signatureInfo.signature,
-            payment,
-            validateParams,
-            referencePublicKey
-          );
-        },
-        payment,
-        'enhanced_sol_validation'
-      );
+    const amountReceived = transfers.reduce(
+      (total, transfer) => total.plus(transfer.amount),
+      new BigNumber(0)
+    );
 
-      if (!validationResult.isValid) {
-        const enhancedError = this.createStructuredError(
-          'SOL_VALIDATION_FAILED',
-          validationResult.error,
-          payment,
-          paymentType,
-          {
-            signature: signatureInfo.signature,
-            validationMethod: 'enhanced_sol'
-          }
-        );
-        logger.error('SOL payment validation failed after retries:', enhancedError);
-        throw new Error(validationResult.error);
+    // A cancelled payment is never settled; funds that still arrive are held for refund
+    if (payment.status === PAYMENT_STATUS.CANCELLED) {
+      if (newTransfers.length > 0) {
+        await this.flagForRefundReview(payment, transfers[transfers.length - 1].signature, amountReceived);
       }
+      return;
+    }
+    // Merchant and platform fee legs each have to be paid
+    const receipt = classifyAmountReceived(
+      payment,
+      amountReceived,
+      paymentType.isSOL ? new BigNumber(1000).dividedBy(1e9) : 0,
+      sumLegsReceived(transfers)
+    );
 
-      logger.info('SOL payment validation successful:', {
+    // Nothing new since the last check and the stored status already matches
+    if (newTransfers.length === 0 && receipt.status === payment.status) {
+      logger.debug('No new transfers for payment:', {
         reference: payment.reference,
-        signature: signatureInfo.signature,
-        paymentType: paymentType.type,
-        validationDetails: validationResult.details
+        status: payment.status,
+        amountReceived: amountReceived.toString()
       });
-    } else {
-      // For SPL token payments, use standard validateTransfer
-      await this.executeWithRetry(
-        async () => {
-          return await validateTransfer(
-            connection,
-            signatureInfo.signature,
-            validateParams,
-            { commitment: 'confirmed' }
-          );
+      return;
+    }
+
+    const latestSignature = transfers[transfers.length - 1].signature;
+
+    logger.info('Payment amount received:', {
+      reference: payment.reference,
+      paymentType: paymentType.type,
+      expected: getExpectedAmount(payment).toString(),
+      amountReceived: amountReceived.toString(),
+      status: receipt.status,
+      transfers: transfers.length,
+      newTransfers: newTransfers.length
+    });
+
+    if (receipt.status === PAYMENT_STATUS.UNDERPAID) {
+      await this.recordUnderpayment(payment, latestSignature, receipt);
+      return;
+    }
+
+    // Payment settled - update status with error handling
+    await this.executeWithRetry(
+      async () => {
+        return await this.confirmPayment(payment, latestSignature, receipt);
+      },
+      payment,
+      'confirm_payment'
+    );
+  }
+
+  /**
+   * Measure what a transaction carrying the reference paid each leg of the payment
+   * @param {Connection} connection - Solana connection
+   * @param {string} signature - Transaction signature
+   * @param {Object} payment - Payment record
+   * @param {Object} validateParams - Validation parameters for the merchant leg
+   * @param {PublicKey} referencePublicKey - Reference public key
+   * @returns {Promise<Object>} `{ total, legAmounts }` with the amount per leg role as strings
+   */
+  async measureLegs(connection, signature, payment, validateParams, referencePublicKey) {
+    const legAmounts = {};
+    let total = new BigNumber(0);
+
+    for (const leg of getPaymentLegs(payment)) {
+      // Splits can take the whole merchant amount, leaving nothing to look for
+      if (leg.amount.isZero()) {
+        legAmounts[leg.role] = '0';
+        continue;
+      }
+      const received = await this.measureReceivedAmount(
+        connection,
+        signature,
+        payment,
+        {
+          ...validateParams,
+          recipient: leg.recipient ? new PublicKey(leg.recipient) : validateParams.recipient,
+          amount: leg.amount
         },
+        referencePublicKey
+      );
+      const amount = received && received.isGreaterThan(0) ? received : new BigNumber(0);
+      legAmounts[leg.role] = amount.toString();
+      total = total.plus(amount);
+    }
+
+    return { total, legAmounts };
+  }
+
+  /**
+   * Measure how much a transaction carrying the reference paid the recipient
+   * @param {Connection} connection - Solana connection
+   * @param {string} signature - Transaction signature
+   * @param {Object} payment - Payment record
+   * @param {Object} validateParams - Validation parameters
+   * @param {PublicKey} referencePublicKey - Reference public key
+   * @returns {Promise<BigNumber|null>} Amount received in payment currency units, or null if invalid
+   */
+  async measureReceivedAmount(connection, signature, payment, validateParams, referencePublicKey) {
+    const paymentType = this.getPaymentTypeInfo(payment);
+
+    if (paymentType.isSOL) {
+      const validationResult = await this.validateSOLPayment(
+        connection,
+        signature,
         payment,
-        'validate_transfer'
+        validateParams,
+        referencePublicKey,
+        { allowPartial: true }
       );
 
-      logger.info('SPL token validation successful:', {
-        reference: payment.reference,
-        paymentType: paymentType.type,
-        signature: signatureInfo.signature
-      });
+      if (!validationResult.isValid) {
+        return null;
+      }
+
+      return new BigNumber(validationResult.details.actualTransferLamports).dividedBy(1e9);
     }
 
-    // Payment confirmed - update status with error handling
-    await this.executeWithRetry(
+    return this.measureSPLTransfer(connection, signature, payment, validateParams);
+  }
+
+  /**
+   * Measure an SPL token transfer from the recipient token account balance change
+   * @param {Connection} connection - Solana connection
+   * @param {string} signature - Transaction signature
+   * @param {Object} payment - Payment record
+   * @param {Object} validateParams - Validation parameters with recipient and splToken
+   * @returns {Promise<BigNumber|null>} Token amount received, or null if the transaction failed
+   */
+  async measureSPLTransfer(connection, signature, payment, validateParams) {
+    const transaction = await this.executeWithRetry(
       async () => {
-        return await this.confirmPayment(payment, signatureInfo.signature);
+        const tx = await connection.getTransaction(signature, {
+          commitment: 'confirmed',
+          maxSupportedTransactionVersion: 0
+        });
+        if (!tx) {
+          throw new Error('Transaction not found');
+        }
+        return tx;
       },
       payment,
-      'confirm_payment'
+      'get_transaction_for_measurement',
+      { maxRetries: 2 }
     );
+
+    if (transaction.meta?.err) {
+      return null;
+    }
+
+    if (!transaction.meta?.preTokenBalances || !transaction.meta?.postTokenBalances) {
+      throw new Error('Transaction metadata incomplete - cannot verify token transfer amount');
+    }
+
+    const recipientAta = await getAssociatedTokenAddress(validateParams.splToken, validateParams.recipient);
+    const message = transaction.transaction.message;
+    const accountKeys = message.staticAccountKeys || message.accountKeys || [];
+    const ataIndex = accountKeys.findIndex(key => key.equals(recipientAta));
+
+    if (ataIndex < 0) {
+      return new BigNumber(0);
+    }
+
+    const mint = validateParams.splToken.toString();
+    const balanceOf = (balances) => {
+      const entry = balances.find(balance => balance.accountIndex === ataIndex && balance.mint === mint);
+      return new BigNumber(entry?.uiTokenAmount?.uiAmountString || 0);
+    };
+
+    return balanceOf(transaction.meta.postTokenBalances).minus(balanceOf(transaction.meta.preTokenBalances));
+  }
+
+  /**
+   * Flag a cancelled or expired payment that received funds so the merchant can refund them
+   * The payment keeps its status.
+   * @param {Object} payment - Cancelled or expired payment record
+   * @param {string} signature - Latest transfer signature
+   * @param {BigNumber} amountReceived - Total received on the reference
+   */
+  async flagForRefundReview(payment, signature, amountReceived) {
+    try {
+      await database.updatePaymentStatus(payment.reference, payment.status, signature, {
+        amount_received: amountReceived.toString(),
+        refund_review_required: true
+      });
+    } catch (dbError) {
+      logger.error('Database error flagging cancelled payment for refund review:', {
+        reference: payment.reference,
+        error: dbError.message,
+        code: dbError.code
+      });
+      return;
+    }
+
+    const reviewDetails = {
+      amount: payment.amount,
+      currency: payment.currency,
+      amount_received: amountReceived.toString(),
+      refund_review_required: true,
+      signature
+    };
+
+    try {
+      await sendWebhook(payment.web3auth_user_id, 'payment.refund_review_required', {
+        reference: payment.reference,
+        status: payment.status,
+        ...reviewDetails,
+        metadata: payment.metadata || {},
+        timestamp: new Date().toISOString()
+      });
+    } catch (webhookError) {
+      logger.warn('Failed to send refund review webhook notification:', {
+        reference: payment.reference,
+        error: webhookError.message
+      });
+    }
+
+    const wsResult = notifyPaymentUpdate(payment.reference, payment.status, reviewDetails);
+
+    if (!wsResult.success) {
+      logger.warn('Failed to send WebSocket notification:', {
+        reference: payment.reference,
+        error: wsResult.error
+      });
+    }
+
+    logger.warn('Funds received on retired payment, flagged for refund review:', {
+      reference: payment.reference,
+      status: payment.status,
+      amountReceived: amountReceived.toString(),
+      signature
+    });
+  }
+
+  /**
+   * Record a partial receipt and notify the merchant of the remaining balance
+   * @param {Object} payment - Payment record
+   * @param {string} signature - Latest transfer signature
+   * @param {Object} receipt - Amount classification from classifyAmountReceived
+   */
+  async recordUnderpayment(payment, signature, receipt) {
+    try {
+      await database.updatePaymentStatus(payment.reference, PAYMENT_STATUS.UNDERPAID, signature, {
+        amount_received: receipt.amountReceived.toString()
+      });
+    } catch (dbError) {
+      logger.error('Database error updating payment status in monitor:', {
+        reference: payment.reference,
+        status: PAYMENT_STATUS.UNDERPAID,
+        error: dbError.message,
+        code: dbError.code
+      });
+      return;
+    }
+
+    const receiptDetails = {
+      amount: payment.amount,
+      currency: payment.currency,
+      amount_received: receipt.amountReceived.toString(),
+      amount_remaining: receipt.amountRemaining.toString(),
+      recipients: receipt.recipients,
+      signature
+    };
+
+    // Send webhook notification
+    try {
+      await sendWebhook(payment.web3auth_user_id, 'payment.underpaid', {
+        reference: payment.reference,
+        ...receiptDetails,
+        metadata: payment.metadata || {},
+        timestamp: new Date().toISOString()
+      });
+    } catch (webhookError) {
+      logger.warn('Failed to send underpayment webhook notification:', {
+        reference: payment.reference,
+        error: webhookError.message
+      });
+    }
+
+    // Send real-time WebSocket update
+    const wsResult = notifyPaymentUpdate(payment.reference, PAYMENT_STATUS.UNDERPAID, receiptDetails);
+
+    if (!wsResult.success) {
+      logger.warn('Failed to send WebSocket notification:', {
+        reference: payment.reference,
+        error: wsResult.error
+      });
+    }
+
+    logger.info('Payment underpaid, awaiting top-up:', {
+      reference: payment.reference,
+      amountReceived: receiptDetails.amount_received,
+      amountRemaining: receiptDetails.amount_remaining
+    });
   }
 
   /**
@@ -1792,38 +2222,102 @@ class PaymentMonitor {
     }
   }
 
+  /**
+   * Handle funds that settled a payment which was no longer payable when confirmed
+   * Expired and cancelled payments are flagged for refund review; payments
+   * another check already settled are left alone.
+   * @param {Object} payment - Payment record as read before confirming
+   * @param {string} signature - Transfer signature that settled the payment
+   * @param {string} amountReceived - Total received on the reference
+   */
+  async handleUnsettledConfirmation(payment, signature, amountReceived) {
+    let current;
+    try {
+      current = await database.getPayment(payment.reference);
+    } catch (dbError) {
+      logger.error('Database error reading payment after failed confirmation:', {
+        reference: payment.reference,
+        error: dbError.message,
+        code: dbError.code
+      });
+      return;
+    }
+
+    if (current && [PAYMENT_STATUS.EXPIRED, PAYMENT_STATUS.CANCELLED].includes(current.status)) {
+      await this.flagForRefundReview(current, signature, new BigNumber(amountReceived));
+      return;
+    }
+
+    logger.info('Payment no longer payable, confirmation skipped:', {
+      reference: payment.reference,
+      status: current?.status
+    });
+  }
+
   /**
    * Confirm payment and send notifications
+   * @param {Object} payment - Payment record
+   * @param {string} signature - Transfer signature that settled the payment
+   * @param {Object} [receipt] - Amount classification; overpaid receipts settle as `overpaid`
    */
-  async confirmPayment(payment, signature) {
+  async confirmPayment(payment, signature, receipt = null) {
+    const status = receipt?.status === PAYMENT_STATUS.OVERPAID ? PAYMENT_STATUS.OVERPAID : PAYMENT_STATUS.CONFIRMED;
+    const amountReceived = receipt ? receipt.amountReceived.toString() : payment.amount;
+    const recipients = receipt?.recipients || describeLegs(getPaymentLegs(payment));
+
     try {
       // Update payment status with error handling
       let updatedPayment;
       try {
-        updatedPayment = await database.updatePaymentStatus(
+        updatedPayment = await database.settlePayment(
           payment.reference,
-          'confirmed',
-          signature
+          status,
+          signature,
+          { amount_received: amountReceived }
         );
       } catch (dbError) {
         logger.error('Database error updating payment status in monitor:', {
           reference: payment.reference,
-          status: 'confirmed',
+          status,
           error: dbError.message,
           code: dbError.code
         });
         return;
       }
 
+      // Expired, cancelled or settled since it was read
+      if (!updatedPayment) {
+        await this.handleUnsettledConfirmation(payment, signature, amountReceived);
+        return;
+      }
+
       // Send webhook notification
       try {
-        await sendWebhook('payment.confirmed', {
+        await sendWebhook(payment.web3auth_user_id, 'payment.confirmed', {
           reference: payment.reference,
           amount: payment.amount,
+          amount_received: amountReceived,
           currency: payment.currency,
+          status,
+          recipients,
           signature,
+          metadata: payment.metadata || {},
           timestamp: new Date().toISOString()
         });
+
+        if (status === PAYMENT_STATUS.OVERPAID) {
+          await sendWebhook(payment.web3auth_user_id, 'payment.overpaid', {
+            reference: payment.reference,
+            amount: payment.amount,
+            amount_received: amountReceived,
+            excess: receipt.excess.toString(),
+            currency: payment.currency,
+            recipients,
+            signature,
+            metadata: payment.metadata || {},
+            timestamp: new Date().toISOString()
+          });
+        }
       } catch (webhookError) {
         logger.warn('Failed to send webhook notification:', {
           reference: payment.reference,
@@ -1832,9 +2326,12 @@ class PaymentMonitor {
       }
 
       // Send real-time WebSocket update
-      const wsResult = notifyPaymentUpdate(payment.reference, 'confirmed', {
+      const wsResult = notifyPaymentUpdate(payment.reference, status, {
         amount: payment.amount,
+        amount_received: amountReceived,
+        excess: receipt ? receipt.excess.toString() : '0',
         currency: payment.currency,
+        recipients,
         signature
       });
 
@@ -1863,6 +2360,27 @@ class PaymentMonitor {
         });
       }
 
+      // Link the payment to the merchant's customer by the wallet that paid it
+      try {
+        const payerWallet = await refundService.derivePayerAddress(signature);
+        await customerService.recordPayment(payment, payerWallet);
+      } catch (customerError) {
+        logger.warn('Failed to link payment to customer:', {
+          reference: payment.reference,
+          error: customerError.message
+        });
+      }
+
+      // Settle the invoice the payment was issued for, if any
+      try {
+        await invoiceService.markPaidForPayment({ ...payment, status });
+      } catch (invoiceError) {
+        logger.warn('Failed to mark invoice paid:', {
+          reference: payment.reference,
+          error: invoiceError.message
+        });
+      }
+
       // Send confirmation email
       if (payment.customer_email) {
         try {
@@ -1883,6 +2401,8 @@ class PaymentMonitor {
         paymentType: paymentType.type,
         currency: paymentType.currency,
         amount: payment.amount,
+        amountReceived,
+        status,
         description: paymentType.description
       });
 
@@ -1897,3 +2417,4 @@ class PaymentMonitor {
 }
 
 module.exports = new PaymentMonitor();
+module.exports.CANCELLED_PAYMENT_WATCH_SECONDS = CANCELLED_PAYMENT_WATCH_SECONDS;
@@ -0,0 +1,341 @@
+/**
+ * PDF Service
+ *
+ * Renders payment documents server-side:
+ * - receipts for settled payments, with the on-chain signature, an explorer
+ *   link and a QR code that opens the transaction in the explorer
+ * - invoices for payment requests, with a Solana Pay QR code to pay them
+ *
+ * Both carry the merchant's branding from their user profile, the amounts and
+ * the fee breakdown. Payments issued for an itemized invoice list its line items.
+ *
+ * @module pdfService
+ */
+
+const PDFDocument = require('pdfkit');
+const BigNumber = require('bignumber.js');
+const database = require('./database');
+const invoiceService = require('./invoiceService');
+const tokenRegistry = require('./tokenRegistry');
+const { SUPPORTED_FIAT_CURRENCIES } = require('./exchangeRateService');
+const { toQRCodeDataUri } = require('../utils/qrCode');
+const { getPaymentLegs, describeLegs } = require('../utils/paymentStatus');
+const logger = require('../utils/logger');
+
+const DOCUMENT_KIND = {
+  RECEIPT: 'receipt',
+  INVOICE: 'invoice'
+};
+
+// Email attachments are stored as descriptors and rendered when the email is sent
+const ATTACHMENT_TYPE = {
+  PAYMENT_RECEIPT: 'payment_receipt'
+};
+
+const PAGE_MARGIN = 50;
+const QR_CODE_SIZE = 130;
+const MUTED_COLOR = '#6b7280';
+
+/**
+ * Format an amount in a fiat currency or token for display
+ */
+const formatMoney = (amount, currency) => (SUPPORTED_FIAT_CURRENCIES.includes(currency)
+  ? `${new BigNumber(amount || 0).toFixed(2)} ${currency}`
+  : tokenRegistry.formatAmount(amount, currency));
+
+const formatDate = value => (value ? new Date(value).toISOString().slice(0, 10) : '-');
+
+class PDFService {
+  /**
+   * Get the Solana Explorer link for a transaction on the active network
+   *
+   * @param {string} signature - Transaction signature
+   * @returns {string} Explorer URL
+   */
+  getExplorerUrl(signature) {
+    const network = tokenRegistry.getNetwork();
+    const cluster = network === 'mainnet-beta' ? '' : `?cluster=${network}`;
+    return `https://explorer.solana.com/tx/${signature}${cluster}`;
+  }
+
+  /**
+   * Get the name a merchant is presented under
+   *
+   * @param {Object|null} merchant - Merchant's user record
+   * @returns {string} Business name, personal name or MERCHANT_NAME
+   */
+  getMerchantName(merchant) {
+    const personalName = [merchant?.first_name, merchant?.last_name].filter(Boolean).join(' ');
+    return merchant?.business_name || personalName || process.env.MERCHANT_NAME || 'PayMeBro Merchant';
+  }
+
+  /**
+   * Render a receipt for a settled payment
+   *
+   * @param {Object} payment - Payment record
+   * @param {Object} [options] - Rendering options
+   * @param {Object} [options.merchant] - Merchant's user record, for branding
+   * @param {Object} [options.invoice] - Itemized invoice the payment settled
+   * @returns {Promise<Buffer>} PDF document
+   */
+  async renderReceipt(payment, { merchant = null, invoice = null } = {}) {
+    const explorerUrl = payment.transaction_signature ? this.getExplorerUrl(payment.transaction_signature) : null;
+
+    return this.render(payment, {
+      kind: DOCUMENT_KIND.RECEIPT,
+      merchant,
+      invoice,
+      explorerUrl,
+      qrContent: explorerUrl,
+      qrCaption: 'Scan to view the transaction'
+    });
+  }
+
+  /**
+   * Render an invoice for a payment request
+   *
+   * @param {Object} payment - Payment record
+   * @param {Object} options - Rendering options
+   * @param {string} options.solanaPayUrl - Solana Pay URL encoded in the QR code
+   * @param {string} options.paymentUrl - Hosted payment page
+   * @param {Object} [options.merchant] - Merchant's user record, for branding
+   * @param {Object} [options.invoice] - Itemized invoice the payment was issued for
+   * @returns {Promise<Buffer>} PDF document
+   */
+  async renderInvoice(payment, { solanaPayUrl, paymentUrl, merchant = null, invoice = null }) {
+    return this.render(payment, {
+      kind: DOCUMENT_KIND.INVOICE,
+      merchant,
+      invoice,
+      paymentUrl,
+      qrContent: solanaPayUrl,
+      qrCaption: 'Scan with a Solana Pay wallet to pay'
+    });
+  }
+
+  /**
+   * Load the merchant and invoice behind a payment for rendering
+   *
+   * @param {Object} payment - Payment record
+   * @returns {Promise<Object>} `{ merchant, invoice }`, either may be null
+   */
+  async loadDocumentContext(payment) {
+    const [merchant, invoice] = await Promise.all([
+      database.getUserById(payment.web3auth_user_id),
+      invoiceService.getInvoiceForPayment(payment.reference)
+    ]);
+    return { merchant, invoice };
+  }
+
+  /**
+   * Render the files described by queued email attachments
+   * Attachments that can no longer be rendered are skipped so the email still goes out.
+   *
+   * @param {Array<Object>} [descriptors] - `{ type, reference }` descriptors
+   * @returns {Promise<Array<Object>>} `{ filename, content }` attachments
+   */
+  async resolveAttachments(descriptors) {
+    const attachments = [];
+
+    for (const descriptor of descriptors || []) {
+      try {
+        if (descriptor.type !== ATTACHMENT_TYPE.PAYMENT_RECEIPT) {
+          throw new Error(`Unknown attachment type: ${descriptor.type}`);
+        }
+        const payment = await database.getPayment(descriptor.reference);
+        if (!payment) {
+          throw new Error('Payment not found');
+        }
+        const content = await this.renderReceipt(payment, await this.loadDocumentContext(payment));
+        attachments.push({ filename: `receipt-${payment.reference}.pdf`, content });
+      } catch (error) {
+        logger.warn('Failed to render email attachment:', {
+          type: descriptor.type,
+          reference: descriptor.reference,
+          error: error.message
+        });
+      }
+    }
+
+    return attachments;
+  }
+
+  /**
+   * Lay out a payment document
+   */
+  async render(payment, { kind, merchant, invoice, explorerUrl, paymentUrl, qrContent, qrCaption }) {
+    const qrCode = qrContent ? await toQRCodeDataUri(qrContent) : null;
+
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `${kind} ${payment.reference}` } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    const pageWidth = doc.page.width - PAGE_MARGIN * 2;
+    const isReceipt = kind === DOCUMENT_KIND.RECEIPT;
+
+    // Merchant branding and document title
+    doc.font('Helvetica-Bold').fontSize(20).text(this.getMerchantName(merchant));
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR);
+    [merchant?.email, merchant?.country].filter(Boolean).forEach(line => doc.text(line));
+    doc.fillColor('black').moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(16).text(isReceipt ? 'Payment Receipt' : 'Invoice');
+    doc.moveDown(0.5);
+
+    const details = [
+      ['Invoice number', invoice?.invoice_number],
+      ['Reference', payment.reference],
+      [isReceipt ? 'Paid on' : 'Issued on', formatDate(isReceipt ? payment.updated_at : payment.created_at)],
+      ['Due date', !isReceipt && invoice?.due_date ? invoice.due_date : null],
+      ['Status', payment.status],
+      ['Description', payment.label],
+      ['Message', payment.message],
+      ['Billed to', [invoice?.bill_to?.name, invoice?.bill_to?.company].filter(Boolean).join(', ') || null],
+      ['Customer', invoice?.bill_to?.email || payment.customer_email]
+    ];
+    this.writeRows(doc, details);
+
+    if (invoice && Array.isArray(invoice.line_items) && invoice.line_items.length > 0) {
+      this.writeLineItems(doc, invoice, pageWidth);
+    }
+
+    // Amounts and fee breakdown
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text('Amount');
+    doc.moveDown(0.3);
+
+    const fee = new BigNumber(payment.fee_amount || 0);
+    const refunded = new BigNumber(payment.refunded_amount || 0);
+    const amounts = [
+      ['Price', payment.price_currency ? formatMoney(payment.price_amount, payment.price_currency) : null],
+      ['Exchange rate', payment.exchange_rate
+        ? `1 ${payment.currency} = ${payment.exchange_rate} ${payment.price_currency}`
+        : null],
+      ['Amount', formatMoney(payment.amount, payment.currency)],
+      ['Platform fee', fee.isGreaterThan(0)
+        ? `${formatMoney(fee, payment.currency)}${payment.fee_breakdown?.mode === 'deduct' ? ' (deducted)' : ''}`
+        : null],
+      ['Total', formatMoney(payment.total_amount_paid || payment.amount, payment.currency)],
+      ['Amount received', isReceipt && payment.amount_received ? formatMoney(payment.amount_received, payment.currency) : null],
+      ['Refunded', refunded.isGreaterThan(0) ? formatMoney(refunded, payment.currency) : null]
+    ];
+    this.writeRows(doc, amounts);
+
+    const recipients = describeLegs(getPaymentLegs(payment));
+    if (recipients.length > 1) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(12).text('Recipients');
+      doc.moveDown(0.3);
+      this.writeRows(doc, recipients.map(recipient => [
+        recipient.label || recipient.role,
+        `${formatMoney(recipient.amount, payment.currency)} to ${recipient.address}`
+      ]));
+    }
+
+    // On-chain proof or where to pay
+    doc.moveDown();
+    if (isReceipt && payment.transaction_signature) {
+      doc.font('Helvetica-Bold').fontSize(12).text('Transaction');
+      doc.moveDown(0.3);
+      doc.font('Helvetica').fontSize(9).text(payment.transaction_signature, { width: pageWidth });
+      doc.fillColor('blue').text(explorerUrl, { link: explorerUrl, underline: true, width: pageWidth });
+      doc.fillColor('black');
+    } else if (paymentUrl) {
+      doc.font('Helvetica-Bold').fontSize(12).text('Pay online');
+      doc.moveDown(0.3);
+      doc.font('Helvetica').fontSize(9).fillColor('blue')
+        .text(paymentUrl, { link: paymentUrl, underline: true, width: pageWidth });
+      doc.fillColor('black');
+    }
+
+    if (qrCode) {
+      doc.moveDown();
+      const top = doc.y;
+      doc.image(qrCode, PAGE_MARGIN, top, { width: QR_CODE_SIZE, height: QR_CODE_SIZE });
+      doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+        .text(qrCaption, PAGE_MARGIN, top + QR_CODE_SIZE + 4, { width: QR_CODE_SIZE, align: 'center' });
+      doc.fillColor('black');
+    }
+
+    if (invoice?.notes) {
+      doc.moveDown();
+      doc.font('Helvetica').fontSize(10).text(invoice.notes, PAGE_MARGIN, doc.y, { width: pageWidth });
+    }
+
+    doc.end();
+    return finished;
+  }
+
+  /**
+   * Write label/value rows, skipping rows without a value
+   */
+  writeRows(doc, rows) {
+    const labelWidth = 120;
+    const valueX = PAGE_MARGIN + labelWidth;
+    const valueWidth = doc.page.width - PAGE_MARGIN - valueX;
+
+    rows.filter(([, value]) => value !== null && value !== undefined && value !== '').forEach(([label, value]) => {
+      const top = doc.y;
+      doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text(label, PAGE_MARGIN, top, { width: labelWidth });
+      doc.fillColor('black').text(String(value), valueX, top, { width: valueWidth });
+      doc.x = PAGE_MARGIN;
+    });
+  }
+
+  /**
+   * Write an invoice's line items and totals as a table
+   */
+  writeLineItems(doc, invoice, pageWidth) {
+    const columns = [
+      { title: 'Description', width: pageWidth * 0.4, align: 'left' },
+      { title: 'Qty', width: pageWidth * 0.12, align: 'right' },
+      { title: 'Unit price', width: pageWidth * 0.16, align: 'right' },
+      { title: 'Tax', width: pageWidth * 0.12, align: 'right' },
+      { title: 'Amount', width: pageWidth * 0.2, align: 'right' }
+    ];
+
+    const writeRow = (cells, font) => {
+      const top = doc.y;
+      let x = PAGE_MARGIN;
+      let bottom = top;
+      doc.font(font).fontSize(9);
+      cells.forEach((cell, index) => {
+        doc.text(cell, x, top, { width: columns[index].width, align: columns[index].align });
+        bottom = Math.max(bottom, doc.y);
+        x += columns[index].width;
+      });
+      doc.x = PAGE_MARGIN;
+      doc.y = bottom + 4;
+    };
+
+    doc.moveDown();
+    writeRow(columns.map(column => column.title), 'Helvetica-Bold');
+    invoice.line_items.forEach(item => writeRow([
+      item.description,
+      item.quantity,
+      formatMoney(item.unit_price, invoice.currency),
+      `${new BigNumber(item.tax_rate_bps || 0).dividedBy(100).toString()}%`,
+      formatMoney(item.total, invoice.currency)
+    ], 'Helvetica'));
+
+    doc.moveDown(0.5);
+    this.writeRows(doc, [
+      ['Subtotal', formatMoney(invoice.subtotal, invoice.currency)],
+      ['Discount', new BigNumber(invoice.discount_total || 0).isGreaterThan(0)
+        ? `-${formatMoney(invoice.discount_total, invoice.currency)}`
+        : null],
+      ['Tax', formatMoney(invoice.tax_total, invoice.currency)],
+      ['Invoice total', formatMoney(invoice.total, invoice.currency)]
+    ]);
+  }
+}
+
+const pdfService = new PDFService();
+
+module.exports = pdfService;
+module.exports.DOCUMENT_KIND = DOCUMENT_KIND;
+module.exports.ATTACHMENT_TYPE = ATTACHMENT_TYPE;
@@ -0,0 +1,183 @@
+/**
+ * Priority Fee Service
+ *
+ * Chooses the compute budget of the transactions handed to wallets so they
+ * land during congestion. PRIORITY_FEE_STRATEGY selects the compute unit price:
+ * - `percentile`: a percentile (PRIORITY_FEE_PERCENTILE, default 75) of the
+ *   fees recently paid to write the same accounts (`getRecentPrioritizationFees`)
+ * - `fixed`: PRIORITY_FEE_MICROLAMPORTS micro-lamports per compute unit
+ * - `off`: no priority fee
+ *
+ * Prices are capped at PRIORITY_FEE_MAX_MICROLAMPORTS since the payer pays
+ * them. Transactions are built with COMPUTE_UNIT_LIMIT, simulated, then given
+ * a limit of the units the simulation consumed plus COMPUTE_UNIT_MARGIN_BPS,
+ * which keeps the fee (price x limit) close to what the transaction needs.
+ *
+ * @module priorityFeeService
+ */
+
+const { ComputeBudgetProgram, ComputeBudgetInstruction } = require('@solana/web3.js');
+const logger = require('../utils/logger');
+
+const PRIORITY_FEE_STRATEGIES = {
+  PERCENTILE: 'percentile',
+  FIXED: 'fixed',
+  OFF: 'off'
+};
+
+// Most the runtime grants a transaction
+const MAX_COMPUTE_UNIT_LIMIT = 1400000;
+// Room for the compute budget instructions themselves and small runtime differences
+const MIN_COMPUTE_UNIT_LIMIT = 1000;
+
+/**
+ * Read a non-negative integer setting
+ */
+const readInteger = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+class PriorityFeeService {
+  /**
+   * Current compute budget settings
+   * Read from the environment on every call.
+   *
+   * @returns {Object} Strategy, prices, percentile, limit and margin
+   */
+  getConfig() {
+    const strategy = (process.env.PRIORITY_FEE_STRATEGY || PRIORITY_FEE_STRATEGIES.PERCENTILE).toLowerCase();
+    const known = Object.values(PRIORITY_FEE_STRATEGIES).includes(strategy);
+
+    if (!known) {
+      logger.warn('Unknown PRIORITY_FEE_STRATEGY, priority fees are off:', { strategy });
+    }
+
+    return {
+      strategy: known ? strategy : PRIORITY_FEE_STRATEGIES.OFF,
+      microLamports: readInteger('PRIORITY_FEE_MICROLAMPORTS', 10000),
+      percentile: Math.min(readInteger('PRIORITY_FEE_PERCENTILE', 75), 100),
+      maxMicroLamports: readInteger('PRIORITY_FEE_MAX_MICROLAMPORTS', 1000000),
+      unitLimit: Math.min(readInteger('COMPUTE_UNIT_LIMIT', 200000), MAX_COMPUTE_UNIT_LIMIT),
+      marginBps: readInteger('COMPUTE_UNIT_MARGIN_BPS', 2000)
+    };
+  }
+
+  /**
+   * Choose the compute budget for a new transaction
+   * When recent fees cannot be fetched, the fixed price is used instead.
+   *
+   * @param {Connection} connection - Solana connection
+   * @param {Array<PublicKey>} writableAccounts - Accounts the transaction writes to
+   * @returns {Promise<Object>} `{ strategy, microLamports, unitLimit }`
+   */
+  async getComputeBudget(connection, writableAccounts) {
+    const config = this.getConfig();
+    const budget = { strategy: config.strategy, microLamports: 0, unitLimit: config.unitLimit };
+
+    if (config.strategy === PRIORITY_FEE_STRATEGIES.FIXED) {
+      budget.microLamports = config.microLamports;
+    }
+
+    if (config.strategy === PRIORITY_FEE_STRATEGIES.PERCENTILE) {
+      try {
+        const recentFees = await connection.getRecentPrioritizationFees({
+          lockedWritableAccounts: writableAccounts
+        });
+        budget.microLamports = this.percentile(recentFees.map(fee => fee.prioritizationFee), config.percentile);
+      } catch (error) {
+        logger.warn('Recent prioritization fees unavailable, using the fixed priority fee:', { error: error.message });
+        budget.strategy = PRIORITY_FEE_STRATEGIES.FIXED;
+        budget.microLamports = config.microLamports;
+      }
+    }
+
+    budget.microLamports = Math.min(budget.microLamports, config.maxMicroLamports);
+    return budget;
+  }
+
+  /**
+   * Nearest-rank percentile of a list of fees
+   *
+   * @param {Array<number>} fees - Micro-lamports per compute unit
+   * @param {number} percentile - 0 to 100
+   * @returns {number} Fee at the percentile, 0 for no fees
+   */
+  percentile(fees, percentile) {
+    if (fees.length === 0) {
+      return 0;
+    }
+    const sorted = [...fees].sort((a, b) => a - b);
+    const rank = Math.max(Math.ceil((percentile / 100) * sorted.length), 1);
+    return sorted[rank - 1];
+  }
+
+  /**
+   * Compute unit limit for the units a simulation consumed, with the configured margin
+   *
+   * @param {number} unitsConsumed - Units consumed by the simulation
+   * @returns {number} Compute unit limit
+   */
+  estimateUnitLimit(unitsConsumed) {
+    const { marginBps } = this.getConfig();
+    const limit = Math.ceil(unitsConsumed * (10000 + marginBps) / 10000);
+    return Math.min(Math.max(limit, MIN_COMPUTE_UNIT_LIMIT), MAX_COMPUTE_UNIT_LIMIT);
+  }
+
+  /**
+   * Build the compute budget instructions that open a transaction
+   *
+   * @param {Object} budget - `{ microLamports, unitLimit }`
+   * @returns {Array<TransactionInstruction>} Unit limit and, for a priority fee, unit price instructions
+   */
+  buildInstructions({ microLamports, unitLimit }) {
+    const instructions = [ComputeBudgetProgram.setComputeUnitLimit({ units: unitLimit })];
+    if (microLamports > 0) {
+      instructions.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports }));
+    }
+    return instructions;
+  }
+
+  /**
+   * Shrink a simulated transaction's compute unit limit to what it consumed
+   * The blockhash and every other instruction are kept, so the transaction stays valid.
+   * Without a simulation (`unitsConsumed` unknown) the configured limit is kept.
+   *
+   * @param {Transaction} transaction - Transaction built with buildInstructions
+   * @param {Object} budget - Compute budget the transaction was built with
+   * @param {number} [unitsConsumed] - Units consumed by the simulation
+   * @returns {Object} Compute budget of the transaction
+   */
+  fitUnitLimit(transaction, budget, unitsConsumed) {
+    if (!unitsConsumed) {
+      return budget;
+    }
+
+    const unitLimit = this.estimateUnitLimit(unitsConsumed);
+    const index = transaction.instructions.findIndex(instruction =>
+      instruction.programId.equals(ComputeBudgetProgram.programId)
+      && ComputeBudgetInstruction.decodeInstructionType(instruction) === 'SetComputeUnitLimit'
+    );
+    if (index < 0) {
+      return budget;
+    }
+
+    transaction.instructions[index] = ComputeBudgetProgram.setComputeUnitLimit({ units: unitLimit });
+    return { ...budget, unitLimit };
+  }
+
+  /**
+   * Priority fee a transaction pays on top of the base fee
+   *
+   * @param {Object} budget - `{ microLamports, unitLimit }`
+   * @returns {number} Lamports
+   */
+  getPriorityFeeLamports({ microLamports, unitLimit }) {
+    return Math.ceil(microLamports * unitLimit / 1000000);
+  }
+}
+
+const priorityFeeService = new PriorityFeeService();
+
+module.exports = priorityFeeService;
+module.exports.PRIORITY_FEE_STRATEGIES = PRIORITY_FEE_STRATEGIES;
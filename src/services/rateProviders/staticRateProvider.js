@@ -0,0 +1,83 @@
+/**
+ * Static exchange rate provider
+ *
+ * Reads token prices from a JSON file so fiat-priced payments can be quoted
+ * without network access. The file maps token symbols to fiat prices:
+ *
+ * {
+ *   "updatedAt": "2024-01-01T00:00:00.000Z",
+ *   "rates": { "SOL": { "USD": 150 }, "USDC": { "USD": 1 } }
+ * }
+ *
+ * Set EXCHANGE_RATES_FILE to use your own file; the bundled defaultRates.json
+ * is used otherwise. The file is re-read when it changes on disk.
+ *
+ * @module rateProviders/staticRateProvider
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BigNumber = require('bignumber.js');
+const logger = require('../../utils/logger');
+
+const DEFAULT_RATES_FILE = path.join(__dirname, 'defaultRates.json');
+
+class StaticRateProvider {
+  /**
+   * @param {Object} [options] - Provider options
+   * @param {string} [options.filePath] - Path to the rates JSON file
+   */
+  constructor({ filePath } = {}) {
+    this.name = 'static';
+    this.filePath = filePath || process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE;
+    this.rates = null;
+    this.updatedAt = null;
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Load the rates file, reusing the cached copy while it is unchanged
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  load() {
+    const { mtimeMs } = fs.statSync(this.filePath);
+    if (this.rates && this.loadedMtime === mtimeMs) {
+      return;
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.rates = parsed.rates || {};
+    this.updatedAt = parsed.updatedAt || new Date(mtimeMs).toISOString();
+    this.loadedMtime = mtimeMs;
+
+    logger.info('Static exchange rates loaded:', {
+      filePath: this.filePath,
+      tokens: Object.keys(this.rates),
+      updatedAt: this.updatedAt
+    });
+  }
+
+  /**
+   * Get the fiat price of one token unit
+   *
+   * @param {string} tokenSymbol - Token symbol (SOL, USDC, ...)
+   * @param {string} fiatCurrency - ISO currency code (USD, EUR, ...)
+   * @returns {Promise<Object|null>} `{ rate, source, timestamp }` or null if the pair is unknown
+   */
+  async getRate(tokenSymbol, fiatCurrency) {
+    this.load();
+
+    const price = this.rates[tokenSymbol]?.[fiatCurrency];
+    if (price === undefined || !new BigNumber(price).isGreaterThan(0)) {
+      return null;
+    }
+
+    return {
+      rate: new BigNumber(price),
+      source: `static:${path.basename(this.filePath)}`,
+      timestamp: this.updatedAt
+    };
+  }
+}
+
+module.exports = StaticRateProvider;
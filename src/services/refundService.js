@@ -0,0 +1,523 @@
+/**
+ * Refund Service
+ *
+ * Handles full and partial refunds of confirmed payments:
+ * - Recording refunds against the original payment
+ * - Deriving the original payer from the confirmed transaction
+ * - Monitoring refund transfers for on-chain confirmation
+ * - Rolling confirmed refunds up into the payment status
+ *
+ * Refunds are paid by the merchant: each refund gets its own reference key and
+ * a Solana Pay transaction request that the merchant's wallet signs.
+ *
+ * @module refundService
+ */
+
+const { findReference, validateTransfer, FindReferenceError, ValidateTransferError } = require('@solana/pay');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const BigNumber = require('bignumber.js');
+const database = require('./database');
+const { establishConnection } = require('./solana');
+const { sendWebhook } = require('../controllers/webhooks');
+const { notifyPaymentUpdate } = require('./websocket');
+const logger = require('../utils/logger');
+const { createOperationalError } = require('../utils/errors');
+const {
+  PAYMENT_STATUS,
+  REFUND_STATUS,
+  PAYMENT_LEG,
+  getPaymentLegs,
+  sumLegsReceived
+} = require('../utils/paymentStatus');
+
+// Payment statuses that still have a refundable balance
+const REFUNDABLE_STATUSES = [PAYMENT_STATUS.CONFIRMED, PAYMENT_STATUS.OVERPAID, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
+/**
+ * Amount the merchant's wallet received for a payment, which caps its refunds
+ * Refunds are paid from the merchant wallet, so the platform fee and split
+ * recipients' shares are never refundable from it. Recorded transfers give
+ * the merchant leg's actual receipts, including any overpayment; payments
+ * settled before transfers were recorded fall back to the merchant's share.
+ *
+ * @param {Object} payment - Payment record
+ * @param {Array<Object>} transfers - Rows from payment_transfers
+ * @returns {BigNumber} Refundable amount in payment currency units
+ */
+const getMerchantReceived = (payment, transfers) => {
+  if (transfers.length > 0) {
+    return sumLegsReceived(transfers)[PAYMENT_LEG.MERCHANT] || new BigNumber(0);
+  }
+
+  const legs = getPaymentLegs(payment);
+  if (legs.length === 1) {
+    const received = new BigNumber(payment.amount_received || 0);
+    return received.isGreaterThan(0) ? received : new BigNumber(payment.amount);
+  }
+
+  return legs.find(leg => leg.role === PAYMENT_LEG.MERCHANT).amount;
+};
+
+// Unsettled statuses that can still hold funds sent before expiry or after cancellation
+const UNSETTLED_STATUSES = [PAYMENT_STATUS.EXPIRED, PAYMENT_STATUS.CANCELLED];
+
+/**
+ * Check whether a payment holds funds that can be refunded
+ * Expired payments qualify when they were underpaid before running out of time,
+ * cancelled payments when funds arrived anyway
+ */
+const isRefundable = (payment) => {
+  if (REFUNDABLE_STATUSES.includes(payment.status)) {
+    return true;
+  }
+  return UNSETTLED_STATUSES.includes(payment.status) && new BigNumber(payment.amount_received || 0).isGreaterThan(0);
+};
+
+/**
+ * Check a refund fits in a payment's refundable balance
+ * Without an amount the whole remaining balance is refunded.
+ *
+ * @param {BigNumber} remaining - Refundable balance
+ * @param {number|string} [amount] - Requested refund amount
+ * @param {string} currency - Payment currency
+ * @throws {Error} Operational error when the payment is fully refunded or the amount is too large
+ */
+const assertRefundFits = (remaining, amount, currency) => {
+  if (remaining.isLessThanOrEqualTo(0)) {
+    throw createOperationalError('Payment has already been fully refunded', 409);
+  }
+
+  if (amount !== undefined && new BigNumber(amount).isGreaterThan(remaining)) {
+    throw createOperationalError(
+      `Refund amount exceeds refundable balance of ${remaining.toString()} ${currency}`,
+      400
+    );
+  }
+};
+
+class RefundService {
+  /**
+   * Get all refunds recorded against a payment
+   *
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Array>} Refund records, newest first
+   * @throws {Error} If database operation fails
+   */
+  async getRefundsForPayment(paymentId) {
+    const { data, error } = await database.getClient()
+      .from('refunds')
+      .select('*')
+      .eq('payment_id', paymentId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      logger.error('Database error getting refunds:', {
+        error: error.message,
+        code: error.code,
+        paymentId
+      });
+      const dbError = new Error(`Failed to get refunds: ${error.message}`);
+      dbError.code = error.code;
+      throw dbError;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get a refund by its on-chain reference
+   *
+   * @param {string} reference - Refund reference public key
+   * @returns {Promise<Object|null>} Refund record or null if not found
+   * @throws {Error} If database operation fails
+   */
+  async getRefundByReference(reference) {
+    const { data, error } = await database.getClient()
+      .from('refunds')
+      .select('*')
+      .eq('reference', reference)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      logger.error('Database error getting refund:', {
+        error: error.message,
+        code: error.code,
+        reference
+      });
+      const dbError = new Error(`Failed to get refund: ${error.message}`);
+      dbError.code = error.code;
+      throw dbError;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get the most that can be refunded for a payment in total
+   *
+   * @param {Object} payment - Payment record
+   * @returns {Promise<BigNumber>} Amount the merchant received for the payment
+   */
+  async getRefundableAmount(payment) {
+    const transfers = await database.getPaymentTransfers(payment.id);
+    return getMerchantReceived(payment, transfers);
+  }
+
+  /**
+   * Derive the original payer from a confirmed payment signature
+   * The payer is the fee payer, which is always the first account key.
+   *
+   * @param {string} signature - Confirmed payment transaction signature
+   * @param {Connection} [connection] - Solana connection
+   * @returns {Promise<string|null>} Payer address or null if it cannot be derived
+   */
+  async derivePayerAddress(signature, connection = null) {
+    if (!signature || signature === 'manual-confirmation') {
+      return null;
+    }
+
+    try {
+      const rpc = connection || await establishConnection();
+      const transaction = await rpc.getTransaction(signature, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+
+      if (!transaction) {
+        return null;
+      }
+
+      const message = transaction.transaction.message;
+      const accountKeys = message.staticAccountKeys || message.accountKeys;
+      return accountKeys && accountKeys.length > 0 ? accountKeys[0].toString() : null;
+    } catch (error) {
+      logger.warn('Failed to derive payer from payment signature:', {
+        signature,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Record a full or partial refund against a confirmed payment
+   *
+   * @param {Object} payment - Payment record being refunded
+   * @param {Object} options - Refund options
+   * @param {number|string} [options.amount] - Amount to refund (defaults to the remaining balance)
+   * @param {string} [options.reason] - Reason shown to the merchant and in webhooks
+   * @param {string} [options.recipientAddress] - Override for the payer address
+   * @returns {Promise<Object>} Created refund record
+   * @throws {Error} Operational error when the refund is not allowed
+   */
+  async createRefund(payment, { amount, reason, recipientAddress } = {}) {
+    if (!isRefundable(payment)) {
+      throw createOperationalError('Only confirmed payments can be refunded', 409);
+    }
+
+    // Reject refunds that clearly do not fit before looking up the payer on-chain
+    const existingRefunds = await this.getRefundsForPayment(payment.id);
+    const committed = existingRefunds
+      .filter(refund => refund.status !== REFUND_STATUS.FAILED)
+      .reduce((sum, refund) => sum.plus(refund.amount), new BigNumber(0));
+    const paidAmount = await this.getRefundableAmount(payment);
+    assertRefundFits(paidAmount.minus(committed), amount, payment.currency);
+
+    // The payer wallet is recorded when the payment monitor confirms a payment
+    const recipient = recipientAddress
+      || payment.payer_wallet
+      || await this.derivePayerAddress(payment.transaction_signature);
+    if (!recipient) {
+      throw createOperationalError('Could not determine the original payer. Provide recipientAddress to refund this payment.', 422);
+    }
+
+    // Fresh reference so the refund transfer can be found on-chain independently of the payment
+    const reference = Keypair.generate().publicKey.toString();
+
+    // The balance is checked again with the payment locked, so concurrent refunds cannot overdraw it
+    const { data: result, error } = await database.getClient()
+      .rpc('create_refund', {
+        p_payment_id: payment.id,
+        p_refundable_amount: paidAmount.toString(),
+        p_amount: amount !== undefined ? new BigNumber(amount).toString() : null,
+        p_reference: reference,
+        p_recipient_address: recipient,
+        p_reason: reason || null
+      });
+
+    if (error) {
+      logger.error('Database error creating refund:', {
+        error: error.message,
+        code: error.code,
+        paymentReference: payment.reference
+      });
+      const dbError = new Error(`Failed to create refund: ${error.message}`);
+      dbError.code = error.code;
+      throw dbError;
+    }
+
+    if (!result) {
+      throw createOperationalError('Payment not found', 404);
+    }
+    if (!result.refund) {
+      assertRefundFits(new BigNumber(result.remaining), amount, payment.currency);
+    }
+
+    const { refund } = result;
+    const refundAmount = new BigNumber(refund.amount);
+
+    await this.sendRefundWebhook('refund.created', refund);
+
+    logger.info('Refund created:', {
+      refundId: refund.id,
+      paymentReference: payment.reference,
+      amount: refund.amount,
+      currency: refund.currency,
+      partial: refundAmount.isLessThan(paidAmount)
+    });
+
+    return refund;
+  }
+
+  /**
+   * Check pending refunds for on-chain confirmation
+   *
+   * @param {Connection} connection - Solana connection
+   */
+  async checkPendingRefunds(connection) {
+    const { data: pendingRefunds, error } = await database.getClient()
+      .from('refunds')
+      .select('*')
+      .eq('status', REFUND_STATUS.PENDING)
+      .order('created_at', { ascending: true })
+      .limit(50);
+
+    if (error) {
+      logger.error('Database error retrieving pending refunds:', {
+        error: error.message,
+        code: error.code
+      });
+      return;
+    }
+
+    for (const refund of pendingRefunds || []) {
+      await this.checkRefundConfirmation(connection, refund);
+    }
+  }
+
+  /**
+   * Check a single refund transfer on-chain
+   *
+   * @param {Connection} connection - Solana connection
+   * @param {Object} refund - Pending refund record
+   */
+  async checkRefundConfirmation(connection, refund) {
+    const reference = new PublicKey(refund.reference);
+
+    try {
+      const signatureInfo = await findReference(connection, reference, { finality: 'confirmed' });
+
+      const validateParams = {
+        recipient: new PublicKey(refund.recipient_address),
+        amount: new BigNumber(refund.amount),
+        reference
+      };
+
+      if (refund.spl_token_mint) {
+        validateParams.splToken = new PublicKey(refund.spl_token_mint);
+      }
+
+      await validateTransfer(connection, signatureInfo.signature, validateParams, {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0
+      });
+
+      await this.confirmRefund(refund, signatureInfo.signature);
+    } catch (error) {
+      if (error instanceof FindReferenceError || error.message === 'not found') {
+        logger.debug('Refund not yet found on-chain:', { reference: refund.reference });
+        return;
+      }
+
+      if (error instanceof ValidateTransferError) {
+        await this.failRefund(refund, error.message);
+        return;
+      }
+
+      logger.warn('Refund confirmation check failed:', {
+        reference: refund.reference,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Mark a refund confirmed and update the refunded payment
+   *
+   * @param {Object} refund - Refund record
+   * @param {string} signature - Refund transaction signature
+   */
+  async confirmRefund(refund, signature) {
+    const { data: confirmedRefund, error } = await database.getClient()
+      .from('refunds')
+      .update({
+        status: REFUND_STATUS.CONFIRMED,
+        transaction_signature: signature,
+        confirmed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', refund.id)
+      .eq('status', REFUND_STATUS.PENDING)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Database error confirming refund:', {
+        error: error.message,
+        code: error.code,
+        refundId: refund.id
+      });
+      return;
+    }
+
+    if (!confirmedRefund) {
+      return;
+    }
+
+    const paymentStatus = await this.updateRefundedPayment(refund.payment_id, refund.payment_reference);
+
+    await this.sendRefundWebhook('refund.confirmed', confirmedRefund);
+
+    const wsResult = notifyPaymentUpdate(refund.payment_reference, paymentStatus, {
+      refund: {
+        id: confirmedRefund.id,
+        amount: confirmedRefund.amount,
+        currency: confirmedRefund.currency,
+        signature
+      }
+    });
+
+    if (!wsResult.success) {
+      logger.warn('Failed to send WebSocket notification:', {
+        reference: refund.payment_reference,
+        error: wsResult.error
+      });
+    }
+
+    logger.info('Refund confirmed:', {
+      refundId: refund.id,
+      paymentReference: refund.payment_reference,
+      signature,
+      paymentStatus
+    });
+  }
+
+  /**
+   * Mark a refund failed when its transfer does not match the refund
+   *
+   * @param {Object} refund - Refund record
+   * @param {string} reason - Validation failure reason
+   */
+  async failRefund(refund, reason) {
+    const { data: failedRefund, error } = await database.getClient()
+      .from('refunds')
+      .update({
+        status: REFUND_STATUS.FAILED,
+        failure_reason: reason,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', refund.id)
+      .eq('status', REFUND_STATUS.PENDING)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Database error failing refund:', {
+        error: error.message,
+        code: error.code,
+        refundId: refund.id
+      });
+      return;
+    }
+
+    if (failedRefund) {
+      await this.sendRefundWebhook('refund.failed', failedRefund);
+      logger.warn('Refund transfer failed validation:', {
+        refundId: refund.id,
+        paymentReference: refund.payment_reference,
+        reason
+      });
+    }
+  }
+
+  /**
+   * Recalculate the refunded total and move the payment to refunded/partially_refunded
+   *
+   * @param {string} paymentId - Payment ID
+   * @param {string} paymentReference - Payment reference
+   * @returns {Promise<string>} New payment status
+   */
+  async updateRefundedPayment(paymentId, paymentReference) {
+    const payment = await database.getPayment(paymentReference);
+    const refunds = await this.getRefundsForPayment(paymentId);
+
+    const refundedAmount = refunds
+      .filter(refund => refund.status === REFUND_STATUS.CONFIRMED)
+      .reduce((sum, refund) => sum.plus(refund.amount), new BigNumber(0));
+
+    const refundableAmount = await this.getRefundableAmount(payment);
+    const status = refundedAmount.isGreaterThanOrEqualTo(refundableAmount)
+      ? PAYMENT_STATUS.REFUNDED
+      : PAYMENT_STATUS.PARTIALLY_REFUNDED;
+
+    const { error } = await database.getClient()
+      .from('payments')
+      .update({
+        status,
+        refunded_amount: refundedAmount.toString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', paymentId);
+
+    if (error) {
+      logger.error('Database error updating refunded payment:', {
+        error: error.message,
+        code: error.code,
+        paymentReference
+      });
+    }
+
+    return status;
+  }
+
+  /**
+   * Send refund webhook notification
+   *
+   * @param {string} event - Webhook event (refund.created|refund.confirmed|refund.failed)
+   * @param {Object} refund - Refund record
+   */
+  async sendRefundWebhook(event, refund) {
+    try {
+      await sendWebhook(refund.web3auth_user_id, event, {
+        refund_id: refund.id,
+        reference: refund.reference,
+        payment_reference: refund.payment_reference,
+        amount: refund.amount,
+        currency: refund.currency,
+        recipient_address: refund.recipient_address,
+        status: refund.status,
+        reason: refund.reason,
+        signature: refund.transaction_signature || null,
+        timestamp: new Date().toISOString()
+      });
+    } catch (webhookError) {
+      logger.warn('Failed to send refund webhook notification:', {
+        refundId: refund.id,
+        event,
+        error: webhookError.message
+      });
+    }
+  }
+}
+
+module.exports = new RefundService();
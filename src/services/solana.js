@@ -8,6 +8,7 @@ const {
   createTransferCheckedInstruction
 } = require('@solana/spl-token');
 const logger = require('../utils/logger');
+const priorityFeeService = require('./priorityFeeService');
 
 // Use environment variable for merchant wallet, fallback to hardcoded for backward compatibility
 const MERCHANT_WALLET = new PublicKey(
@@ -93,69 +94,97 @@ async function ensureAssociatedTokenAccount(connection, payer, recipient, mint)
   }
 }
 
+const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
+
+/**
+ * Attach reference keys to a transfer instruction so Solana Pay can find it
+ * @param {TransactionInstruction} instruction - Transfer instruction
+ * @param {PublicKey|PublicKey[]} [reference] - Reference public key(s)
+ */
+function addReferenceKeys(instruction, reference) {
+  if (!reference) {
+    return;
+  }
+  const references = Array.isArray(reference) ? reference : [reference];
+  for (const pubkey of references) {
+    instruction.keys.push({ pubkey, isWritable: false, isSigner: false });
+  }
+}
+
+/**
+ * Create a memo instruction
+ * @param {string} memo - Memo text
+ * @returns {TransactionInstruction} Memo instruction
+ */
+function createMemoInstruction(memo) {
+  return new TransactionInstruction({
+    programId: MEMO_PROGRAM_ID,
+    keys: [],
+    data: Buffer.from(memo, 'utf8'),
+  });
+}
+
 /**
  * Create a transfer transaction with associated token account creation if needed
+ *
+ * Every transfer in `transfers` becomes its own transfer instruction carrying
+ * the reference, e.g. the merchant amount to the merchant and the platform fee
+ * to the treasury. When `transfers` is omitted a single transfer of `amount`
+ * to `recipient` is built. With a `computeBudget` the transaction opens with
+ * its compute unit limit and price instructions.
+ *
  * @param {Connection} connection - Solana connection
  * @param {PublicKey} sender - Sender's wallet address
  * @param {Object} transferParams - Transfer parameters
- * @param {PublicKey} transferParams.recipient - Recipient's wallet address
- * @param {BigNumber} transferParams.amount - Amount to transfer
+ * @param {PublicKey} [transferParams.recipient] - Recipient's wallet address
+ * @param {BigNumber} [transferParams.amount] - Amount to transfer
+ * @param {Array<{recipient: PublicKey, amount: BigNumber}>} [transferParams.transfers] - Transfers to include
  * @param {PublicKey} [transferParams.splToken] - SPL token mint address
  * @param {PublicKey} [transferParams.reference] - Reference public key
  * @param {string} [transferParams.memo] - Memo for the transaction
- * @returns {Promise<Transaction>} Transaction with transfer and ATA creation if needed
+ * @param {Object} [transferParams.computeBudget] - `{ microLamports, unitLimit }` from priorityFeeService
+ * @returns {Promise<Transaction>} Transaction with transfers and ATA creation if needed
  */
 async function createTransferWithAta(connection, sender, transferParams) {
-  const { recipient, amount, splToken, reference, memo } = transferParams;
+  const { recipient, amount, splToken, reference, memo, computeBudget } = transferParams;
+  const BigNumber = require('bignumber.js');
+  const transfers = (transferParams.transfers || [{ recipient, amount }])
+    .filter(transfer => new BigNumber(transfer.amount).isGreaterThan(0));
+
+  if (transfers.length === 0) {
+    throw new Error('No transfers to create');
+  }
 
   // For SOL transfers, create a custom transaction that works with new wallets
   if (!splToken) {
     try {
-      const { LAMPORTS_PER_SOL, SystemProgram, Transaction, TransactionInstruction } = require('@solana/web3.js');
-      const BigNumber = require('bignumber.js');
-
-      // Check sender has enough funds
-      const senderInfo = await connection.getAccountInfo(sender);
-      if (!senderInfo) throw new Error('sender not found');
+      const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
 
-      // Convert amount to lamports
-      const lamports = new BigNumber(amount).times(LAMPORTS_PER_SOL).integerValue().toNumber();
-      if (lamports > senderInfo.lamports) throw new Error('insufficient funds');
+      // Convert amounts to lamports; the sender's balance is checked by simulating the transaction
+      const lamportTransfers = transfers.map(transfer => ({
+        recipient: transfer.recipient,
+        lamports: new BigNumber(transfer.amount).times(LAMPORTS_PER_SOL).integerValue().toNumber()
+      }));
 
-      // Create transaction with reference included in the transfer instruction
       const transaction = new Transaction();
-
-      // Create transfer instruction with reference included as account key
-      const transferInstruction = SystemProgram.transfer({
-        fromPubkey: sender,
-        toPubkey: recipient,
-        lamports,
-      });
-
-      // Add reference as additional account key to the transfer instruction
-      if (reference) {
-        const references = Array.isArray(reference) ? reference : [reference];
-        for (const pubkey of references) {
-          transferInstruction.keys.push({
-            pubkey: pubkey,
-            isSigner: false,
-            isWritable: false
-          });
-        }
+      if (computeBudget) {
+        transaction.add(...priorityFeeService.buildInstructions(computeBudget));
       }
 
-      transaction.add(transferInstruction);
+      // One transfer instruction per recipient, each with the reference as an account key
+      for (const transfer of lamportTransfers) {
+        const transferInstruction = SystemProgram.transfer({
+          fromPubkey: sender,
+          toPubkey: transfer.recipient,
+          lamports: transfer.lamports,
+        });
+        addReferenceKeys(transferInstruction, reference);
+        transaction.add(transferInstruction);
+      }
 
       // Add memo if provided
       if (memo) {
-        const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
-        transaction.add(
-          new TransactionInstruction({
-            programId: MEMO_PROGRAM_ID,
-            keys: [],
-            data: Buffer.from(memo, 'utf8'),
-          })
-        );
+        transaction.add(createMemoInstruction(memo));
       }
 
       // Set fee payer and blockhash
@@ -170,98 +199,33 @@ async function createTransferWithAta(connection, sender, transferParams) {
     }
   }
 
-  // For SPL token transfers, we need to handle the associated token account creation
+  // For SPL token transfers, create recipient token accounts that do not exist yet
   try {
-    // Check if recipient has an associated token account
-    const hasAta = await hasAssociatedTokenAccount(connection, recipient, splToken);
-
-    if (hasAta) {
-      // If recipient already has an ATA, create a custom transfer that works with new wallets
-      try {
-        // Create the transfer instruction using the SPL token library directly
-        const recipientAta = await getAssociatedTokenAddress(splToken, recipient);
-        const senderAta = await getAssociatedTokenAddress(splToken, sender);
-
-        // Get mint info to determine decimals
-        const mintInfo = await getMintInfo(connection, splToken);
-        const decimals = mintInfo.decimals;
-
-        // Convert amount to integer tokens
-        const tokens = BigInt(amount.times(10 ** decimals).integerValue().toString());
-
-        // Create transfer instruction with proper reference handling
-        const transferInstruction = createTransferCheckedInstruction(
-          senderAta,
-          splToken,
-          recipientAta,
-          sender,
-          tokens,
-          decimals
-        );
-
-        // Add reference keys to the transfer instruction BEFORE adding to transaction
-        // This is critical for Solana Pay validation to work correctly
-        if (reference) {
-          const references = Array.isArray(reference) ? reference : [reference];
-          for (const pubkey of references) {
-            transferInstruction.keys.push({ pubkey, isWritable: false, isSigner: false });
-          }
-        }
-
-        // Create transaction with proper instruction order
-        const transaction = new Transaction();
-
-        // Add memo FIRST if provided (Solana Pay expects this order)
-        if (memo) {
-          const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
-          transaction.add(
-            new TransactionInstruction({
-              programId: MEMO_PROGRAM_ID,
-              keys: [],
-              data: Buffer.from(memo, 'utf8'),
-            })
-          );
-        }
-
-        // Add transfer instruction LAST (this is what Solana Pay validates)
-        transaction.add(transferInstruction);
-
-        // Set fee payer and blockhash
-        transaction.feePayer = sender;
-        const { blockhash } = await connection.getLatestBlockhash();
-        transaction.recentBlockhash = blockhash;
-
-        return transaction;
-      } catch (error) {
-        logger.error('Error in SPL token transfer creation', { error: error.message });
-        throw new Error(`Failed to create SPL token transfer: ${error.message}`);
-      }
-    } else {
-      // If recipient doesn't have an ATA, we need to create a custom transaction
-      // that includes both the ATA creation and the transfer
+    const senderAta = await getAssociatedTokenAddress(splToken, sender);
 
-      // First, get the associated token address
-      const recipientAta = await getAssociatedTokenAddress(splToken, recipient);
+    // Get mint info to determine decimals
+    const mintInfo = await getMintInfo(connection, splToken);
+    const decimals = mintInfo.decimals;
 
-      // Create the associated token account instruction
-      const createAtaInstruction = createAssociatedTokenAccountInstruction(
-        sender, // payer
-        recipientAta,
-        recipient,
-        splToken
-      );
+    const ataInstructions = [];
+    const transferInstructions = [];
 
-      // Create the transfer instruction using the SPL token library directly
-      const senderAta = await getAssociatedTokenAddress(splToken, sender);
+    for (const transfer of transfers) {
+      const recipientAta = await getAssociatedTokenAddress(splToken, transfer.recipient);
+      const hasAta = await hasAssociatedTokenAccount(connection, transfer.recipient, splToken);
 
-      // Get mint info to determine decimals
-      const mintInfo = await getMintInfo(connection, splToken);
-      const decimals = mintInfo.decimals;
+      if (!hasAta) {
+        ataInstructions.push(createAssociatedTokenAccountInstruction(
+          sender, // payer
+          recipientAta,
+          transfer.recipient,
+          splToken
+        ));
+      }
 
       // Convert amount to integer tokens
-      const tokens = BigInt(amount.times(10 ** decimals).integerValue().toString());
+      const tokens = BigInt(new BigNumber(transfer.amount).times(10 ** decimals).integerValue().toString());
 
-      // Create transfer instruction with proper reference handling
       const transferInstruction = createTransferCheckedInstruction(
         senderAta,
         splToken,
@@ -273,41 +237,27 @@ async function createTransferWithAta(connection, sender, transferParams) {
 
       // Add reference keys to the transfer instruction BEFORE adding to transaction
       // This is critical for Solana Pay validation to work correctly
-      if (reference) {
-        const references = Array.isArray(reference) ? reference : [reference];
-        for (const pubkey of references) {
-          transferInstruction.keys.push({ pubkey, isWritable: false, isSigner: false });
-        }
-      }
-
-      // Create transaction with proper instruction order for Solana Pay
-      const transaction = new Transaction();
-
-      // 1. Add ATA creation instruction FIRST
-      transaction.add(createAtaInstruction);
-
-      // 2. Add memo if provided (SECOND)
-      if (memo) {
-        const MEMO_PROGRAM_ID = new PublicKey('MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr');
-        transaction.add(
-          new TransactionInstruction({
-            programId: MEMO_PROGRAM_ID,
-            keys: [],
-            data: Buffer.from(memo, 'utf8'),
-          })
-        );
-      }
+      addReferenceKeys(transferInstruction, reference);
+      transferInstructions.push(transferInstruction);
+    }
 
-      // 3. Add transfer instruction LAST (this is what Solana Pay validates)
-      transaction.add(transferInstruction);
+    // Instruction order for Solana Pay: compute budget, ATA creation, memo, then the transfers
+    const transaction = new Transaction();
+    if (computeBudget) {
+      transaction.add(...priorityFeeService.buildInstructions(computeBudget));
+    }
+    ataInstructions.forEach(instruction => transaction.add(instruction));
+    if (memo) {
+      transaction.add(createMemoInstruction(memo));
+    }
+    transferInstructions.forEach(instruction => transaction.add(instruction));
 
-      // Set fee payer and blockhash
-      transaction.feePayer = sender;
-      const { blockhash } = await connection.getLatestBlockhash();
-      transaction.recentBlockhash = blockhash;
+    // Set fee payer and blockhash
+    transaction.feePayer = sender;
+    const { blockhash } = await connection.getLatestBlockhash();
+    transaction.recentBlockhash = blockhash;
 
-      return transaction;
-    }
+    return transaction;
   } catch (error) {
     // Log the full error for debugging
     logger.error('Error in createTransferWithAta', { error: error.message });
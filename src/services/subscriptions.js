@@ -82,16 +82,18 @@ class SubscriptionService {
   static async sendSubscriptionWebhook(event, subscription, additionalData = {}) {
     try {
       const webhookData = {
-        event,
         subscription_id: subscription.id,
         plan_id: subscription.plan_id,
         customer_email: subscription.customer_email,
         status: subscription.status,
+        metadata: subscription.metadata || {},
         timestamp: new Date().toISOString(),
         ...additionalData
       };
 
-      await sendWebhook('subscription', webhookData);
+      // Subscriptions created before they stored their merchant fall back to the plan's
+      const merchantId = subscription.web3auth_user_id || subscription.subscription_plans?.web3auth_user_id;
+      await sendWebhook(merchantId, event, webhookData);
       logger.info('Subscription webhook sent:', { event, subscriptionId: subscription.id });
     } catch (error) {
       logger.error('Subscription webhook failed:', error);
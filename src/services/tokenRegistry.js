@@ -0,0 +1,227 @@
+/**
+ * Token Registry
+ *
+ * Single source of truth for the tokens PayMeBro accepts: symbol, decimals,
+ * display name, icon, fixed platform fee and the mint address on each Solana
+ * network. Used to resolve `splToken` mints on payment creation, to check them
+ * against the tokens a merchant has enabled and to format amounts for display.
+ *
+ * The active network comes from SOLANA_NETWORK, or is inferred from
+ * SOLANA_RPC_URL (devnet unless the URL points at mainnet).
+ *
+ * @module tokenRegistry
+ */
+
+const BigNumber = require('bignumber.js');
+
+const NETWORKS = {
+  DEVNET: 'devnet',
+  MAINNET: 'mainnet-beta'
+};
+
+// Tokens merchants accept until they choose their own list
+const DEFAULT_ACCEPTED_TOKENS = ['SOL', 'USDC'];
+
+const TOKENS = [
+  {
+    symbol: 'SOL',
+    name: 'Solana',
+    decimals: 9,
+    displayDecimals: 0,
+    fixedFee: '0.002',
+    icon: 'https://raw.githubusercontent.com/solana-labs/token-list/main/assets/mainnet/So11111111111111111111111111111111111111112/logo.png',
+    native: true,
+    mints: {}
+  },
+  {
+    symbol: 'USDC',
+    name: 'USD Coin',
+    decimals: 6,
+    displayDecimals: 2,
+    fixedFee: '0.30',
+    icon: 'https://raw.githubusercontent.com/solana-labs/token-list/main/assets/mainnet/EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v/logo.png',
+    native: false,
+    mints: {
+      [NETWORKS.DEVNET]: 'Gh9ZwEmdLJ8DscKNTkTqPbNwLNNBjuSzaG9Vp2KGtKJr',
+      [NETWORKS.MAINNET]: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
+    }
+  },
+  {
+    symbol: 'USDT',
+    name: 'Tether USD',
+    decimals: 6,
+    displayDecimals: 2,
+    fixedFee: '0.30',
+    icon: 'https://raw.githubusercontent.com/solana-labs/token-list/main/assets/mainnet/Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB/logo.svg',
+    native: false,
+    mints: {
+      [NETWORKS.MAINNET]: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB'
+    }
+  },
+  {
+    symbol: 'PYUSD',
+    name: 'PayPal USD',
+    decimals: 6,
+    displayDecimals: 2,
+    fixedFee: '0.30',
+    icon: 'https://raw.githubusercontent.com/solana-labs/token-list/main/assets/mainnet/2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo/logo.png',
+    native: false,
+    mints: {
+      [NETWORKS.MAINNET]: '2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo'
+    }
+  }
+];
+
+class TokenRegistry {
+  constructor() {
+    this.tokens = new Map(TOKENS.map(token => [token.symbol, token]));
+  }
+
+  /**
+   * Get the Solana network payments are created on
+   *
+   * @returns {string} `devnet` or `mainnet-beta`
+   */
+  getNetwork() {
+    if (process.env.SOLANA_NETWORK) {
+      return process.env.SOLANA_NETWORK;
+    }
+    const rpcUrl = process.env.SOLANA_RPC_URL || '';
+    return rpcUrl.includes('mainnet') ? NETWORKS.MAINNET : NETWORKS.DEVNET;
+  }
+
+  /**
+   * Add or replace a token in the registry
+   *
+   * @param {Object} token - Token definition with symbol, name, decimals and mints
+   */
+  registerToken(token) {
+    if (!token || !token.symbol || !Number.isInteger(token.decimals)) {
+      throw new Error('Token must have a symbol and integer decimals');
+    }
+    this.tokens.set(token.symbol, {
+      displayDecimals: 0,
+      fixedFee: '0',
+      native: false,
+      mints: {},
+      ...token
+    });
+  }
+
+  /**
+   * List tokens usable on a network (native SOL plus tokens with a mint there)
+   *
+   * @param {string} [network] - Solana network, defaults to the active one
+   * @returns {Array<Object>} Token definitions with the network's `mint`
+   */
+  getTokens(network = this.getNetwork()) {
+    return Array.from(this.tokens.values())
+      .filter(token => token.native || token.mints[network])
+      .map(token => this.withMint(token, network));
+  }
+
+  /**
+   * Get a token by symbol
+   *
+   * @param {string} symbol - Token symbol
+   * @param {string} [network] - Solana network, defaults to the active one
+   * @returns {Object|null} Token definition with the network's `mint`
+   */
+  getBySymbol(symbol, network = this.getNetwork()) {
+    const token = symbol ? this.tokens.get(symbol.toUpperCase()) : null;
+    return token ? this.withMint(token, network) : null;
+  }
+
+  /**
+   * Get a token by mint address on any network
+   *
+   * @param {string} mint - SPL token mint address
+   * @returns {Object|null} Token definition with `mint` and the `network` it matched
+   */
+  getByMint(mint) {
+    for (const token of this.tokens.values()) {
+      const network = Object.keys(token.mints).find(key => token.mints[key] === mint);
+      if (network) {
+        return { ...this.withMint(token, network), network };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the symbols a merchant accepts, falling back to the defaults
+   *
+   * @param {Object} user - User record
+   * @returns {Array<string>} Accepted token symbols
+   */
+  getAcceptedTokens(user) {
+    const accepted = user?.accepted_tokens;
+    return Array.isArray(accepted) && accepted.length > 0 ? accepted : DEFAULT_ACCEPTED_TOKENS;
+  }
+
+  /**
+   * Check that every symbol exists in the registry and is usable on the network
+   *
+   * @param {Array<string>} symbols - Token symbols
+   * @param {string} [network] - Solana network, defaults to the active one
+   * @returns {Array<string>} Symbols that are not available
+   */
+  findUnavailable(symbols, network = this.getNetwork()) {
+    const available = this.getTokens(network).map(token => token.symbol);
+    return symbols.filter(symbol => !available.includes(symbol));
+  }
+
+  /**
+   * Get decimals for a payment currency
+   *
+   * @param {string} symbol - Token symbol
+   * @returns {number} Token decimals, 9 for unknown tokens
+   */
+  getDecimals(symbol) {
+    return this.tokens.get(symbol)?.decimals ?? 9;
+  }
+
+  /**
+   * Format an amount for display, e.g. `5.00 USDC` or `0.25 SOL`
+   * Amounts are cut to the token's decimals and padded to its display decimals.
+   *
+   * @param {BigNumber|string|number} amount - Amount in token units
+   * @param {string} symbol - Token symbol
+   * @param {Object} [options] - Formatting options
+   * @param {boolean} [options.withSymbol=true] - Append the token symbol
+   * @returns {string} Formatted amount
+   */
+  formatAmount(amount, symbol, { withSymbol = true } = {}) {
+    const token = this.tokens.get(symbol);
+    const decimals = token ? token.decimals : 9;
+    const displayDecimals = token ? token.displayDecimals : 0;
+
+    const value = new BigNumber(amount || 0).decimalPlaces(decimals, BigNumber.ROUND_DOWN);
+    const places = Math.max(value.decimalPlaces(), displayDecimals);
+    const formatted = value.toFixed(places);
+
+    return withSymbol && symbol ? `${formatted} ${symbol}` : formatted;
+  }
+
+  /**
+   * Attach the network's mint to a token definition
+   */
+  withMint(token, network) {
+    return {
+      symbol: token.symbol,
+      name: token.name,
+      decimals: token.decimals,
+      displayDecimals: token.displayDecimals,
+      fixedFee: token.fixedFee,
+      icon: token.icon,
+      native: token.native,
+      mint: token.native ? null : token.mints[network] || null
+    };
+  }
+}
+
+const tokenRegistry = new TokenRegistry();
+
+module.exports = tokenRegistry;
+module.exports.NETWORKS = NETWORKS;
+module.exports.DEFAULT_ACCEPTED_TOKENS = DEFAULT_ACCEPTED_TOKENS;
@@ -0,0 +1,264 @@
+/**
+ * Transaction Simulation Service
+ *
+ * Pre-flight checks for the transactions handed to wallets. Each transaction
+ * is simulated against the cluster before it is returned, so a payer who
+ * cannot complete it is told why instead of signing a transaction that fails
+ * on-chain. Failures are mapped to structured error codes with messages
+ * written for the Solana Pay wallet `message` field, and every simulation is
+ * recorded for diagnostics.
+ *
+ * @module transactionSimulationService
+ */
+
+const { SystemProgram, VersionedTransaction } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-token');
+const database = require('./database');
+const logger = require('../utils/logger');
+
+const SIMULATION_STATUS = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  // The RPC node could not simulate; the transaction is returned unchecked
+  UNAVAILABLE: 'unavailable'
+};
+
+const SIMULATION_ERROR = {
+  PAYER_ACCOUNT_NOT_FOUND: 'PAYER_ACCOUNT_NOT_FOUND',
+  INSUFFICIENT_SOL_FOR_FEES: 'INSUFFICIENT_SOL_FOR_FEES',
+  INSUFFICIENT_SOL_FOR_RENT: 'INSUFFICIENT_SOL_FOR_RENT',
+  INSUFFICIENT_SOL_BALANCE: 'INSUFFICIENT_SOL_BALANCE',
+  INSUFFICIENT_TOKEN_BALANCE: 'INSUFFICIENT_TOKEN_BALANCE',
+  TOKEN_ACCOUNT_NOT_FOUND: 'TOKEN_ACCOUNT_NOT_FOUND',
+  BLOCKHASH_NOT_FOUND: 'BLOCKHASH_NOT_FOUND',
+  SIMULATION_FAILED: 'SIMULATION_FAILED'
+};
+
+// Wallet-facing message and HTTP status for each failure
+const ERROR_RESPONSES = {
+  [SIMULATION_ERROR.PAYER_ACCOUNT_NOT_FOUND]: {
+    statusCode: 400,
+    message: () => 'Your wallet has no SOL yet. Add SOL to pay network fees, then try again.'
+  },
+  [SIMULATION_ERROR.INSUFFICIENT_SOL_FOR_FEES]: {
+    statusCode: 400,
+    message: () => 'Not enough SOL to pay the network fee. Add a little SOL to your wallet and try again.'
+  },
+  [SIMULATION_ERROR.INSUFFICIENT_SOL_FOR_RENT]: {
+    statusCode: 400,
+    message: ({ currency }) => `Not enough SOL to open the recipient's ${currency} account. Add about 0.003 SOL to your wallet and try again.`
+  },
+  [SIMULATION_ERROR.INSUFFICIENT_SOL_BALANCE]: {
+    statusCode: 400,
+    message: ({ amount }) => `Not enough SOL to send ${amount} SOL plus the network fee.`
+  },
+  [SIMULATION_ERROR.INSUFFICIENT_TOKEN_BALANCE]: {
+    statusCode: 400,
+    message: ({ amount, currency }) => `Not enough ${currency} to pay ${amount} ${currency}.`
+  },
+  [SIMULATION_ERROR.TOKEN_ACCOUNT_NOT_FOUND]: {
+    statusCode: 400,
+    message: ({ currency }) => `Your wallet holds no ${currency}. Add ${currency} to your wallet and try again.`
+  },
+  [SIMULATION_ERROR.BLOCKHASH_NOT_FOUND]: {
+    statusCode: 503,
+    message: () => 'The Solana network is busy. Please try again in a moment.'
+  },
+  [SIMULATION_ERROR.SIMULATION_FAILED]: {
+    statusCode: 400,
+    message: () => 'This transaction would fail. Check your wallet balance and try again.'
+  }
+};
+
+// Instruction errors the token program returns when the payer's token account is missing
+const MISSING_TOKEN_ACCOUNT_ERRORS = ['InvalidAccountData', 'UninitializedAccount', 'IncorrectProgramId', 'AccountNotFound'];
+// spl-token's InsufficientFunds and the system program's ResultWithNegativeLamports
+const INSUFFICIENT_FUNDS_CUSTOM_CODE = 1;
+
+// Keep diagnostics rows small: enough logs to see the failing program
+const MAX_RECORDED_LOGS = 50;
+
+/**
+ * Name the program an instruction index points at
+ */
+const getInstructionProgram = (transaction, index) => {
+  const instruction = transaction.instructions[index];
+  if (!instruction) {
+    return null;
+  }
+  const programId = instruction.programId;
+  if (programId.equals(SystemProgram.programId)) return 'system';
+  if (programId.equals(TOKEN_PROGRAM_ID)) return 'token';
+  if (programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)) return 'associatedToken';
+  return 'other';
+};
+
+class TransactionSimulationService {
+  /**
+   * Map a simulation error onto a structured error code
+   *
+   * @param {Object|string} err - `err` of the simulation result
+   * @param {Array<string>} logs - Program logs of the simulation
+   * @param {Transaction} transaction - Simulated transaction
+   * @returns {string} One of SIMULATION_ERROR
+   */
+  classifyError(err, logs, transaction) {
+    if (err === 'AccountNotFound') {
+      return SIMULATION_ERROR.PAYER_ACCOUNT_NOT_FOUND;
+    }
+    if (err === 'InsufficientFundsForFee') {
+      return SIMULATION_ERROR.INSUFFICIENT_SOL_FOR_FEES;
+    }
+    if (err === 'BlockhashNotFound') {
+      return SIMULATION_ERROR.BLOCKHASH_NOT_FOUND;
+    }
+    if (err && err.InsufficientFundsForRent) {
+      return SIMULATION_ERROR.INSUFFICIENT_SOL_FOR_RENT;
+    }
+
+    if (!err || !err.InstructionError) {
+      return SIMULATION_ERROR.SIMULATION_FAILED;
+    }
+
+    const [index, instructionError] = err.InstructionError;
+    const program = getInstructionProgram(transaction, index);
+    const insufficientFunds = instructionError && instructionError.Custom === INSUFFICIENT_FUNDS_CUSTOM_CODE;
+    const lowLamports = (logs || []).some(line => /insufficient lamports/i.test(line));
+
+    // Creating a recipient token account pays its rent from the payer
+    if (program === 'associatedToken' && (insufficientFunds || lowLamports)) {
+      return SIMULATION_ERROR.INSUFFICIENT_SOL_FOR_RENT;
+    }
+    if (program === 'system' && (insufficientFunds || lowLamports)) {
+      return SIMULATION_ERROR.INSUFFICIENT_SOL_BALANCE;
+    }
+    if (program === 'token' && insufficientFunds) {
+      return SIMULATION_ERROR.INSUFFICIENT_TOKEN_BALANCE;
+    }
+    if (program === 'token' && MISSING_TOKEN_ACCOUNT_ERRORS.includes(instructionError)) {
+      return SIMULATION_ERROR.TOKEN_ACCOUNT_NOT_FOUND;
+    }
+
+    return SIMULATION_ERROR.SIMULATION_FAILED;
+  }
+
+  /**
+   * Describe an error code for the payer
+   *
+   * @param {string} code - One of SIMULATION_ERROR
+   * @param {Object} context - `{ amount, currency }` of the transfer
+   * @returns {{statusCode: number, message: string}} HTTP status and wallet message
+   */
+  describeError(code, context) {
+    const response = ERROR_RESPONSES[code] || ERROR_RESPONSES[SIMULATION_ERROR.SIMULATION_FAILED];
+    return { statusCode: response.statusCode, message: response.message(context) };
+  }
+
+  /**
+   * Simulate a transaction before it is returned to the wallet
+   * A stale blockhash is replaced and the simulation retried once. When the RPC
+   * node cannot simulate at all the transaction is let through, as before.
+   *
+   * @param {Connection} connection - Solana connection
+   * @param {Transaction} transaction - Unsigned transaction with fee payer and blockhash
+   * @param {Object} context - Diagnostics and message context
+   * @param {string} context.reference - Payment or refund reference
+   * @param {string} [context.paymentId] - Payment ID
+   * @param {string} context.payer - Payer wallet
+   * @param {string} context.amount - Amount transferred, for messages
+   * @param {string} context.currency - Token symbol, for messages
+   * @returns {Promise<Object>} `{ ok, code, statusCode, message, unitsConsumed }`; `ok` is false
+   *   only when the transaction would fail
+   */
+  async simulate(connection, transaction, context) {
+    let result = await this.runSimulation(connection, transaction, context);
+
+    if (result.code === SIMULATION_ERROR.BLOCKHASH_NOT_FOUND) {
+      const { blockhash } = await connection.getLatestBlockhash();
+      transaction.recentBlockhash = blockhash;
+      result = await this.runSimulation(connection, transaction, context);
+    }
+
+    return result;
+  }
+
+  /**
+   * Run and record one simulation
+   */
+  async runSimulation(connection, transaction, context) {
+    let value;
+    try {
+      // Simulate the exact message the wallet will sign, blockhash included
+      const simulated = new VersionedTransaction(transaction.compileMessage());
+      ({ value } = await connection.simulateTransaction(simulated, {
+        sigVerify: false,
+        commitment: 'confirmed'
+      }));
+    } catch (error) {
+      logger.warn('Transaction simulation unavailable:', { reference: context.reference, error: error.message });
+      await this.recordSimulation(context, { status: SIMULATION_STATUS.UNAVAILABLE, error: { message: error.message } });
+      return { ok: true, status: SIMULATION_STATUS.UNAVAILABLE };
+    }
+
+    const unitsConsumed = value.unitsConsumed;
+
+    if (!value.err) {
+      await this.recordSimulation(context, { status: SIMULATION_STATUS.PASSED, logs: value.logs, unitsConsumed });
+      return { ok: true, status: SIMULATION_STATUS.PASSED, unitsConsumed };
+    }
+
+    const code = this.classifyError(value.err, value.logs, transaction);
+    const { statusCode, message } = this.describeError(code, context);
+
+    logger.warn('Transaction simulation failed:', {
+      reference: context.reference,
+      payer: context.payer,
+      code,
+      err: value.err
+    });
+    await this.recordSimulation(context, {
+      status: SIMULATION_STATUS.FAILED,
+      code,
+      error: value.err,
+      logs: value.logs,
+      unitsConsumed
+    });
+
+    return { ok: false, status: SIMULATION_STATUS.FAILED, code, statusCode, message, unitsConsumed };
+  }
+
+  /**
+   * Store a simulation outcome; a failure to record never blocks the payer
+   */
+  async recordSimulation(context, { status, code, error, logs, unitsConsumed }) {
+    try {
+      const { error: insertError } = await database.getClient()
+        .from('transaction_simulations')
+        .insert({
+          reference: context.reference,
+          payment_id: context.paymentId || null,
+          payer: context.payer,
+          status,
+          error_code: code || null,
+          error: error || null,
+          logs: (logs || []).slice(-MAX_RECORDED_LOGS),
+          units_consumed: unitsConsumed ?? null
+        });
+
+      if (insertError) {
+        throw insertError;
+      }
+    } catch (recordError) {
+      logger.warn('Failed to record transaction simulation:', {
+        reference: context.reference,
+        error: recordError.message
+      });
+    }
+  }
+}
+
+const transactionSimulationService = new TransactionSimulationService();
+
+module.exports = transactionSimulationService;
+module.exports.SIMULATION_STATUS = SIMULATION_STATUS;
+module.exports.SIMULATION_ERROR = SIMULATION_ERROR;
@@ -0,0 +1,509 @@
+/**
+ * Webhook Delivery Service
+ *
+ * Outbox of webhook deliveries in the `webhook_deliveries` table. Each event
+ * sent to an endpoint is stored first and then attempted; failed attempts are
+ * retried on an exponential schedule over about three days, and a delivery
+ * still failing after its final attempt is dead-lettered. Every attempt is
+ * recorded in `webhook_delivery_attempts`.
+ *
+ * An endpoint whose deliveries dead-letter repeatedly is disabled and the
+ * merchant is emailed so they can fix it and enable it again.
+ *
+ * Merchants can read an endpoint's delivery log, redeliver past deliveries and
+ * send test events; test deliveries are attempted once and never count
+ * against the endpoint.
+ *
+ * @module webhookDeliveryService
+ */
+
+const database = require('./database');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+const { createOperationalError, toDbError } = require('../utils/errors');
+const { SIGNATURE_HEADER, signWebhookPayload } = require('../utils/webhookSignature');
+const { formatEventPayload } = require('../utils/webhookEventCatalog');
+const { assertPublicWebhookUrl } = require('../utils/webhookUrl');
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERING: 'delivering',
+  DELIVERED: 'delivered',
+  DEAD_LETTER: 'dead_letter'
+};
+
+// Attempts before a delivery is dead-lettered; with the delays below the last
+// retry is about 3.2 days after the event
+const MAX_ATTEMPTS = 16;
+const RETRY_BASE_DELAY_SECONDS = 60;
+const RETRY_MAX_DELAY_SECONDS = 12 * 60 * 60;
+
+// Consecutive dead-lettered deliveries after which an endpoint is disabled
+const AUTO_DISABLE_AFTER_FAILURES = 5;
+
+// Response bodies are kept for debugging, truncated to this many characters
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+// Deliveries claimed longer ago than this by a worker that stopped are attempted again
+const INTERRUPTED_AFTER_MS = 10 * 60 * 1000;
+
+const DELIVERY_COLUMNS = 'id, webhook_id, web3auth_user_id, event, event_id, payload, status, attempt_count, next_attempt_at, last_status_code, last_error, delivered_at, dead_lettered_at, is_test, redelivery_of, created_at, updated_at';
+
+const ATTEMPT_COLUMNS = 'attempt_number, status_code, latency_ms, response_body, error, attempted_at';
+
+/**
+ * Delay before the next attempt after `attempt` failed: 1 minute, doubling
+ * with each attempt up to 12 hours
+ *
+ * @param {number} attempt - Number of the attempt that failed, from 1
+ * @returns {number} Delay in seconds
+ */
+const getRetryDelaySeconds = (attempt) => Math.min(
+  RETRY_BASE_DELAY_SECONDS * 2 ** (attempt - 1),
+  RETRY_MAX_DELAY_SECONDS
+);
+
+/**
+ * Secrets a delivery is signed with: the current one, plus the previous one
+ * while its rotation overlap lasts
+ */
+const getSigningSecrets = (webhook, now = Date.now()) => {
+  const secrets = [webhook.secret];
+  if (webhook.previous_secret && webhook.previous_secret_expires_at &&
+      new Date(webhook.previous_secret_expires_at).getTime() > now) {
+    secrets.push(webhook.previous_secret);
+  }
+  return secrets;
+};
+
+const getTimeoutMs = () => parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+class WebhookDeliveryService {
+  /**
+   * Store an event for each endpoint it is sent to, formatted in the
+   * endpoint's API version
+   *
+   * @param {Array<Object>} webhooks - Endpoints subscribed to the event, with their `api_version`
+   * @param {Object} event - Event from `webhookEventCatalog.createEvent`
+   * @param {Object} [options] - Delivery options
+   * @param {boolean} [options.isTest=false] - Test event, attempted once
+   * @param {string} [options.redeliveryOf] - ID of the delivery this one repeats
+   * @param {Object} [options.payload] - Request body to send as is, for redeliveries
+   * @returns {Promise<Array<Object>>} Pending deliveries
+   */
+  async enqueue(webhooks, event, { isTest = false, redeliveryOf = null, payload = null } = {}) {
+    if (webhooks.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await database.getClient()
+      .from('webhook_deliveries')
+      .insert(webhooks.map(webhook => ({
+        webhook_id: webhook.id,
+        web3auth_user_id: webhook.web3auth_user_id,
+        event: event.type,
+        event_id: event.id,
+        payload: payload || formatEventPayload(event, webhook.api_version),
+        status: DELIVERY_STATUS.PENDING,
+        is_test: isTest,
+        redelivery_of: redeliveryOf
+      })))
+      .select(DELIVERY_COLUMNS);
+
+    if (error) {
+      throw toDbError('queueing webhook deliveries', error, { event: event.type, eventId: event.id });
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Pending deliveries whose next attempt is due, oldest first
+   *
+   * @param {number} [limit=100] - Most deliveries to return
+   * @returns {Promise<Array<Object>>} Deliveries
+   */
+  async listDueDeliveries(limit = 100) {
+    const { data, error } = await database.getClient()
+      .from('webhook_deliveries')
+      .select(DELIVERY_COLUMNS)
+      .eq('status', DELIVERY_STATUS.PENDING)
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw toDbError('listing due webhook deliveries', error, {});
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Return deliveries left mid-attempt by a stopped worker to the queue
+   *
+   * @returns {Promise<number>} Number of deliveries requeued
+   */
+  async requeueInterruptedDeliveries() {
+    const { data, error } = await database.getClient()
+      .from('webhook_deliveries')
+      .update({ status: DELIVERY_STATUS.PENDING, updated_at: new Date().toISOString() })
+      .eq('status', DELIVERY_STATUS.DELIVERING)
+      .lt('updated_at', new Date(Date.now() - INTERRUPTED_AFTER_MS).toISOString())
+      .select('id');
+
+    if (error) {
+      throw toDbError('requeueing interrupted webhook deliveries', error, {});
+    }
+
+    return (data || []).length;
+  }
+
+  /**
+   * Claim a pending delivery so only one worker attempts it
+   *
+   * @param {Object} delivery - Delivery record
+   * @returns {Promise<Object|null>} Claimed delivery with its endpoint, or null if another worker has it
+   */
+  async claimDelivery(delivery) {
+    const { data, error } = await database.getClient()
+      .from('webhook_deliveries')
+      .update({ status: DELIVERY_STATUS.DELIVERING, updated_at: new Date().toISOString() })
+      .eq('id', delivery.id)
+      .eq('status', DELIVERY_STATUS.PENDING)
+      .select(`${DELIVERY_COLUMNS}, webhooks(id, url, active, secret, previous_secret, previous_secret_expires_at, consecutive_failures)`)
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('claiming webhook delivery', error, { deliveryId: delivery.id });
+    }
+
+    return data;
+  }
+
+  /**
+   * Claim and attempt a delivery, then schedule its retry or settle it
+   *
+   * @param {Object} delivery - Pending delivery
+   * @returns {Promise<Object|null>} Delivery after the attempt, or null if it was not claimed
+   */
+  async deliver(delivery) {
+    const claimed = await this.claimDelivery(delivery);
+    if (!claimed) {
+      return null;
+    }
+
+    const webhook = claimed.webhooks;
+    if (!webhook || !webhook.active) {
+      return this.updateDelivery(claimed, {
+        status: DELIVERY_STATUS.DEAD_LETTER,
+        last_error: 'Webhook endpoint is disabled',
+        dead_lettered_at: new Date().toISOString()
+      });
+    }
+
+    const attemptNumber = claimed.attempt_count + 1;
+    const attempt = await this.sendRequest(webhook, claimed.payload);
+    await this.recordAttempt(claimed, attemptNumber, attempt);
+
+    const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+    const fields = {
+      attempt_count: attemptNumber,
+      last_status_code: attempt.statusCode,
+      last_error: succeeded ? null : attempt.error || `Endpoint responded with ${attempt.statusCode}`
+    };
+
+    const logContext = {
+      deliveryId: claimed.id,
+      webhookId: webhook.id,
+      url: webhook.url,
+      event: claimed.event,
+      attempt: attemptNumber,
+      status: attempt.statusCode
+    };
+
+    if (succeeded) {
+      logger.info('Webhook sent:', logContext);
+      if (webhook.consecutive_failures > 0) {
+        await this.updateWebhookFailures(webhook, 0);
+      }
+      return this.updateDelivery(claimed, {
+        ...fields,
+        status: DELIVERY_STATUS.DELIVERED,
+        delivered_at: new Date().toISOString()
+      });
+    }
+
+    logger.warn('Webhook failed:', { ...logContext, error: fields.last_error });
+
+    if (attemptNumber < MAX_ATTEMPTS && !claimed.is_test) {
+      return this.updateDelivery(claimed, {
+        ...fields,
+        status: DELIVERY_STATUS.PENDING,
+        next_attempt_at: new Date(Date.now() + getRetryDelaySeconds(attemptNumber) * 1000).toISOString()
+      });
+    }
+
+    const deadLettered = await this.updateDelivery(claimed, {
+      ...fields,
+      status: DELIVERY_STATUS.DEAD_LETTER,
+      dead_lettered_at: new Date().toISOString()
+    });
+    if (claimed.is_test) {
+      return deadLettered;
+    }
+
+    logger.error('Webhook delivery dead-lettered:', {
+      deliveryId: claimed.id,
+      webhookId: webhook.id,
+      event: claimed.event,
+      attempts: attemptNumber
+    });
+    await this.recordEndpointFailure(claimed.web3auth_user_id, webhook);
+
+    return deadLettered;
+  }
+
+  /**
+   * List an endpoint's deliveries with their attempts, newest first
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} [filters] - Listing filters
+   * @param {string} [filters.event] - Only deliveries of this event
+   * @param {string} [filters.status] - Only deliveries in this status
+   * @param {number} [filters.limit=20] - Page size
+   * @param {number} [filters.offset=0] - Page offset
+   * @returns {Promise<{deliveries: Array<Object>, total: number}>} Page of deliveries
+   */
+  async listDeliveries(web3AuthUserId, webhookId, { event, status, limit = 20, offset = 0 } = {}) {
+    let query = database.getClient()
+      .from('webhook_deliveries')
+      .select(`${DELIVERY_COLUMNS}, attempts:webhook_delivery_attempts(${ATTEMPT_COLUMNS})`, { count: 'exact' })
+      .eq('webhook_id', webhookId)
+      .eq('web3auth_user_id', web3AuthUserId);
+
+    if (event) {
+      query = query.eq('event', event);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw toDbError('listing webhook deliveries', error, { webhookId });
+    }
+
+    const deliveries = (data || []).map(delivery => ({
+      ...delivery,
+      attempts: [...(delivery.attempts || [])].sort((a, b) => a.attempt_number - b.attempt_number)
+    }));
+
+    return { deliveries, total: count || 0 };
+  }
+
+  /**
+   * Send a past delivery's payload to its endpoint again, as a new delivery
+   * of the same event. The first attempt is made before returning; if it fails the redelivery is
+   * retried like any other delivery.
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {string} deliveryId - Delivery to repeat
+   * @returns {Promise<Object>} New delivery after its first attempt
+   * @throws {Error} Operational 404 for another merchant's delivery, 409 while it is
+   *   still queued or its endpoint is disabled
+   */
+  async redeliver(web3AuthUserId, deliveryId) {
+    const { data: original, error } = await database.getClient()
+      .from('webhook_deliveries')
+      .select(`${DELIVERY_COLUMNS}, webhooks(id, web3auth_user_id, active)`)
+      .eq('id', deliveryId)
+      .eq('web3auth_user_id', web3AuthUserId)
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('getting webhook delivery', error, { deliveryId });
+    }
+    if (!original || !original.webhooks) {
+      throw createOperationalError('Webhook delivery not found', 404);
+    }
+    if ([DELIVERY_STATUS.PENDING, DELIVERY_STATUS.DELIVERING].includes(original.status)) {
+      throw createOperationalError('Webhook delivery is still queued', 409);
+    }
+    if (!original.webhooks.active) {
+      throw createOperationalError('Webhook endpoint is disabled; enable it before redelivering', 409);
+    }
+
+    const [delivery] = await this.enqueue([original.webhooks], { id: original.event_id, type: original.event }, {
+      isTest: original.is_test,
+      redeliveryOf: original.id,
+      payload: original.payload
+    });
+
+    logger.info('Webhook redelivery queued:', { deliveryId: delivery.id, redeliveryOf: original.id, web3AuthUserId });
+    return (await this.deliver(delivery)) || delivery;
+  }
+
+  /**
+   * Make the first attempt of new deliveries after the current request
+   * Failures are left for the delivery worker to retry.
+   *
+   * @param {Array<Object>} deliveries - Pending deliveries
+   */
+  deliverInBackground(deliveries) {
+    setImmediate(async () => {
+      for (const delivery of deliveries) {
+        try {
+          await this.deliver(delivery);
+        } catch (error) {
+          logger.error('Webhook delivery attempt failed:', { deliveryId: delivery.id, error: error.message });
+        }
+      }
+    });
+  }
+
+  /**
+   * POST a signed payload to an endpoint
+   * Network errors and timeouts are returned rather than thrown.
+   *
+   * @param {Object} webhook - Endpoint with its secrets
+   * @param {Object} payload - Request body
+   * @returns {Promise<Object>} `{ statusCode, latencyMs, responseBody, error }`
+   */
+  async sendRequest(webhook, payload) {
+    const body = JSON.stringify(payload);
+    const startedAt = Date.now();
+
+    try {
+      // Resolved on every attempt so a DNS change cannot point an endpoint inside our network
+      await assertPublicWebhookUrl(webhook.url);
+
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        // A redirect is the endpoint's response; following it could reach an internal host
+        redirect: 'manual',
+        headers: {
+          'Content-Type': 'application/json',
+          [SIGNATURE_HEADER]: signWebhookPayload(getSigningSecrets(webhook), body)
+        },
+        body,
+        signal: AbortSignal.timeout(getTimeoutMs())
+      });
+      const responseBody = await response.text().catch(() => null);
+
+      return {
+        statusCode: response.status,
+        latencyMs: Date.now() - startedAt,
+        responseBody: responseBody ? responseBody.slice(0, MAX_RESPONSE_BODY_LENGTH) : null,
+        error: null
+      };
+    } catch (error) {
+      return {
+        statusCode: null,
+        latencyMs: Date.now() - startedAt,
+        responseBody: null,
+        error: error.name === 'TimeoutError' ? `Timed out after ${getTimeoutMs()}ms` : error.message
+      };
+    }
+  }
+
+  /**
+   * Record one HTTP attempt of a delivery
+   */
+  async recordAttempt(delivery, attemptNumber, { statusCode, latencyMs, responseBody, error: message }) {
+    const { error } = await database.getClient()
+      .from('webhook_delivery_attempts')
+      .insert({
+        delivery_id: delivery.id,
+        attempt_number: attemptNumber,
+        status_code: statusCode,
+        latency_ms: latencyMs,
+        response_body: responseBody,
+        error: message
+      });
+
+    if (error) {
+      throw toDbError('recording webhook delivery attempt', error, { deliveryId: delivery.id });
+    }
+  }
+
+  /**
+   * Update a delivery's state
+   */
+  async updateDelivery(delivery, fields) {
+    const { data, error } = await database.getClient()
+      .from('webhook_deliveries')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', delivery.id)
+      .select(DELIVERY_COLUMNS)
+      .single();
+
+    if (error) {
+      throw toDbError('updating webhook delivery', error, { deliveryId: delivery.id });
+    }
+
+    return data;
+  }
+
+  /**
+   * Set an endpoint's count of consecutive dead-lettered deliveries
+   */
+  async updateWebhookFailures(webhook, consecutiveFailures, fields = {}) {
+    const { error } = await database.getClient()
+      .from('webhooks')
+      .update({ consecutive_failures: consecutiveFailures, ...fields, updated_at: new Date().toISOString() })
+      .eq('id', webhook.id);
+
+    if (error) {
+      throw toDbError('updating webhook failures', error, { webhookId: webhook.id });
+    }
+  }
+
+  /**
+   * Count a dead-lettered delivery against its endpoint, disabling the
+   * endpoint and emailing the merchant once it reaches the limit
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {Object} webhook - Endpoint the delivery was for
+   */
+  async recordEndpointFailure(web3AuthUserId, webhook) {
+    const consecutiveFailures = (webhook.consecutive_failures || 0) + 1;
+
+    if (consecutiveFailures < AUTO_DISABLE_AFTER_FAILURES) {
+      await this.updateWebhookFailures(webhook, consecutiveFailures);
+      return;
+    }
+
+    const reason = `${consecutiveFailures} consecutive deliveries failed after ${MAX_ATTEMPTS} attempts each`;
+    await this.updateWebhookFailures(webhook, consecutiveFailures, {
+      active: false,
+      disabled_at: new Date().toISOString(),
+      disabled_reason: reason
+    });
+    logger.warn('Webhook disabled after repeated failures:', { webhookId: webhook.id, web3AuthUserId, url: webhook.url });
+
+    // The endpoint is already disabled; a missing email must not undo that
+    try {
+      const merchant = await database.getUserById(web3AuthUserId);
+      if (merchant?.email) {
+        await emailService.sendWebhookDisabledEmail(web3AuthUserId, merchant.email, { ...webhook, disabled_reason: reason });
+      } else {
+        logger.warn('Webhook disabled email not sent, merchant has no email:', { webhookId: webhook.id, web3AuthUserId });
+      }
+    } catch (error) {
+      logger.error('Failed to send webhook disabled email:', { webhookId: webhook.id, web3AuthUserId, error: error.message });
+    }
+  }
+}
+
+const webhookDeliveryService = new WebhookDeliveryService();
+
+module.exports = webhookDeliveryService;
+module.exports.DELIVERY_STATUS = DELIVERY_STATUS;
+module.exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
+module.exports.AUTO_DISABLE_AFTER_FAILURES = AUTO_DISABLE_AFTER_FAILURES;
+module.exports.getRetryDelaySeconds = getRetryDelaySeconds;
@@ -0,0 +1,347 @@
+/**
+ * Webhook Service
+ *
+ * Merchant webhook endpoints stored in the `webhooks` table. Each endpoint
+ * belongs to one merchant and subscribes to a list of events (or `*` for every
+ * event); events are only sent to the active endpoints of the merchant they
+ * concern. Endpoints can be disabled without losing their configuration.
+ *
+ * Event types, their payload schemas and API versions are defined in
+ * `utils/webhookEventCatalog`; each endpoint receives payloads in the API
+ * version it is pinned to. Events are queued as deliveries and sent by `webhookDeliveryService`, which
+ * signs them with the endpoint's secret (see `utils/webhookSignature`) and
+ * retries failures. Rotating a secret keeps the previous one valid for an
+ * overlap period, during which deliveries carry a signature for each secret.
+ *
+ * @module webhookService
+ */
+
+const crypto = require('crypto');
+const database = require('./database');
+const logger = require('../utils/logger');
+const { createOperationalError, toDbError } = require('../utils/errors');
+const webhookDeliveryService = require('./webhookDeliveryService');
+const { buildSampleEventData } = require('../utils/webhookSamples');
+const {
+  WEBHOOK_EVENTS,
+  API_VERSIONS,
+  LATEST_API_VERSION,
+  createEvent
+} = require('../utils/webhookEventCatalog');
+
+// Subscribes an endpoint to every event
+const ALL_EVENTS = '*';
+
+// Endpoints a merchant can register
+const MAX_WEBHOOKS_PER_MERCHANT = 20;
+
+// How long the previous secret stays valid after a rotation by default, and at most
+const DEFAULT_SECRET_OVERLAP_SECONDS = 24 * 60 * 60;
+const MAX_SECRET_OVERLAP_SECONDS = 7 * 24 * 60 * 60;
+
+const WEBHOOK_COLUMNS = 'id, web3auth_user_id, url, events, active, api_version, disabled_at, disabled_reason, previous_secret_expires_at, created_at, updated_at';
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+class WebhookService {
+  /**
+   * Register a webhook endpoint
+   * The signing secret is generated here and only returned by this call.
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {Object} fields - Endpoint fields
+   * @param {string} fields.url - Endpoint URL
+   * @param {Array<string>} fields.events - Subscribed events, or `['*']`
+   * @param {boolean} [fields.active=true] - Whether events are sent to the endpoint
+   * @param {string} [fields.apiVersion] - API version payloads are formatted in, latest by default
+   * @returns {Promise<Object>} Created webhook, including its secret
+   * @throws {Error} Operational 409 when the merchant has too many endpoints
+   */
+  async createWebhook(web3AuthUserId, { url, events, active = true, apiVersion = LATEST_API_VERSION }) {
+    const client = database.getClient();
+
+    const { count, error: countError } = await client
+      .from('webhooks')
+      .select('id', { count: 'exact', head: true })
+      .eq('web3auth_user_id', web3AuthUserId);
+
+    if (countError) {
+      throw toDbError('counting webhooks', countError, { web3AuthUserId });
+    }
+    if (count >= MAX_WEBHOOKS_PER_MERCHANT) {
+      throw createOperationalError(`A merchant can register at most ${MAX_WEBHOOKS_PER_MERCHANT} webhooks`, 409);
+    }
+
+    const { data, error } = await client
+      .from('webhooks')
+      .insert({
+        web3auth_user_id: web3AuthUserId,
+        url,
+        events,
+        active,
+        api_version: apiVersion,
+        secret: generateSecret()
+      })
+      .select(`${WEBHOOK_COLUMNS}, secret`)
+      .single();
+
+    if (error) {
+      throw toDbError('creating webhook', error, { web3AuthUserId });
+    }
+
+    logger.info('Webhook registered:', { webhookId: data.id, web3AuthUserId, url, events });
+    return data;
+  }
+
+  /**
+   * List a merchant's webhook endpoints, newest first
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @returns {Promise<Array<Object>>} Webhooks without their secrets
+   */
+  async listWebhooks(web3AuthUserId) {
+    const { data, error } = await database.getClient()
+      .from('webhooks')
+      .select(WEBHOOK_COLUMNS)
+      .eq('web3auth_user_id', web3AuthUserId)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw toDbError('listing webhooks', error, { web3AuthUserId });
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Get one of a merchant's webhook endpoints
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<Object>} Webhook without its secret
+   * @throws {Error} Operational 404 when the merchant has no such webhook
+   */
+  async getWebhook(web3AuthUserId, webhookId) {
+    const { data, error } = await database.getClient()
+      .from('webhooks')
+      .select(WEBHOOK_COLUMNS)
+      .eq('id', webhookId)
+      .eq('web3auth_user_id', web3AuthUserId)
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('getting webhook', error, { webhookId });
+    }
+    if (!data) {
+      throw createOperationalError('Webhook not found', 404);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update a webhook endpoint's URL, events, active flag or API version
+   * Enabling an endpoint clears the failures that disabled it.
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} fields - `url`, `events`, `active` and/or `apiVersion`
+   * @returns {Promise<Object>} Updated webhook without its secret
+   * @throws {Error} Operational 404 when the merchant has no such webhook
+   */
+  async updateWebhook(web3AuthUserId, webhookId, fields) {
+    const { apiVersion, ...columns } = fields;
+    const update = { ...columns, updated_at: new Date().toISOString() };
+    if (apiVersion) {
+      update.api_version = apiVersion;
+    }
+    if (fields.active === true) {
+      Object.assign(update, { consecutive_failures: 0, disabled_at: null, disabled_reason: null });
+    }
+
+    const { data, error } = await database.getClient()
+      .from('webhooks')
+      .update(update)
+      .eq('id', webhookId)
+      .eq('web3auth_user_id', web3AuthUserId)
+      .select(WEBHOOK_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('updating webhook', error, { webhookId });
+    }
+    if (!data) {
+      throw createOperationalError('Webhook not found', 404);
+    }
+
+    logger.info('Webhook updated:', { webhookId, web3AuthUserId, fields: Object.keys(fields) });
+    return data;
+  }
+
+  /**
+   * Delete a webhook endpoint
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {string} webhookId - Webhook ID
+   * @throws {Error} Operational 404 when the merchant has no such webhook
+   */
+  async deleteWebhook(web3AuthUserId, webhookId) {
+    const { data, error } = await database.getClient()
+      .from('webhooks')
+      .delete()
+      .eq('id', webhookId)
+      .eq('web3auth_user_id', web3AuthUserId)
+      .select('id')
+      .maybeSingle();
+
+    if (error) {
+      throw toDbError('deleting webhook', error, { webhookId });
+    }
+    if (!data) {
+      throw createOperationalError('Webhook not found', 404);
+    }
+
+    logger.info('Webhook deleted:', { webhookId, web3AuthUserId });
+  }
+
+  /**
+   * Replace a webhook endpoint's signing secret
+   * The old secret keeps signing deliveries alongside the new one until the
+   * overlap ends, giving the receiver time to switch; an overlap of 0 revokes
+   * it immediately. The new secret is only returned by this call.
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {string} webhookId - Webhook ID
+   * @param {number} [overlapSeconds=86400] - How long the old secret stays valid
+   * @returns {Promise<Object>} Webhook, including its new secret
+   * @throws {Error} Operational 404 when the merchant has no such webhook
+   */
+  async rotateSecret(web3AuthUserId, webhookId, overlapSeconds = DEFAULT_SECRET_OVERLAP_SECONDS) {
+    const client = database.getClient();
+
+    const { data: current, error: getError } = await client
+      .from('webhooks')
+      .select('id, secret')
+      .eq('id', webhookId)
+      .eq('web3auth_user_id', web3AuthUserId)
+      .maybeSingle();
+
+    if (getError) {
+      throw toDbError('getting webhook', getError, { webhookId });
+    }
+    if (!current) {
+      throw createOperationalError('Webhook not found', 404);
+    }
+
+    const overlap = Math.min(overlapSeconds, MAX_SECRET_OVERLAP_SECONDS);
+    const now = Date.now();
+
+    const { data, error } = await client
+      .from('webhooks')
+      .update({
+        secret: generateSecret(),
+        previous_secret: overlap > 0 ? current.secret : null,
+        previous_secret_expires_at: overlap > 0 ? new Date(now + overlap * 1000).toISOString() : null,
+        updated_at: new Date(now).toISOString()
+      })
+      .eq('id', webhookId)
+      .eq('web3auth_user_id', web3AuthUserId)
+      .select(`${WEBHOOK_COLUMNS}, secret`)
+      .single();
+
+    if (error) {
+      throw toDbError('rotating webhook secret', error, { webhookId });
+    }
+
+    logger.info('Webhook secret rotated:', { webhookId, web3AuthUserId, overlapSeconds: overlap });
+    return data;
+  }
+
+  /**
+   * Active endpoints of a merchant subscribed to an event
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {string} event - Event name
+   * @returns {Promise<Array<Object>>} Webhook IDs, merchants and API versions
+   */
+  async getEndpointsForEvent(web3AuthUserId, event) {
+    const { data, error } = await database.getClient()
+      .from('webhooks')
+      .select('id, web3auth_user_id, api_version')
+      .eq('web3auth_user_id', web3AuthUserId)
+      .eq('active', true)
+      .overlaps('events', [event, ALL_EVENTS]);
+
+    if (error) {
+      throw toDbError('getting webhooks for event', error, { web3AuthUserId, event });
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Queue an event for the merchant's active endpoints subscribed to it
+   * The event gets one ID shared by all its deliveries. The first attempt is
+   * made in the background; failures are retried by the delivery worker and
+   * never fail the caller.
+   *
+   * @param {string} web3AuthUserId - Merchant the event concerns
+   * @param {string} event - Event type from the catalog
+   * @param {Object} data - Event data
+   * @returns {Promise<Array<Object>>} Queued deliveries
+   */
+  async sendEvent(web3AuthUserId, event, data) {
+    if (!web3AuthUserId) {
+      logger.warn('Webhook not sent, no merchant for event:', { event });
+      return [];
+    }
+
+    try {
+      const endpoints = await this.getEndpointsForEvent(web3AuthUserId, event);
+      const deliveries = await webhookDeliveryService.enqueue(endpoints, createEvent(event, data));
+
+      webhookDeliveryService.deliverInBackground(deliveries);
+      return deliveries;
+    } catch (error) {
+      logger.error('Webhook not queued:', { web3AuthUserId, event, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Send a test event with sample data to one endpoint
+   * The endpoint does not have to be subscribed to the event. The payload is
+   * formatted in the endpoint's API version and marked `test: true`, and the
+   * delivery is attempted once, before returning.
+   *
+   * @param {string} web3AuthUserId - Merchant's Web3Auth user ID
+   * @param {string} webhookId - Webhook ID
+   * @param {string} event - Event name
+   * @returns {Promise<Object>} Test delivery after its attempt
+   * @throws {Error} Operational 404 when the merchant has no such webhook, 409 when it is disabled
+   */
+  async sendTestEvent(web3AuthUserId, webhookId, event) {
+    const webhook = await this.getWebhook(web3AuthUserId, webhookId);
+    if (!webhook.active) {
+      throw createOperationalError('Webhook endpoint is disabled; enable it before sending test events', 409);
+    }
+
+    const [delivery] = await webhookDeliveryService.enqueue(
+      [webhook],
+      createEvent(event, buildSampleEventData(event), { test: true }),
+      { isTest: true }
+    );
+
+    logger.info('Webhook test event queued:', { deliveryId: delivery.id, webhookId, event });
+    return (await webhookDeliveryService.deliver(delivery)) || delivery;
+  }
+}
+
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.ALL_EVENTS = ALL_EVENTS;
+module.exports.API_VERSIONS = API_VERSIONS;
+module.exports.DEFAULT_SECRET_OVERLAP_SECONDS = DEFAULT_SECRET_OVERLAP_SECONDS;
+module.exports.MAX_SECRET_OVERLAP_SECONDS = MAX_SECRET_OVERLAP_SECONDS;
@@ -0,0 +1,99 @@
+/**
+ * Payment amount mode helpers
+ *
+ * A payment's amount is either set by the merchant (`fixed`), chosen by the
+ * customer (`open`, for donations and pay-what-you-want), or a merchant amount
+ * the customer can add a tip to (`fixed_plus_tip`). The customer's choice is
+ * committed to the payment before a transaction is built, so the payment
+ * monitor always validates transfers against the committed amount.
+ *
+ * @module amountMode
+ */
+
+const BigNumber = require('bignumber.js');
+
+const AMOUNT_MODE = {
+  FIXED: 'fixed',
+  OPEN: 'open',
+  FIXED_PLUS_TIP: 'fixed_plus_tip'
+};
+
+const isSet = value => value !== null && value !== undefined && value !== '';
+
+/**
+ * Get a payment's amount mode, treating payments created before amount modes as fixed
+ *
+ * @param {Object} payment - Payment or template record
+ * @returns {string} Amount mode
+ */
+const getAmountMode = (payment) => payment.amount_mode || AMOUNT_MODE.FIXED;
+
+/**
+ * Check whether the customer can choose part of a payment's amount
+ *
+ * @param {Object} payment - Payment record
+ * @returns {boolean} True for open and tip payments
+ */
+const acceptsCustomerAmount = (payment) => getAmountMode(payment) !== AMOUNT_MODE.FIXED;
+
+/**
+ * Check whether an open payment is still waiting for the customer to choose its amount
+ * Tip payments can always be paid; without a tip they are paid at their base amount.
+ *
+ * @param {Object} payment - Payment record
+ * @returns {boolean} True if no transaction can be built for the payment yet
+ */
+const isAwaitingAmount = (payment) => getAmountMode(payment) === AMOUNT_MODE.OPEN && !payment.amount_committed_at;
+
+/**
+ * Work out the amount a customer commits to
+ * For open payments the bounds apply to the amount, for tip payments to the tip.
+ * Returns `{ amount, tip }` (BigNumbers, tip null for open payments) or `{ error }` with a message for the client.
+ *
+ * @param {Object} payment - Payment record
+ * @param {Object} choice - Customer's choice
+ * @param {number|string} [choice.amount] - Amount of an open payment
+ * @param {number|string} [choice.tip] - Tip added to a tip payment
+ * @param {number} decimals - Decimals of the payment token
+ * @returns {Object} Committed amount or error
+ */
+const resolveCommittedAmount = (payment, { amount, tip }, decimals) => {
+  const mode = getAmountMode(payment);
+  const isOpen = mode === AMOUNT_MODE.OPEN;
+  const field = isOpen ? 'Amount' : 'Tip';
+  const raw = isOpen ? amount : tip;
+
+  if (mode === AMOUNT_MODE.FIXED) {
+    return { error: 'This payment has a fixed amount' };
+  }
+  if (isOpen && !isSet(raw)) {
+    return { error: 'Choose an amount to pay' };
+  }
+
+  const chosen = new BigNumber(isSet(raw) ? raw : 0);
+  if (!chosen.isFinite() || chosen.isNegative() || (isOpen && chosen.isZero())) {
+    return { error: `${field} must be a ${isOpen ? 'positive' : 'non-negative'} number` };
+  }
+  if (chosen.decimalPlaces() > decimals) {
+    return { error: `${field} has more than ${decimals} decimals for ${payment.currency}` };
+  }
+  // No tip is always allowed, whatever the minimum tip
+  if (isSet(payment.min_amount) && chosen.isLessThan(payment.min_amount) && !(chosen.isZero() && !isOpen)) {
+    return { error: `${field} must be at least ${payment.min_amount} ${payment.currency}` };
+  }
+  if (isSet(payment.max_amount) && chosen.isGreaterThan(payment.max_amount)) {
+    return { error: `${field} must be at most ${payment.max_amount} ${payment.currency}` };
+  }
+
+  return isOpen
+    ? { amount: chosen, tip: null }
+    : { amount: new BigNumber(payment.base_amount).plus(chosen), tip: chosen };
+};
+
+module.exports = {
+  AMOUNT_MODE,
+  getAmountMode,
+  acceptsCustomerAmount,
+  isAwaitingAmount,
+  resolveCommittedAmount
+};
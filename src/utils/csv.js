@@ -0,0 +1,106 @@
+/**
+ * CSV reading and writing
+ *
+ * Just enough RFC 4180 for merchant uploads and downloadable reports: comma
+ * separated fields, double-quoted fields with embedded commas, quotes and line
+ * breaks, and CRLF or LF line endings.
+ *
+ * @module csv
+ */
+
+// Spreadsheets run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into rows of fields
+ * Blank lines are skipped.
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ * @throws {Error} If a quoted field is not closed
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  // Skip a byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Format one CSV field, quoting it when needed
+ * Text that a spreadsheet would run as a formula is prefixed with a quote.
+ *
+ * @param {*} value - Field value; null and undefined become empty fields
+ * @returns {string} CSV field
+ */
+const formatCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format rows as CSV text
+ *
+ * @param {Array<Array<*>>} rows - Rows of field values, the header first
+ * @returns {string} CSV text with CRLF line endings
+ */
+const toCsv = (rows) => rows.map(row => row.map(formatCsvField).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCsv,
+  formatCsvField,
+  toCsv
+};
@@ -0,0 +1,85 @@
+/**
+ * Error helpers shared by services and controllers
+ *
+ * Services throw operational errors for requests they refuse, with the status
+ * code to answer with, and wrap Supabase errors with toDbError. Controllers
+ * answer both with respondWithError; the global error handler treats thrown
+ * operational errors the same way.
+ *
+ * @module errors
+ */
+
+const logger = require('./logger');
+
+/**
+ * Build an operational error that is returned to the client with its status code
+ *
+ * @param {string} message - Message for the client
+ * @param {number} statusCode - HTTP status code
+ * @param {*} [details] - Extra detail for the client, e.g. validation messages
+ * @returns {Error} Error with `statusCode`, `isOperational` and `details`
+ */
+const createOperationalError = (message, statusCode, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.isOperational = true;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Log a Supabase error and wrap it in the database error shape used across services
+ *
+ * @param {string} action - What failed, e.g. `creating invoice`
+ * @param {Object} error - Supabase error
+ * @param {Object} [context] - Extra fields for the log entry
+ * @returns {Error} Error with the Supabase `code` and `details`
+ */
+const toDbError = (action, error, context) => {
+  logger.error(`Database error ${action}:`, {
+    error: error.message,
+    code: error.code,
+    details: error.details,
+    ...context
+  });
+  const dbError = new Error(`Failed ${action}: ${error.message}`);
+  dbError.code = error.code;
+  dbError.details = error.details;
+  return dbError;
+};
+
+/**
+ * Reply with an operational error, or a 500 for anything else
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} failure - Message for unexpected errors, e.g. `Failed to create invoice`
+ * @param {Object} [context] - Extra fields for the log entry
+ */
+const respondWithError = (res, error, failure, context) => {
+  if (error.isOperational) {
+    logger.warn(`${failure}:`, { ...context, error: error.message });
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      details: error.details
+    });
+  }
+
+  logger.error(`${failure}:`, {
+    ...context,
+    error: error.message,
+    code: error.code
+  });
+  return res.status(500).json({
+    success: false,
+    error: failure,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+module.exports = {
+  createOperationalError,
+  toDbError,
+  respondWithError
+};
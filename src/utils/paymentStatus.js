@@ -0,0 +1,322 @@
+/**
+ * Payment status helpers
+ *
+ * Shared constants and predicates for the payment lifecycle so that the
+ * controllers, the transaction request endpoints and the payment monitor
+ * agree on which payments are still payable.
+ *
+ * @module paymentStatus
+ */
+
+const BigNumber = require('bignumber.js');
+
+const PAYMENT_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled',
+  UNDERPAID: 'underpaid',
+  OVERPAID: 'overpaid',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded'
+};
+
+const REFUND_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+// Recipients a payment is split between
+const PAYMENT_LEG = {
+  MERCHANT: 'merchant',
+  SPLIT: 'split',
+  PLATFORM_FEE: 'platform_fee'
+};
+
+// Statuses in which a payment still accepts transfers
+const PAYABLE_STATUSES = [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.UNDERPAID];
+
+// Statuses of payments that were paid in full, including any later refunds
+const SETTLED_STATUSES = [
+  PAYMENT_STATUS.CONFIRMED,
+  PAYMENT_STATUS.OVERPAID,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+  PAYMENT_STATUS.REFUNDED
+];
+
+// Default lifetime of a payment request when the merchant does not set one
+const DEFAULT_PAYMENT_TTL_SECONDS = parseInt(process.env.PAYMENT_DEFAULT_TTL_SECONDS, 10) || 24 * 60 * 60;
+
+// Default amount tolerance in basis points when the merchant does not set one
+const DEFAULT_AMOUNT_TOLERANCE_BPS = process.env.PAYMENT_AMOUNT_TOLERANCE_BPS !== undefined
+  ? parseInt(process.env.PAYMENT_AMOUNT_TOLERANCE_BPS, 10)
+  : 50;
+
+/**
+ * Resolve the expiry timestamp for a new payment
+ *
+ * @param {Object} options - Expiry options from the payment request
+ * @param {Date|string} [options.expiresAt] - Absolute expiry time
+ * @param {number} [options.ttlSeconds] - Lifetime in seconds from now
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string} ISO timestamp at which the payment expires
+ */
+const resolveExpiresAt = ({ expiresAt, ttlSeconds } = {}, now = Date.now()) => {
+  if (expiresAt) {
+    const explicit = new Date(expiresAt);
+    if (!isNaN(explicit.getTime())) {
+      return explicit.toISOString();
+    }
+  }
+
+  const ttl = Number(ttlSeconds) > 0 ? Number(ttlSeconds) : DEFAULT_PAYMENT_TTL_SECONDS;
+  return new Date(now + ttl * 1000).toISOString();
+};
+
+/**
+ * Get the time at which a payment expires
+ * Payments created before expiry tracking fall back to created_at + default TTL
+ *
+ * @param {Object} payment - Payment record
+ * @returns {Date|null} Expiry date or null if it cannot be determined
+ */
+const getPaymentExpiry = (payment) => {
+  if (payment.expires_at) {
+    return new Date(payment.expires_at);
+  }
+
+  if (payment.created_at) {
+    return new Date(new Date(payment.created_at).getTime() + DEFAULT_PAYMENT_TTL_SECONDS * 1000);
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a payment is past its expiry time or already expired
+ *
+ * @param {Object} payment - Payment record
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} True if the payment can no longer be paid because it expired
+ */
+const isPaymentExpired = (payment, now = Date.now()) => {
+  if (payment.status === PAYMENT_STATUS.EXPIRED) {
+    return true;
+  }
+
+  // Only payments that still accept transfers can run out of time
+  if (payment.status && !PAYABLE_STATUSES.includes(payment.status)) {
+    return false;
+  }
+
+  const expiry = getPaymentExpiry(payment);
+  return !!expiry && expiry.getTime() <= now;
+};
+
+/**
+ * Check whether a payment still accepts transfers
+ *
+ * @param {Object} payment - Payment record
+ * @returns {boolean} True if the payment is pending or underpaid
+ */
+const isPaymentPayable = (payment) => PAYABLE_STATUSES.includes(payment.status);
+
+/**
+ * Get the transfers a payment is made of
+ * The merchant receives what is left of the merchant amount after any splits
+ * (seller, affiliate, ...), each split recipient receives its share, and
+ * payments with a fee recipient pay the fee to the platform treasury.
+ * Payments without a fee recipient pay the whole `amount` to the merchant and splits.
+ *
+ * @param {Object} payment - Payment record
+ * @returns {Array<Object>} Legs with `role`, `recipient`, `amount` (BigNumber) and split `label`
+ */
+const getPaymentLegs = (payment) => {
+  const collectsFee = !!payment.fee_recipient_address && new BigNumber(payment.fee_amount || 0).isGreaterThan(0);
+  const splits = Array.isArray(payment.splits) ? payment.splits : [];
+
+  const splitLegs = splits.map((split, index) => ({
+    role: `${PAYMENT_LEG.SPLIT}_${index}`,
+    recipient: split.address,
+    amount: new BigNumber(split.amount),
+    label: split.label || null
+  }));
+
+  let merchantShare = new BigNumber(collectsFee ? (payment.merchant_amount ?? payment.amount) : payment.amount);
+  if (splitLegs.length > 0) {
+    const splitTotal = splitLegs.reduce((total, leg) => total.plus(leg.amount), new BigNumber(0));
+    merchantShare = BigNumber.maximum(merchantShare.minus(splitTotal), 0);
+  }
+
+  const legs = [
+    {
+      role: PAYMENT_LEG.MERCHANT,
+      recipient: payment.recipient_address,
+      amount: merchantShare
+    },
+    ...splitLegs
+  ];
+
+  if (collectsFee) {
+    legs.push({
+      role: PAYMENT_LEG.PLATFORM_FEE,
+      recipient: payment.fee_recipient_address,
+      amount: new BigNumber(payment.fee_amount)
+    });
+  }
+
+  return legs;
+};
+
+/**
+ * Describe legs for API responses and webhooks
+ *
+ * @param {Array<Object>} legs - Legs from getPaymentLegs
+ * @param {Object} [legsReceived] - Amount received per leg from sumLegsReceived
+ * @returns {Array<Object>} `{ role, address, label, amount, amount_received }` with string amounts
+ */
+const describeLegs = (legs, legsReceived = null) => legs.map(leg => ({
+  role: leg.role,
+  address: leg.recipient,
+  label: leg.label || null,
+  amount: leg.amount.toString(),
+  ...(legsReceived ? { amount_received: new BigNumber(legsReceived[leg.role] || 0).toString() } : {})
+}));
+
+/**
+ * Get the total a customer has to pay across all legs
+ *
+ * @param {Object} payment - Payment record
+ * @returns {BigNumber} Expected amount in payment currency units
+ */
+const getExpectedAmount = (payment) => getPaymentLegs(payment)
+  .reduce((total, leg) => total.plus(leg.amount), new BigNumber(0));
+
+/**
+ * Sum recorded transfers per leg
+ * Transfers recorded before legs were tracked count toward the merchant.
+ *
+ * @param {Array<Object>} transfers - Rows from payment_transfers
+ * @returns {Object} Amount received (BigNumber) keyed by leg role
+ */
+const sumLegsReceived = (transfers) => transfers.reduce((totals, transfer) => {
+  const legAmounts = transfer.leg_amounts || { [PAYMENT_LEG.MERCHANT]: transfer.amount };
+  Object.entries(legAmounts).forEach(([role, amount]) => {
+    totals[role] = (totals[role] || new BigNumber(0)).plus(amount);
+  });
+  return totals;
+}, {});
+
+/**
+ * Get the amount still owed on a payment
+ *
+ * @param {Object} payment - Payment record
+ * @returns {BigNumber} Remaining amount, never below zero
+ */
+const getAmountDue = (payment) => {
+  const remaining = getExpectedAmount(payment).minus(payment.amount_received || 0);
+  return BigNumber.maximum(remaining, 0);
+};
+
+/**
+ * Get the transfers still owed on each leg of a payment
+ *
+ * @param {Object} payment - Payment record
+ * @param {Object} [legsReceived] - Amount received per leg from sumLegsReceived
+ * @returns {Array<Object>} Legs with the remaining `amount`, settled legs left out
+ */
+const getLegsDue = (payment, legsReceived = {}) => getPaymentLegs(payment)
+  .map(leg => ({
+    ...leg,
+    amount: BigNumber.maximum(leg.amount.minus(legsReceived[leg.role] || 0), 0)
+  }))
+  .filter(leg => leg.amount.isGreaterThan(0));
+
+/**
+ * Get the amount by which a payment may differ from the requested amount
+ * and still settle it
+ *
+ * @param {Object} payment - Payment record
+ * @param {BigNumber|string|number} [minimum] - Smallest tolerance to apply
+ * @param {BigNumber|string|number} [amount] - Amount the tolerance applies to, the payment total by default
+ * @returns {BigNumber} Tolerance in payment currency units
+ */
+const getAmountTolerance = (payment, minimum = 0, amount = getExpectedAmount(payment)) => {
+  const bps = Number.isInteger(payment.amount_tolerance_bps)
+    ? payment.amount_tolerance_bps
+    : DEFAULT_AMOUNT_TOLERANCE_BPS;
+  const tolerance = new BigNumber(amount).multipliedBy(bps).dividedBy(10000);
+  return BigNumber.maximum(tolerance, minimum);
+};
+
+/**
+ * Work out the payment status for the total amount received so far
+ * When per-leg amounts are given, every leg has to be paid for the payment to settle.
+ *
+ * @param {Object} payment - Payment record
+ * @param {BigNumber|string|number} amountReceived - Sum of all transfers carrying the reference
+ * @param {BigNumber|string|number} [minimumTolerance] - Smallest tolerance to apply
+ * @param {Object} [legsReceived] - Amount received per leg from sumLegsReceived
+ * @returns {Object} Status with the remaining and excess amounts
+ */
+const classifyAmountReceived = (payment, amountReceived, minimumTolerance = 0, legsReceived = null) => {
+  const expected = getExpectedAmount(payment);
+  const received = new BigNumber(amountReceived);
+  const tolerance = getAmountTolerance(payment, minimumTolerance, expected);
+
+  let amountRemaining = BigNumber.maximum(expected.minus(received), 0);
+  let legShort = false;
+  const legs = getPaymentLegs(payment);
+
+  if (legsReceived) {
+    amountRemaining = new BigNumber(0);
+    legs.forEach(leg => {
+      const legReceived = legsReceived[leg.role] || new BigNumber(0);
+      const legTolerance = getAmountTolerance(payment, minimumTolerance, leg.amount);
+      if (legReceived.isLessThan(leg.amount.minus(legTolerance))) {
+        legShort = true;
+      }
+      amountRemaining = amountRemaining.plus(BigNumber.maximum(leg.amount.minus(legReceived), 0));
+    });
+  }
+
+  let status = PAYMENT_STATUS.CONFIRMED;
+  if (legShort || received.isLessThan(expected.minus(tolerance))) {
+    status = PAYMENT_STATUS.UNDERPAID;
+  } else if (received.isGreaterThan(expected.plus(tolerance))) {
+    status = PAYMENT_STATUS.OVERPAID;
+  }
+
+  return {
+    status,
+    amountReceived: received,
+    amountRemaining,
+    excess: BigNumber.maximum(received.minus(expected), 0),
+    tolerance,
+    recipients: describeLegs(legs, legsReceived)
+  };
+};
+
+module.exports = {
+  PAYMENT_STATUS,
+  REFUND_STATUS,
+  PAYMENT_LEG,
+  PAYABLE_STATUSES,
+  SETTLED_STATUSES,
+  DEFAULT_PAYMENT_TTL_SECONDS,
+  DEFAULT_AMOUNT_TOLERANCE_BPS,
+  resolveExpiresAt,
+  getPaymentExpiry,
+  isPaymentExpired,
+  isPaymentPayable,
+  getPaymentLegs,
+  describeLegs,
+  getExpectedAmount,
+  sumLegsReceived,
+  getAmountDue,
+  getLegsDue,
+  getAmountTolerance,
+  classifyAmountReceived
+};
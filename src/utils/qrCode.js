@@ -0,0 +1,32 @@
+/**
+ * QR code rendering
+ *
+ * One set of rendering options for every QR code the API hands out, so the
+ * codes on the payment page and in PDF documents scan the same way.
+ *
+ * @module qrCode
+ */
+
+const QRCode = require('qrcode');
+
+const QR_CODE_OPTIONS = {
+  width: 300,
+  margin: 2,
+  color: {
+    dark: '#000000',
+    light: '#ffffff'
+  }
+};
+
+/**
+ * Render content as a PNG QR code data URI
+ *
+ * @param {string} content - Text to encode, e.g. a Solana Pay URL
+ * @returns {Promise<string>} `data:image/png;base64,...` URI
+ */
+const toQRCodeDataUri = (content) => QRCode.toDataURL(content, QR_CODE_OPTIONS);
+
+module.exports = {
+  QR_CODE_OPTIONS,
+  toQRCodeDataUri
+};
@@ -0,0 +1,312 @@
+/**
+ * Webhook event catalog
+ *
+ * Every webhook event type, what triggers it and the JSON Schema of its
+ * `data`, plus the API versions payloads can be formatted in. Each endpoint is
+ * pinned to an API version so payload changes never reach an integration
+ * before the merchant opts in:
+ *
+ * - `2024-01-01` - the original body, `{ event, data, timestamp }`, where
+ *   `data` also carries its own `timestamp`. Endpoints registered before
+ *   versioning are pinned here.
+ * - `2026-10-01` - the event envelope, `{ id, type, api_version, created, data }`.
+ *   `id` is unique per event and stays the same across retries and
+ *   redeliveries, so receivers can deduplicate on it.
+ *
+ * Within a version, fields may be added to `data` but are never removed or
+ * renamed; schemas therefore allow additional properties.
+ *
+ * @module webhookEventCatalog
+ */
+
+const crypto = require('crypto');
+const { AMOUNT_MODE } = require('./amountMode');
+const { PAYMENT_LEG } = require('./paymentStatus');
+
+const API_VERSIONS = ['2024-01-01', '2026-10-01'];
+const LEGACY_API_VERSION = '2024-01-01';
+const LATEST_API_VERSION = '2026-10-01';
+
+// Schema fragments shared by the event schemas
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const dateTime = { type: 'string', format: 'date-time' };
+const amount = { type: ['string', 'number'], description: 'Amount in currency units, e.g. "25.5"' };
+const metadata = { type: 'object', description: 'Merchant metadata attached to the payment' };
+const recipients = {
+  type: 'array',
+  description: 'How the payment is split between the merchant, split recipients and the platform fee',
+  items: {
+    type: 'object',
+    required: ['role', 'address', 'amount'],
+    properties: {
+      // Split legs are numbered in the order the splits were given: split_0, split_1, ...
+      role: { type: 'string', pattern: `^(${PAYMENT_LEG.MERCHANT}|${PAYMENT_LEG.PLATFORM_FEE}|${PAYMENT_LEG.SPLIT}_\\d+)$` },
+      address: string,
+      label: nullableString,
+      amount,
+      amount_received: amount
+    }
+  }
+};
+
+/**
+ * JSON Schema of an event's data object
+ */
+const dataSchema = (required, properties) => ({
+  type: 'object',
+  required,
+  properties,
+  additionalProperties: true
+});
+
+const paymentProperties = {
+  reference: { type: 'string', description: 'Payment reference' },
+  amount,
+  currency: string,
+  status: string,
+  metadata
+};
+
+const refundSchema = dataSchema(
+  ['refund_id', 'reference', 'payment_reference', 'amount', 'currency', 'recipient_address', 'status'],
+  {
+    refund_id: string,
+    reference: { type: 'string', description: 'Refund transaction reference' },
+    payment_reference: string,
+    amount,
+    currency: string,
+    recipient_address: string,
+    status: { type: 'string', enum: ['pending', 'confirmed', 'failed'] },
+    reason: nullableString,
+    signature: nullableString
+  }
+);
+
+const invoiceProperties = {
+  invoice_id: string,
+  invoice_number: string,
+  reference: { type: ['string', 'null'], description: 'Reference of the payment that settles the invoice' }
+};
+
+const subscriptionSchema = (extraRequired = [], extraProperties = {}) => dataSchema(
+  ['subscription_id', 'plan_id', 'status', ...extraRequired],
+  {
+    subscription_id: string,
+    plan_id: string,
+    customer_email: nullableString,
+    status: string,
+    metadata: { type: 'object' },
+    ...extraProperties
+  }
+);
+
+const EVENT_CATALOG = {
+  'payment.created': {
+    description: 'A payment request was created and is waiting for the customer',
+    schema: dataSchema(['reference', 'amount', 'currency', 'status'], {
+      ...paymentProperties,
+      amount: { ...amount, type: ['string', 'number', 'null'], description: 'Amount in currency units; null until the customer chooses it for open payments' },
+      amount_mode: { type: 'string', enum: Object.values(AMOUNT_MODE) },
+      payment_url: string,
+      expires_at: { type: ['string', 'null'], format: 'date-time' }
+    })
+  },
+  'payment.confirmed': {
+    description: 'The full amount was received on-chain',
+    schema: dataSchema(['reference', 'amount', 'amount_received', 'currency', 'status', 'signature'], {
+      ...paymentProperties,
+      amount_received: amount,
+      recipients,
+      signature: { type: 'string', description: 'Transaction signature' }
+    })
+  },
+  'payment.overpaid': {
+    description: 'More than the amount was received; sent after payment.confirmed',
+    schema: dataSchema(['reference', 'amount', 'amount_received', 'excess', 'currency', 'signature'], {
+      ...paymentProperties,
+      amount_received: amount,
+      excess: amount,
+      recipients,
+      signature: string
+    })
+  },
+  'payment.underpaid': {
+    description: 'Less than the amount was received; the payment stays open for the rest',
+    schema: dataSchema(['reference', 'amount', 'amount_received', 'amount_remaining', 'currency'], {
+      ...paymentProperties,
+      amount_received: amount,
+      amount_remaining: amount,
+      recipients,
+      signature: string
+    })
+  },
+  'payment.failed': {
+    description: 'The transaction submitted for the payment could not be verified; the payment keeps its status and can still be paid',
+    schema: dataSchema(['reference', 'amount', 'currency', 'status'], {
+      ...paymentProperties,
+      signature: nullableString,
+      reason: string
+    })
+  },
+  'payment.expired': {
+    description: 'The payment expired before it was paid',
+    schema: dataSchema(['reference', 'amount', 'currency', 'expires_at'], {
+      ...paymentProperties,
+      expires_at: dateTime
+    })
+  },
+  'payment.cancelled': {
+    description: 'The merchant cancelled the payment',
+    schema: dataSchema(['reference', 'amount', 'currency', 'cancelled_at'], {
+      ...paymentProperties,
+      reason: nullableString,
+      cancelled_at: dateTime
+    })
+  },
+  'payment.refund_review_required': {
+    description: 'Funds arrived for a cancelled or expired payment and need to be reviewed for a refund',
+    schema: dataSchema(['reference', 'amount', 'amount_received', 'currency', 'refund_review_required'], {
+      ...paymentProperties,
+      amount_received: amount,
+      refund_review_required: { type: 'boolean', const: true },
+      signature: string
+    })
+  },
+  'refund.created': {
+    description: 'A refund was created and is waiting to be signed',
+    schema: refundSchema
+  },
+  'refund.confirmed': {
+    description: 'The refund transaction was confirmed on-chain',
+    schema: refundSchema
+  },
+  'refund.failed': {
+    description: 'The refund transaction sent on-chain did not match the refund',
+    schema: refundSchema
+  },
+  'invoice.finalized': {
+    description: 'An invoice was finalized and its payment created',
+    schema: dataSchema(['invoice_id', 'invoice_number', 'reference', 'total', 'currency'], {
+      ...invoiceProperties,
+      total: amount,
+      currency: string,
+      due_date: { type: ['string', 'null'], format: 'date' }
+    })
+  },
+  'invoice.paid': {
+    description: 'The invoice\'s payment was confirmed',
+    schema: dataSchema(['invoice_id', 'invoice_number', 'reference', 'total', 'currency'], {
+      ...invoiceProperties,
+      total: amount,
+      currency: string
+    })
+  },
+  'invoice.voided': {
+    description: 'The invoice was voided and its payment cancelled',
+    schema: dataSchema(['invoice_id', 'invoice_number'], invoiceProperties)
+  },
+  'subscription.created': {
+    description: 'A customer subscribed to a plan',
+    schema: subscriptionSchema([], { plan: { type: 'object', description: 'The subscribed plan' } })
+  },
+  'subscription.cancelled': {
+    description: 'The subscription was cancelled',
+    schema: subscriptionSchema([], { reason: nullableString })
+  },
+  'subscription.payment_succeeded': {
+    description: 'A subscription renewal was paid',
+    schema: subscriptionSchema()
+  },
+  'subscription.payment_failed': {
+    description: 'A subscription renewal could not be charged',
+    schema: subscriptionSchema()
+  }
+};
+
+const WEBHOOK_EVENTS = Object.keys(EVENT_CATALOG);
+
+/**
+ * JSON Schema of a whole payload in the latest API version
+ *
+ * @param {string} type - Event type
+ * @returns {Object} JSON Schema
+ */
+const getEventSchema = (type) => ({
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `https://paymebro.xyz/schemas/webhooks/${LATEST_API_VERSION}/${type}.json`,
+  title: type,
+  description: EVENT_CATALOG[type].description,
+  type: 'object',
+  required: ['id', 'type', 'api_version', 'created', 'data'],
+  properties: {
+    id: { type: 'string', pattern: '^evt_[0-9a-f]{32}$' },
+    type: { const: type },
+    api_version: { const: LATEST_API_VERSION },
+    created: dateTime,
+    test: { type: 'boolean', description: 'Present and true on test events' },
+    data: EVENT_CATALOG[type].schema
+  }
+});
+
+/**
+ * Create an event with a new ID
+ * `timestamp` and `event` fields in the data are dropped; the event's
+ * `created` and `type` replace them.
+ *
+ * @param {string} type - Event type
+ * @param {Object} data - Event data
+ * @param {Object} [options] - Event options
+ * @param {boolean} [options.test=false] - Test event with sample data
+ * @returns {Object} `{ id, type, created, data, test }`
+ */
+const createEvent = (type, data, { test = false } = {}) => {
+  const { timestamp, event, ...fields } = data || {};
+  return {
+    id: `evt_${crypto.randomBytes(16).toString('hex')}`,
+    type,
+    created: timestamp || new Date().toISOString(),
+    data: fields,
+    test
+  };
+};
+
+/**
+ * Format an event as the request body for an API version
+ *
+ * @param {Object} event - Event from createEvent
+ * @param {string} [apiVersion] - Endpoint's pinned API version, latest when unset
+ * @returns {Object} Request body
+ */
+const formatEventPayload = (event, apiVersion = LATEST_API_VERSION) => {
+  const testFlag = event.test ? { test: true } : {};
+
+  if (apiVersion === LEGACY_API_VERSION) {
+    return {
+      event: event.type,
+      data: { ...event.data, timestamp: event.created },
+      timestamp: event.created,
+      ...testFlag
+    };
+  }
+
+  return {
+    id: event.id,
+    type: event.type,
+    api_version: LATEST_API_VERSION,
+    created: event.created,
+    ...testFlag,
+    data: event.data
+  };
+};
+
+module.exports = {
+  API_VERSIONS,
+  LEGACY_API_VERSION,
+  LATEST_API_VERSION,
+  EVENT_CATALOG,
+  WEBHOOK_EVENTS,
+  getEventSchema,
+  createEvent,
+  formatEventPayload
+};
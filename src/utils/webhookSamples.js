@@ -0,0 +1,155 @@
+/**
+ * Sample webhook event data
+ *
+ * Realistic `data` objects for each webhook event, shaped like the ones the
+ * payment monitor, refund, invoice and subscription services send and valid
+ * against the schemas in `webhookEventCatalog`. Used for test events so
+ * merchants can exercise their handlers without a real payment.
+ *
+ * @module webhookSamples
+ */
+
+const SAMPLE_REFERENCE = '9hEM6EGeAPxJ1Hq7f5B7YyyvHv9vDV8NsN9wJ2bU5Pk4';
+const SAMPLE_SIGNATURE = '5VERv8NMvzbJMEkV8xnrLkEaWRtSz9CosKDYjCJjBRnbJLgp8uirBgmQpjKhoR4tjF3ZpRzrFmBV6UjKdiSZkQUW';
+const SAMPLE_MERCHANT_ADDRESS = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const SAMPLE_PLATFORM_ADDRESS = 'FeeR3cKpHMmPjXgqDXhLzJvGcqDY9oT4hH2m8wzF6B7n';
+const SAMPLE_CUSTOMER_ADDRESS = 'DRpbCBMxVnDK7maPM5tGv6MvB3v1sRMC86PZ8okm21hy';
+
+const samplePayment = () => ({
+  reference: SAMPLE_REFERENCE,
+  amount: '25.00',
+  currency: 'USDC',
+  metadata: { order_id: 'order_1042' }
+});
+
+const sampleRecipients = () => [
+  { role: 'merchant', address: SAMPLE_MERCHANT_ADDRESS, label: null, amount: '24.25' },
+  { role: 'platform_fee', address: SAMPLE_PLATFORM_ADDRESS, label: null, amount: '0.75' }
+];
+
+const sampleRefund = (status) => ({
+  refund_id: '0b8f6a9e-3f0d-4a53-9d8e-8c1c7b2f4e11',
+  reference: 'Ckq5Bdk2xkKjZ3vGMmYh2PfZ6hVwT1QwXb5c9p7RLtd8',
+  payment_reference: SAMPLE_REFERENCE,
+  amount: '25.00',
+  currency: 'USDC',
+  recipient_address: SAMPLE_CUSTOMER_ADDRESS,
+  status,
+  reason: 'Customer request',
+  signature: status === 'confirmed' ? SAMPLE_SIGNATURE : null
+});
+
+const sampleInvoice = () => ({
+  invoice_id: 'b2a4c1f0-6d7e-4c8a-9f3b-1e2d3c4b5a69',
+  invoice_number: 'INV-000042',
+  reference: SAMPLE_REFERENCE
+});
+
+const sampleSubscription = (status) => ({
+  subscription_id: 'e4d3c2b1-a0f9-4e8d-8c7b-6a5f4e3d2c1b',
+  plan_id: 'a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d',
+  customer_email: 'customer@example.com',
+  status,
+  metadata: { seat_count: 3 }
+});
+
+// Builders for each event's data, without the timestamp
+const SAMPLE_DATA = {
+  'payment.created': () => ({
+    ...samplePayment(),
+    status: 'pending',
+    amount_mode: 'fixed',
+    payment_url: `https://paymebro.xyz/payment/${SAMPLE_REFERENCE}`,
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+  }),
+  'payment.confirmed': () => ({
+    ...samplePayment(),
+    amount_received: '25.00',
+    status: 'confirmed',
+    recipients: sampleRecipients(),
+    signature: SAMPLE_SIGNATURE
+  }),
+  'payment.overpaid': () => ({
+    ...samplePayment(),
+    amount_received: '26.00',
+    excess: '1.00',
+    recipients: sampleRecipients(),
+    signature: SAMPLE_SIGNATURE
+  }),
+  'payment.underpaid': () => ({
+    ...samplePayment(),
+    amount_received: '20.00',
+    amount_remaining: '5.00',
+    recipients: sampleRecipients(),
+    signature: SAMPLE_SIGNATURE
+  }),
+  'payment.failed': () => ({
+    ...samplePayment(),
+    status: 'pending',
+    signature: SAMPLE_SIGNATURE,
+    reason: 'Transaction could not be verified'
+  }),
+  'payment.expired': () => ({
+    ...samplePayment(),
+    expires_at: new Date().toISOString()
+  }),
+  'payment.cancelled': () => ({
+    ...samplePayment(),
+    reason: 'Customer changed their mind',
+    cancelled_at: new Date().toISOString()
+  }),
+  'payment.refund_review_required': () => ({
+    ...samplePayment(),
+    status: 'cancelled',
+    amount_received: '25.00',
+    refund_review_required: true,
+    signature: SAMPLE_SIGNATURE
+  }),
+  'refund.created': () => sampleRefund('pending'),
+  'refund.confirmed': () => sampleRefund('confirmed'),
+  'refund.failed': () => sampleRefund('failed'),
+  'invoice.finalized': () => ({
+    ...sampleInvoice(),
+    total: '250.00',
+    currency: 'USDC',
+    due_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+  }),
+  'invoice.paid': () => ({
+    ...sampleInvoice(),
+    total: '250.00',
+    currency: 'USDC'
+  }),
+  'invoice.voided': () => sampleInvoice(),
+  'subscription.created': () => ({
+    ...sampleSubscription('active'),
+    plan: {
+      id: 'a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d',
+      name: 'Team',
+      amount: '49.00',
+      currency: 'USDC',
+      interval_type: 'monthly',
+      interval_count: 1
+    }
+  }),
+  'subscription.cancelled': () => ({
+    ...sampleSubscription('cancelled'),
+    reason: 'Customer requested cancellation'
+  }),
+  'subscription.payment_succeeded': () => sampleSubscription('active'),
+  'subscription.payment_failed': () => sampleSubscription('active')
+};
+
+/**
+ * Sample data for an event, timestamped now
+ *
+ * @param {string} event - Event name
+ * @returns {Object|null} Event data, or null for an unknown event
+ */
+const buildSampleEventData = (event) => {
+  const build = SAMPLE_DATA[event];
+  return build ? { ...build(), timestamp: new Date().toISOString() } : null;
+};
+
+module.exports = {
+  buildSampleEventData
+};
@@ -0,0 +1,120 @@
+/**
+ * Webhook signatures
+ *
+ * Every webhook delivery carries a `PayMeBro-Signature` header:
+ *
+ *     PayMeBro-Signature: t=1700000000,v1=5257a869e7...
+ *
+ * `t` is the Unix time the delivery was signed and each `v1` is the hex
+ * HMAC-SHA256 of `${t}.${rawBody}` keyed with an endpoint secret. While a
+ * secret is being rotated the header holds one `v1` per valid secret, so a
+ * receiver holding either secret can verify it.
+ *
+ * Receivers should verify against the raw request body (before JSON parsing),
+ * compare in constant time and reject signatures older than a few minutes to
+ * stop replays. This module only depends on Node's `crypto` so receivers can
+ * use it directly:
+ *
+ *     const { verifyWebhookSignature } = require('./webhookSignature');
+ *     if (!verifyWebhookSignature(rawBody, req.get('PayMeBro-Signature'), process.env.PAYMEBRO_WEBHOOK_SECRET)) {
+ *       return res.status(400).end();
+ *     }
+ *
+ * @module webhookSignature
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'PayMeBro-Signature';
+const SIGNATURE_SCHEME = 'v1';
+
+// Signatures older (or further in the future) than this are rejected by default
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * HMAC-SHA256 of a timestamped body
+ *
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} Hex signature
+ */
+const computeSignature = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * Build the signature header for a delivery
+ *
+ * @param {string|Array<string>} secrets - Valid endpoint secrets, current first
+ * @param {string} body - Raw request body
+ * @param {number} [timestamp] - Unix time in seconds, now by default
+ * @returns {string} Header value, `t=...,v1=...[,v1=...]`
+ */
+const signWebhookPayload = (secrets, body, timestamp = Math.floor(Date.now() / 1000)) => [
+  `t=${timestamp}`,
+  ...[].concat(secrets).map(secret => `${SIGNATURE_SCHEME}=${computeSignature(secret, timestamp, body)}`)
+].join(',');
+
+/**
+ * Split a signature header into its timestamp and signatures
+ *
+ * @param {string} header - Header value
+ * @returns {{timestamp: number|null, signatures: Array<string>}} Parsed header
+ */
+const parseSignatureHeader = (header) => {
+  const parsed = { timestamp: null, signatures: [] };
+
+  for (const part of String(header || '').split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't' && /^\d+$/.test(value)) {
+      parsed.timestamp = parseInt(value, 10);
+    } else if (key === SIGNATURE_SCHEME && value) {
+      parsed.signatures.push(value);
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Check a delivery's signature header against the raw body
+ *
+ * @param {string|Buffer} body - Raw request body
+ * @param {string} header - `PayMeBro-Signature` header value
+ * @param {string|Array<string>} secrets - Secret(s) to accept, e.g. old and new during a rotation
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.toleranceSeconds=300] - Largest accepted age of the signature
+ * @param {number} [options.now] - Current Unix time in seconds, for tests
+ * @returns {boolean} True if a signature matches and the timestamp is within the tolerance
+ */
+const verifyWebhookSignature = (body, header, secrets, options = {}) => {
+  const { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Math.floor(Date.now() / 1000) } = options;
+  const { timestamp, signatures } = parseSignatureHeader(header);
+
+  if (timestamp === null || signatures.length === 0) {
+    return false;
+  }
+  if (Math.abs(now - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const payload = Buffer.isBuffer(body) ? body.toString('utf8') : String(body);
+
+  return [].concat(secrets).filter(Boolean).some(secret => {
+    const expected = Buffer.from(computeSignature(secret, timestamp, payload), 'hex');
+    return signatures.some(signature => {
+      const received = Buffer.from(signature, 'hex');
+      return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    });
+  });
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  DEFAULT_TOLERANCE_SECONDS,
+  signWebhookPayload,
+  parseSignatureHeader,
+  verifyWebhookSignature
+};
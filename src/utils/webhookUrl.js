@@ -0,0 +1,113 @@
+/**
+ * Webhook URL safety
+ *
+ * Webhook deliveries are server-side requests to merchant-chosen URLs, and the
+ * delivery log shows the start of each response, so an endpoint must never
+ * point at this server's own network. URLs are checked twice:
+ *
+ * - when registered, `localhost` and IP literals in private ranges are refused
+ * - before each delivery the host is resolved and every address must be
+ *   public, so a DNS name pointing at an internal address is refused too
+ *
+ * @module webhookUrl
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT,
+// benchmarking, multicast and reserved ranges
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => NON_PUBLIC_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const IPV4_MAPPED_PATTERN = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+/**
+ * Check whether an IP address is reachable on the public internet
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for loopback, private, link-local and reserved addresses
+ */
+const isPublicAddress = (address) => {
+  const mapped = IPV4_MAPPED_PATTERN.exec(address);
+  if (mapped) {
+    return isPublicAddress(mapped[1]);
+  }
+
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+
+  return !NON_PUBLIC_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Hostname of a URL without the brackets around IPv6 literals
+ */
+const getHostname = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+/**
+ * Check a webhook URL's host without resolving it
+ *
+ * @param {string} url - Webhook URL
+ * @returns {boolean} False for localhost and non-public IP literals
+ */
+const isAllowedWebhookHost = (url) => {
+  const hostname = getHostname(url).toLowerCase();
+
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return false;
+  }
+
+  return net.isIP(hostname) === 0 || isPublicAddress(hostname);
+};
+
+/**
+ * Resolve a webhook URL's host and make sure every address is public
+ *
+ * @param {string} url - Webhook URL
+ * @returns {Promise<void>}
+ * @throws {Error} When the host resolves to a non-public address
+ */
+const assertPublicWebhookUrl = async (url) => {
+  const hostname = getHostname(url);
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await dns.promises.lookup(hostname, { all: true, verbatim: true })).map(entry => entry.address);
+
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    throw new Error(`Webhook URL host ${hostname} resolves to a non-public address`);
+  }
+};
+
+module.exports = {
+  isPublicAddress,
+  isAllowedWebhookHost,
+  assertPublicWebhookUrl
+};